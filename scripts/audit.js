@@ -0,0 +1,225 @@
+/**
+ * PSPF Explorer - Audit Module
+ * Append-only change log. Each save is compared field by field with the state captured
+ * at the previous save, so every edit, deletion, rename and import is recorded with who
+ * made it and the old and new values, whichever screen it came from.
+ */
+
+/**
+ * Collections covered by the audit trail. `list` collections are arrays keyed by
+ * record `id`; `map` collections are objects keyed by property name. `ignore` lists
+ * fields that are derived or bookkeeping only, and `skipKeys` entries that are never
+ * audited.
+ */
+export const AUDIT_COLLECTIONS = Object.freeze({
+    compliance: { label: 'Compliance', type: 'map', ignore: ['history'] },
+    requirements: { label: 'Requirement', type: 'map', ignore: ['uuid'] },
+    projects: { label: 'Project', type: 'list' },
+    risks: { label: 'Risk', type: 'list' },
+    incidents: { label: 'Security event', type: 'list' },
+    vendors: { label: 'Vendor', type: 'list' },
+    systems: { label: 'Technology system', type: 'list' },
+    people: { label: 'Person', type: 'list' },
+    essentialEight: { label: 'Essential Eight', type: 'map' },
+    assessmentCycles: { label: 'Assessment cycle', type: 'map', ignore: ['compliance'], skipKeys: ['settings'] },
+    riskMatrix: { label: 'Risk matrix', type: 'map' },
+    // Entries are encrypted, so only changes to the aggregate counts are logged
+    contactRegister: { label: 'Contact register', type: 'map', skipKeys: ['envelope'] },
+    tagDefinitions: { label: 'Tag', type: 'map' },
+    userTagAssignments: { label: 'Tag assignment', type: 'map' }
+});
+
+export const AUDIT_ACTIONS = Object.freeze({
+    create: { label: 'Created' },
+    update: { label: 'Changed' },
+    delete: { label: 'Deleted' },
+    switch: { label: 'Switched' }
+});
+
+export const AUDIT_SOURCES = Object.freeze({
+    edit: { label: 'Edit' },
+    import: { label: 'Backup import' },
+    spreadsheet: { label: 'Spreadsheet import' },
+    restore: { label: 'Snapshot restore' },
+    clear: { label: 'Clear all data' },
+    undo: { label: 'Undo' },
+    redo: { label: 'Redo' }
+});
+
+// Timestamps every record carries; changes to them alone are not worth an entry
+const BOOKKEEPING_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Text form of a field value for the log and the CSV export.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatAuditValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) {
+        if (value.every(item => item === null || typeof item !== 'object')) {
+            return value.map(item => String(item ?? '')).join(', ');
+        }
+        return value.map(item => item?.title || item?.name || item?.label || item?.body || JSON.stringify(item)).join('; ');
+    }
+    const entries = Object.entries(value);
+    if (entries.length && entries.every(([, flag]) => typeof flag === 'boolean')) {
+        return entries.filter(([, flag]) => flag).map(([key]) => key).join(', ');
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Serialise every audited record so the next save can be compared with this one.
+ * @param {Object} state - Collections keyed as in AUDIT_COLLECTIONS
+ * @returns {Object<string, Map<string, string>>} Record JSON by key, per collection
+ */
+export function captureAuditState(state) {
+    const captured = {};
+    Object.entries(AUDIT_COLLECTIONS).forEach(([collection, { type, skipKeys = [] }]) => {
+        const records = new Map();
+        const value = state?.[collection];
+        if (type === 'list') {
+            (Array.isArray(value) ? value : []).forEach(record => {
+                if (record?.id !== undefined && record?.id !== null) records.set(String(record.id), JSON.stringify(record));
+            });
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, record]) => {
+                if (record !== undefined && !skipKeys.includes(key)) records.set(key, JSON.stringify(record));
+            });
+        }
+        captured[collection] = records;
+    });
+    return captured;
+}
+
+const recordLabel = (record, key) => (record && typeof record === 'object' && (record.name || record.title)) || key;
+
+const fieldsOf = (record) => (record && typeof record === 'object' && !Array.isArray(record) ? record : { value: record });
+
+/**
+ * Field-level differences between two captured states.
+ * @param {Object<string, Map<string, string>>} before - From captureAuditState()
+ * @param {Object<string, Map<string, string>>} after - From captureAuditState()
+ * @returns {Array<{action: string, collection: string, entityId: string, entityLabel: string, field: string, oldValue: string, newValue: string}>}
+ */
+export function diffAuditState(before, after) {
+    const changes = [];
+    Object.entries(AUDIT_COLLECTIONS).forEach(([collection, { ignore = [] }]) => {
+        const previous = before?.[collection] || new Map();
+        const next = after?.[collection] || new Map();
+        const skipped = new Set([...BOOKKEEPING_FIELDS, ...ignore]);
+
+        const compare = (key, oldJson, newJson) => {
+            const oldRecord = oldJson === undefined ? undefined : JSON.parse(oldJson);
+            const newRecord = newJson === undefined ? undefined : JSON.parse(newJson);
+            const action = oldRecord === undefined ? 'create' : newRecord === undefined ? 'delete' : 'update';
+            const oldFields = oldRecord === undefined ? {} : fieldsOf(oldRecord);
+            const newFields = newRecord === undefined ? {} : fieldsOf(newRecord);
+            const entityLabel = String(recordLabel(newRecord ?? oldRecord, key));
+            const fields = new Set([...Object.keys(oldFields), ...Object.keys(newFields)]);
+            fields.forEach(field => {
+                if (skipped.has(field) || (action !== 'update' && field === 'id')) return;
+                const oldValue = formatAuditValue(oldFields[field]);
+                const newValue = formatAuditValue(newFields[field]);
+                if (JSON.stringify(oldFields[field]) === JSON.stringify(newFields[field]) || oldValue === newValue) return;
+                changes.push({ action, collection, entityId: key, entityLabel, field, oldValue, newValue });
+            });
+        };
+
+        next.forEach((json, key) => {
+            if (previous.get(key) !== json) compare(key, previous.get(key), json);
+        });
+        previous.forEach((json, key) => {
+            if (!next.has(key)) compare(key, json, undefined);
+        });
+    });
+    return changes;
+}
+
+/**
+ * @param {{actor?: {id: string, name: string}, source?: string, action: string, collection: string, entityId: string, entityLabel?: string, field: string, oldValue?: string, newValue?: string, cycle?: string}} fields
+ * @returns {Object} Audit log entry
+ */
+export function createAuditEntry(fields) {
+    return {
+        id: `audit-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 9)}`,
+        timestamp: new Date().toISOString(),
+        actorId: fields.actor?.id || '',
+        actorName: fields.actor?.name || '',
+        source: AUDIT_SOURCES[fields.source] ? fields.source : 'edit',
+        action: fields.action,
+        collection: fields.collection,
+        entityId: String(fields.entityId ?? ''),
+        entityLabel: String(fields.entityLabel ?? fields.entityId ?? ''),
+        field: String(fields.field ?? ''),
+        oldValue: String(fields.oldValue ?? ''),
+        newValue: String(fields.newValue ?? ''),
+        cycle: fields.cycle || ''
+    };
+}
+
+/**
+ * Union two logs by entry id. Entries are never edited, so a shared id is the same entry.
+ * @param {Array<Object>} current
+ * @param {Array<Object>} incoming
+ * @returns {Array<Object>} Oldest first
+ */
+export function mergeAuditLogs(current = [], incoming = []) {
+    const byId = new Map();
+    [...current, ...incoming].forEach(entry => {
+        if (entry?.id && !byId.has(entry.id)) byId.set(entry.id, entry);
+    });
+    return [...byId.values()].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+/**
+ * @param {Array<Object>} entries
+ * @param {{collection?: string, actor?: string, action?: string, source?: string, from?: string, to?: string, query?: string}} filters
+ *   `from` and `to` are inclusive YYYY-MM-DD dates
+ * @returns {Array<Object>} Matching entries, newest first
+ */
+export function filterAuditEntries(entries, { collection = '', actor = '', action = '', source = '', from = '', to = '', query = '' } = {}) {
+    const needle = query.trim().toLowerCase();
+    return entries
+        .filter(entry => {
+            if (collection && entry.collection !== collection) return false;
+            if (actor && entry.actorId !== actor) return false;
+            if (action && entry.action !== action) return false;
+            if (source && entry.source !== source) return false;
+            const day = String(entry.timestamp).slice(0, 10);
+            if (from && day < from) return false;
+            if (to && day > to) return false;
+            if (!needle) return true;
+            return [entry.entityId, entry.entityLabel, entry.field, entry.oldValue, entry.newValue, entry.actorName]
+                .some(value => String(value || '').toLowerCase().includes(needle));
+        })
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+/**
+ * Rows for the CSV export, header first.
+ * @param {Array<Object>} entries
+ * @returns {Array<Array<string>>}
+ */
+export function auditLogTable(entries) {
+    return [
+        ['Timestamp', 'User', 'User ID', 'Action', 'Source', 'Entity Type', 'Entity ID', 'Entity', 'Field', 'Old Value', 'New Value', 'Assessment Cycle'],
+        ...entries.map(entry => [
+            entry.timestamp,
+            entry.actorName,
+            entry.actorId,
+            AUDIT_ACTIONS[entry.action]?.label || entry.action,
+            AUDIT_SOURCES[entry.source]?.label || entry.source,
+            AUDIT_COLLECTIONS[entry.collection]?.label || entry.collection,
+            entry.entityId,
+            entry.entityLabel,
+            entry.field,
+            entry.oldValue,
+            entry.newValue,
+            entry.cycle
+        ])
+    ];
+}
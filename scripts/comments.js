@@ -0,0 +1,164 @@
+/**
+ * PSPF Explorer - Comments Module
+ * Attributed comment threads on compliance records. Comments are written in a small,
+ * safe subset of Markdown and can @mention people from the register. One comment per
+ * record can be marked as the official justification; its text is kept in the record's
+ * `comment` field, which reports and exports read.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @param {{id?: string, body: string, authorId?: string, authorName?: string, official?: boolean, mentions?: string[], createdAt?: string|null}} fields
+ * @returns {{id: string, body: string, authorId: string, authorName: string, official: boolean, mentions: string[], createdAt: string|null}}
+ */
+export function createComment(fields = {}) {
+    return {
+        id: fields.id || `comment-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        body: String(fields.body || '').trim(),
+        authorId: fields.authorId || '',
+        authorName: fields.authorName || '',
+        official: fields.official === true,
+        mentions: Array.isArray(fields.mentions) ? [...new Set(fields.mentions)] : [],
+        createdAt: fields.createdAt === undefined ? new Date().toISOString() : fields.createdAt
+    };
+}
+
+const mentionPattern = (name) => new RegExp(`(^|[^\\w@])@${escapeRegExp(name)}(?![\\w])`, 'i');
+
+/**
+ * People @mentioned in a comment, matched by their full name.
+ * @param {string} body
+ * @param {Array<{id: string, name: string}>} people
+ * @returns {string[]} Person ids
+ */
+export function findMentions(body, people = []) {
+    const text = String(body || '');
+    if (!text.includes('@')) return [];
+    return people
+        .filter(person => person?.name && mentionPattern(person.name).test(text))
+        .map(person => person.id);
+}
+
+/**
+ * People whose name starts a word matching what has been typed after an @.
+ * @param {string} query
+ * @param {Array<{id: string, name: string}>} people
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+export function suggestMentions(query, people = [], limit = 5) {
+    const needle = String(query || '').trim().toLowerCase();
+    return people
+        .filter(person => {
+            const name = String(person?.name || '').toLowerCase();
+            return name && (name.startsWith(needle) || name.split(/\s+/).some(word => word.startsWith(needle)));
+        })
+        .slice(0, limit);
+}
+
+const renderInline = (text, mentionNames) => {
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+        codeSpans.push(code);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+    html = html
+        .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_\s][^_]*)_(?![\w])/g, '$1<em>$2</em>');
+    [...mentionNames].sort((a, b) => b.length - a.length).forEach(name => {
+        const escaped = escapeHtml(name);
+        html = html.replace(new RegExp(`(^|[^\\w@>])@(${escapeRegExp(escaped)})(?![\\w])`, 'gi'), '$1<span class="mention">@$2</span>');
+    });
+    return html.replace(/\u0000(\d+)\u0000/g, (_, index) => `<code>${codeSpans[Number(index)]}</code>`);
+};
+
+/**
+ * Render comment Markdown to HTML. Supports paragraphs, line breaks, bulleted and
+ * numbered lists, bold, italics, inline code, links (http, https and mailto only) and
+ * @mentions. Everything else is shown as typed; raw HTML is always escaped.
+ * @param {string} text
+ * @param {{mentionNames?: string[]}} [options] - Names to highlight when @mentioned
+ * @returns {string}
+ */
+export function renderMarkdown(text, { mentionNames = [] } = {}) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${paragraph.map(line => renderInline(line, mentionNames)).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item, mentionNames)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    String(text || '').split(/\r?\n/).forEach(line => {
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const item = bullet || numbered;
+        if (item) {
+            const tag = bullet ? 'ul' : 'ol';
+            flushParagraph();
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[1]);
+            return;
+        }
+        flushList();
+        if (!line.trim()) {
+            flushParagraph();
+            return;
+        }
+        paragraph.push(line);
+    });
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+/**
+ * @param {Object} record - Compliance record
+ * @returns {Object|null} The comment marked as the official justification
+ */
+export function getOfficialComment(record) {
+    return (Array.isArray(record?.comments) ? record.comments : []).find(comment => comment.official) || null;
+}
+
+/**
+ * Mark one comment as the official justification, or clear it with `null`, and keep
+ * the record's `comment` field in step.
+ * @param {Object} record - Compliance record, changed in place
+ * @param {string|null} commentId
+ */
+export function setOfficialComment(record, commentId) {
+    const comments = Array.isArray(record.comments) ? record.comments : [];
+    comments.forEach(comment => {
+        comment.official = comment.id === commentId;
+    });
+    record.comment = comments.find(comment => comment.official)?.body || '';
+}
+
+/**
+ * Plain-text form of a thread for CSV and spreadsheet exports, oldest first.
+ * @param {Array<Object>} comments
+ * @returns {string}
+ */
+export function describeCommentThread(comments = []) {
+    return comments.map(comment => {
+        const when = comment.createdAt ? String(comment.createdAt).slice(0, 10) : 'Undated';
+        const who = comment.authorName || 'Unknown';
+        return `[${when}] ${who}${comment.official ? ' (official justification)' : ''}: ${comment.body}`;
+    }).join('\n');
+}
@@ -0,0 +1,123 @@
+/**
+ * PSPF Explorer - Compliance Import Module
+ * Turns rows from an existing spreadsheet self-assessment into compliance updates:
+ * column mapping, requirement id matching and free-text status normalisation.
+ */
+
+export const IMPORT_FIELDS = Object.freeze([
+    { key: 'id', label: 'Requirement ID', required: true, hints: ['requirement id', 'req id', 'requirement', 'id', 'reference', 'ref', 'control'] },
+    { key: 'status', label: 'Status', required: false, hints: ['status', 'compliance', 'assessment', 'rating', 'implemented', 'outcome'] },
+    { key: 'comment', label: 'Comment', required: false, hints: ['comment', 'comments', 'notes', 'note', 'justification', 'rationale'] },
+    { key: 'url', label: 'Evidence link', required: false, hints: ['evidence url', 'evidence', 'url', 'link'] }
+]);
+
+// Checked in order: "not applicable" must win over "not", and "not met" over "met"
+const STATUS_PATTERNS = [
+    ['na', /^(n\/?a|not applicable|not relevant|exempt(ed)?|out of scope)$/],
+    ['no', /^(no|n|not met|unmet|not implemented|not compliant|non[- ]?compliant|not started|not in place|missing|false|0)$/],
+    ['partial', /^(partial(ly)?( met| implemented| compliant)?|risk managed|in progress|substantially( met| implemented)?|mostly|some|p)$/],
+    ['yes', /^(yes|y|met|fully met|implemented|fully implemented|compliant|fully compliant|complete(d)?|achieved|in place|effective|true|1)$/]
+];
+
+const BLANK_STATUSES = /^(|-|not set|unassessed|not assessed|tbc|tbd|unknown)$/;
+
+/**
+ * Map free-text assessment wording to a compliance status.
+ * @param {string} value
+ * @returns {'yes'|'partial'|'no'|'na'|'not-set'|null} 'not-set' for blank/unassessed
+ *   cells, null when the wording is not recognised
+ */
+export function normaliseComplianceStatus(value) {
+    const text = String(value ?? '').trim().toLowerCase().replace(/[\s_]+/g, ' ').replace(/[.!]+$/, '');
+    if (BLANK_STATUSES.test(text)) return 'not-set';
+    const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * Normalise a spreadsheet requirement reference ("gov 1", "GOV-001") to the
+ * DOMAIN-NNN form used by requirement ids.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normaliseRequirementId(value) {
+    const match = /^\s*([A-Za-z]+)\s*[-_ ]?\s*0*(\d+)\s*$/.exec(String(value ?? ''));
+    if (!match) return String(value ?? '').trim().toUpperCase();
+    return `${match[1].toUpperCase()}-${match[2].padStart(3, '0')}`;
+}
+
+/**
+ * Pick the most likely header for each import field.
+ * @param {string[]} headers
+ * @returns {Object<string, string>} Field key to header ('' when no header fits)
+ */
+export function guessColumnMapping(headers) {
+    const normalised = headers.map(header => String(header || '').trim().toLowerCase());
+    const taken = new Set();
+    return IMPORT_FIELDS.reduce((mapping, field) => {
+        const index = field.hints
+            .map(hint => normalised.findIndex((header, i) => !taken.has(i) && header === hint))
+            .find(i => i !== -1)
+            ?? field.hints
+                .map(hint => normalised.findIndex((header, i) => !taken.has(i) && header.includes(hint)))
+                .find(i => i !== -1);
+        if (index !== undefined && index !== -1) {
+            taken.add(index);
+            mapping[field.key] = headers[index];
+        } else {
+            mapping[field.key] = '';
+        }
+        return mapping;
+    }, {});
+}
+
+/**
+ * Match sheet rows to requirements using a header-name mapping.
+ * @param {Array<{name: string, rows: Array<Array<string>>}>} sheets - First row of each sheet is its header
+ * @param {Object<string, string>} mapping - From guessColumnMapping()
+ * @param {Object} requirements - Requirement map keyed by id
+ * @returns {{matched: Array<Object>, unmatched: Array<Object>}}
+ */
+export function matchImportRows(sheets, mapping, requirements) {
+    const matched = [];
+    const unmatched = [];
+
+    sheets.forEach(sheet => {
+        const [header = [], ...rows] = sheet.rows;
+        const column = (key) => (mapping[key] ? header.indexOf(mapping[key]) : -1);
+        const idIndex = column('id');
+        if (idIndex === -1) return;
+        const statusIndex = column('status');
+        const commentIndex = column('comment');
+        const urlIndex = column('url');
+
+        rows.forEach((cells, rowIndex) => {
+            const source = { sheet: sheet.name, row: rowIndex + 2 };
+            const rawId = String(cells[idIndex] ?? '').trim();
+            if (!rawId) return;
+            const id = requirements[rawId] ? rawId : normaliseRequirementId(rawId);
+            if (!requirements[id]) {
+                unmatched.push({ ...source, rawId, reason: 'Unknown requirement' });
+                return;
+            }
+
+            const rawStatus = statusIndex === -1 ? '' : String(cells[statusIndex] ?? '').trim();
+            const status = normaliseComplianceStatus(rawStatus);
+            if (status === null) {
+                unmatched.push({ ...source, rawId, reason: `Unrecognised status "${rawStatus}"` });
+                return;
+            }
+
+            matched.push({
+                ...source,
+                id,
+                rawStatus,
+                status: status === 'not-set' ? null : status,
+                comment: commentIndex === -1 ? '' : String(cells[commentIndex] ?? '').trim(),
+                url: urlIndex === -1 ? '' : String(cells[urlIndex] ?? '').trim()
+            });
+        });
+    });
+
+    return { matched, unmatched };
+}
@@ -0,0 +1,227 @@
+/**
+ * PSPF Explorer - Contact Register Module
+ * Register of suspicious and reportable contacts for countering foreign interference and
+ * espionage (RISK-049, RISK-050) and contact reporting by clearance holders (PERS-177).
+ * Entries are encrypted with a key derived from a passphrase before they are stored, so
+ * the register cannot be read from a backup or the browser's storage without it. Only
+ * aggregate counts are kept in the clear for the Progress view.
+ */
+
+import { isDateOnly, todayDateOnly } from './reviews.js';
+
+export const CONTACT_NATURES = Object.freeze({
+    'suspicious-approach': { label: 'Suspicious approach' },
+    'information-request': { label: 'Request for official information' },
+    'foreign-official': { label: 'Contact with a foreign official' },
+    'ongoing-relationship': { label: 'Ongoing personal or professional relationship' },
+    'gift-hospitality': { label: 'Gift, hospitality or travel offer' },
+    'online-approach': { label: 'Online or social media approach' },
+    other: { label: 'Other' }
+});
+
+export const CONTACT_CHANNELS = Object.freeze({
+    'in-person': { label: 'In person' },
+    phone: { label: 'Phone' },
+    email: { label: 'Email' },
+    'social-media': { label: 'Social media or professional network' },
+    event: { label: 'Conference or event' },
+    other: { label: 'Other' }
+});
+
+export const CONTACT_ASSESSMENTS = Object.freeze({
+    'not-of-concern': { label: 'Not of concern' },
+    monitor: { label: 'Monitor' },
+    'of-concern': { label: 'Of security concern' }
+});
+
+export const DEFAULT_CONTACT_ASSESSMENT = 'monitor';
+
+// Requirements a new entry is linked to until the user chooses otherwise
+export const CONTACT_REQUIREMENT_IDS = Object.freeze(['RISK-049', 'RISK-050', 'PERS-177']);
+
+// Entries may only be linked to Risk and Personnel domain requirements
+export const CONTACT_REQUIREMENT_DOMAINS = Object.freeze(['risk', 'personnel']);
+
+export const CONTACT_PASSPHRASE_MIN_LENGTH = 12;
+
+export const CONTACT_KDF_ITERATIONS = 310000;
+
+// Stored envelopes must use an iteration count in this range: fewer weakens the key, and a
+// crafted backup with far more would freeze the page while the key is derived
+const MAX_KDF_ITERATIONS = CONTACT_KDF_ITERATIONS * 10;
+
+const isAllowedIterations = value => Number.isInteger(value) && value >= CONTACT_KDF_ITERATIONS && value <= MAX_KDF_ITERATIONS;
+
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Raised when a passphrase does not open the register.
+ */
+export class ContactPassphraseError extends Error {
+    constructor() {
+        super('That passphrase does not unlock the contact register.');
+        this.name = 'ContactPassphraseError';
+    }
+}
+
+/**
+ * @param {Object} fields
+ * @returns {Object} A normalised contact register entry
+ */
+export function createContact(fields = {}) {
+    const now = new Date().toISOString();
+    const text = (value, max = 5000) => String(value ?? '').trim().slice(0, max);
+    return {
+        id: fields.id || `contact-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        date: isDateOnly(fields.date) ? fields.date : '',
+        person: text(fields.person, 200),
+        nature: CONTACT_NATURES[fields.nature] ? fields.nature : 'other',
+        channel: CONTACT_CHANNELS[fields.channel] ? fields.channel : 'other',
+        details: text(fields.details),
+        assessment: CONTACT_ASSESSMENTS[fields.assessment] ? fields.assessment : DEFAULT_CONTACT_ASSESSMENT,
+        referredTo: text(fields.referredTo, 200),
+        referredOn: isDateOnly(fields.referredOn) ? fields.referredOn : '',
+        outcome: text(fields.outcome),
+        requirementIds: Array.isArray(fields.requirementIds) ? fields.requirementIds.filter(id => typeof id === 'string') : [],
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+}
+
+/**
+ * Counts safe to keep unencrypted: no names, dates of individual contacts or details.
+ * `lastTwelveMonths` is only true on `asOf`, the day the counts were taken.
+ * @param {Array<Object>} contacts
+ * @param {Date} [now]
+ * @returns {{asOf: string, total: number, lastTwelveMonths: number, byNature: Object<string, number>, byAssessment: Object<string, number>, referred: number, awaitingOutcome: number}}
+ */
+export function summariseContacts(contacts, now = new Date()) {
+    const list = Array.isArray(contacts) ? contacts : [];
+    const cutoff = todayDateOnly(new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()));
+    const tally = (keys, field) => Object.fromEntries(Object.keys(keys).map(key => [key, list.filter(contact => contact[field] === key).length]));
+    return {
+        asOf: todayDateOnly(now),
+        total: list.length,
+        lastTwelveMonths: list.filter(contact => isDateOnly(contact.date) && contact.date >= cutoff).length,
+        byNature: tally(CONTACT_NATURES, 'nature'),
+        byAssessment: tally(CONTACT_ASSESSMENTS, 'assessment'),
+        referred: list.filter(contact => contact.referredTo).length,
+        awaitingOutcome: list.filter(contact => !contact.outcome).length
+    };
+}
+
+/**
+ * Newest contact first.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareContacts(a, b) {
+    return String(b.date || '').localeCompare(String(a.date || ''))
+        || String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Derive the register key from a passphrase. The key cannot be exported, so holding it
+ * while the register is unlocked does not keep the passphrase itself in memory.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveContactKey(passphrase, salt, iterations = CONTACT_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Start a new register: a fresh salt and the key derived from it.
+ * @param {string} passphrase
+ * @returns {Promise<{key: CryptoKey, salt: string, iterations: number}>}
+ */
+export async function createContactKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return { key: await deriveContactKey(passphrase, salt), salt: toBase64(salt), iterations: CONTACT_KDF_ITERATIONS };
+}
+
+/**
+ * Encrypt the register entries.
+ * @param {Array<Object>} contacts
+ * @param {{key: CryptoKey, salt: string, iterations: number}} session - From createContactKey() or openContactRegister()
+ * @returns {Promise<{version: number, salt: string, iterations: number, iv: string, ciphertext: string}>}
+ */
+export async function sealContactRegister(contacts, { key, salt, iterations }) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(contacts));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+    return { version: ENVELOPE_VERSION, salt, iterations, iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+/**
+ * Decrypt the register with a passphrase.
+ * @param {Object} envelope - From sealContactRegister()
+ * @param {string} passphrase
+ * @returns {Promise<{contacts: Array<Object>, session: {key: CryptoKey, salt: string, iterations: number}}>}
+ * @throws {ContactPassphraseError} When the passphrase is wrong or the envelope has been altered
+ * @throws {Error} When the envelope's iteration count is outside the supported range
+ */
+export async function openContactRegister(envelope, passphrase) {
+    if (!isAllowedIterations(envelope?.iterations)) {
+        throw new Error('The contact register uses an unsupported key derivation setting.');
+    }
+    const key = await deriveContactKey(passphrase, fromBase64(envelope.salt), envelope.iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.ciphertext));
+    } catch {
+        throw new ContactPassphraseError();
+    }
+    const contacts = JSON.parse(new TextDecoder().decode(plaintext));
+    return {
+        contacts: (Array.isArray(contacts) ? contacts : []).map(createContact),
+        session: { key, salt: envelope.salt, iterations: envelope.iterations }
+    };
+}
+
+/**
+ * Check the shape of a stored or imported register. Entries cannot be checked until unlocked.
+ * @param {*} value
+ * @returns {{envelope: Object|null, summary: Object}}
+ */
+export function normaliseContactRegister(value) {
+    const base64 = text => typeof text === 'string' && /^[A-Za-z0-9+/]+=*$/.test(text);
+    const envelope = value?.envelope;
+    const validEnvelope = envelope && envelope.version === ENVELOPE_VERSION
+        && base64(envelope.salt) && base64(envelope.iv) && base64(envelope.ciphertext)
+        && isAllowedIterations(envelope.iterations);
+    const summary = summariseContacts([]);
+    const stored = value?.summary || {};
+    const count = number => (Number.isInteger(number) && number >= 0 ? number : 0);
+    ['total', 'lastTwelveMonths', 'referred', 'awaitingOutcome'].forEach(field => { summary[field] = count(stored[field]); });
+    ['byNature', 'byAssessment'].forEach(field => Object.keys(summary[field]).forEach(key => {
+        summary[field][key] = count(stored[field]?.[key]);
+    }));
+    summary.asOf = isDateOnly(stored.asOf) ? stored.asOf : null;
+    return {
+        envelope: validEnvelope
+            ? { version: ENVELOPE_VERSION, salt: envelope.salt, iterations: envelope.iterations, iv: envelope.iv, ciphertext: envelope.ciphertext }
+            : null,
+        summary: validEnvelope ? summary : summariseContacts([])
+    };
+}
@@ -3,6 +3,8 @@
  * Contains base class with core utilities, storage, UI helpers, and event handling
  */
 
+import { DEFAULT_RISK_MATRIX, rateRisk } from './risks.js';
+
 export class PSPFExplorerCore {
     constructor(options = {}) {
         const defaultOptions = { autoInit: true };
@@ -233,22 +235,7 @@ export class PSPFExplorerCore {
     }
 
     calculateRiskSeverity(likelihood, impact) {
-        const values = {
-            'very-low': 1,
-            'low': 2,
-            'medium': 3,
-            'high': 4,
-            'very-high': 5
-        };
-
-        const likelihoodValue = values[likelihood] || 1;
-        const impactValue = values[impact] || 1;
-        const score = likelihoodValue * impactValue;
-
-        if (score <= 4) return 'low';
-        if (score <= 10) return 'medium';
-        if (score <= 16) return 'high';
-        return 'critical';
+        return rateRisk(likelihood, impact, DEFAULT_RISK_MATRIX);
     }
 
     getRiskSeverityIcon(severity) {
@@ -0,0 +1,116 @@
+/**
+ * PSPF Explorer - Assessment Cycles Module
+ * Named assessment cycles (e.g. "FY2025-26"), each with its own set of compliance
+ * records. The active cycle's records are the working `compliance` collection; every
+ * other cycle keeps its records on its own entry. Also rolls a cycle forward into a new
+ * one and compares two cycles requirement by requirement.
+ */
+
+export const CYCLE_SETTINGS_KEY = 'settings';
+
+// Met and N/A both count as complete, matching calculateDomainHealth()
+const STATUS_RANK = { 'not-set': 0, no: 1, partial: 2, yes: 3, na: 3 };
+
+/**
+ * @param {{name: string, rolledForwardFrom?: string|null}} fields
+ * @returns {{id: string, name: string, rolledForwardFrom: string|null, createdAt: string, updatedAt: string}}
+ */
+export function createAssessmentCycle(fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: fields.id || `cycle-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        name: String(fields.name || '').trim() || 'Untitled cycle',
+        rolledForwardFrom: fields.rolledForwardFrom || null,
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+}
+
+/**
+ * Cycle entries from the assessmentCycles collection, oldest first.
+ * @param {Object} cycles - assessmentCycles collection
+ * @returns {Array<Object>}
+ */
+export function listAssessmentCycles(cycles = {}) {
+    return Object.entries(cycles)
+        .filter(([key, cycle]) => key !== CYCLE_SETTINGS_KEY && cycle && typeof cycle === 'object')
+        .map(([, cycle]) => cycle)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Starting compliance for a new cycle. Statuses, maturity, ownership and review
+ * schedules carry over, as do comment threads when `carryComments` is set and evidence
+ * unless `carryEvidence` is false; carried evidence keeps its attachment ids, so both
+ * cycles share the stored files. Each carried status is recorded as the first history
+ * entry of the new cycle so its progress timeline starts from the rolled-forward position.
+ * @param {Object<string, Object>} compliance - Records of the cycle being rolled forward
+ * @param {{carryComments?: boolean, carryEvidence?: boolean, requirements?: Object}} [options]
+ * @returns {Object<string, Object>}
+ */
+export function rollForwardCompliance(compliance, { carryComments = false, carryEvidence = true, requirements = {} } = {}) {
+    const timestamp = new Date().toISOString();
+    const next = {};
+    Object.entries(compliance || {}).forEach(([reqId, record]) => {
+        if (!record || typeof record !== 'object') return;
+        const { history, comment, comments, evidence, ...fields } = JSON.parse(JSON.stringify(record));
+        const status = fields.status || 'not-set';
+        next[reqId] = {
+            ...fields,
+            status,
+            comment: carryComments && typeof comment === 'string' ? comment : '',
+            comments: carryComments && Array.isArray(comments) ? comments : [],
+            evidence: carryEvidence && Array.isArray(evidence) ? evidence : [],
+            history: status === 'not-set'
+                ? []
+                : [{ status, timestamp, domainId: requirements[reqId]?.domainId || null }]
+        };
+    });
+    return next;
+}
+
+const describeMovement = (from, to) => {
+    if (from === to) return 'unchanged';
+    const delta = STATUS_RANK[to] - STATUS_RANK[from];
+    if (delta > 0) return 'improved';
+    if (delta < 0) return 'regressed';
+    return 'changed';
+};
+
+/**
+ * Per-requirement and per-domain movement between two cycles.
+ * @param {Object<string, Object>} fromCompliance - Earlier cycle
+ * @param {Object<string, Object>} toCompliance - Later cycle
+ * @param {Array<{id: string, title: string, requirements: string[]}>} domains
+ * @returns {{
+ *   requirements: Array<{id: string, domainId: string, from: string, to: string, movement: 'improved'|'regressed'|'changed'|'unchanged'}>,
+ *   domains: Array<{id: string, title: string, total: number, fromMet: number, toMet: number, fromPercentage: number, toPercentage: number, improved: number, regressed: number}>,
+ *   totals: {improved: number, regressed: number, changed: number, unchanged: number}
+ * }}
+ */
+export function compareCycles(fromCompliance, toCompliance, domains) {
+    const totals = { improved: 0, regressed: 0, changed: 0, unchanged: 0 };
+    const requirements = [];
+    const isMet = status => status === 'yes' || status === 'na';
+
+    const domainRows = domains.map(domain => {
+        const ids = domain.requirements || [];
+        const row = { id: domain.id, title: domain.title, total: ids.length, fromMet: 0, toMet: 0, improved: 0, regressed: 0 };
+        ids.forEach(reqId => {
+            const from = fromCompliance?.[reqId]?.status || 'not-set';
+            const to = toCompliance?.[reqId]?.status || 'not-set';
+            const movement = describeMovement(from, to);
+            totals[movement] += 1;
+            if (movement === 'improved') row.improved += 1;
+            if (movement === 'regressed') row.regressed += 1;
+            if (isMet(from)) row.fromMet += 1;
+            if (isMet(to)) row.toMet += 1;
+            requirements.push({ id: reqId, domainId: domain.id, from, to, movement });
+        });
+        row.fromPercentage = row.total ? Math.round((row.fromMet / row.total) * 100) : 0;
+        row.toPercentage = row.total ? Math.round((row.toMet / row.total) * 100) : 0;
+        return row;
+    });
+
+    return { requirements, domains: domainRows, totals };
+}
@@ -0,0 +1,204 @@
+/**
+ * PSPF Explorer - Essential Eight Module
+ * Maturity model checklists for the eight mitigation strategies, keyed by the TECH
+ * requirement each strategy is mapped to in `essentialEightControls`, and the maths
+ * for achieved maturity and the gap to an entity's target level.
+ */
+
+export const E8_MATURITY_LEVELS = [1, 2, 3];
+
+export const DEFAULT_E8_TARGET_LEVEL = 2;
+
+export const E8_SETTINGS_KEY = 'settings';
+
+/**
+ * Condensed criteria from ASD's Essential Eight Maturity Model. Each level lists only
+ * what it adds; a strategy reaches a level when that level and every level below it
+ * are fully met.
+ */
+export const E8_CRITERIA = Object.freeze({
+    'TECH-103': {
+        1: [
+            { id: 'ac-1-1', text: 'Application control is implemented on workstations.' },
+            { id: 'ac-1-2', text: 'Execution is restricted to an approved set of executables, installers, scripts and libraries in user profiles and temporary folders.' }
+        ],
+        2: [
+            { id: 'ac-2-1', text: 'Application control is implemented on internet-facing servers.' },
+            { id: 'ac-2-2', text: 'Control applies to all locations, not just user profiles and temporary folders.' },
+            { id: 'ac-2-3', text: 'Allowed and blocked execution events are centrally logged.' }
+        ],
+        3: [
+            { id: 'ac-3-1', text: 'Application control is implemented on non-internet-facing servers.' },
+            { id: 'ac-3-2', text: "Microsoft's recommended application blocklist is implemented." },
+            { id: 'ac-3-3', text: 'Rulesets are validated at least annually and event logs are analysed for cyber security events.' }
+        ]
+    },
+    'TECH-099': {
+        1: [
+            { id: 'pa-1-1', text: 'An automated method of asset discovery is used at least fortnightly.' },
+            { id: 'pa-1-2', text: 'A vulnerability scanner is used at least daily for internet-facing services and fortnightly for common office applications.' },
+            { id: 'pa-1-3', text: 'Patches for internet-facing services are applied within two weeks, or 48 hours when an exploit exists.' },
+            { id: 'pa-1-4', text: 'Internet-facing services and office applications no longer supported by vendors are removed.' }
+        ],
+        2: [
+            { id: 'pa-2-1', text: 'A vulnerability scanner is used at least weekly for common office applications.' },
+            { id: 'pa-2-2', text: 'Patches for office productivity suites, browsers, email clients, PDF software and security products are applied within two weeks.' },
+            { id: 'pa-2-3', text: 'Patches for other applications are applied within one month.' }
+        ],
+        3: [
+            { id: 'pa-3-1', text: 'Patches for common office applications are applied within 48 hours when an exploit exists.' },
+            { id: 'pa-3-2', text: 'Applications no longer supported by vendors are removed.' }
+        ]
+    },
+    'TECH-104': {
+        1: [
+            { id: 'mc-1-1', text: 'Microsoft Office macros are disabled for users without a demonstrated business requirement.' },
+            { id: 'mc-1-2', text: 'Macros in files originating from the internet are blocked.' },
+            { id: 'mc-1-3', text: 'Macro antivirus scanning is enabled and users cannot change macro security settings.' }
+        ],
+        2: [
+            { id: 'mc-2-1', text: 'Macros are blocked from making Win32 API calls.' },
+            { id: 'mc-2-2', text: 'Allowed and blocked macro execution events are centrally logged.' }
+        ],
+        3: [
+            { id: 'mc-3-1', text: 'Only macros from a trusted location, or digitally signed by a trusted publisher, can execute.' },
+            { id: 'mc-3-2', text: 'Trusted publishers are validated at least annually.' }
+        ]
+    },
+    'TECH-105': {
+        1: [
+            { id: 'uh-1-1', text: 'Web browsers do not process Java or web advertisements from the internet.' },
+            { id: 'uh-1-2', text: 'Internet Explorer 11 does not process content from the internet.' },
+            { id: 'uh-1-3', text: 'Users cannot change web browser security settings.' }
+        ],
+        2: [
+            { id: 'uh-2-1', text: 'Office applications and PDF software are blocked from creating child processes and executable content.' },
+            { id: 'uh-2-2', text: 'ACSC or vendor hardening guidance for browsers, Office and PDF software is applied.' },
+            { id: 'uh-2-3', text: 'PowerShell module, script block and transcription events are centrally logged.' }
+        ],
+        3: [
+            { id: 'uh-3-1', text: '.NET Framework 3.5 and earlier and Windows PowerShell 2.0 are disabled or removed.' },
+            { id: 'uh-3-2', text: 'PowerShell is configured to use Constrained Language Mode.' }
+        ]
+    },
+    'TECH-102': {
+        1: [
+            { id: 'ap-1-1', text: 'Privileged access requests are validated when first requested.' },
+            { id: 'ap-1-2', text: 'Privileged accounts cannot access the internet, email or web services.' },
+            { id: 'ap-1-3', text: 'Privileged users use separate privileged and unprivileged operating environments.' }
+        ],
+        2: [
+            { id: 'ap-2-1', text: 'Privileged access is disabled after 12 months unless revalidated, and after 45 days of inactivity.' },
+            { id: 'ap-2-2', text: 'Administrative activities are conducted through jump servers.' },
+            { id: 'ap-2-3', text: 'Local administrator and service account credentials are long, unique, unpredictable and managed.' },
+            { id: 'ap-2-4', text: 'Privileged access events and account changes are centrally logged.' }
+        ],
+        3: [
+            { id: 'ap-3-1', text: 'Privileged access is limited to what users and services need (just-in-time where possible).' },
+            { id: 'ap-3-2', text: 'Credential Guard and Remote Credential Guard are enabled.' },
+            { id: 'ap-3-3', text: 'Privileged access event logs are analysed in a timely manner.' }
+        ]
+    },
+    'TECH-100': {
+        1: [
+            { id: 'po-1-1', text: 'Vulnerability scanning of operating systems is performed at least fortnightly (daily for internet-facing services).' },
+            { id: 'po-1-2', text: 'Patches for internet-facing operating systems are applied within two weeks, or 48 hours when an exploit exists.' },
+            { id: 'po-1-3', text: 'Operating systems no longer supported by vendors are replaced.' }
+        ],
+        2: [
+            { id: 'po-2-1', text: 'Vulnerability scanning of workstation and server operating systems is performed at least weekly.' },
+            { id: 'po-2-2', text: 'Patches for workstation, server and network device operating systems are applied within one month.' }
+        ],
+        3: [
+            { id: 'po-3-1', text: 'Patches for all operating systems are applied within 48 hours when an exploit exists.' },
+            { id: 'po-3-2', text: 'The latest release, or previous release, of operating systems is used.' }
+        ]
+    },
+    'TECH-101': {
+        1: [
+            { id: 'mf-1-1', text: 'MFA is used to authenticate users to internet-facing services that hold sensitive data.' },
+            { id: 'mf-1-2', text: 'MFA uses something users have and something users know, or something users have unlocked by something they know or are.' }
+        ],
+        2: [
+            { id: 'mf-2-1', text: 'MFA is used for privileged users of systems and for unprivileged users of online services.' },
+            { id: 'mf-2-2', text: 'MFA is phishing-resistant for users of internet-facing systems.' },
+            { id: 'mf-2-3', text: 'Successful and unsuccessful MFA events are centrally logged.' }
+        ],
+        3: [
+            { id: 'mf-3-1', text: 'MFA is used to authenticate access to important data repositories.' },
+            { id: 'mf-3-2', text: 'All MFA used for users and customers is phishing-resistant.' }
+        ]
+    },
+    'TECH-106': {
+        1: [
+            { id: 'bk-1-1', text: 'Backups of data, applications and settings are performed and retained in line with business continuity requirements.' },
+            { id: 'bk-1-2', text: 'Backups are synchronised to enable restoration to a common point in time.' },
+            { id: 'bk-1-3', text: 'Restoration from backups is tested as part of disaster recovery exercises.' }
+        ],
+        2: [
+            { id: 'bk-2-1', text: 'Unprivileged accounts cannot access backups belonging to other accounts.' },
+            { id: 'bk-2-2', text: 'Unprivileged accounts are prevented from modifying and deleting backups.' }
+        ],
+        3: [
+            { id: 'bk-3-1', text: 'Privileged accounts, other than backup administrators, cannot access or modify backups.' },
+            { id: 'bk-3-2', text: 'Backup administrator accounts are prevented from modifying and deleting backups during their retention period.' }
+        ]
+    }
+});
+
+/**
+ * Clamp a stored target to a valid maturity level.
+ * @param {*} value
+ * @returns {number}
+ */
+export function normaliseTargetLevel(value) {
+    const level = Number(value);
+    return E8_MATURITY_LEVELS.includes(level) ? level : DEFAULT_E8_TARGET_LEVEL;
+}
+
+const isLevelMet = (criteria, checks, level) => {
+    const items = criteria[level] || [];
+    return items.length > 0 && items.every(item => checks[item.id] === true);
+};
+
+/**
+ * Achieved maturity for one strategy: the highest level for which that level and
+ * every level below it are fully met.
+ * @param {Object<number, Array<{id: string}>>} criteria - Entry from E8_CRITERIA
+ * @param {Object<string, boolean>} checks - Criterion id to met
+ * @returns {number} 0–3
+ */
+export function calculateAchievedMaturity(criteria, checks = {}) {
+    let achieved = 0;
+    for (const level of E8_MATURITY_LEVELS) {
+        if (!isLevelMet(criteria, checks, level)) break;
+        achieved = level;
+    }
+    return achieved;
+}
+
+/**
+ * Unmet criteria standing between a strategy and the target level.
+ * @param {Object<number, Array<{id: string, text: string}>>} criteria
+ * @param {Object<string, boolean>} checks
+ * @param {number} targetLevel
+ * @returns {Array<{level: number, id: string, text: string}>}
+ */
+export function listMaturityGaps(criteria, checks = {}, targetLevel = DEFAULT_E8_TARGET_LEVEL) {
+    return E8_MATURITY_LEVELS
+        .filter(level => level <= targetLevel)
+        .flatMap(level => (criteria[level] || [])
+            .filter(item => checks[item.id] !== true)
+            .map(item => ({ level, ...item })));
+}
+
+/**
+ * Compliance status implied by an assessed strategy. Reaching the target is Met;
+ * anything short of it is Not Met until someone records a risk-managed decision.
+ * @param {number} achieved
+ * @param {number} targetLevel
+ * @returns {'yes'|'no'}
+ */
+export function suggestRequirementStatus(achieved, targetLevel) {
+    return achieved >= targetLevel ? 'yes' : 'no';
+}
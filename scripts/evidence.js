@@ -0,0 +1,127 @@
+/**
+ * PSPF Explorer - Evidence Module
+ * Evidence items recorded against a requirement: links, uploaded files (whose contents
+ * live in the attachment store) and notes, each with an owner, collection date and expiry.
+ */
+
+export const EVIDENCE_TYPES = Object.freeze({
+    url: { label: 'Link', icon: '🔗' },
+    file: { label: 'File', icon: '📄' },
+    note: { label: 'Note', icon: '📝' }
+});
+
+export const EVIDENCE_EXPIRY_WARNING_DAYS = 30;
+
+// Uploads are kept in the browser, so keep individual files to a sensible size
+export const MAX_EVIDENCE_FILE_BYTES = 20 * 1024 * 1024;
+
+export const EVIDENCE_FILE_ACCEPT = '.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt,.csv,.png,.jpg,.jpeg,.gif,.webp';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateOnly = (value) => (typeof value === 'string' && DATE_PATTERN.test(value) ? value : '');
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Build a normalised evidence item from form or imported fields.
+ * @param {Object} fields
+ * @returns {Object}
+ */
+export function createEvidenceItem(fields = {}) {
+    const now = new Date().toISOString();
+    const type = EVIDENCE_TYPES[fields.type] ? fields.type : 'note';
+    const item = {
+        id: fields.id || `ev-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        type,
+        title: String(fields.title || '').trim(),
+        owner: String(fields.owner || '').trim(),
+        collectedAt: toDateOnly(fields.collectedAt),
+        expiresAt: toDateOnly(fields.expiresAt),
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+    if (type === 'url') item.url = String(fields.url || '').trim();
+    if (type === 'note') item.note = String(fields.note || '').trim();
+    if (type === 'file' && fields.file) {
+        item.file = {
+            attachmentId: String(fields.file.attachmentId || ''),
+            name: String(fields.file.name || 'attachment'),
+            size: Number(fields.file.size) || 0,
+            mimeType: String(fields.file.mimeType || 'application/octet-stream')
+        };
+    }
+    if (!item.title) {
+        item.title = item.file?.name || item.url || EVIDENCE_TYPES[type].label;
+    }
+    return item;
+}
+
+/**
+ * Where an item sits against its expiry date.
+ * @param {Object} item
+ * @param {Date} [now]
+ * @returns {'current'|'expiring'|'expired'|'undated'}
+ */
+export function getEvidenceExpiryState(item, now = new Date()) {
+    if (!item?.expiresAt) return 'undated';
+    const expiry = new Date(`${item.expiresAt}T00:00:00`);
+    if (Number.isNaN(expiry.getTime())) return 'undated';
+    const daysLeft = Math.round((expiry - startOfDay(now)) / 86400000);
+    if (daysLeft < 0) return 'expired';
+    return daysLeft <= EVIDENCE_EXPIRY_WARNING_DAYS ? 'expiring' : 'current';
+}
+
+/**
+ * Evidence counts towards coverage when it has content and has not expired.
+ * @param {Object} item
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isEvidenceValid(item, now = new Date()) {
+    if (!item) return false;
+    const hasContent = (item.type === 'url' && !!item.url)
+        || (item.type === 'file' && !!item.file?.attachmentId)
+        || (item.type === 'note' && !!item.note);
+    return hasContent && getEvidenceExpiryState(item, now) !== 'expired';
+}
+
+/**
+ * Count the evidence on one requirement.
+ * @param {Array<Object>} items
+ * @param {Date} [now]
+ * @returns {{total: number, valid: number, expired: number, expiring: number}}
+ */
+export function summariseEvidence(items = [], now = new Date()) {
+    const list = Array.isArray(items) ? items : [];
+    return list.reduce((summary, item) => {
+        const state = getEvidenceExpiryState(item, now);
+        summary.total += 1;
+        if (isEvidenceValid(item, now)) summary.valid += 1;
+        if (state === 'expired') summary.expired += 1;
+        if (state === 'expiring') summary.expiring += 1;
+        return summary;
+    }, { total: 0, valid: 0, expired: 0, expiring: 0 });
+}
+
+/**
+ * One-line description of an item for registers and reports.
+ * @param {Object} item
+ * @returns {string}
+ */
+export function describeEvidenceItem(item) {
+    const target = item.type === 'url' ? item.url : item.type === 'file' ? item.file?.name : '';
+    const parts = [item.title, target && target !== item.title ? target : ''].filter(Boolean);
+    const dates = [item.expiresAt ? `expires ${item.expiresAt}` : ''].filter(Boolean);
+    return `${parts.join(' — ')}${dates.length ? ` (${dates.join(', ')})` : ''}`;
+}
+
+/**
+ * Safe zip path for an attachment inside a workspace bundle.
+ * @param {Object} item - File evidence item
+ * @returns {string}
+ */
+export function attachmentArchivePath(item) {
+    const safeName = String(item.file?.name || 'attachment').replace(/[\\/:*?"<>|]+/g, '_');
+    return `attachments/${item.file.attachmentId}/${safeName}`;
+}
@@ -0,0 +1,223 @@
+/**
+ * PSPF Explorer - Incidents Module
+ * The security incident lifecycle: each event moves through reported, triaged,
+ * investigating, contained and closed, with the time of every transition kept so
+ * time-to-close can be measured. Events also record which external bodies they must be
+ * reported to and by when, the requirements and risks they relate to, and the lessons
+ * learned once they are closed.
+ */
+
+import { matchesOwnerFilter } from './people.js';
+import { matchesProjectFilter, RISK_SEVERITIES } from './risks.js';
+import { DAY_MS, daysBetween, isDateOnly, todayDateOnly } from './reviews.js';
+
+export const INCIDENT_STATES = Object.freeze({
+    reported: { label: 'Reported' },
+    triaged: { label: 'Triaged' },
+    investigating: { label: 'Investigating' },
+    contained: { label: 'Contained' },
+    closed: { label: 'Closed' }
+});
+
+export const INCIDENT_STATE_KEYS = Object.freeze(Object.keys(INCIDENT_STATES));
+
+export const DEFAULT_INCIDENT_STATE = 'reported';
+
+/**
+ * External bodies an event may have to be reported to.
+ */
+export const REPORTING_BODIES = Object.freeze({
+    asd: { label: "ASD's ACSC", description: 'Cyber security incidents' },
+    asio: { label: 'ASIO', description: 'Security incidents involving foreign interference, espionage or suspicious contact' },
+    oaic: { label: 'OAIC', description: 'Eligible data breaches under the Notifiable Data Breaches scheme' },
+    afp: { label: 'AFP', description: 'Suspected criminal activity' },
+    'home-affairs': { label: 'Home Affairs', description: 'Significant or reportable PSPF security incidents' },
+    other: { label: 'Other body', description: 'Any other regulator, partner or agency; name it in the reference' }
+});
+
+// Reporting deadlines are short, so the due-soon window is tighter than for reviews
+export const REPORT_DUE_SOON_DAYS = 7;
+
+/**
+ * Filter values for an event's reporting obligations.
+ */
+export const INCIDENT_REPORTING_FILTERS = Object.freeze({
+    reportable: { label: 'Reportable' },
+    outstanding: { label: 'Report outstanding' },
+    overdue: { label: 'Report overdue' }
+});
+
+const timeOf = value => {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * @param {Object} incident
+ * @returns {string} The event's lifecycle state, defaulting records saved before states existed
+ */
+export function getIncidentState(incident) {
+    return INCIDENT_STATES[incident?.state] ? incident.state : DEFAULT_INCIDENT_STATE;
+}
+
+/**
+ * @param {string} state
+ * @returns {string|null} The state after `state`, or null once closed
+ */
+export function getNextIncidentState(state) {
+    const index = INCIDENT_STATE_KEYS.indexOf(state);
+    return index === -1 || index === INCIDENT_STATE_KEYS.length - 1 ? null : INCIDENT_STATE_KEYS[index + 1];
+}
+
+/**
+ * Move an event to a new state and record when it happened. Moving back (e.g. reopening
+ * a closed event) is recorded the same way.
+ * @param {Object} incident
+ * @param {string} state
+ * @param {string} [at] - ISO timestamp of the transition
+ * @returns {Object} A new incident, or the same one when the state is unchanged
+ */
+export function transitionIncident(incident, state, at = new Date().toISOString()) {
+    if (!INCIDENT_STATES[state] || (incident.state === state && incident.stateHistory?.length)) return incident;
+    return {
+        ...incident,
+        state,
+        stateHistory: [...(Array.isArray(incident.stateHistory) ? incident.stateHistory : []), { state, at }]
+    };
+}
+
+/**
+ * @param {{body?: string, dueDate?: string, reportedOn?: string, reference?: string}} fields
+ * @returns {{body: string, dueDate: string, reportedOn: string, reference: string}}
+ */
+export function createReportingObligation(fields = {}) {
+    return {
+        body: REPORTING_BODIES[fields.body] ? fields.body : 'other',
+        dueDate: isDateOnly(fields.dueDate) ? fields.dueDate : '',
+        reportedOn: isDateOnly(fields.reportedOn) ? fields.reportedOn : '',
+        reference: String(fields.reference || '').trim()
+    };
+}
+
+/**
+ * Where a reporting obligation sits against its due date.
+ * @param {{dueDate?: string, reportedOn?: string}} obligation
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{state: 'reported'|'overdue'|'due-soon'|'scheduled'|'unscheduled', daysUntilDue: number|null}}
+ */
+export function getReportingState(obligation, today = todayDateOnly()) {
+    if (isDateOnly(obligation?.reportedOn)) return { state: 'reported', daysUntilDue: null };
+    if (!isDateOnly(obligation?.dueDate)) return { state: 'unscheduled', daysUntilDue: null };
+    const daysUntilDue = daysBetween(today, obligation.dueDate);
+    let state = 'scheduled';
+    if (daysUntilDue < 0) state = 'overdue';
+    else if (daysUntilDue <= REPORT_DUE_SOON_DAYS) state = 'due-soon';
+    return { state, daysUntilDue };
+}
+
+/**
+ * When the event was first reported and last closed.
+ * @param {Object} incident
+ * @returns {{reportedAt: string|null, closedAt: string|null}}
+ */
+export function getIncidentLifecycleTimes(incident) {
+    const history = (Array.isArray(incident?.stateHistory) ? incident.stateHistory : []).filter(entry => timeOf(entry?.at) !== null);
+    const closing = getIncidentState(incident) === 'closed'
+        ? history.filter(entry => entry.state === 'closed').pop()
+        : null;
+    return {
+        reportedAt: history[0]?.at || incident?.date || null,
+        closedAt: closing?.at || null
+    };
+}
+
+/**
+ * Days from report to close, or null while the event is open or its close time is unknown.
+ * @param {Object} incident
+ * @returns {number|null}
+ */
+export function getIncidentDaysToClose(incident) {
+    const { reportedAt, closedAt } = getIncidentLifecycleTimes(incident);
+    const start = timeOf(reportedAt);
+    const end = timeOf(closedAt);
+    if (start === null || end === null || end < start) return null;
+    return (end - start) / DAY_MS;
+}
+
+/**
+ * Totals for the incidents view.
+ * @param {Array<Object>} incidents
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{total: number, open: number, byState: Object<string, number>, closedMeasured: number, meanDaysToClose: number|null, medianDaysToClose: number|null, reportsOverdue: number, reportsDueSoon: number}}
+ */
+export function summariseIncidents(incidents, today = todayDateOnly()) {
+    const list = Array.isArray(incidents) ? incidents : [];
+    const byState = Object.fromEntries(INCIDENT_STATE_KEYS.map(state => [state, 0]));
+    let reportsOverdue = 0;
+    let reportsDueSoon = 0;
+    list.forEach(incident => {
+        byState[getIncidentState(incident)] += 1;
+        (incident.reporting || []).forEach(obligation => {
+            const { state } = getReportingState(obligation, today);
+            if (state === 'overdue') reportsOverdue += 1;
+            else if (state === 'due-soon') reportsDueSoon += 1;
+        });
+    });
+
+    const durations = list.map(getIncidentDaysToClose).filter(days => days !== null).sort((a, b) => a - b);
+    const middle = Math.floor(durations.length / 2);
+    return {
+        total: list.length,
+        open: list.length - byState.closed,
+        byState,
+        closedMeasured: durations.length,
+        meanDaysToClose: durations.length ? durations.reduce((sum, days) => sum + days, 0) / durations.length : null,
+        medianDaysToClose: durations.length
+            ? (durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2)
+            : null,
+        reportsOverdue,
+        reportsDueSoon
+    };
+}
+
+/**
+ * Order events for the incidents view: open before closed, then most severe, then most recent.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareIncidents(a, b) {
+    const closed = incident => (getIncidentState(incident) === 'closed' ? 1 : 0);
+    const rank = severity => RISK_SEVERITIES[severity]?.rank ?? 4;
+    return closed(a) - closed(b)
+        || rank(a.severity) - rank(b.severity)
+        || (timeOf(b.date) ?? 0) - (timeOf(a.date) ?? 0);
+}
+
+/**
+ * @param {Array<Object>} incidents
+ * @param {{query?: string, projectId?: string, ownerId?: string, state?: string, severity?: string, reporting?: string}} filters
+ *   `projectId` takes the values matchesProjectFilter() accepts; `reporting` is a key of INCIDENT_REPORTING_FILTERS
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array<Object>} Matching events in view order
+ */
+export function filterIncidents(incidents, { query = '', projectId = '', ownerId = '', state = '', severity = '', reporting = '' } = {}, today = todayDateOnly()) {
+    const needle = query.trim().toLowerCase();
+    return incidents
+        .filter(incident => {
+            if (!matchesProjectFilter(incident, projectId)) return false;
+            if (!matchesOwnerFilter(incident, ownerId)) return false;
+            if (state && getIncidentState(incident) !== state) return false;
+            if (severity && incident.severity !== severity) return false;
+            if (reporting) {
+                const states = (incident.reporting || []).map(obligation => getReportingState(obligation, today).state);
+                if (!states.length) return false;
+                if (reporting === 'outstanding' && states.every(value => value === 'reported')) return false;
+                if (reporting === 'overdue' && !states.includes('overdue')) return false;
+            }
+            if (!needle) return true;
+            return [incident.name, incident.description, incident.resolution, incident.lessonsLearned, ...(incident.requirementIds || []), ...(incident.reporting || []).map(obligation => obligation.reference)]
+                .some(value => String(value || '').toLowerCase().includes(needle));
+        })
+        .sort(compareIncidents);
+}
@@ -1,3 +1,149 @@
+import { createStorageManager, LocalStorageBackend, StorageManager, STORAGE_COLLECTIONS } from './storage.js';
+import { CURRENT_SCHEMA_VERSION, formatSchemaVersion, migrateState, parseSchemaVersion, SchemaVersionError } from './migrations.js';
+import { mergeWorkspaceData, resolveWorkspaceMerge, summarizeWorkspaceImport } from './workspace.js';
+import { createXlsxWorkbook, parseCsv, readXlsxWorkbook, toCsv } from './spreadsheet.js';
+import { guessColumnMapping, IMPORT_FIELDS, matchImportRows } from './compliance-import.js';
+import { buildAnnualReportHtml } from './report.js';
+import {
+    calculateAchievedMaturity,
+    E8_CRITERIA,
+    E8_MATURITY_LEVELS,
+    E8_SETTINGS_KEY,
+    listMaturityGaps,
+    normaliseTargetLevel,
+    suggestRequirementStatus
+} from './essential-eight.js';
+import {
+    attachmentArchivePath,
+    createEvidenceItem,
+    describeEvidenceItem,
+    EVIDENCE_FILE_ACCEPT,
+    EVIDENCE_TYPES,
+    getEvidenceExpiryState,
+    isEvidenceValid,
+    MAX_EVIDENCE_FILE_BYTES,
+    summariseEvidence
+} from './evidence.js';
+import { createZip, readZip } from './zip.js';
+import { calculateMaturityScore, describeMaturityScore, formatMaturityLevel, MATURITY_SCALES, MAX_MATURITY_LEVEL, normaliseMaturityLevel } from './maturity.js';
+import { collectReviewReminders, DEFAULT_REVIEW_CYCLE, getReviewState, REVIEW_CYCLES, REVIEW_DUE_SOON_DAYS, todayDateOnly } from './reviews.js';
+import { buildOwnerWorkload, createPerson, isValidEmail, matchesOwnerFilter, normaliseOwnership, UNASSIGNED_OWNER } from './people.js';
+import { compareCycles, createAssessmentCycle, CYCLE_SETTINGS_KEY, listAssessmentCycles, rollForwardCompliance } from './cycles.js';
+import {
+    createWorkspaceSnapshot,
+    DEFAULT_SNAPSHOT_RETENTION,
+    normaliseSnapshotRetention,
+    pruneSnapshots,
+    SNAPSHOT_RETENTION_OPTIONS,
+    SNAPSHOT_TRIGGERS,
+    snapshotAttachmentIds
+} from './snapshots.js';
+import { cloneState, CommandStack, createStateCommand } from './undo.js';
+import {
+    AUDIT_ACTIONS,
+    AUDIT_COLLECTIONS,
+    AUDIT_SOURCES,
+    auditLogTable,
+    captureAuditState,
+    createAuditEntry,
+    diffAuditState,
+    filterAuditEntries,
+    mergeAuditLogs
+} from './audit.js';
+import {
+    createComment,
+    describeCommentThread,
+    findMentions,
+    getOfficialComment,
+    renderMarkdown,
+    setOfficialComment,
+    suggestMentions
+} from './comments.js';
+import {
+    createReportingObligation,
+    DEFAULT_INCIDENT_STATE,
+    filterIncidents,
+    getIncidentDaysToClose,
+    getIncidentLifecycleTimes,
+    getIncidentState,
+    getNextIncidentState,
+    getReportingState,
+    INCIDENT_REPORTING_FILTERS,
+    INCIDENT_STATES,
+    REPORTING_BODIES,
+    summariseIncidents,
+    transitionIncident
+} from './incidents.js';
+import {
+    compareContacts,
+    CONTACT_ASSESSMENTS,
+    CONTACT_CHANNELS,
+    CONTACT_NATURES,
+    CONTACT_PASSPHRASE_MIN_LENGTH,
+    CONTACT_REQUIREMENT_DOMAINS,
+    CONTACT_REQUIREMENT_IDS,
+    ContactPassphraseError,
+    createContact,
+    createContactKey,
+    normaliseContactRegister,
+    openContactRegister,
+    sealContactRegister,
+    summariseContacts
+} from './contacts.js';
+import {
+    collectVendorAlerts,
+    createVendor,
+    filterVendors,
+    getContractState,
+    getIrapState,
+    getSecurityTermsCoverage,
+    getVendorReviewState,
+    summariseVendors,
+    VENDOR_ATTENTION_FILTERS,
+    SECURITY_CLASSIFICATIONS,
+    VENDOR_REQUIREMENT_IDS,
+    VENDOR_SECURITY_TERMS
+} from './vendors.js';
+import {
+    createSystem,
+    filterSystems,
+    getMissingRegisterFields,
+    getSystemAuthorisationState,
+    isAuthorisedToClassification,
+    summariseSystems,
+    suggestSystemAuthorisationStatuses,
+    SYSTEM_AUTHORISATION_REQUIREMENT_IDS,
+    SYSTEM_AUTHORISATION_STATES,
+    SYSTEM_HOSTING,
+    SYSTEM_REGISTER_FIELDS
+} from './systems.js';
+import {
+    ABOVE_TOLERANCE,
+    buildRiskHeatMap,
+    compareRisks,
+    createTreatmentAction,
+    DEFAULT_RISK_MATRIX,
+    DEFAULT_RISK_STATUS,
+    filterRisks,
+    getRiskReviewState,
+    isAboveTolerance,
+    NO_PROJECT,
+    normaliseRiskMatrix,
+    parseControlIds,
+    rateRisk,
+    reRateRisks,
+    RISK_LEVEL_KEYS,
+    RISK_LEVELS,
+    RISK_SEVERITIES,
+    RISK_SEVERITY_KEYS,
+    RISK_STATUSES,
+    RISK_HEAT_MAP_MODES,
+    RISK_TREATMENTS,
+    riskMatrixCellKey,
+    summariseTreatmentActions,
+    UNDECIDED_TREATMENT
+} from './risks.js';
+
 // Import domain data from module files
 let PSPFDomainsData;
 
@@ -31,6 +177,10 @@ const DEFAULT_TAG_DEFINITIONS = Object.freeze({
 
 const MY_WORK_USER_NAME_KEY = 'pspf_mywork_user_name';
 const MY_WORK_FILTERS_KEY = 'pspf_mywork_tag_filters';
+const REPORT_SETTINGS_KEY = 'pspf_report_settings';
+const SNAPSHOT_RETENTION_KEY = 'pspf_snapshot_retention';
+// Rows rendered in the Audit view; the CSV export always has every matching entry
+const AUDIT_VIEW_LIMIT = 500;
 
 const createDefaultTagDefinitions = () => {
     return Object.keys(DEFAULT_TAG_DEFINITIONS).reduce((acc, key) => {
@@ -69,13 +219,36 @@ export class PSPFExplorer {
             // Track active modals for cleanup
             this.activeModals = new Set();
 
+            // localStorage until init() swaps in the preferred backend
+            this.storage = new StorageManager(new LocalStorageBackend());
+            this.isHydratingStorage = false;
+
             // Initialize data structures
             this.projects = this.readStorage('pspf_projects', []);
             this.risks = this.readStorage('pspf_risks', []);
             this.incidents = this.readStorage('pspf_incidents', []);
+            this.vendors = this.readStorage('pspf_vendors', []);
+            this.systems = this.readStorage('pspf_systems', []);
             this.compliance = this.readStorage('pspf_compliance', {});
             this.progressHistory = this.readStorage('pspf_progress_history', {});
             this.normalizeProgressHistory();
+            this.essentialEight = this.readStorage('pspf_essential_eight', {});
+            this.people = this.readStorage('pspf_people', []);
+            this.activeOwnerFilter = '';
+            this.assessmentCycles = this.readStorage('pspf_assessment_cycles', {});
+            this.ensureAssessmentCycles();
+            this.riskMatrix = this.readStorage('pspf_risk_matrix', {});
+            this.contactRegister = normaliseContactRegister(this.readStorage('pspf_contact_register', {}));
+            // Decrypted entries and key while the contact register is unlocked
+            this.contactSession = null;
+            this.snapshots = this.readStorage('pspf_snapshots', []);
+            this.undoStack = new CommandStack();
+            this.isReplayingUndo = false;
+            this.auditLog = this.readStorage('pspf_audit_log', []);
+            // Set once everything has loaded; until then nothing is logged
+            this.auditBaseline = null;
+            this.auditSource = 'edit';
+            this.auditActor = null;
 
             this.userProfiles = this.readStorage('pspf_user_profiles', {});
             this.currentUserProfile = null;
@@ -104,6 +277,9 @@ export class PSPFExplorer {
             this.editingIncident = null;
             this.isDomainGridCollapsed = false;
             this.isTagFiltersCollapsed = false;
+            this.heatmapMode = 'status';
+            this.riskHeatMapCell = null;
+            this.registerTab = 'risks';
             
             if (this.options.autoInit) {
                 this.init();
@@ -111,26 +287,117 @@ export class PSPFExplorer {
         }
 
         init() {
+            const storageReady = typeof document === 'undefined' ? null : this.initializeStorage();
+
             this.loadTagDefinitions();
             this.loadSavedRequirements();
             this.initializeUserProfile();
             this.loadUserTagAssignments();
             this.loadMyWorkPreferences();
             this.initializeRequirementUUIDs();
+            this.resetAuditBaseline();
 
-            if (typeof document === 'undefined') {
+            if (!storageReady) {
                 return;
             }
 
             this.setupEventListeners();
             this.setupEventDelegation();
-            this.renderHome();
-            this.renderProjects();
-            this.renderTagManagement();
-            this.renderMyWorkView();
-            this.renderProgress();
-            this.renderDomainRequirementHeatmap();
-            this.showWelcomeModalIfFirstTime();
+            this.ready = storageReady.then(() => {
+                this.renderCycleSwitcher();
+                this.renderHome();
+                this.renderProjects();
+                this.renderTagManagement();
+                this.renderMyWorkView();
+                this.renderProgress();
+                this.renderDomainRequirementHeatmap();
+                this.showWelcomeModalIfFirstTime();
+            });
+        }
+
+        /**
+         * Switch to the preferred storage backend (IndexedDB where available) and load
+         * the persisted collections from it. Saves are held back until this settles so
+         * the pre-load state never overwrites stored records.
+         */
+        async initializeStorage() {
+            this.isHydratingStorage = true;
+            try {
+                const { manager, migrated } = await createStorageManager();
+                const stored = await manager.load(Object.keys(STORAGE_COLLECTIONS));
+                this.storage = manager;
+                this.projects = stored.projects || [];
+                this.risks = stored.risks || [];
+                this.incidents = stored.incidents || [];
+                this.vendors = stored.vendors || [];
+                this.systems = stored.systems || [];
+                this.compliance = stored.compliance || {};
+                this.progressHistory = stored.progressHistory || {};
+                this.normalizeProgressHistory();
+                this.essentialEight = stored.essentialEight || {};
+                this.people = stored.people || [];
+                this.assessmentCycles = stored.assessmentCycles || {};
+                this.riskMatrix = stored.riskMatrix || {};
+                this.contactRegister = normaliseContactRegister(stored.contactRegister);
+                this.snapshots = stored.snapshots || [];
+                this.auditLog = stored.auditLog || [];
+                await this.migrateStoredSchema();
+                if (this.ensureAssessmentCycles()) {
+                    await this.storage.saveCollections({ assessmentCycles: this.assessmentCycles });
+                }
+                if (migrated) {
+                    this.showNotification('Your saved data has been moved to IndexedDB storage.', 'info', 6000);
+                }
+            } catch (error) {
+                console.error('Storage initialisation failed, using localStorage:', error);
+            } finally {
+                this.isHydratingStorage = false;
+                this.resetAuditBaseline();
+            }
+        }
+
+        /**
+         * Bring stored collections up to CURRENT_SCHEMA_VERSION and record the version.
+         * Data without a recorded version predates versioning and is treated as version 1.
+         */
+        async migrateStoredSchema() {
+            const storedVersion = parseSchemaVersion(await this.storage.getMeta('schemaVersion')) || 1;
+            if (storedVersion > CURRENT_SCHEMA_VERSION) {
+                this.showNotification(new SchemaVersionError(storedVersion).message, 'warning', 10000);
+                return;
+            }
+            if (storedVersion === CURRENT_SCHEMA_VERSION) return;
+
+            const legacyTasks = this.readStorage('pspf_tasks', []);
+            const { state } = migrateState({
+                projects: this.projects,
+                risks: this.risks,
+                incidents: this.incidents,
+                compliance: this.compliance,
+                progressHistory: this.progressHistory,
+                assessmentCycles: this.assessmentCycles,
+                tasks: legacyTasks
+            }, storedVersion, { requirements: this.requirements });
+
+            this.projects = state.projects;
+            this.risks = state.risks;
+            this.incidents = state.incidents;
+            this.compliance = state.compliance;
+            this.progressHistory = state.progressHistory;
+            this.assessmentCycles = state.assessmentCycles;
+
+            await this.storage.saveCollections({
+                projects: this.projects,
+                risks: this.risks,
+                incidents: this.incidents,
+                compliance: this.compliance,
+                progressHistory: this.progressHistory,
+                assessmentCycles: this.assessmentCycles
+            });
+            await this.storage.setMeta('schemaVersion', CURRENT_SCHEMA_VERSION);
+            if (this.storageAvailable) {
+                localStorage.removeItem('pspf_tasks');
+            }
         }
 
         /**
@@ -138,8 +405,9 @@ export class PSPFExplorer {
          * @param {string} message - The message to display
          * @param {string} type - 'success' | 'error' | 'warning' | 'info'
          * @param {number} duration - How long to show the toast (ms)
+         * @param {{action?: {label: string, onClick: Function}}} [options] - Optional button shown in the toast
          */
-        showNotification(message, type = 'info', duration = 4000) {
+        showNotification(message, type = 'info', duration = 4000, { action = null } = {}) {
             if (typeof document === 'undefined') return;
 
             // Create container if it doesn't exist
@@ -164,6 +432,7 @@ export class PSPFExplorer {
             notification.innerHTML = `
                 <span class="notification-icon">${icons[type] || icons.info}</span>
                 <span class="notification-message">${this.escapeHtml(message || '')}</span>
+                ${action ? `<button type="button" class="notification-action">${this.escapeHtml(action.label)}</button>` : ''}
                 <button class="notification-close" aria-label="Close notification">×</button>
             `;
 
@@ -184,6 +453,14 @@ export class PSPFExplorer {
                 closeBtn.addEventListener('click', removeNotification);
             }
 
+            const actionBtn = notification.querySelector('.notification-action');
+            if (actionBtn) {
+                actionBtn.addEventListener('click', () => {
+                    removeNotification();
+                    action.onClick();
+                });
+            }
+
             if (duration > 0) {
                 setTimeout(removeNotification, duration);
             }
@@ -237,6 +514,165 @@ export class PSPFExplorer {
                 });
             }
 
+            const peopleBtn = document.getElementById('peopleBtn');
+            if (peopleBtn) {
+                peopleBtn.addEventListener('click', () => {
+                    this.showView('people');
+                    this.updateNavButtons('peopleBtn');
+                });
+            }
+
+            const addPersonBtn = document.getElementById('addPersonBtn');
+            if (addPersonBtn) {
+                addPersonBtn.addEventListener('click', () => this.showPersonModal());
+            }
+
+            const ownerFilter = document.getElementById('ownerFilter');
+            if (ownerFilter) {
+                ownerFilter.addEventListener('change', (e) => this.setOwnerFilter(e.target.value));
+            }
+
+            // Undo/redo anywhere in the app
+            document.addEventListener('keydown', (e) => this.handleUndoShortcut(e));
+
+            const cycleSwitcher = document.getElementById('cycleSwitcher');
+            if (cycleSwitcher) {
+                cycleSwitcher.addEventListener('change', (e) => this.switchAssessmentCycle(e.target.value));
+            }
+
+            const manageCyclesBtn = document.getElementById('manageCyclesBtn');
+            if (manageCyclesBtn) {
+                manageCyclesBtn.addEventListener('click', () => this.showCycleManagerModal());
+            }
+
+            const compareCyclesBtn = document.getElementById('compareCyclesBtn');
+            if (compareCyclesBtn) {
+                compareCyclesBtn.addEventListener('click', () => this.showView('compare'));
+            }
+
+            ['compareFromCycle', 'compareToCycle', 'compareMovementFilter'].forEach(id => {
+                const select = document.getElementById(id);
+                if (select) select.addEventListener('change', () => this.renderCycleComparison());
+            });
+
+            ['riskHeatMapMode', 'riskHeatMapProject', 'riskHeatMapOwner', 'riskHeatMapDomain'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.addEventListener('change', () => this.renderRiskHeatMap());
+            });
+
+            const riskMatrixBtn = document.getElementById('riskMatrixBtn');
+            if (riskMatrixBtn) {
+                riskMatrixBtn.addEventListener('click', () => this.showRiskMatrixModal());
+            }
+
+            const risksBtn = document.getElementById('risksBtn');
+            if (risksBtn) {
+                risksBtn.addEventListener('click', () => {
+                    this.showView('risks');
+                    this.updateNavButtons('risksBtn');
+                });
+            }
+
+            const contactsBtn = document.getElementById('contactsBtn');
+            if (contactsBtn) {
+                contactsBtn.addEventListener('click', () => {
+                    this.showView('contacts');
+                    this.updateNavButtons('contactsBtn');
+                });
+            }
+
+            const vendorsBtn = document.getElementById('vendorsBtn');
+            if (vendorsBtn) {
+                vendorsBtn.addEventListener('click', () => {
+                    this.showView('vendors');
+                    this.updateNavButtons('vendorsBtn');
+                });
+            }
+
+            const systemsBtn = document.getElementById('systemsBtn');
+            if (systemsBtn) {
+                systemsBtn.addEventListener('click', () => {
+                    this.showView('systems');
+                    this.updateNavButtons('systemsBtn');
+                });
+            }
+
+            const systemRegisterSearch = document.getElementById('systemRegisterSearch');
+            if (systemRegisterSearch) {
+                systemRegisterSearch.addEventListener('input', this.debounce(() => this.renderSystemRegister(), 250));
+            }
+            ['systemRegisterHosting', 'systemRegisterState'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.addEventListener('change', () => this.renderSystemRegister());
+            });
+
+            const vendorRegisterSearch = document.getElementById('vendorRegisterSearch');
+            if (vendorRegisterSearch) {
+                vendorRegisterSearch.addEventListener('input', this.debounce(() => this.renderVendorRegister(), 250));
+            }
+            ['vendorRegisterProject', 'vendorRegisterClassification', 'vendorRegisterAttention'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.addEventListener('change', () => this.renderVendorRegister());
+            });
+
+            const riskRegisterSearch = document.getElementById('riskRegisterSearch');
+            if (riskRegisterSearch) {
+                riskRegisterSearch.addEventListener('input', this.debounce(() => this.renderRiskRegister(), 250));
+            }
+            ['riskRegisterProject', 'riskRegisterOwner', 'riskRegisterSeverity', 'riskRegisterTreatment', 'riskRegisterStatus'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.addEventListener('change', () => this.renderRiskRegister());
+            });
+
+            const incidentRegisterSearch = document.getElementById('incidentRegisterSearch');
+            if (incidentRegisterSearch) {
+                incidentRegisterSearch.addEventListener('input', this.debounce(() => this.renderIncidentRegister(), 250));
+            }
+            ['incidentRegisterProject', 'incidentRegisterOwner', 'incidentRegisterState', 'incidentRegisterSeverity', 'incidentRegisterReporting'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.addEventListener('change', () => this.renderIncidentRegister());
+            });
+
+            const auditBtn = document.getElementById('auditBtn');
+            if (auditBtn) {
+                auditBtn.addEventListener('click', () => {
+                    this.showView('audit');
+                    this.updateNavButtons('auditBtn');
+                });
+            }
+
+            const auditSearch = document.getElementById('auditSearch');
+            if (auditSearch) {
+                auditSearch.addEventListener('input', this.debounce(() => this.renderAuditView(), 250));
+            }
+            ['auditCollectionFilter', 'auditActorFilter', 'auditActionFilter', 'auditSourceFilter', 'auditFromDate', 'auditToDate'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.addEventListener('change', () => this.renderAuditView());
+            });
+
+            const exportAuditCsvBtn = document.getElementById('exportAuditCsvBtn');
+            if (exportAuditCsvBtn) {
+                exportAuditCsvBtn.addEventListener('click', () => this.exportAuditLogCsv());
+            }
+
+            const essentialEightBtn = document.getElementById('essentialEightBtn');
+            if (essentialEightBtn) {
+                essentialEightBtn.addEventListener('click', () => {
+                    this.showView('essentialEight');
+                    this.updateNavButtons('essentialEightBtn');
+                });
+            }
+
+            const e8TargetLevel = document.getElementById('e8TargetLevel');
+            if (e8TargetLevel) {
+                e8TargetLevel.addEventListener('change', (e) => this.setEssentialEightTarget(e.target.value));
+            }
+
+            const e8ApplyStatusesBtn = document.getElementById('e8ApplyStatusesBtn');
+            if (e8ApplyStatusesBtn) {
+                e8ApplyStatusesBtn.addEventListener('click', () => this.applyEssentialEightStatuses());
+            }
+
             document.getElementById('dataBtn').addEventListener('click', () => {
                 this.showView('data');
                 this.updateNavButtons('dataBtn');
@@ -272,6 +708,21 @@ export class PSPFExplorer {
                 exportDataBtn.addEventListener('click', () => this.exportData());
             }
 
+            const annualReportBtn = document.getElementById('annualReportBtn');
+            if (annualReportBtn) {
+                annualReportBtn.addEventListener('click', () => this.showAnnualReportModal());
+            }
+
+            const exportRegisterCsvBtn = document.getElementById('exportRegisterCsvBtn');
+            if (exportRegisterCsvBtn) {
+                exportRegisterCsvBtn.addEventListener('click', () => this.exportComplianceRegisterCsv());
+            }
+
+            const exportRegisterXlsxBtn = document.getElementById('exportRegisterXlsxBtn');
+            if (exportRegisterXlsxBtn) {
+                exportRegisterXlsxBtn.addEventListener('click', () => this.exportComplianceRegisterXlsx());
+            }
+
             const domainExportSelect = document.getElementById('domainExportSelect');
             const domainExportBtn = document.getElementById('exportDomainBtn');
             if (domainExportSelect && domainExportBtn) {
@@ -301,6 +752,32 @@ export class PSPFExplorer {
                 importFileInput.addEventListener('change', (e) => this.importData(e));
             }
 
+            const importSpreadsheetBtn = document.getElementById('importSpreadsheetBtn');
+            const importSpreadsheetInput = document.getElementById('importSpreadsheetInput');
+            if (importSpreadsheetBtn && importSpreadsheetInput) {
+                importSpreadsheetBtn.addEventListener('click', () => importSpreadsheetInput.click());
+                importSpreadsheetInput.addEventListener('change', (e) => this.importComplianceSpreadsheet(e));
+            }
+
+            const snapshotForm = document.getElementById('snapshotForm');
+            if (snapshotForm) {
+                snapshotForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    const nameInput = document.getElementById('snapshotName');
+                    const snapshot = this.takeWorkspaceSnapshot({ name: nameInput?.value || '', trigger: 'manual' });
+                    if (nameInput) nameInput.value = '';
+                    this.showNotification(`Snapshot "${snapshot.name}" saved.`, 'success');
+                });
+            }
+
+            const snapshotRetention = document.getElementById('snapshotRetention');
+            if (snapshotRetention) {
+                snapshotRetention.innerHTML = SNAPSHOT_RETENTION_OPTIONS
+                    .map(limit => `<option value="${limit}">Keep the last ${limit} automatic snapshots</option>`)
+                    .join('');
+                snapshotRetention.addEventListener('change', (e) => this.setSnapshotRetention(e.target.value));
+            }
+
             const clearDataBtn = document.getElementById('clearDataBtn');
             if (clearDataBtn) {
                 clearDataBtn.addEventListener('click', () => this.clearAllData());
@@ -496,8 +973,11 @@ export class PSPFExplorer {
                     break;
 
                 case 'add-risk':
-                    const riskProjectId = target.dataset.projectId;
-                    if (riskProjectId) this.addRisk(riskProjectId);
+                    this.addRisk(target.dataset.projectId || null);
+                    break;
+
+                case 'show-register-tab':
+                    this.showRegisterTab(target.dataset.registerTab);
                     break;
 
                 case 'link-requirements': {
@@ -513,23 +993,19 @@ export class PSPFExplorer {
                     break;
                 }
 
-                case 'add-incident': {
-                    const incidentProjectId = target.dataset.projectId || this.currentProjectId;
-                    if (incidentProjectId) {
-                        this.showIncidentModal(null, incidentProjectId);
-                    } else {
-                        this.showNotification('Select a project before logging an event.', 'warning');
-                    }
+                case 'add-incident':
+                    this.showIncidentModal(null, target.dataset.projectId || null);
                     break;
-                }
 
                 case 'edit-incident': {
                     const editIncidentId = target.dataset.incidentId;
-                    if (editIncidentId) {
-                        const incident = this.incidents.find(i => i.id === editIncidentId);
-                        const projectId = incident?.projectId || this.currentProjectId;
-                        this.showIncidentModal(editIncidentId, projectId);
-                    }
+                    if (editIncidentId) this.showIncidentModal(editIncidentId);
+                    break;
+                }
+
+                case 'advance-incident': {
+                    const advanceIncidentId = target.dataset.incidentId;
+                    if (advanceIncidentId) this.advanceIncident(advanceIncidentId);
                     break;
                 }
 
@@ -552,10 +1028,24 @@ export class PSPFExplorer {
                     if (deleteRiskId) this.deleteRisk(deleteRiskId);
                     break;
 
+                case 'risk-heatmap-cell':
+                    this.riskHeatMapCell = this.riskHeatMapCell === target.dataset.cell ? null : target.dataset.cell;
+                    this.renderRiskHeatMap();
+                    break;
+
+                case 'add-risk-action':
+                    this.addRiskActionRow();
+                    break;
+
+                case 'remove-risk-action':
+                    this.removeRiskActionRow(target);
+                    break;
+
                 // Navigation actions
                 case 'nav-view':
                     const viewName = target.dataset.view;
                     const navBtn = target.dataset.navBtn;
+                    if (target.dataset.registerTab) this.registerTab = target.dataset.registerTab;
                     if (viewName) {
                         this.showView(viewName);
                         if (navBtn) this.updateNavButtons(navBtn);
@@ -567,6 +1057,54 @@ export class PSPFExplorer {
                     if (riskId) this.showRiskModal(riskId);
                     break;
 
+                case 'add-system':
+                    this.showSystemModal();
+                    break;
+
+                case 'edit-system':
+                    if (target.dataset.systemId) this.showSystemModal(target.dataset.systemId);
+                    break;
+
+                case 'delete-system':
+                    if (target.dataset.systemId) this.deleteSystem(target.dataset.systemId);
+                    break;
+
+                case 'apply-system-statuses':
+                    this.applySystemAuthorisationStatuses();
+                    break;
+
+                case 'add-vendor':
+                    this.showVendorModal();
+                    break;
+
+                case 'edit-vendor':
+                    if (target.dataset.vendorId) this.showVendorModal(target.dataset.vendorId);
+                    break;
+
+                case 'delete-vendor':
+                    if (target.dataset.vendorId) this.deleteVendor(target.dataset.vendorId);
+                    break;
+
+                case 'add-contact':
+                    this.showContactModal();
+                    break;
+
+                case 'edit-contact':
+                    if (target.dataset.contactId) this.showContactModal(target.dataset.contactId);
+                    break;
+
+                case 'delete-contact':
+                    if (target.dataset.contactId) this.deleteContact(target.dataset.contactId);
+                    break;
+
+                case 'lock-contacts':
+                    this.lockContactRegister();
+                    break;
+
+                case 'reset-contacts':
+                    this.resetContactRegister();
+                    break;
+
                 // Link/Unlink actions
                 case 'link-project':
                     const linkReqId = target.dataset.requirementId;
@@ -609,6 +1147,104 @@ export class PSPFExplorer {
                     this.clearTagFilters();
                     break;
 
+                case 'add-evidence':
+                    if (target.dataset.requirementId) this.showEvidenceModal(target.dataset.requirementId);
+                    break;
+
+                case 'edit-evidence':
+                    if (target.dataset.requirementId && target.dataset.evidenceId) {
+                        this.showEvidenceModal(target.dataset.requirementId, target.dataset.evidenceId);
+                    }
+                    break;
+
+                case 'add-comment': {
+                    const reqId = target.dataset.requirementId;
+                    const draft = document.getElementById(`commentDraft-${reqId}`);
+                    if (reqId && draft) {
+                        this.addComplianceComment(reqId, draft.value, {
+                            official: !!document.getElementById(`commentOfficial-${reqId}`)?.checked
+                        });
+                    }
+                    break;
+                }
+
+                case 'set-official-comment':
+                    if (target.dataset.requirementId) {
+                        this.setOfficialJustification(target.dataset.requirementId, target.dataset.commentId || null);
+                    }
+                    break;
+
+                case 'delete-comment':
+                    if (target.dataset.requirementId && target.dataset.commentId) {
+                        this.deleteComplianceComment(target.dataset.requirementId, target.dataset.commentId);
+                    }
+                    break;
+
+                case 'insert-mention':
+                    if (target.dataset.requirementId && target.dataset.personId) {
+                        this.insertMention(target.dataset.requirementId, target.dataset.personId);
+                    }
+                    break;
+
+                case 'remove-evidence':
+                    if (target.dataset.requirementId && target.dataset.evidenceId) {
+                        this.removeEvidenceItem(target.dataset.requirementId, target.dataset.evidenceId);
+                    }
+                    break;
+
+                case 'open-evidence-file':
+                    if (target.dataset.requirementId && target.dataset.evidenceId) {
+                        this.openEvidenceFile(target.dataset.requirementId, target.dataset.evidenceId);
+                    }
+                    break;
+
+                case 'e8-toggle-criterion':
+                    if (target.dataset.strategyId && target.dataset.criterionId) {
+                        this.toggleEssentialEightCriterion(target.dataset.strategyId, target.dataset.criterionId);
+                    }
+                    break;
+
+                case 'e8-apply-statuses':
+                    this.applyEssentialEightStatuses();
+                    break;
+
+                case 'edit-person':
+                    if (target.dataset.personId) this.showPersonModal(target.dataset.personId);
+                    break;
+
+                case 'remove-person':
+                    if (target.dataset.personId) this.removePerson(target.dataset.personId);
+                    break;
+
+                case 'diff-snapshot':
+                    if (target.dataset.snapshotId) this.showSnapshotDiffModal(target.dataset.snapshotId);
+                    break;
+
+                case 'restore-snapshot':
+                    if (target.dataset.snapshotId) this.restoreWorkspaceSnapshot(target.dataset.snapshotId);
+                    break;
+
+                case 'delete-snapshot':
+                    if (target.dataset.snapshotId) this.deleteWorkspaceSnapshot(target.dataset.snapshotId);
+                    break;
+
+                case 'switch-cycle':
+                    if (target.dataset.cycleId) this.switchAssessmentCycle(target.dataset.cycleId);
+                    break;
+
+                case 'rename-cycle':
+                    if (target.dataset.cycleId) this.renameAssessmentCycle(target.dataset.cycleId);
+                    break;
+
+                case 'delete-cycle':
+                    if (target.dataset.cycleId) this.deleteAssessmentCycle(target.dataset.cycleId);
+                    break;
+
+                case 'heatmap-mode':
+                    this.heatmapMode = target.dataset.mode === 'maturity' ? 'maturity' : 'status';
+                    this.renderDomainRequirementHeatmap();
+                    break;
+
                 case 'mywork-toggle-filter':
                     const myWorkTagId = target.dataset.tagId;
                     if (myWorkTagId) {
@@ -670,6 +1306,11 @@ export class PSPFExplorer {
         }
 
         showView(viewName) {
+            // The contact register is only readable while its page is open
+            if (viewName !== 'contacts' && this.contactSession) {
+                this.lockContactRegister();
+            }
+
             // Hide all views
             document.querySelectorAll('.view').forEach(view => {
                 view.classList.remove('active');
@@ -706,11 +1347,44 @@ export class PSPFExplorer {
             // Special handling for data view
             if (viewName === 'data') {
                 this.renderTagManagement();
+                this.renderSnapshotPanel();
             }
 
             if (viewName === 'myWork') {
                 this.renderMyWorkView();
             }
+
+            if (viewName === 'essentialEight') {
+                this.renderEssentialEightView();
+            }
+
+            if (viewName === 'people') {
+                this.renderPeopleView();
+            }
+
+            if (viewName === 'compare') {
+                this.renderCycleComparison();
+            }
+
+            if (viewName === 'risks') {
+                this.showRegisterTab(this.registerTab);
+            }
+
+            if (viewName === 'contacts') {
+                this.renderContactRegister();
+            }
+
+            if (viewName === 'vendors') {
+                this.renderVendorRegister();
+            }
+
+            if (viewName === 'systems') {
+                this.renderSystemRegister();
+            }
+
+            if (viewName === 'audit') {
+                this.renderAuditView();
+            }
         }
 
         updateNavButtons(activeId) {
@@ -730,6 +1404,7 @@ export class PSPFExplorer {
             this.renderDomainsGrid();
             this.renderDomainSummary();
             this.updateDashboardStats();
+            this.renderReviewReminders();
             this.updateStats();
             this.updateDomainGridVisibility();
             this.updateTagFiltersVisibility();
@@ -860,14 +1535,42 @@ export class PSPFExplorer {
             const heatmapGrid = document.getElementById('domainRequirementsGrid');
             if (!heatmapGrid) return;
 
+            const showMaturity = this.heatmapMode === 'maturity';
+            document.querySelectorAll('[data-action="heatmap-mode"]').forEach(button => {
+                const isActive = button.dataset.mode === (showMaturity ? 'maturity' : 'status');
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', String(isActive));
+            });
+            const statusLegend = document.getElementById('heatmapStatusLegend');
+            const maturityLegend = document.getElementById('heatmapMaturityLegend');
+            if (statusLegend) statusLegend.hidden = showMaturity;
+            if (maturityLegend) maturityLegend.hidden = !showMaturity;
+            const overallMaturityEl = document.getElementById('overallMaturity');
+            if (overallMaturityEl) {
+                const overall = this.getOverallMaturity();
+                overallMaturityEl.textContent = overall.score === null
+                    ? 'Overall maturity: not yet assessed'
+                    : `Overall maturity: ${this.formatMaturityScore(overall)} (${describeMaturityScore(overall.score)}) · ${overall.assessed}/${overall.total} assessed`;
+            }
+
             heatmapGrid.innerHTML = this.domains.map(domain => {
                 const health = this.calculateDomainHealth(domain.id);
+                const maturity = this.getDomainMaturity(domain.id);
                 const requirementIds = Array.isArray(domain.requirements) ? domain.requirements : [];
                 const totalRequirements = requirementIds.length;
                 const requirementTiles = requirementIds.map(reqId => {
-                    const status = this.compliance[reqId]?.status || 'not-set';
-                    const label = `${reqId}: ${this.getStatusText(status)}`;
-                    return `<span class="requirement-chip ${status}" title="${label}" aria-label="${label}"></span>`;
+                    const record = this.compliance[reqId] || {};
+                    const status = record.status || 'not-set';
+                    const review = status === 'na' ? { state: 'untracked' } : getReviewState(record);
+                    const reviewClass = review.state === 'overdue' || review.state === 'due-soon' ? ` review-${review.state}` : '';
+                    const reviewLabel = reviewClass ? ` · review ${review.state === 'overdue' ? 'overdue' : 'due'} ${review.dueDate}` : '';
+                    if (showMaturity) {
+                        const level = normaliseMaturityLevel(record.maturity);
+                        const label = `${reqId}: ${formatMaturityLevel(this.getMaturityScale(reqId), level)}${reviewLabel}`;
+                        return `<span class="requirement-chip maturity-${level ?? 'unset'}${reviewClass}" title="${label}" aria-label="${label}"></span>`;
+                    }
+                    const label = `${reqId}: ${this.getStatusText(status)}${reviewLabel}`;
+                    return `<span class="requirement-chip ${status}${reviewClass}" title="${label}" aria-label="${label}"></span>`;
                 }).join('');
 
                 return `
@@ -876,6 +1579,7 @@ export class PSPFExplorer {
                             <div>
                                 <h4>${domain.title}</h4>
                                 <p>${Math.min(health.met, totalRequirements)}/${totalRequirements} requirements · ${health.text}</p>
+                                <p class="domain-maturity">Maturity ${this.formatMaturityScore(maturity)}${maturity.score === null ? '' : ` · ${maturity.assessed} assessed`}</p>
                             </div>
                         </header>
                         <div class="requirement-chip-grid">
@@ -990,8 +1694,8 @@ export class PSPFExplorer {
                 const commentSnippet = item.comment
                     ? `<span>📝 ${this.escapeHtml(truncate(item.comment, 140))}</span>`
                     : '';
-                const evidenceSnippet = item.url
-                    ? '<span>🔗 Evidence link attached</span>'
+                const evidenceSnippet = item.evidence.valid
+                    ? `<span>📎 ${item.evidence.valid} current evidence item${item.evidence.valid === 1 ? '' : 's'}</span>`
                     : '';
                 const meta = [commentSnippet, evidenceSnippet].filter(Boolean).join('');
 
@@ -1023,7 +1727,7 @@ export class PSPFExplorer {
 
             return requirementIds.map(reqId => {
                 const requirement = this.requirements[reqId] || { id: reqId };
-                const compliance = this.compliance[reqId] || { status: 'not-set', comment: '', url: '' };
+                const compliance = this.compliance[reqId] || { status: 'not-set', comment: '', evidence: [] };
                 const normalizedStatus = ['yes', 'no', 'partial', 'na', 'not-set'].includes(compliance.status)
                     ? compliance.status
                     : 'not-set';
@@ -1035,7 +1739,7 @@ export class PSPFExplorer {
                     domainId: requirement.domainId,
                     status: normalizedStatus,
                     comment: compliance.comment || '',
-                    url: compliance.url || ''
+                    evidence: summariseEvidence(compliance.evidence)
                 };
             }).filter(item => item && !['yes', 'na'].includes(item.status))
                 .sort((a, b) => {
@@ -1180,16 +1884,71 @@ export class PSPFExplorer {
             const totalProjects = this.projects.length;
             const completedRequirements = this.getCompletedRequirementsCount();
             const complianceRate = totalRequirements > 0 ? Math.round((completedRequirements / totalRequirements) * 100) : 0;
+            const reviewReminders = this.getReviewReminders().filter(reminder => reminder.kind === 'review');
+            const overdueReviews = reviewReminders.filter(reminder => reminder.state === 'overdue').length;
 
             const totalReqEl = document.getElementById('totalRequirements');
             const totalDomainsEl = document.getElementById('totalDomains');
             const totalProjectsEl = document.getElementById('totalProjectsDashboard');
             const complianceRateEl = document.getElementById('complianceRate');
+            const reviewsDueEl = document.getElementById('reviewsDueCount');
 
             if (totalReqEl) totalReqEl.textContent = totalRequirements;
             if (totalDomainsEl) totalDomainsEl.textContent = this.domains.length;
             if (totalProjectsEl) totalProjectsEl.textContent = totalProjects;
             if (complianceRateEl) complianceRateEl.textContent = `${complianceRate}%`;
+            if (reviewsDueEl) reviewsDueEl.textContent = `${overdueReviews} / ${reviewReminders.length - overdueReviews}`;
+        }
+
+        /**
+         * Overdue and soon-due requirement reviews and evidence expiries.
+         * @param {string[]} [requirementIds] - Defaults to every requirement in the framework
+         * @returns {Array<Object>} Reminders from collectReviewReminders()
+         */
+        getReviewReminders(requirementIds = null) {
+            const ids = requirementIds || this.domains.flatMap(domain => domain.requirements || []);
+            return collectReviewReminders(this.compliance, ids);
+        }
+
+        renderReviewReminders() {
+            const list = document.getElementById('reviewRemindersList');
+            if (!list) return;
+            list.innerHTML = this.renderReviewReminderList(
+                this.getReviewReminders(),
+                'Nothing is overdue. Record a last-reviewed date on a requirement to start tracking its review cycle.'
+            );
+        }
+
+        renderReviewReminderList(reminders, emptyMessage, limit = 12) {
+            if (!reminders.length) {
+                return `<p class="history-empty-msg">${this.escapeHtml(emptyMessage)}</p>`;
+            }
+
+            const items = reminders.slice(0, limit).map(reminder => {
+                const requirement = this.requirements[reminder.reqId];
+                const days = Math.abs(reminder.daysUntilDue);
+                const when = reminder.state === 'overdue'
+                    ? `${days} day${days === 1 ? '' : 's'} overdue`
+                    : reminder.daysUntilDue === 0 ? 'due today' : `due in ${days} day${days === 1 ? '' : 's'}`;
+                const what = reminder.kind === 'review'
+                    ? 'Requirement review'
+                    : `Evidence: ${this.escapeHtml(reminder.evidenceTitle)}${reminder.owner ? ` (${this.escapeHtml(reminder.owner)})` : ''}`;
+                return `
+                    <li class="review-reminder ${reminder.state}" data-action="view-requirement" data-requirement-id="${reminder.reqId}" tabindex="0" role="button">
+                        <span class="review-reminder-id">${reminder.reqId}</span>
+                        <span class="review-reminder-body">
+                            <span class="review-reminder-title">${this.escapeHtml(requirement?.title || '')}</span>
+                            <small>${what} · ${this.escapeHtml(reminder.dueDate)}</small>
+                        </span>
+                        <span class="review-reminder-badge ${reminder.state}">${when}</span>
+                    </li>
+                `;
+            }).join('');
+
+            const more = reminders.length > limit
+                ? `<p class="subtitle-sm">…and ${reminders.length - limit} more.</p>`
+                : '';
+            return `<ul class="review-reminder-list">${items}</ul>${more}`;
         }
 
         getCompletedRequirementsCount() {
@@ -1277,19 +2036,22 @@ export class PSPFExplorer {
 
         toggleRequirementTag(requirementId, tagId) {
             if (!this.currentUserProfile) return;
-            const currentTags = new Set(this.getUserRequirementTags(requirementId));
-            if (currentTags.has(tagId)) {
-                currentTags.delete(tagId);
-            } else {
-                currentTags.add(tagId);
-            }
+            const command = this.recordUndoable(`Tags on ${requirementId}`, this.tagUndoScope(requirementId), () => {
+                const currentTags = new Set(this.getUserRequirementTags(requirementId));
+                if (currentTags.has(tagId)) {
+                    currentTags.delete(tagId);
+                } else {
+                    currentTags.add(tagId);
+                }
 
-            this.setUserRequirementTags(requirementId, Array.from(currentTags));
-            this.renderRequirementsList();
-            if (this.currentView === 'myWork') {
-                this.renderMyWorkView();
-            }
-            this.showRequirementDetails(requirementId);
+                this.setUserRequirementTags(requirementId, Array.from(currentTags));
+                this.renderRequirementsList();
+                if (this.currentView === 'myWork') {
+                    this.renderMyWorkView();
+                }
+                this.showRequirementDetails(requirementId);
+            });
+            this.notifyUndoable(`Tags on ${requirementId} updated.`, command);
         }
 
         getCurrentUserAssignmentMap() {
@@ -1317,6 +2079,7 @@ export class PSPFExplorer {
         }
 
         saveRequirements() {
+            this.recordAuditChanges();
             if (!this.storageAvailable) {
                 return;
             }
@@ -1396,17 +2159,19 @@ export class PSPFExplorer {
                 console.warn(`Requirement ${reqId} not found in definitions`);
                 return '';
             }
-            const compliance = this.compliance[reqId] || { status: 'not-set', comment: '', url: '' };
-            const hasUrl = Boolean(compliance.url);
+            const compliance = this.compliance[reqId] || { status: 'not-set', comment: '', evidence: [] };
+            const evidence = summariseEvidence(compliance.evidence);
             const title = this.escapeHtml(requirement.title || '');
+            const ownerName = this.getPersonName(compliance.ownerId);
 
             return `
                 <div class="requirement-item" data-req="${reqId}" data-action="view-requirement" data-requirement-id="${reqId}" tabindex="0" role="button" aria-label="${reqId} ${title}" title="${title}">
                     <div class="requirement-info">
                         <div class="requirement-code-row">
                             <span class="requirement-code">${reqId}</span>
-                            ${hasUrl ? '<span class="url-indicator" title="Has reference link">🔗</span>' : ''}
+                            ${evidence.valid ? `<span class="url-indicator" title="${evidence.valid} current evidence item${evidence.valid === 1 ? '' : 's'}">📎</span>` : ''}
                         </div>
+                        ${ownerName ? `<span class="requirement-owner" title="Accountable owner">${this.escapeHtml(ownerName)}</span>` : ''}
                     </div>
                     <span class="requirement-status ${compliance.status}">${this.getStatusText(compliance.status)}</span>
                 </div>
@@ -1415,7 +2180,7 @@ export class PSPFExplorer {
 
         showRequirementDetails(reqId) {
             const requirement = this.requirements[reqId];
-            const compliance = this.compliance[reqId] || { status: 'not-set', comment: '', url: '' };
+            const compliance = this.compliance[reqId] || { status: 'not-set', comment: '', evidence: [] };
             const requirementDetails = document.getElementById('requirementDetails');
             
             if (!requirement || !requirementDetails) return;
@@ -1439,17 +2204,6 @@ export class PSPFExplorer {
                 <h4>${requirement.title}</h4>
                 <p><strong>Requirement ID:</strong> ${reqId}</p>
                 <p>${requirement.description}</p>
-                ${compliance.url ? `
-                    <div class="requirement-url-section">
-                        <h5>📎 Reference Link</h5>
-                        <div class="url-display">
-                            <a href="${compliance.url}" target="_blank" rel="noopener noreferrer" class="requirement-link">
-                                ${compliance.url}
-                                <span class="external-icon">↗</span>
-                            </a>
-                        </div>
-                    </div>
-                ` : ''}
                 
                 <div class="compliance-controls">
                     <div class="compliance-status-picker" role="group" aria-label="Compliance status">
@@ -1475,16 +2229,16 @@ export class PSPFExplorer {
                             }).join('')}
                         </div>
                     </div>
+
+                    ${this.renderMaturityPicker(reqId, compliance)}
+
+                    ${this.renderReviewSchedule(reqId, compliance)}
+
+                    ${this.renderOwnershipSection(reqId, compliance)}
                     
-                    <h5>Reference URL</h5>
-                    <input type="url" class="compliance-url" data-req="${reqId}" 
-                           placeholder="https://example.com/policy-document" 
-                           value="${compliance.url || ''}" 
-                           onblur="window.pspfExplorer.updateComplianceUrl('${reqId}', this.value)">
-                    <small class="field-help">📎 Link to relevant documentation, policies, or evidence</small>
-                    
-                    <h5>Comments</h5>
-                    <textarea class="compliance-comment" data-req="${reqId}" placeholder="Add implementation notes, evidence, or comments..." onblur="window.pspfExplorer.updateComplianceComment('${reqId}', this.value)">${compliance.comment}</textarea>
+                    ${this.renderEvidenceSection(reqId, compliance)}
+
+                    ${this.renderCommentThread(reqId, compliance)}
                 </div>
 
                     <div class="requirement-history">
@@ -1512,11 +2266,107 @@ export class PSPFExplorer {
                         + Link Project
                     </button>
                 </div>
+                ${this.renderControlledRisks(reqId)}
+                ${this.renderRequirementIncidents(reqId)}
+                ${this.renderRequirementVendors(reqId)}
+                ${this.renderRequirementSystemSuggestion(reqId)}
                 ${this.renderTagsInDetails(reqId)}
             `;
         }
 
-        clearRequirementDetails() {
+        /**
+         * Risks that list this requirement as one of their controls.
+         * @param {string} reqId
+         * @returns {string}
+         */
+        renderControlledRisks(reqId) {
+            const risks = this.risks.filter(risk => (risk.controlIds || []).includes(reqId)).sort(compareRisks);
+            if (!risks.length) return '';
+            return `
+                <div class="linked-projects-section">
+                    <h5>Controls for Risks</h5>
+                    <div class="linked-projects-list">
+                        ${risks.map(risk => `
+                            <div class="linked-project-item">
+                                <button type="button" class="btn-link" data-action="view-risk" data-risk-id="${this.escapeHtml(risk.id)}">${this.escapeHtml(risk.name)}</button>
+                                ${this.renderRiskRatingBadge(risk.severity)}
+                                ${this.renderRiskToleranceChip(risk)}
+                                ${this.renderRiskStatusChip(risk)}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Events linked to this requirement.
+         * @param {string} reqId
+         * @returns {string}
+         */
+        renderRequirementIncidents(reqId) {
+            const incidents = filterIncidents(this.incidents.filter(incident => (incident.requirementIds || []).includes(reqId)));
+            if (!incidents.length) return '';
+            return `
+                <div class="linked-projects-section">
+                    <h5>Linked Events</h5>
+                    <div class="linked-projects-list">
+                        ${incidents.map(incident => `
+                            <div class="linked-project-item">
+                                <button type="button" class="btn-link" data-action="edit-incident" data-incident-id="${this.escapeHtml(incident.id)}">${this.escapeHtml(incident.name || 'Untitled event')}</button>
+                                <span class="severity-badge ${this.escapeHtml(incident.severity || 'low')}">${this.escapeHtml((incident.severity || 'low').toUpperCase())}</span>
+                                ${this.renderIncidentStateChip(incident)}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Vendors linked to this requirement.
+         * @param {string} reqId
+         * @returns {string}
+         */
+        renderRequirementVendors(reqId) {
+            const vendors = filterVendors(this.vendors.filter(vendor => (vendor.requirementIds || []).includes(reqId)));
+            if (!vendors.length) return '';
+            return `
+                <div class="linked-projects-section">
+                    <h5>Linked Vendors</h5>
+                    <div class="linked-projects-list">
+                        ${vendors.map(vendor => `
+                            <div class="linked-project-item">
+                                <button type="button" class="btn-link" data-action="edit-vendor" data-vendor-id="${this.escapeHtml(vendor.id)}">${this.escapeHtml(vendor.name)}</button>
+                                ${this.renderVendorIrapChip(vendor)}
+                                ${this.renderVendorReviewChip(vendor)}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * For TECH-086 to TECH-089, the status the systems register suggests.
+         * @param {string} reqId
+         * @returns {string}
+         */
+        renderRequirementSystemSuggestion(reqId) {
+            if (!SYSTEM_AUTHORISATION_REQUIREMENT_IDS.includes(reqId)) return '';
+            const suggestion = suggestSystemAuthorisationStatuses(this.systems).find(row => row.id === reqId);
+            return `
+                <div class="linked-projects-section">
+                    <h5>Systems Register</h5>
+                    <p class="subtitle-sm">${suggestion
+                        ? `Suggests <span class="requirement-status ${suggestion.status}">${this.getStatusText(suggestion.status)}</span>: ${this.escapeHtml(suggestion.reason)}.`
+                        : 'No systems recorded yet, so there is no suggested status.'}</p>
+                    <button type="button" class="btn-link btn-small" data-action="nav-view" data-view="systems" data-nav-btn="systemsBtn">Open systems register</button>
+                </div>
+            `;
+        }
+
+        clearRequirementDetails() {
             const requirementDetails = document.getElementById('requirementDetails');
             if (requirementDetails) {
                 requirementDetails.innerHTML = `
@@ -1571,45 +2421,51 @@ export class PSPFExplorer {
         linkProjectToRequirement(projectId, reqId) {
             if (!projectId || !reqId) return;
 
-            const project = this.projects.find(p => p.id === projectId);
-            if (!project) return;
+            const command = this.recordUndoable(`Project link for ${reqId}`, this.projectLinkUndoScope(projectId, reqId), () => {
+                const project = this.projects.find(p => p.id === projectId);
+                if (!project) return;
 
-            // Initialize requirements array if it doesn't exist
-            if (!Array.isArray(project.requirements)) {
-                project.requirements = [];
-            }
+                // Initialize requirements array if it doesn't exist
+                if (!Array.isArray(project.requirements)) {
+                    project.requirements = [];
+                }
 
-            // Add requirement if not already linked
-            if (!project.requirements.includes(reqId)) {
-                project.requirements.push(reqId);
-                this.saveData();
+                // Add requirement if not already linked
+                if (!project.requirements.includes(reqId)) {
+                    project.requirements.push(reqId);
+                    this.saveData();
                 
-                // Refresh the requirement details to show the new link
-                this.showRequirementDetails(reqId);
+                    // Refresh the requirement details to show the new link
+                    this.showRequirementDetails(reqId);
                 
-                // Also refresh project view if it's open
-                if (this.currentProjectId === projectId) {
-                    this.showProjectDetails(projectId);
+                    // Also refresh project view if it's open
+                    if (this.currentProjectId === projectId) {
+                        this.showProjectDetails(projectId);
+                    }
+                    this.renderProjectRequirementWidget();
                 }
-                this.renderProjectRequirementWidget();
-            }
+            });
+            this.notifyUndoable(`Project linked to ${reqId}.`, command);
         }
 
         unlinkProjectFromRequirement(projectId, reqId) {
-            const project = this.projects.find(p => p.id === projectId);
-            if (!project || !Array.isArray(project.requirements)) return;
+            const command = this.recordUndoable(`Project link for ${reqId}`, this.projectLinkUndoScope(projectId, reqId), () => {
+                const project = this.projects.find(p => p.id === projectId);
+                if (!project || !Array.isArray(project.requirements)) return;
 
-            // Remove requirement from project
-            project.requirements = project.requirements.filter(r => r !== reqId);
-            this.saveData();
+                // Remove requirement from project
+                project.requirements = project.requirements.filter(r => r !== reqId);
+                this.saveData();
             
-            // Refresh the requirement details to show the change
-            this.showRequirementDetails(reqId);
+                // Refresh the requirement details to show the change
+                this.showRequirementDetails(reqId);
             
-            // Also refresh project view if it's open
-            if (this.currentProjectId === projectId) {
-                this.showProjectDetails(projectId);
-            }
+                // Also refresh project view if it's open
+                if (this.currentProjectId === projectId) {
+                    this.showProjectDetails(projectId);
+                }
+            });
+            this.notifyUndoable(`Project unlinked from ${reqId}.`, command);
         }
 
         getStatusText(status) {
@@ -1622,39 +2478,448 @@ export class PSPFExplorer {
             }
         }
 
+        /**
+         * Run an edit and record it on the undo stack. `scope.read()` captures the slice of
+         * state the edit can touch before and after it runs; `scope.write()` puts a captured
+         * copy back and refreshes whatever shows it.
+         * @param {string} label - What changed, e.g. "Status of GOV-001"
+         * @param {{read: Function, write: Function}} scope
+         * @param {Function} edit
+         * @returns {Object|null} The recorded command, or null when nothing changed
+         */
+        recordUndoable(label, scope, edit) {
+            if (this.isReplayingUndo) {
+                edit();
+                return null;
+            }
+            const before = cloneState(scope.read());
+            edit();
+            const after = cloneState(scope.read());
+            if (JSON.stringify(before) === JSON.stringify(after)) return null;
+            const command = createStateCommand(label, scope, before, after);
+            this.undoStack.push(command);
+            return command;
+        }
+
+        /**
+         * Success toast for a recorded edit, with an Undo button while it is the latest change.
+         * @param {string} message
+         * @param {Object|null} command - From recordUndoable()
+         */
+        notifyUndoable(message, command) {
+            if (!command) return;
+            this.showNotification(message, 'success', 6000, {
+                action: {
+                    label: 'Undo',
+                    onClick: () => {
+                        if (this.undoStack.peek() !== command) {
+                            this.showNotification('Later changes have been made since. Use Ctrl+Z to step back through them.', 'info');
+                            return;
+                        }
+                        this.undo();
+                    }
+                }
+            });
+        }
+
+        undo() {
+            this.replayUndoStack('undo');
+        }
+
+        redo() {
+            this.replayUndoStack('redo');
+        }
+
+        replayUndoStack(direction) {
+            this.isReplayingUndo = true;
+            let command = null;
+            try {
+                command = this.withAuditSource(direction, () => (direction === 'undo' ? this.undoStack.undo() : this.undoStack.redo()));
+            } catch (error) {
+                console.error(`Failed to ${direction}:`, error);
+                this.showNotification(`The change could not be ${direction === 'undo' ? 'undone' : 'redone'}.`, 'error');
+                return;
+            } finally {
+                this.isReplayingUndo = false;
+            }
+            if (!command) {
+                this.showNotification(direction === 'undo' ? 'Nothing to undo.' : 'Nothing to redo.', 'info', 2000);
+                return;
+            }
+            this.showNotification(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${command.label}`, 'info', 3000);
+        }
+
+        /**
+         * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their own native undo.
+         * @param {KeyboardEvent} event
+         */
+        handleUndoShortcut(event) {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            const key = event.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            const target = event.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+
+        complianceUndoScope(reqId) {
+            const domainId = this.requirements[reqId]?.domainId;
+            return {
+                read: () => ({
+                    record: this.compliance[reqId],
+                    progress: domainId ? this.progressHistory[domainId] : undefined
+                }),
+                write: ({ record, progress }) => {
+                    if (record) {
+                        this.compliance[reqId] = record;
+                    } else {
+                        delete this.compliance[reqId];
+                    }
+                    if (domainId) {
+                        if (progress) {
+                            this.progressHistory[domainId] = progress;
+                        } else {
+                            delete this.progressHistory[domainId];
+                        }
+                    }
+                    this.saveData();
+                    this.renderDomainsGrid();
+                    this.updateStats();
+                    this.renderDomainRequirementHeatmap();
+                    this.refreshRequirementListItem(reqId);
+                    this.showRequirementDetails(reqId);
+                }
+            };
+        }
+
+        tagUndoScope(reqId) {
+            const userId = this.currentUserProfile?.id;
+            return {
+                read: () => this.userTagAssignments[userId]?.[reqId] || [],
+                write: (tags) => {
+                    const userMap = this.userTagAssignments[userId] || (this.userTagAssignments[userId] = {});
+                    if (tags.length) {
+                        userMap[reqId] = tags;
+                    } else {
+                        delete userMap[reqId];
+                    }
+                    this.saveUserTagAssignments();
+                    this.renderRequirementsList();
+                    if (this.currentView === 'myWork') {
+                        this.renderMyWorkView();
+                    }
+                    this.showRequirementDetails(reqId);
+                }
+            };
+        }
+
+        projectLinkUndoScope(projectId, reqId) {
+            const findProject = () => this.projects.find(p => p.id === projectId);
+            return {
+                read: () => findProject()?.requirements || [],
+                write: (requirements) => {
+                    const project = findProject();
+                    if (!project) return;
+                    project.requirements = requirements;
+                    this.saveData();
+                    if (this.currentProjectId === projectId) {
+                        this.showProjectDetails(projectId);
+                    }
+                    this.renderProjectRequirementWidget();
+                    this.showRequirementDetails(reqId);
+                }
+            };
+        }
+
+        /**
+         * Scope over one risk, event, vendor or system, including its creation or removal.
+         * @param {'risks'|'incidents'|'vendors'|'systems'} collection
+         * @param {string} recordId
+         */
+        registerUndoScope(collection, recordId) {
+            return {
+                read: () => {
+                    const index = this[collection].findIndex(record => record.id === recordId);
+                    return index === -1 ? { index, record: null } : { index, record: this[collection][index] };
+                },
+                write: ({ index, record }) => {
+                    const remaining = this[collection].filter(existing => existing.id !== recordId);
+                    if (record) {
+                        remaining.splice(index === -1 ? remaining.length : Math.min(index, remaining.length), 0, record);
+                    }
+                    this[collection] = remaining;
+                    this.saveData();
+                    if (collection === 'risks') {
+                        this.refreshRiskViews();
+                    } else if (collection === 'vendors') {
+                        this.refreshVendorViews();
+                    } else if (collection === 'systems') {
+                        this.refreshSystemViews();
+                    } else {
+                        this.refreshIncidentViews();
+                    }
+                    this.updateProjectTabCounts();
+                    this.updateDataStats();
+                }
+            };
+        }
+
         updateCompliance(reqId, status) {
+            const command = this.recordUndoable(`Status of ${reqId}`, this.complianceUndoScope(reqId), () => {
+                const compliance = this.ensureComplianceEntry(reqId);
+                const previousStatus = compliance.status;
+                compliance.status = status;
+                if (previousStatus !== status) {
+                    this.recordComplianceHistory(reqId, status);
+                    const domainId = this.requirements[reqId]?.domainId;
+                    if (domainId) {
+                        this.recordDomainSnapshot(domainId);
+                    }
+                }
+                this.saveData();
+                this.renderDomainsGrid();
+                this.updateStats();
+
+                // Refresh detail panel in case it is open so the new button state is visible
+                this.showRequirementDetails(reqId);
+
+                // Update the sidebar item status
+                const sidebarItem = document.querySelector(`[data-req="${reqId}"] .requirement-status`);
+                if (sidebarItem) {
+                    sidebarItem.className = `requirement-status ${status}`;
+                    sidebarItem.textContent = this.getStatusText(status);
+                }
+            });
+            this.notifyUndoable(`${reqId} set to ${this.getStatusText(status)}.`, command);
+        }
+
+        /**
+         * Essential Eight controls are assessed on the ML0–ML3 scale; everything else
+         * uses the PSPF implementation scale.
+         * @param {string} reqId
+         * @returns {Object} Entry from MATURITY_SCALES
+         */
+        getMaturityScale(reqId) {
+            return (this.essentialEightControls || []).some(control => control.id === reqId)
+                ? MATURITY_SCALES.e8
+                : MATURITY_SCALES.pspf;
+        }
+
+        renderMaturityPicker(reqId, compliance) {
+            const scale = this.getMaturityScale(reqId);
+            const current = normaliseMaturityLevel(compliance.maturity);
+            return `
+                <div class="compliance-status-picker maturity-picker" role="group" aria-label="${scale.label}">
+                    <h5>${scale.label} (optional)</h5>
+                    <div class="compliance-status-buttons">
+                        ${[{ value: null, short: 'Not assessed', label: 'Not assessed' }, ...scale.levels].map(level => {
+                            const isActive = current === level.value;
+                            return `
+                                <button type="button"
+                                        class="compliance-status-button maturity-button ${isActive ? 'active' : ''} maturity-${level.value ?? 'unset'}"
+                                        title="${level.label}"
+                                        aria-pressed="${isActive}"
+                                        onclick="window.pspfExplorer.updateComplianceMaturity('${reqId}', ${level.value})">
+                                    ${level.short}
+                                </button>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        renderReviewSchedule(reqId, compliance) {
+            const review = getReviewState(compliance);
+            const cycle = REVIEW_CYCLES[compliance.reviewCycle] ? compliance.reviewCycle : DEFAULT_REVIEW_CYCLE;
+            const stateText = {
+                overdue: `Overdue since ${review.dueDate}`,
+                'due-soon': `Due ${review.dueDate}`,
+                current: `Next review ${review.dueDate}`,
+                untracked: 'Not yet reviewed'
+            }[review.state];
+
+            return `
+                <div class="review-schedule">
+                    <h5>Review Schedule <span class="review-state-badge ${review.state}">${stateText}</span></h5>
+                    <div class="review-schedule-fields">
+                        <label>
+                            <span>Last reviewed</span>
+                            <input type="date" value="${this.escapeHtml(compliance.lastReviewed || '')}" max="${todayDateOnly()}"
+                                   onchange="window.pspfExplorer.updateComplianceReview('${reqId}', { lastReviewed: this.value })">
+                        </label>
+                        <label>
+                            <span>Review cycle</span>
+                            <select onchange="window.pspfExplorer.updateComplianceReview('${reqId}', { reviewCycle: this.value })">
+                                ${Object.entries(REVIEW_CYCLES).map(([id, option]) => `
+                                    <option value="${id}" ${cycle === id ? 'selected' : ''}>${option.label}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <button type="button" class="btn btn-outline btn-small"
+                                onclick="window.pspfExplorer.updateComplianceReview('${reqId}', { lastReviewed: '${todayDateOnly()}' })">
+                            Mark reviewed today
+                        </button>
+                    </div>
+                </div>
+            `;
+        }
+
+        updateComplianceReview(reqId, changes = {}) {
             const compliance = this.ensureComplianceEntry(reqId);
-            const previousStatus = compliance.status;
-            compliance.status = status;
-            if (previousStatus !== status) {
-                this.recordComplianceHistory(reqId, status);
-                const domainId = this.requirements[reqId]?.domainId;
-                if (domainId) {
-                    this.recordDomainSnapshot(domainId);
+            if ('lastReviewed' in changes) {
+                if (/^\d{4}-\d{2}-\d{2}$/.test(changes.lastReviewed || '')) {
+                    compliance.lastReviewed = changes.lastReviewed;
+                } else {
+                    delete compliance.lastReviewed;
                 }
             }
+            if ('reviewCycle' in changes && REVIEW_CYCLES[changes.reviewCycle]) {
+                compliance.reviewCycle = changes.reviewCycle;
+            }
             this.saveData();
-            this.renderDomainsGrid();
-            this.updateStats();
+            this.showRequirementDetails(reqId);
+            this.renderDomainRequirementHeatmap();
+            this.updateDashboardStats();
+            this.renderReviewReminders();
+            if (this.currentView === 'myWork') {
+                this.renderMyWorkView();
+            }
+        }
 
-            // Refresh detail panel in case it is open so the new button state is visible
+        renderOwnershipSection(reqId, compliance) {
+            if (!this.people.length) {
+                return `
+                    <div class="ownership-section">
+                        <h5>Ownership</h5>
+                        <p class="history-empty-msg">Add people to the register to assign an accountable owner and contributors.</p>
+                        <button type="button" class="btn btn-outline btn-small" data-action="nav-view" data-view="people" data-nav-btn="peopleBtn">Open people register</button>
+                    </div>
+                `;
+            }
+
+            const contributorIds = new Set(compliance.contributorIds || []);
+            return `
+                <div class="ownership-section">
+                    <h5>Ownership</h5>
+                    <label class="ownership-owner">
+                        <span>Accountable owner</span>
+                        <select onchange="window.pspfExplorer.updateRequirementOwner('${reqId}', this.value)">
+                            ${this.renderPersonOptions(compliance.ownerId, 'No owner assigned')}
+                        </select>
+                    </label>
+                    <div class="ownership-contributors" role="group" aria-label="Contributors">
+                        <span>Contributors</span>
+                        <div class="tag-selector tag-selector-inline">
+                            ${this.people.filter(person => person.id !== compliance.ownerId).map(person => {
+                                const isSelected = contributorIds.has(person.id);
+                                return `
+                                    <button type="button" class="tag-option ${isSelected ? 'selected' : ''}" aria-pressed="${isSelected}"
+                                            title="${this.escapeHtml([person.role, person.branch].filter(Boolean).join(', '))}"
+                                            onclick="window.pspfExplorer.toggleRequirementContributor('${reqId}', '${person.id}')">
+                                        ${this.escapeHtml(person.name)}
+                                    </button>
+                                `;
+                            }).join('')}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        updateRequirementOwner(reqId, ownerId) {
+            const compliance = this.ensureComplianceEntry(reqId);
+            const ownership = normaliseOwnership({ ...compliance, ownerId }, this.getPersonIds());
+            this.applyRequirementOwnership(compliance, ownership);
+            this.saveData();
+            this.refreshRequirementListItem(reqId);
+            this.showRequirementDetails(reqId);
+        }
+
+        toggleRequirementContributor(reqId, personId) {
+            const compliance = this.ensureComplianceEntry(reqId);
+            const contributorIds = new Set(compliance.contributorIds || []);
+            if (contributorIds.has(personId)) {
+                contributorIds.delete(personId);
+            } else {
+                contributorIds.add(personId);
+            }
+            const ownership = normaliseOwnership({ ...compliance, contributorIds: [...contributorIds] }, this.getPersonIds());
+            this.applyRequirementOwnership(compliance, ownership);
+            this.saveData();
             this.showRequirementDetails(reqId);
+        }
 
-            // Update the sidebar item status
-            const sidebarItem = document.querySelector(`[data-req="${reqId}"] .requirement-status`);
-            if (sidebarItem) {
-                sidebarItem.className = `requirement-status ${status}`;
-                sidebarItem.textContent = this.getStatusText(status);
+        // Compliance records only carry ownership fields once someone is assigned
+        applyRequirementOwnership(compliance, { ownerId, contributorIds }) {
+            if (ownerId) {
+                compliance.ownerId = ownerId;
+            } else {
+                delete compliance.ownerId;
             }
+            if (contributorIds.length) {
+                compliance.contributorIds = contributorIds;
+            } else {
+                delete compliance.contributorIds;
+            }
+        }
+
+        updateComplianceMaturity(reqId, level) {
+            const command = this.recordUndoable(`Maturity of ${reqId}`, this.complianceUndoScope(reqId), () => {
+                const compliance = this.ensureComplianceEntry(reqId);
+                const normalised = normaliseMaturityLevel(level);
+                if (normalised === null) {
+                    delete compliance.maturity;
+                } else {
+                    compliance.maturity = normalised;
+                }
+                this.saveData();
+                this.showRequirementDetails(reqId);
+                this.renderDomainRequirementHeatmap();
+            });
+            this.notifyUndoable(`${reqId} maturity updated.`, command);
+        }
+
+        /**
+         * Average maturity of a domain's requirements. N/A requirements are left out.
+         * @param {string} domainId
+         * @returns {{score: number|null, assessed: number, total: number}}
+         */
+        getDomainMaturity(domainId) {
+            const domain = this.domains.find(d => d.id === domainId);
+            const requirementIds = (domain?.requirements || []).filter(reqId => this.compliance[reqId]?.status !== 'na');
+            return calculateMaturityScore(requirementIds.map(reqId => this.compliance[reqId]?.maturity));
+        }
+
+        getOverallMaturity() {
+            const requirementIds = this.domains
+                .flatMap(domain => domain.requirements || [])
+                .filter(reqId => this.compliance[reqId]?.status !== 'na');
+            return calculateMaturityScore(requirementIds.map(reqId => this.compliance[reqId]?.maturity));
+        }
+
+        formatMaturityScore(result) {
+            return result.score === null ? 'Not assessed' : `${result.score.toFixed(1)} / ${MAX_MATURITY_LEVEL}`;
         }
 
         ensureComplianceEntry(reqId) {
             if (!this.compliance[reqId]) {
-                this.compliance[reqId] = { status: 'not-set', comment: '', url: '', history: [] };
+                this.compliance[reqId] = { status: 'not-set', comment: '', comments: [], evidence: [], history: [] };
             }
             if (!Array.isArray(this.compliance[reqId].history)) {
                 this.compliance[reqId].history = [];
             }
+            if (!Array.isArray(this.compliance[reqId].comments)) {
+                this.compliance[reqId].comments = [];
+            }
+            if (!Array.isArray(this.compliance[reqId].evidence)) {
+                this.compliance[reqId].evidence = [];
+            }
             return this.compliance[reqId];
         }
 
@@ -1673,26 +2938,418 @@ export class PSPFExplorer {
             });
         }
 
-        updateComplianceComment(reqId, comment) {
-            const compliance = this.ensureComplianceEntry(reqId);
-            compliance.comment = comment;
-            this.saveData();
-        }
-
-        updateComplianceUrl(reqId, url) {
-            const compliance = this.ensureComplianceEntry(reqId);
-            compliance.url = url.trim();
-            this.saveData();
-            
-            // Refresh the requirement details to show/hide URL section
-            this.showRequirementDetails(reqId);
-        }
+        renderCommentThread(reqId, compliance) {
+            const comments = Array.isArray(compliance.comments) ? compliance.comments : [];
+            const official = getOfficialComment(compliance);
+            const mentionNames = this.people.map(person => person.name);
+            const render = text => renderMarkdown(text, { mentionNames });
 
-        calculateDomainHealth(domainId) {
-            const domain = this.domains.find(d => d.id === domainId);
-            if (!domain) return { status: 'critical', met: 0, total: 0, text: 'Unknown' };
+            const itemsHtml = comments.map(comment => `
+                <li class="comment-item ${comment.official ? 'official' : ''}">
+                    <div class="comment-meta">
+                        <strong>${this.escapeHtml(comment.authorName || 'Earlier comment')}</strong>
+                        ${comment.createdAt ? `<span>${this.escapeHtml(this.formatTimestamp(comment.createdAt))}</span>` : ''}
+                        ${comment.official ? '<span class="official-badge">Official justification</span>' : ''}
+                    </div>
+                    <div class="comment-body">${render(comment.body)}</div>
+                    <div class="comment-actions">
+                        ${comment.official
+                            ? `<button type="button" class="btn-link btn-small" data-action="set-official-comment" data-requirement-id="${reqId}" data-comment-id="">Remove official mark</button>`
+                            : `<button type="button" class="btn-link btn-small" data-action="set-official-comment" data-requirement-id="${reqId}" data-comment-id="${this.escapeHtml(comment.id)}">Mark as official justification</button>`}
+                        <button type="button" class="btn-link btn-small" data-action="delete-comment" data-requirement-id="${reqId}" data-comment-id="${this.escapeHtml(comment.id)}">Delete</button>
+                    </div>
+                </li>
+            `).join('');
 
-            const requirements = Array.isArray(domain.requirements) ? domain.requirements : [];
+            return `
+                <div class="comment-thread-section">
+                    <h5>Comments${comments.length ? ` (${comments.length})` : ''}</h5>
+                    ${official ? `
+                        <div class="official-justification">
+                            <span class="official-badge">Official justification</span>
+                            <div class="comment-body">${render(official.body)}</div>
+                        </div>
+                    ` : `<p class="subtitle-sm">${comments.length ? 'No comment is marked as the official justification, so reports and exports show none.' : 'No comments yet.'}</p>`}
+                    ${comments.length ? `<ol class="comment-thread">${itemsHtml}</ol>` : ''}
+                    <div class="comment-composer">
+                        <label for="commentDraft-${reqId}" class="visually-hidden">New comment on ${reqId}</label>
+                        <textarea id="commentDraft-${reqId}" class="compliance-comment" placeholder="Add a comment. Markdown is supported; type @ to mention someone." oninput="window.pspfExplorer.updateMentionSuggestions('${reqId}', this)"></textarea>
+                        <div class="mention-suggestions" id="mentionSuggestions-${reqId}" role="listbox" aria-label="People to mention"></div>
+                        <div class="comment-composer-actions">
+                            <label class="comment-official-option"><input type="checkbox" id="commentOfficial-${reqId}"> Use as the official justification</label>
+                            <button type="button" class="btn btn-primary btn-small" data-action="add-comment" data-requirement-id="${reqId}">Add Comment</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Add a comment to a requirement's thread as the current user.
+         * @param {string} reqId
+         * @param {string} body - Markdown text
+         * @param {{official?: boolean}} [options] - Mark it as the official justification
+         * @returns {Object|null} The comment
+         */
+        addComplianceComment(reqId, body, { official = false } = {}) {
+            const text = String(body || '').trim();
+            if (!text) {
+                this.showNotification('Write a comment first.', 'warning');
+                return null;
+            }
+            const comment = createComment({
+                body: text,
+                authorId: this.currentUserProfile?.id,
+                authorName: this.currentUserProfile?.name,
+                mentions: findMentions(text, this.people)
+            });
+            const command = this.recordUndoable(`Comment on ${reqId}`, this.complianceUndoScope(reqId), () => {
+                const compliance = this.ensureComplianceEntry(reqId);
+                compliance.comments.push(comment);
+                if (official) setOfficialComment(compliance, comment.id);
+                this.saveData();
+                this.showRequirementDetails(reqId);
+                this.refreshRequirementListItem(reqId);
+            });
+            this.notifyUndoable(`Comment on ${reqId} added.`, command);
+            return comment;
+        }
+
+        /**
+         * @param {string} reqId
+         * @param {string|null} commentId - Comment to use in reports and exports, or null for none
+         */
+        setOfficialJustification(reqId, commentId) {
+            const compliance = this.ensureComplianceEntry(reqId);
+            if (commentId && !compliance.comments.some(comment => comment.id === commentId)) return;
+            const command = this.recordUndoable(`Official justification for ${reqId}`, this.complianceUndoScope(reqId), () => {
+                setOfficialComment(this.ensureComplianceEntry(reqId), commentId || null);
+                this.saveData();
+                this.showRequirementDetails(reqId);
+                this.refreshRequirementListItem(reqId);
+            });
+            this.notifyUndoable(commentId ? `Official justification for ${reqId} updated.` : `${reqId} no longer has an official justification.`, command);
+        }
+
+        deleteComplianceComment(reqId, commentId) {
+            const compliance = this.ensureComplianceEntry(reqId);
+            const comment = compliance.comments.find(existing => existing.id === commentId);
+            if (!comment || !confirm(`Delete this comment${comment.official ? ', the official justification for ' + reqId : ''}?`)) return;
+            const command = this.recordUndoable(`Comment on ${reqId}`, this.complianceUndoScope(reqId), () => {
+                const record = this.ensureComplianceEntry(reqId);
+                record.comments = record.comments.filter(existing => existing.id !== commentId);
+                if (comment.official) setOfficialComment(record, null);
+                this.saveData();
+                this.showRequirementDetails(reqId);
+                this.refreshRequirementListItem(reqId);
+            });
+            this.notifyUndoable('Comment deleted.', command);
+        }
+
+        /**
+         * Offer people to mention while an @name is being typed in a comment.
+         * @param {string} reqId
+         * @param {HTMLTextAreaElement} textarea
+         */
+        updateMentionSuggestions(reqId, textarea) {
+            const container = document.getElementById(`mentionSuggestions-${reqId}`);
+            if (!container) return;
+            const typed = textarea.value.slice(0, textarea.selectionStart).match(/(?:^|\s)@([^@\n]{0,40})$/);
+            const matches = typed ? suggestMentions(typed[1], this.people) : [];
+            container.innerHTML = matches.map(person => `
+                <button type="button" class="mention-option" role="option" data-action="insert-mention" data-requirement-id="${reqId}" data-person-id="${this.escapeHtml(person.id)}">
+                    ${this.escapeHtml(person.name)}${person.role ? ` <span class="subtitle-sm">${this.escapeHtml(person.role)}</span>` : ''}
+                </button>
+            `).join('');
+        }
+
+        insertMention(reqId, personId) {
+            const textarea = document.getElementById(`commentDraft-${reqId}`);
+            const person = this.people.find(entry => entry.id === personId);
+            if (!textarea || !person) return;
+            const caret = textarea.selectionStart;
+            const before = textarea.value.slice(0, caret).replace(/@([^@\n]{0,40})$/, `@${person.name} `);
+            textarea.value = before + textarea.value.slice(caret);
+            textarea.focus();
+            textarea.setSelectionRange(before.length, before.length);
+            this.updateMentionSuggestions(reqId, textarea);
+        }
+
+        renderEvidenceSection(reqId, compliance) {
+            const items = Array.isArray(compliance.evidence) ? compliance.evidence : [];
+            const summary = summariseEvidence(items);
+            const expiryLabels = { current: '', undated: '', expiring: 'Expires soon', expired: 'Expired' };
+
+            const itemsHtml = items.map(item => {
+                const type = EVIDENCE_TYPES[item.type] || EVIDENCE_TYPES.note;
+                const expiryState = getEvidenceExpiryState(item);
+                const safeUrl = /^https?:\/\//i.test(item.url || '') ? this.escapeHtml(item.url) : '';
+                const target = item.type === 'url' && safeUrl
+                    ? `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer" class="requirement-link">${this.escapeHtml(item.title)} <span class="external-icon">↗</span></a>`
+                    : item.type === 'file'
+                        ? `<button type="button" class="btn-link" data-action="open-evidence-file" data-requirement-id="${reqId}" data-evidence-id="${this.escapeHtml(item.id)}">${this.escapeHtml(item.title)}</button>`
+                        : `<span>${this.escapeHtml(item.title)}</span>`;
+                const meta = [
+                    item.owner ? `Owner: ${this.escapeHtml(item.owner)}` : '',
+                    item.collectedAt ? `Collected ${this.escapeHtml(item.collectedAt)}` : '',
+                    item.expiresAt ? `Expires ${this.escapeHtml(item.expiresAt)}` : 'No expiry',
+                    item.type === 'file' && item.file ? this.escapeHtml(this.formatFileSize(item.file.size)) : ''
+                ].filter(Boolean).join(' · ');
+
+                return `
+                    <li class="evidence-item evidence-${expiryState}">
+                        <span class="evidence-type" title="${type.label}">${type.icon}</span>
+                        <div class="evidence-body">
+                            <div class="evidence-title">${target}${expiryLabels[expiryState] ? ` <span class="evidence-expiry-badge ${expiryState}">${expiryLabels[expiryState]}</span>` : ''}</div>
+                            ${item.type === 'note' && item.note ? `<p class="evidence-note">${this.escapeHtml(item.note)}</p>` : ''}
+                            <small class="evidence-meta">${meta}</small>
+                        </div>
+                        <div class="evidence-actions">
+                            <button type="button" class="btn-link btn-small" data-action="edit-evidence" data-requirement-id="${reqId}" data-evidence-id="${this.escapeHtml(item.id)}">Edit</button>
+                            <button type="button" class="btn-link btn-small" data-action="remove-evidence" data-requirement-id="${reqId}" data-evidence-id="${this.escapeHtml(item.id)}">Remove</button>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <div class="evidence-section">
+                    <div class="evidence-section-header">
+                        <h5>Evidence <span class="evidence-count">${summary.valid} current${summary.expired ? ` · ${summary.expired} expired` : ''}</span></h5>
+                        <button type="button" class="btn btn-outline btn-small" data-action="add-evidence" data-requirement-id="${reqId}">+ Add evidence</button>
+                    </div>
+                    ${items.length
+                        ? `<ul class="evidence-list">${itemsHtml}</ul>`
+                        : '<p class="history-empty-msg">No evidence recorded. Add links, files or notes that show how this requirement is met.</p>'}
+                </div>
+            `;
+        }
+
+        formatFileSize(bytes) {
+            if (!bytes) return '';
+            if (bytes < 1024) return `${bytes} B`;
+            if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+
+        showEvidenceModal(reqId, evidenceId = null) {
+            const compliance = this.ensureComplianceEntry(reqId);
+            const existing = evidenceId ? compliance.evidence.find(item => item.id === evidenceId) : null;
+            const today = new Date().toISOString().split('T')[0];
+            const item = existing || { type: 'url', title: '', owner: this.currentUserProfile?.name || '', collectedAt: today, expiresAt: '' };
+            const canStoreFiles = this.storage.supportsAttachments;
+
+            const modalContent = `
+                <div class="modal-content">
+                    <h3>${existing ? 'Edit Evidence' : 'Add Evidence'} · ${this.escapeHtml(reqId)}</h3>
+                    <form id="evidenceForm">
+                        <div class="form-group">
+                            <label for="evidenceType">Type</label>
+                            <select id="evidenceType" ${existing ? 'disabled' : ''}>
+                                ${Object.entries(EVIDENCE_TYPES).map(([type, config]) => `
+                                    <option value="${type}" ${item.type === type ? 'selected' : ''} ${type === 'file' && !canStoreFiles ? 'disabled' : ''}>${config.icon} ${config.label}</option>
+                                `).join('')}
+                            </select>
+                            ${canStoreFiles ? '' : '<small class="field-help">File uploads need IndexedDB storage, which this browser is not using.</small>'}
+                        </div>
+                        <div class="form-group">
+                            <label for="evidenceTitle">Title</label>
+                            <input type="text" id="evidenceTitle" maxlength="200" placeholder="e.g., Security policy v3.2" value="${this.escapeHtml(item.title)}">
+                        </div>
+                        <div class="form-group" data-evidence-field="url">
+                            <label for="evidenceUrl">Link</label>
+                            <input type="url" id="evidenceUrl" maxlength="2000" placeholder="https://example.com/policy-document" value="${this.escapeHtml(item.url || '')}">
+                        </div>
+                        <div class="form-group" data-evidence-field="file">
+                            <label for="evidenceFile">File</label>
+                            <input type="file" id="evidenceFile" accept="${EVIDENCE_FILE_ACCEPT}">
+                            <small class="field-help">${existing?.file ? `Current file: ${this.escapeHtml(existing.file.name)}. Choose a file to replace it.` : `PDF, Office documents or images up to ${this.formatFileSize(MAX_EVIDENCE_FILE_BYTES)}.`}</small>
+                        </div>
+                        <div class="form-group" data-evidence-field="note">
+                            <label for="evidenceNote">Note</label>
+                            <textarea id="evidenceNote" rows="4" maxlength="5000" placeholder="Describe what was sighted, by whom and where it is held">${this.escapeHtml(item.note || '')}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="evidenceOwner">Owner</label>
+                            <input type="text" id="evidenceOwner" maxlength="200" value="${this.escapeHtml(item.owner || '')}">
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="evidenceCollectedAt">Date collected</label>
+                                <input type="date" id="evidenceCollectedAt" value="${this.escapeHtml(item.collectedAt || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="evidenceExpiresAt">Expiry date</label>
+                                <input type="date" id="evidenceExpiresAt" value="${this.escapeHtml(item.expiresAt || '')}">
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelEvidenceBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save Evidence</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'evidenceModal' });
+            const typeSelect = modal.querySelector('#evidenceType');
+            const syncFields = () => {
+                modal.querySelectorAll('[data-evidence-field]').forEach(field => {
+                    field.hidden = field.dataset.evidenceField !== typeSelect.value;
+                });
+            };
+            syncFields();
+            modal.addTrackedListener(typeSelect, 'change', syncFields);
+            modal.addTrackedListener(modal.querySelector('#cancelEvidenceBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#evidenceForm'), 'submit', async (event) => {
+                event.preventDefault();
+                const type = typeSelect.value;
+                const fields = {
+                    ...(existing || {}),
+                    type,
+                    title: modal.querySelector('#evidenceTitle').value,
+                    owner: modal.querySelector('#evidenceOwner').value,
+                    collectedAt: modal.querySelector('#evidenceCollectedAt').value,
+                    expiresAt: modal.querySelector('#evidenceExpiresAt').value,
+                    url: modal.querySelector('#evidenceUrl').value,
+                    note: modal.querySelector('#evidenceNote').value,
+                    updatedAt: new Date().toISOString()
+                };
+
+                if (type === 'url' && !/^https?:\/\/\S+$/i.test(fields.url.trim())) {
+                    this.showNotification('Enter a link starting with http:// or https://', 'error');
+                    return;
+                }
+                if (type === 'note' && !fields.note.trim()) {
+                    this.showNotification('Enter the note text.', 'error');
+                    return;
+                }
+                if (fields.expiresAt && fields.collectedAt && fields.expiresAt < fields.collectedAt) {
+                    this.showNotification('The expiry date cannot be before the date collected.', 'error');
+                    return;
+                }
+
+                const file = modal.querySelector('#evidenceFile').files[0];
+                if (type === 'file') {
+                    if (!file && !existing?.file) {
+                        this.showNotification('Choose a file to upload.', 'error');
+                        return;
+                    }
+                    if (file) {
+                        try {
+                            fields.file = await this.storeEvidenceFile(file);
+                        } catch (error) {
+                            console.error('Failed to store evidence file:', error);
+                            this.showNotification(error.message || 'The file could not be saved.', 'error', 6000);
+                            return;
+                        }
+                        if (!modal.querySelector('#evidenceTitle').value.trim()) {
+                            fields.title = file.name;
+                        }
+                    }
+                }
+
+                this.saveEvidenceItem(reqId, createEvidenceItem(fields));
+                if (file && existing?.file?.attachmentId) {
+                    this.releaseAttachment(existing.file.attachmentId);
+                }
+                modal.remove();
+            });
+        }
+
+        /**
+         * Put an uploaded file in the attachment store.
+         * @param {File} file
+         * @returns {Promise<{attachmentId: string, name: string, size: number, mimeType: string}>}
+         */
+        async storeEvidenceFile(file) {
+            if (file.size > MAX_EVIDENCE_FILE_BYTES) {
+                throw new Error(`${file.name} is larger than ${this.formatFileSize(MAX_EVIDENCE_FILE_BYTES)}.`);
+            }
+            const attachmentId = `att-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+            const mimeType = file.type || 'application/octet-stream';
+            await this.storage.putAttachment(attachmentId, { blob: file, name: file.name, mimeType });
+            return { attachmentId, name: file.name, size: file.size, mimeType };
+        }
+
+        saveEvidenceItem(reqId, item) {
+            const save = () => {
+                const compliance = this.ensureComplianceEntry(reqId);
+                const index = compliance.evidence.findIndex(existing => existing.id === item.id);
+                if (index === -1) {
+                    compliance.evidence.push(item);
+                } else {
+                    compliance.evidence[index] = item;
+                }
+                this.saveData();
+                this.showRequirementDetails(reqId);
+                this.refreshRequirementListItem(reqId);
+            };
+
+            // Replaced files are released from the attachment store, so file edits cannot be undone,
+            // and recorded edits to this record would restore its evidence without the file
+            if (item.type === 'file') {
+                this.undoStack.clear();
+                save();
+                this.showNotification('Evidence saved.', 'success');
+                return;
+            }
+            this.notifyUndoable('Evidence saved.', this.recordUndoable(`Evidence on ${reqId}`, this.complianceUndoScope(reqId), save));
+        }
+
+        removeEvidenceItem(reqId, evidenceId) {
+            const compliance = this.ensureComplianceEntry(reqId);
+            const item = compliance.evidence.find(existing => existing.id === evidenceId);
+            if (!item || !confirm(`Remove "${item.title}" from ${reqId}?`)) return;
+
+            const remove = () => {
+                compliance.evidence = compliance.evidence.filter(existing => existing.id !== evidenceId);
+                if (item.file?.attachmentId) {
+                    this.releaseAttachment(item.file.attachmentId);
+                }
+                this.saveData();
+                this.showRequirementDetails(reqId);
+                this.refreshRequirementListItem(reqId);
+            };
+
+            if (item.type === 'file') {
+                this.undoStack.clear();
+                remove();
+                return;
+            }
+            this.notifyUndoable(`"${item.title}" removed.`, this.recordUndoable(`Evidence on ${reqId}`, this.complianceUndoScope(reqId), remove));
+        }
+
+        async openEvidenceFile(reqId, evidenceId) {
+            const item = this.compliance[reqId]?.evidence?.find(existing => existing.id === evidenceId);
+            if (!item?.file) return;
+            try {
+                const attachment = await this.storage.getAttachment(item.file.attachmentId);
+                if (!attachment) {
+                    this.showNotification(`The file for "${item.title}" is not stored in this browser.`, 'warning');
+                    return;
+                }
+                this.downloadFile(attachment.blob, attachment.name || item.file.name, attachment.mimeType);
+            } catch (error) {
+                console.error('Failed to open evidence file:', error);
+                this.showNotification('The file could not be opened.', 'error');
+            }
+        }
+
+        refreshRequirementListItem(reqId) {
+            const listItem = document.querySelector(`.requirement-item[data-req="${reqId}"]`);
+            if (listItem) {
+                const isActive = listItem.classList.contains('active');
+                listItem.outerHTML = this.renderRequirementListItem(reqId);
+                if (isActive) document.querySelector(`.requirement-item[data-req="${reqId}"]`)?.classList.add('active');
+            }
+        }
+
+        calculateDomainHealth(domainId) {
+            const domain = this.domains.find(d => d.id === domainId);
+            if (!domain) return { status: 'critical', met: 0, total: 0, text: 'Unknown' };
+
+            const requirements = Array.isArray(domain.requirements) ? domain.requirements : [];
             let totalRequirements = requirements.length;
             let metRequirements = 0;
             let partialRequirements = 0;
@@ -1789,6 +3446,8 @@ export class PSPFExplorer {
             this.updateTrendIndicators(totalProjects, rawCompliancePercentage, totalRisks, totalIncidents);
 
             this.renderDomainRequirementHeatmap();
+            this.renderRiskHeatMap();
+            this.renderContactSummaryWidget();
 
             // Refresh Essential Eight summary
             this.renderEssentialEightWidget();
@@ -1899,11 +3558,12 @@ export class PSPFExplorer {
             element.innerHTML = `<span>${icons[trend]}</span> ${texts[trend]}`;
         }
 
-        renderEssentialEightWidget() {
-            const container = document.getElementById('essentialEightWidget');
-            if (!container || !Array.isArray(this.essentialEightControls)) return;
-
-            const controls = this.essentialEightControls.map((control, index) => {
+        /**
+         * Essential Eight strategies with their mapped requirement status and totals.
+         * @returns {{controls: Array<Object>, counts: Object<string, number>}}
+         */
+        getEssentialEightStatus() {
+            const controls = (this.essentialEightControls || []).map((control, index) => {
                 const requirement = this.requirements[control.id];
                 const compliance = this.compliance[control.id];
                 const status = compliance?.status || 'not-set';
@@ -1917,6 +3577,23 @@ export class PSPFExplorer {
                 };
             });
 
+            const counts = { yes: 0, no: 0, partial: 0, na: 0, 'not-set': 0 };
+            controls.forEach(control => {
+                const key = Object.prototype.hasOwnProperty.call(counts, control.status) ? control.status : 'not-set';
+                counts[key] += 1;
+            });
+
+            return { controls, counts };
+        }
+
+        renderEssentialEightWidget() {
+            const container = document.getElementById('essentialEightWidget');
+            if (!container || !Array.isArray(this.essentialEightControls)) return;
+
+            const { controls, counts } = this.getEssentialEightStatus();
+            const assessment = this.getEssentialEightAssessment();
+            const targetLevel = assessment.targetLevel;
+
             if (controls.length === 0) {
                 container.innerHTML = `
                     <div class="empty-state">
@@ -1927,12 +3604,6 @@ export class PSPFExplorer {
                 return;
             }
 
-            const counts = { yes: 0, no: 0, partial: 0, na: 0, 'not-set': 0 };
-            controls.forEach(control => {
-                const key = Object.prototype.hasOwnProperty.call(counts, control.status) ? control.status : 'not-set';
-                counts[key] += 1;
-            });
-
             const total = controls.length;
             const metPercentage = total ? Math.round((counts.yes / total) * 100) : 0;
 
@@ -1946,7 +3617,12 @@ export class PSPFExplorer {
                 <span class="e8-chip ${chip.status}">${chip.count} ${chip.label}</span>
             `).join('');
 
-            const controlsHtml = controls.map(control => `
+            const controlsHtml = controls.map(control => {
+                const strategy = assessment.strategies.find(item => item.id === control.id);
+                const maturityText = strategy?.assessed
+                    ? `ML${strategy.achieved} of ML${targetLevel} target`
+                    : 'Maturity not assessed';
+                return `
                 <div class="essential-eight-item">
                     <div class="e8-item-header">
                         <span class="e8-order">${control.order.toString().padStart(2, '0')}</span>
@@ -1956,9 +3632,23 @@ export class PSPFExplorer {
                         </div>
                     </div>
                     <p class="e8-description">${control.description}</p>
+                    <span class="e8-maturity ${strategy?.assessed ? (strategy.achieved >= targetLevel ? 'on-target' : 'below-target') : ''}">${maturityText}</span>
                     <span class="e8-status-pill requirement-status ${control.status}">${this.getStatusText(control.status)}</span>
                 </div>
-            `).join('');
+            `;
+            }).join('');
+
+            const gapStrategies = assessment.strategies.filter(strategy => strategy.gaps.length > 0);
+            const gapListHtml = gapStrategies.length
+                ? `<ul class="e8-gap-list">
+                    ${gapStrategies.map(strategy => `
+                        <li>
+                            <strong>${this.escapeHtml(strategy.label)}</strong>
+                            <span>${strategy.gaps.length} criteri${strategy.gaps.length === 1 ? 'on' : 'a'} short of ML${targetLevel}: ${this.escapeHtml(strategy.gaps[0].text)}${strategy.gaps.length > 1 ? ' …' : ''}</span>
+                        </li>
+                    `).join('')}
+                </ul>`
+                : `<p class="history-empty-msg">${assessment.assessedCount ? `Every assessed strategy meets the ML${targetLevel} target.` : 'Assess the strategies against the maturity criteria to see gaps to your target.'}</p>`;
 
             container.innerHTML = `
                 <div class="essential-eight-header">
@@ -1977,13 +3667,193 @@ export class PSPFExplorer {
                 <div class="essential-eight-grid">
                     ${controlsHtml}
                 </div>
+                <div class="e8-gaps">
+                    <h4>Gaps to ML${targetLevel} (${assessment.atTargetCount}/${controls.length} strategies on target)</h4>
+                    ${gapListHtml}
+                </div>
                 <div class="essential-eight-footer">
-                    <button class="btn btn-outline btn-small" data-action="view-domain" data-domain-id="technology">Review Technology Controls</button>
+                    <div class="e8-footer-actions">
+                        <button class="btn btn-primary btn-small" data-action="nav-view" data-view="essentialEight" data-nav-btn="essentialEightBtn">Open maturity assessment</button>
+                        <button class="btn btn-outline btn-small" data-action="e8-apply-statuses" ${assessment.assessedCount ? '' : 'disabled'}>Update TECH statuses</button>
+                        <button class="btn btn-outline btn-small" data-action="view-domain" data-domain-id="technology">Review Technology Controls</button>
+                    </div>
                     <span class="essential-eight-note">Mapped to requirements TECH-099 – TECH-106</span>
                 </div>
             `;
         }
 
+        getEssentialEightTarget() {
+            return normaliseTargetLevel(this.essentialEight?.[E8_SETTINGS_KEY]?.targetLevel);
+        }
+
+        setEssentialEightTarget(level) {
+            this.essentialEight[E8_SETTINGS_KEY] = {
+                targetLevel: normaliseTargetLevel(level),
+                updatedAt: new Date().toISOString()
+            };
+            this.saveData();
+            this.renderEssentialEightView();
+            this.renderEssentialEightWidget();
+        }
+
+        /**
+         * Checklist progress, achieved maturity and gaps for every mapped strategy.
+         * @returns {{targetLevel: number, assessedCount: number, atTargetCount: number, strategies: Array<Object>}}
+         */
+        getEssentialEightAssessment() {
+            const targetLevel = this.getEssentialEightTarget();
+            const strategies = (this.essentialEightControls || []).map((control, index) => {
+                const criteria = E8_CRITERIA[control.id] || {};
+                const record = this.essentialEight?.[control.id];
+                const checks = record?.checks || {};
+                const assessed = !!record?.updatedAt;
+                const achieved = calculateAchievedMaturity(criteria, checks);
+                return {
+                    order: index + 1,
+                    id: control.id,
+                    label: control.label,
+                    assessed,
+                    achieved,
+                    updatedAt: record?.updatedAt || null,
+                    gaps: assessed ? listMaturityGaps(criteria, checks, targetLevel) : [],
+                    levels: E8_MATURITY_LEVELS.map(level => {
+                        const items = (criteria[level] || []).map(item => ({ ...item, checked: checks[item.id] === true }));
+                        return { level, items, met: items.filter(item => item.checked).length };
+                    })
+                };
+            });
+
+            return {
+                targetLevel,
+                strategies,
+                assessedCount: strategies.filter(strategy => strategy.assessed).length,
+                atTargetCount: strategies.filter(strategy => strategy.assessed && strategy.achieved >= targetLevel).length
+            };
+        }
+
+        toggleEssentialEightCriterion(strategyId, criterionId) {
+            const criteria = E8_CRITERIA[strategyId];
+            const known = criteria && Object.values(criteria).some(items => items.some(item => item.id === criterionId));
+            if (!known) return;
+
+            const record = this.essentialEight[strategyId] || { checks: {} };
+            const checks = { ...record.checks };
+            if (checks[criterionId]) {
+                delete checks[criterionId];
+            } else {
+                checks[criterionId] = true;
+            }
+            this.essentialEight[strategyId] = { checks, updatedAt: new Date().toISOString() };
+            this.saveData();
+            this.renderEssentialEightView();
+            this.renderEssentialEightWidget();
+        }
+
+        /**
+         * Feed achieved maturity back into the mapped TECH requirements: the maturity level
+         * is recorded and the status becomes Met at or above the target, Not Met below it.
+         * Requirements marked N/A or Risk Managed keep their status.
+         */
+        applyEssentialEightStatuses() {
+            const { strategies, targetLevel } = this.getEssentialEightAssessment();
+            const keepsStatus = id => ['na', 'partial'].includes(this.compliance[id]?.status);
+            const rows = strategies
+                .filter(strategy => strategy.assessed)
+                .map(strategy => ({
+                    id: strategy.id,
+                    status: keepsStatus(strategy.id) ? undefined : suggestRequirementStatus(strategy.achieved, targetLevel),
+                    maturity: strategy.achieved,
+                    comment: ''
+                }));
+
+            if (!rows.length) {
+                this.showNotification('Assess at least one strategy before updating requirement statuses.', 'warning');
+                return;
+            }
+
+            const changes = rows.filter(row => {
+                const record = this.compliance[row.id] || {};
+                return (row.status && record.status !== row.status) || normaliseMaturityLevel(record.maturity) !== row.maturity;
+            });
+            if (!changes.length) {
+                this.showNotification('TECH requirement statuses already match the Essential Eight assessment.', 'info');
+                return;
+            }
+
+            const summary = changes
+                .map(row => `${row.id}: ${row.status ? this.getStatusText(row.status) : `${this.getStatusText(this.compliance[row.id].status)} kept`} (ML${row.maturity})`)
+                .join('\n');
+            if (!confirm(`Update ${changes.length} Essential Eight requirement${changes.length === 1 ? '' : 's'} against the ML${targetLevel} target?\n\n${summary}`)) {
+                return;
+            }
+
+            this.takeWorkspaceSnapshot({ name: 'Before Essential Eight status update', trigger: 'bulk' });
+            const updated = this.applySpreadsheetCompliance(changes);
+            this.renderEssentialEightView();
+            this.showNotification(`Updated ${updated} TECH requirement${updated === 1 ? '' : 's'} from the Essential Eight assessment.`, 'success');
+        }
+
+        renderEssentialEightView() {
+            const container = document.getElementById('essentialEightAssessment');
+            if (!container) return;
+
+            const assessment = this.getEssentialEightAssessment();
+            const targetSelect = document.getElementById('e8TargetLevel');
+            if (targetSelect) targetSelect.value = String(assessment.targetLevel);
+
+            const summaryEl = document.getElementById('e8AssessmentSummary');
+            if (summaryEl) {
+                summaryEl.textContent = assessment.assessedCount
+                    ? `${assessment.atTargetCount} of ${assessment.strategies.length} strategies at ML${assessment.targetLevel} or above · ${assessment.assessedCount} assessed`
+                    : 'No strategies assessed yet. Tick the criteria your entity fully meets.';
+            }
+
+            if (!assessment.strategies.length) {
+                container.innerHTML = '<p class="history-empty-msg">No Essential Eight controls are mapped.</p>';
+                return;
+            }
+
+            container.innerHTML = assessment.strategies.map(strategy => {
+                const compliance = this.compliance[strategy.id] || {};
+                const status = compliance.status || 'not-set';
+                const levelsHtml = strategy.levels.map(level => `
+                    <fieldset class="e8-level ${level.level <= assessment.targetLevel ? 'in-target' : ''}">
+                        <legend>ML${level.level} <span>${level.met}/${level.items.length} met</span></legend>
+                        ${level.items.map(item => `
+                            <label class="e8-criterion">
+                                <input type="checkbox"
+                                       data-action="e8-toggle-criterion"
+                                       data-strategy-id="${strategy.id}"
+                                       data-criterion-id="${item.id}"
+                                       ${item.checked ? 'checked' : ''}>
+                                <span>${this.escapeHtml(item.text)}</span>
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `).join('');
+
+                return `
+                    <article class="e8-strategy-card" id="e8-${strategy.id}">
+                        <header class="e8-strategy-header">
+                            <div>
+                                <h3>${String(strategy.order).padStart(2, '0')} ${this.escapeHtml(strategy.label)}</h3>
+                                <button class="btn-link" data-action="view-requirement" data-requirement-id="${strategy.id}">${strategy.id}</button>
+                                <span class="requirement-status ${status}">${this.getStatusText(status)}</span>
+                            </div>
+                            <div class="e8-strategy-score ${strategy.assessed ? (strategy.achieved >= assessment.targetLevel ? 'on-target' : 'below-target') : ''}">
+                                <span class="e8-strategy-level">${strategy.assessed ? `ML${strategy.achieved}` : '—'}</span>
+                                <span class="e8-strategy-target">Target ML${assessment.targetLevel}</span>
+                            </div>
+                        </header>
+                        <div class="e8-levels">
+                            ${levelsHtml}
+                        </div>
+                        ${strategy.updatedAt ? `<p class="subtitle-sm">Last assessed ${new Date(strategy.updatedAt).toLocaleDateString()}</p>` : ''}
+                    </article>
+                `;
+            }).join('');
+        }
+
         renderProgress() {
             this.renderEssentialEightWidget();
 
@@ -2164,6 +4034,7 @@ export class PSPFExplorer {
 
             this.updateMyWorkDashboard(requirements);
             this.renderMyWorkMiniHeatmap(requirements);
+            this.renderMyWorkReviewReminders(requirementIds);
 
             const listContainer = document.getElementById('myWorkRequirementsList');
             if (listContainer) {
@@ -2320,27 +4191,683 @@ export class PSPFExplorer {
             }).join('');
         }
 
-        getCurrentUserTagUsage(tagId) {
-            if (!this.currentUserProfile) return 0;
-            const assignments = this.getCurrentUserAssignmentMap();
-            return Object.values(assignments).filter(tags => tags.includes(tagId)).length;
+        /**
+         * Reviews due on the user's tagged requirements, plus any evidence they are
+         * named as owner of elsewhere in the framework.
+         * @param {string[]} taggedIds
+         */
+        renderMyWorkReviewReminders(taggedIds) {
+            const container = document.getElementById('myWorkReviewReminders');
+            if (!container) return;
+            const ownerName = (this.currentUserProfile?.name || '').trim().toLowerCase();
+            const tagged = new Set(taggedIds);
+            const reminders = this.getReviewReminders().filter(reminder => {
+                if (reminder.kind === 'evidence' && ownerName && reminder.owner.trim().toLowerCase() === ownerName) {
+                    return true;
+                }
+                return tagged.has(reminder.reqId);
+            });
+            container.innerHTML = this.renderReviewReminderList(reminders, 'Nothing of yours is due for review.', 8);
         }
 
-        performSearch(query) {
-            const results = [];
-            const searchResults = document.getElementById('searchResults');
-            const spinner = document.getElementById('searchSpinner');
+        getPersonIds() {
+            return new Set(this.people.map(person => person.id));
+        }
 
-            if (spinner) spinner.style.display = 'block';
-            if (searchResults) searchResults.innerHTML = '';
+        getPersonName(personId) {
+            if (!personId) return '';
+            return this.people.find(person => person.id === personId)?.name || '';
+        }
 
-            // Search projects
-            this.projects.forEach(project => {
-                if (project.name.toLowerCase().includes(query) || 
-                    project.description.toLowerCase().includes(query)) {
-                    results.push({
-                        type: 'Project',
-                        title: project.name,
+        /**
+         * Owner and contributor names for a requirement's compliance record, a risk or an event.
+         * @param {Object} record
+         * @returns {{owner: string, contributors: string[]}}
+         */
+        describeOwnership(record) {
+            return {
+                owner: this.getPersonName(record?.ownerId),
+                contributors: (record?.contributorIds || []).map(id => this.getPersonName(id)).filter(Boolean)
+            };
+        }
+
+        renderPersonOptions(selectedId, emptyLabel) {
+            return [
+                `<option value="">${this.escapeHtml(emptyLabel)}</option>`,
+                ...this.people.map(person => `
+                    <option value="${person.id}" ${person.id === selectedId ? 'selected' : ''}>${this.escapeHtml(person.name)}${person.role ? ` (${this.escapeHtml(person.role)})` : ''}</option>
+                `)
+            ].join('');
+        }
+
+        /**
+         * Fill the owner and contributor pickers on the static risk and event forms.
+         * @param {'risk'|'incident'} prefix
+         * @param {Object|null} record
+         */
+        populateOwnershipFields(prefix, record = null) {
+            const ownerSelect = document.getElementById(`${prefix}Owner`);
+            const contributorsSelect = document.getElementById(`${prefix}Contributors`);
+            if (ownerSelect) {
+                ownerSelect.innerHTML = this.renderPersonOptions(record?.ownerId, this.people.length ? 'No owner assigned' : 'Add people on the People page');
+            }
+            if (contributorsSelect) {
+                const selected = new Set(record?.contributorIds || []);
+                contributorsSelect.innerHTML = this.people.map(person => `
+                    <option value="${person.id}" ${selected.has(person.id) ? 'selected' : ''}>${this.escapeHtml(person.name)}</option>
+                `).join('');
+                contributorsSelect.disabled = !this.people.length;
+            }
+        }
+
+        readOwnershipFields(prefix) {
+            const ownerId = document.getElementById(`${prefix}Owner`)?.value || null;
+            const contributorsSelect = document.getElementById(`${prefix}Contributors`);
+            const contributorIds = contributorsSelect
+                ? Array.from(contributorsSelect.selectedOptions).map(option => option.value)
+                : [];
+            return normaliseOwnership({ ownerId, contributorIds }, this.getPersonIds());
+        }
+
+        renderOwnershipLine(record) {
+            const { owner, contributors } = this.describeOwnership(record);
+            if (!owner && !contributors.length) return '';
+            return `
+                <p class="ownership-line">
+                    ${owner ? `<span><strong>Owner:</strong> ${this.escapeHtml(owner)}</span>` : ''}
+                    ${contributors.length ? `<span><strong>Contributors:</strong> ${this.escapeHtml(contributors.join(', '))}</span>` : ''}
+                </p>
+            `;
+        }
+
+        populateOwnerFilter() {
+            const select = document.getElementById('ownerFilter');
+            if (!select) return;
+            if (this.activeOwnerFilter && this.activeOwnerFilter !== UNASSIGNED_OWNER && !this.getPersonIds().has(this.activeOwnerFilter)) {
+                this.activeOwnerFilter = '';
+            }
+            select.innerHTML = [
+                '<option value="">All owners</option>',
+                `<option value="${UNASSIGNED_OWNER}">No owner assigned</option>`,
+                ...this.people.map(person => `<option value="${person.id}">${this.escapeHtml(person.name)}</option>`)
+            ].join('');
+            select.value = this.activeOwnerFilter;
+        }
+
+        setOwnerFilter(value) {
+            this.activeOwnerFilter = value || '';
+            this.renderRequirementsList();
+        }
+
+        renderPeopleView() {
+            const register = document.getElementById('peopleRegister');
+            const workloadContainer = document.getElementById('ownerWorkload');
+            if (!register || !workloadContainer) return;
+
+            const workload = this.getOwnerWorkload();
+            const workloadById = new Map(workload.filter(entry => entry.person).map(entry => [entry.person.id, entry]));
+
+            register.innerHTML = this.people.length ? `
+                <table class="people-table">
+                    <thead>
+                        <tr><th>Name</th><th>Role</th><th>Branch</th><th>Email</th><th class="num">Owns</th><th class="num">Contributes</th><th><span class="visually-hidden">Actions</span></th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.people.map(person => {
+                            const entry = workloadById.get(person.id);
+                            const owns = entry.owned.requirements.length + entry.owned.risks.length + entry.owned.incidents.length;
+                            const contributes = entry.contributing.requirements + entry.contributing.risks + entry.contributing.incidents;
+                            return `
+                                <tr>
+                                    <td>${this.escapeHtml(person.name)}</td>
+                                    <td>${this.escapeHtml(person.role)}</td>
+                                    <td>${this.escapeHtml(person.branch)}</td>
+                                    <td>${person.email ? `<a href="mailto:${this.escapeHtml(person.email)}">${this.escapeHtml(person.email)}</a>` : ''}</td>
+                                    <td class="num">${owns}</td>
+                                    <td class="num">${contributes}</td>
+                                    <td class="people-actions">
+                                        <button type="button" class="btn-link btn-small" data-action="edit-person" data-person-id="${person.id}">Edit</button>
+                                        <button type="button" class="btn-link btn-small" data-action="remove-person" data-person-id="${person.id}">Remove</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            ` : `
+                <div class="empty-state">
+                    <h3>No people registered</h3>
+                    <p>Add the people who own or contribute to requirements, risks and events.</p>
+                </div>
+            `;
+
+            workloadContainer.innerHTML = workload
+                .filter(entry => entry.person || entry.owned.requirements.some(item => item.outstanding) || entry.owned.risks.length || entry.owned.incidents.length)
+                .map(entry => this.renderOwnerWorkloadCard(entry))
+                .join('');
+        }
+
+        /**
+         * Workload per person across requirements, risks and events.
+         * @returns {Array<Object>} Entries from buildOwnerWorkload(); requirement items carry `outstanding`
+         */
+        getOwnerWorkload() {
+            const requirements = this.domains.flatMap(domain => domain.requirements || []).map(reqId => {
+                const record = this.compliance[reqId] || {};
+                const status = record.status || 'not-set';
+                return { id: reqId, record, status, outstanding: status !== 'yes' && status !== 'na' };
+            });
+            return buildOwnerWorkload(this.people, { requirements, risks: this.risks, incidents: this.incidents });
+        }
+
+        renderOwnerWorkloadCard({ person, owned, contributing }) {
+            const outstanding = owned.requirements.filter(item => item.outstanding);
+            const highRisks = owned.risks.filter(risk => risk.severity === 'high' || risk.severity === 'critical').length;
+            const matrix = this.getRiskMatrix();
+            const aboveTolerance = owned.risks.filter(risk => risk.status !== 'closed' && isAboveTolerance(risk.severity, matrix)).length;
+            const reviewsDue = person
+                ? this.getReviewReminders(owned.requirements.map(item => item.id)).filter(reminder => reminder.kind === 'review').length
+                : 0;
+            const title = person ? this.escapeHtml(person.name) : 'No owner assigned';
+            const subtitle = person ? this.escapeHtml([person.role, person.branch].filter(Boolean).join(' · ')) : 'Outstanding work nobody is accountable for';
+
+            return `
+                <article class="owner-workload-card ${person ? '' : 'unowned'}">
+                    <header>
+                        <h4>${title}</h4>
+                        ${subtitle ? `<p class="subtitle-sm">${subtitle}</p>` : ''}
+                    </header>
+                    <dl class="owner-workload-stats">
+                        <div><dt>Requirements</dt><dd>${owned.requirements.length - outstanding.length} met / ${owned.requirements.length}</dd></div>
+                        <div><dt>Outstanding</dt><dd>${outstanding.length}</dd></div>
+                        <div><dt>Risks</dt><dd>${owned.risks.length}${highRisks ? ` <span class="severity-badge high">${highRisks} high+</span>` : ''}${aboveTolerance ? ` <span class="tolerance-chip">${aboveTolerance} above tolerance</span>` : ''}</dd></div>
+                        <div><dt>Events</dt><dd>${owned.incidents.length}</dd></div>
+                        ${person ? `<div><dt>Reviews due</dt><dd>${reviewsDue}</dd></div>` : ''}
+                        ${person ? `<div><dt>Contributing to</dt><dd>${contributing.requirements + contributing.risks + contributing.incidents}</dd></div>` : ''}
+                    </dl>
+                    ${outstanding.length ? `
+                        <ul class="owner-workload-list">
+                            ${outstanding.slice(0, 8).map(item => `
+                                <li data-action="view-requirement" data-requirement-id="${item.id}" tabindex="0" role="button">
+                                    <span class="requirement-code">${item.id}</span>
+                                    <span class="requirement-status ${item.status}">${this.getStatusText(item.status)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                        ${outstanding.length > 8 ? `<p class="subtitle-sm">…and ${outstanding.length - 8} more.</p>` : ''}
+                    ` : ''}
+                </article>
+            `;
+        }
+
+        showPersonModal(personId = null) {
+            const existing = personId ? this.people.find(person => person.id === personId) : null;
+            const person = existing || { name: '', role: '', branch: '', email: '' };
+            const modalContent = `
+                <div class="modal-content">
+                    <h3>${existing ? 'Edit Person' : 'Add Person'}</h3>
+                    <form id="personForm">
+                        <div class="form-group">
+                            <label for="personName">Name</label>
+                            <input type="text" id="personName" maxlength="200" required value="${this.escapeHtml(person.name)}">
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="personRole">Role</label>
+                                <input type="text" id="personRole" maxlength="200" placeholder="e.g., Chief Security Officer" value="${this.escapeHtml(person.role)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="personBranch">Branch</label>
+                                <input type="text" id="personBranch" maxlength="200" placeholder="e.g., Security Operations" value="${this.escapeHtml(person.branch)}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="personEmail">Email</label>
+                            <input type="email" id="personEmail" maxlength="254" value="${this.escapeHtml(person.email)}">
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelPersonBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">${existing ? 'Save Changes' : 'Add Person'}</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'personModal' });
+            modal.addTrackedListener(modal.querySelector('#cancelPersonBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#personForm'), 'submit', (event) => {
+                event.preventDefault();
+                const fields = {
+                    name: modal.querySelector('#personName').value,
+                    role: modal.querySelector('#personRole').value,
+                    branch: modal.querySelector('#personBranch').value,
+                    email: modal.querySelector('#personEmail').value.trim()
+                };
+                if (!fields.name.trim()) {
+                    this.showNotification('Enter a name for this person.', 'warning');
+                    return;
+                }
+                if (!isValidEmail(fields.email)) {
+                    this.showNotification('Enter a valid email address or leave it blank.', 'warning');
+                    return;
+                }
+                this.savePerson(personId, fields);
+                modal.remove();
+            });
+        }
+
+        savePerson(personId, fields) {
+            const existing = personId ? this.people.find(person => person.id === personId) : null;
+            if (existing) {
+                Object.assign(existing, createPerson({ ...existing, ...fields, updatedAt: new Date().toISOString() }));
+            } else {
+                this.people.push(createPerson(fields));
+            }
+            this.saveData();
+            this.renderPeopleView();
+            this.showNotification(existing ? 'Person updated.' : `${fields.name.trim()} added to the people register.`, 'success');
+        }
+
+        removePerson(personId) {
+            const person = this.people.find(p => p.id === personId);
+            if (!person) return;
+            const entry = this.getOwnerWorkload().find(item => item.person?.id === personId);
+            const owns = entry.owned.requirements.length + entry.owned.risks.length + entry.owned.incidents.length;
+            const message = owns
+                ? `Remove ${person.name}? They are the accountable owner of ${owns} item${owns === 1 ? '' : 's'}, which will be left without an owner.`
+                : `Remove ${person.name} from the people register?`;
+            if (!confirm(message)) return;
+
+            this.people = this.people.filter(p => p.id !== personId);
+            const personIds = this.getPersonIds();
+            Object.values(this.compliance).forEach(record => {
+                if (record.ownerId || record.contributorIds) {
+                    this.applyRequirementOwnership(record, normaliseOwnership(record, personIds));
+                }
+            });
+            [...this.risks, ...this.incidents].forEach(record => {
+                Object.assign(record, normaliseOwnership(record, personIds));
+            });
+            if (this.activeOwnerFilter === personId) {
+                this.activeOwnerFilter = '';
+            }
+            this.saveData();
+            this.renderPeopleView();
+            this.showNotification(`${person.name} removed from the people register.`, 'success');
+        }
+
+        /**
+         * Make sure a cycle is active, creating one named for the current financial year on
+         * first use. The working compliance set always belongs to the active cycle.
+         * @returns {boolean} True when the collection was changed
+         */
+        ensureAssessmentCycles() {
+            const settings = this.assessmentCycles[CYCLE_SETTINGS_KEY];
+            const active = settings?.activeCycleId ? this.assessmentCycles[settings.activeCycleId] : null;
+            if (active) {
+                if (!active.compliance) return false;
+                // The working set is authoritative for the active cycle
+                const { compliance, ...cycle } = active;
+                this.assessmentCycles[active.id] = cycle;
+                return true;
+            }
+
+            // Adopt a cycle without a stored snapshot, since the working set must be its records
+            const cycle = listAssessmentCycles(this.assessmentCycles).reverse().find(entry => !entry.compliance)
+                || createAssessmentCycle({ name: this.getFinancialYearLabel() });
+            this.assessmentCycles[cycle.id] = cycle;
+            this.assessmentCycles[CYCLE_SETTINGS_KEY] = { activeCycleId: cycle.id, updatedAt: new Date().toISOString() };
+            return true;
+        }
+
+        getAssessmentCycles() {
+            return listAssessmentCycles(this.assessmentCycles);
+        }
+
+        getActiveCycle() {
+            return this.assessmentCycles[this.assessmentCycles[CYCLE_SETTINGS_KEY]?.activeCycleId] || null;
+        }
+
+        /**
+         * Compliance records of any cycle; the active one reads the working set.
+         * @param {string} cycleId
+         * @returns {Object<string, Object>}
+         */
+        getCycleCompliance(cycleId) {
+            if (cycleId === this.getActiveCycle()?.id) return this.compliance;
+            return this.assessmentCycles[cycleId]?.compliance || {};
+        }
+
+        /**
+         * Make another cycle the working one. The current records are stored on the cycle
+         * being left and the target cycle's records become the working set.
+         * @param {string} cycleId
+         */
+        switchAssessmentCycle(cycleId) {
+            const active = this.getActiveCycle();
+            const target = this.assessmentCycles[cycleId];
+            if (!target || target.id === active?.id) return;
+
+            const now = new Date().toISOString();
+            if (active) {
+                this.assessmentCycles[active.id] = { ...active, compliance: this.compliance, updatedAt: now };
+            }
+            const { compliance, ...cycle } = target;
+            this.compliance = compliance || {};
+            this.assessmentCycles[cycle.id] = { ...cycle, updatedAt: now };
+            this.assessmentCycles[CYCLE_SETTINGS_KEY] = { activeCycleId: cycle.id, updatedAt: now };
+            // Recorded edits belong to the cycle being left
+            this.undoStack.clear();
+            // Log the switch itself rather than every record of the other cycle
+            this.rebaselineAuditCollection('compliance');
+            this.appendAuditEntries([{
+                action: 'switch',
+                collection: 'assessmentCycles',
+                entityId: cycle.id,
+                entityLabel: cycle.name,
+                field: 'Active cycle',
+                oldValue: active?.name || '',
+                newValue: cycle.name
+            }]);
+
+            this.saveData();
+            this.refreshAfterCycleChange();
+            this.showNotification(`Now assessing ${cycle.name}.`, 'success');
+        }
+
+        /**
+         * Start a new cycle from the active cycle's statuses and switch to it.
+         * @param {{name: string, carryComments?: boolean, carryEvidence?: boolean}} options
+         * @returns {Object|null} The new cycle
+         */
+        rollForwardCycle({ name, carryComments = false, carryEvidence = true }) {
+            const trimmed = String(name || '').trim();
+            if (!trimmed) {
+                this.showNotification('Enter a name for the new cycle.', 'warning');
+                return null;
+            }
+            if (this.getAssessmentCycles().some(cycle => cycle.name.toLowerCase() === trimmed.toLowerCase())) {
+                this.showNotification(`A cycle named "${trimmed}" already exists.`, 'warning');
+                return null;
+            }
+
+            const source = this.getActiveCycle();
+            const cycle = createAssessmentCycle({ name: trimmed, rolledForwardFrom: source?.id });
+            this.assessmentCycles[cycle.id] = {
+                ...cycle,
+                compliance: rollForwardCompliance(this.compliance, { carryComments, carryEvidence, requirements: this.requirements })
+            };
+            this.switchAssessmentCycle(cycle.id);
+            return cycle;
+        }
+
+        renameAssessmentCycle(cycleId) {
+            const cycle = this.assessmentCycles[cycleId];
+            if (!cycle) return;
+            const name = prompt('Enter a new name for this cycle:', cycle.name);
+            if (name === null || !name.trim() || name.trim() === cycle.name) return;
+            if (this.getAssessmentCycles().some(entry => entry.id !== cycleId && entry.name.toLowerCase() === name.trim().toLowerCase())) {
+                this.showNotification(`A cycle named "${name.trim()}" already exists.`, 'warning');
+                return;
+            }
+            this.assessmentCycles[cycleId] = { ...cycle, name: name.trim(), updatedAt: new Date().toISOString() };
+            this.saveData();
+            this.renderCycleSwitcher();
+            this.renderCycleManagerList();
+            if (this.currentView === 'compare') this.renderCycleComparison();
+        }
+
+        deleteAssessmentCycle(cycleId) {
+            const cycle = this.assessmentCycles[cycleId];
+            if (!cycle) return;
+            if (cycleId === this.getActiveCycle()?.id) {
+                this.showNotification('Switch to another cycle before deleting this one.', 'warning');
+                return;
+            }
+            if (!confirm(`Delete the ${cycle.name} cycle and all of its compliance records? A snapshot is saved first.`)) return;
+
+            this.takeWorkspaceSnapshot({ name: `Before deleting the ${cycle.name} cycle`, trigger: 'bulk' });
+            const attachmentIds = Object.values(cycle.compliance || {})
+                .flatMap(record => record?.evidence || [])
+                .filter(item => item.type === 'file' && item.file?.attachmentId)
+                .map(item => item.file.attachmentId);
+            delete this.assessmentCycles[cycleId];
+            attachmentIds.forEach(attachmentId => this.releaseAttachment(attachmentId));
+
+            this.saveData();
+            this.renderCycleSwitcher();
+            this.renderCycleManagerList();
+            if (this.currentView === 'compare') this.renderCycleComparison();
+            this.showNotification(`${cycle.name} deleted.`, 'success');
+        }
+
+        refreshAfterCycleChange() {
+            this.renderCycleSwitcher();
+            this.renderCycleManagerList();
+            this.updateDataStats();
+            this.renderHome();
+            this.renderMyWorkView();
+            this.renderProgress();
+            this.renderDomainRequirementHeatmap();
+
+            const requirementsSection = document.getElementById('requirementsSection');
+            if (this.currentView === 'home' && this.selectedDomain && requirementsSection && !requirementsSection.classList.contains('hidden')) {
+                this.showDomainRequirements(this.selectedDomain);
+            } else if (this.currentView !== 'home') {
+                this.showView(this.currentView);
+            }
+        }
+
+        renderCycleSwitcher() {
+            if (typeof document === 'undefined') return;
+            const switcher = document.getElementById('cycleSwitcher');
+            if (!switcher) return;
+            const activeId = this.getActiveCycle()?.id;
+            switcher.innerHTML = this.getAssessmentCycles().map(cycle => `
+                <option value="${this.escapeHtml(cycle.id)}" ${cycle.id === activeId ? 'selected' : ''}>${this.escapeHtml(cycle.name)}</option>
+            `).join('');
+        }
+
+        renderCycleManagerList() {
+            if (typeof document === 'undefined') return;
+            const list = document.getElementById('cycleManagerList');
+            if (!list) return;
+            const activeId = this.getActiveCycle()?.id;
+            list.innerHTML = this.getAssessmentCycles().map(cycle => {
+                const source = cycle.rolledForwardFrom ? this.assessmentCycles[cycle.rolledForwardFrom] : null;
+                const assessed = Object.values(this.getCycleCompliance(cycle.id)).filter(record => record?.status && record.status !== 'not-set').length;
+                return `
+                    <li class="cycle-manager-item${cycle.id === activeId ? ' active' : ''}">
+                        <div>
+                            <strong>${this.escapeHtml(cycle.name)}</strong>${cycle.id === activeId ? ' <span class="cycle-active-badge">Active</span>' : ''}
+                            <p class="subtitle-sm">${assessed} requirement${assessed === 1 ? '' : 's'} assessed · started ${this.escapeHtml(this.formatTimestamp(cycle.createdAt))}${source ? ` · rolled forward from ${this.escapeHtml(source.name)}` : ''}</p>
+                        </div>
+                        <div class="cycle-manager-actions">
+                            ${cycle.id === activeId ? '' : `<button type="button" class="btn-link btn-small" data-action="switch-cycle" data-cycle-id="${this.escapeHtml(cycle.id)}">Switch</button>`}
+                            <button type="button" class="btn-link btn-small" data-action="rename-cycle" data-cycle-id="${this.escapeHtml(cycle.id)}">Rename</button>
+                            ${cycle.id === activeId ? '' : `<button type="button" class="btn-link btn-small" data-action="delete-cycle" data-cycle-id="${this.escapeHtml(cycle.id)}">Delete</button>`}
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        }
+
+        /**
+         * Suggest the financial year after the newest cycle's, e.g. "FY2026-27" after "FY2025-26".
+         * @returns {string}
+         */
+        suggestNextCycleName() {
+            const names = new Set(this.getAssessmentCycles().map(cycle => cycle.name));
+            const years = [...names].map(name => /^FY(\d{4})-\d{2}$/.exec(name)).filter(Boolean).map(match => Number(match[1]));
+            let startYear = years.length ? Math.max(...years) + 1 : Number(this.getFinancialYearLabel().slice(2, 6));
+            while (names.has(this.getFinancialYearLabel(new Date(startYear, 6, 1)))) startYear += 1;
+            return this.getFinancialYearLabel(new Date(startYear, 6, 1));
+        }
+
+        showCycleManagerModal() {
+            const active = this.getActiveCycle();
+            const modalContent = `
+                <div class="modal-content">
+                    <h3>Assessment Cycles</h3>
+                    <p class="subtitle-sm">Each cycle keeps its own statuses, comments and evidence. The active cycle is the one you are editing.</p>
+                    <ul class="cycle-manager-list" id="cycleManagerList"></ul>
+                    <form id="rollForwardForm" class="cycle-roll-forward">
+                        <h4>Roll forward a new cycle</h4>
+                        <p class="subtitle-sm">Starts a new cycle from the statuses in ${this.escapeHtml(active?.name || 'the active cycle')} and switches to it.</p>
+                        <div class="form-group">
+                            <label for="rollForwardName">Cycle name</label>
+                            <input type="text" id="rollForwardName" maxlength="100" required value="${this.escapeHtml(this.suggestNextCycleName())}">
+                        </div>
+                        <div class="form-group">
+                            <label class="cycle-option"><input type="checkbox" id="rollForwardEvidence" checked> Carry evidence forward</label>
+                            <label class="cycle-option"><input type="checkbox" id="rollForwardComments"> Carry comments forward</label>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="compareCyclesModalBtn" ${this.getAssessmentCycles().length < 2 ? 'disabled' : ''}>Compare cycles</button>
+                            <button type="button" class="btn btn-secondary" id="closeCyclesBtn">Close</button>
+                            <button type="submit" class="btn btn-primary">Roll Forward</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'cycleManagerModal' });
+            this.renderCycleManagerList();
+            modal.addTrackedListener(modal.querySelector('#closeCyclesBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#compareCyclesModalBtn'), 'click', () => {
+                modal.remove();
+                this.showView('compare');
+                this.updateNavButtons('progressBtn');
+            });
+            modal.addTrackedListener(modal.querySelector('#rollForwardForm'), 'submit', (event) => {
+                event.preventDefault();
+                const cycle = this.rollForwardCycle({
+                    name: modal.querySelector('#rollForwardName').value,
+                    carryEvidence: modal.querySelector('#rollForwardEvidence').checked,
+                    carryComments: modal.querySelector('#rollForwardComments').checked
+                });
+                if (cycle) modal.remove();
+            });
+        }
+
+        /**
+         * Render the comparison view for the cycles picked in its selectors, defaulting to
+         * the active cycle against the one before it.
+         */
+        renderCycleComparison() {
+            const fromSelect = document.getElementById('compareFromCycle');
+            const toSelect = document.getElementById('compareToCycle');
+            const container = document.getElementById('cycleComparison');
+            if (!fromSelect || !toSelect || !container) return;
+
+            const cycles = this.getAssessmentCycles();
+            const activeId = this.getActiveCycle()?.id;
+            const hasCycle = id => cycles.some(cycle => cycle.id === id);
+            const activeIndex = cycles.findIndex(cycle => cycle.id === activeId);
+            const toId = hasCycle(toSelect.value) ? toSelect.value : activeId;
+            const fromId = hasCycle(fromSelect.value) ? fromSelect.value : cycles[Math.max(0, activeIndex - 1)]?.id;
+            const options = selected => cycles.map(cycle => `
+                <option value="${this.escapeHtml(cycle.id)}" ${cycle.id === selected ? 'selected' : ''}>${this.escapeHtml(cycle.name)}${cycle.id === activeId ? ' (active)' : ''}</option>
+            `).join('');
+            fromSelect.innerHTML = options(fromId);
+            toSelect.innerHTML = options(toId);
+
+            if (cycles.length < 2) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <h3>Only one cycle so far</h3>
+                        <p>Roll forward a new cycle from the Cycles menu in the header to compare assessments over time.</p>
+                    </div>
+                `;
+                return;
+            }
+
+            const fromName = this.assessmentCycles[fromId]?.name || '';
+            const toName = this.assessmentCycles[toId]?.name || '';
+            const comparison = compareCycles(this.getCycleCompliance(fromId), this.getCycleCompliance(toId), this.domains);
+            const filter = document.getElementById('compareMovementFilter')?.value || 'changes';
+            const rows = comparison.requirements.filter(row => (filter === 'changes' ? row.movement !== 'unchanged' : row.movement === filter));
+            const domainTitles = new Map(this.domains.map(domain => [domain.id, domain.title]));
+
+            container.innerHTML = `
+                <div class="compare-summary">
+                    <div class="compare-stat improved"><strong>${comparison.totals.improved}</strong>Improved</div>
+                    <div class="compare-stat regressed"><strong>${comparison.totals.regressed}</strong>Regressed</div>
+                    <div class="compare-stat"><strong>${comparison.totals.changed}</strong>Changed</div>
+                    <div class="compare-stat"><strong>${comparison.totals.unchanged}</strong>Unchanged</div>
+                </div>
+
+                <div class="compare-card">
+                    <h3>By domain</h3>
+                    <table class="compare-table">
+                        <thead>
+                            <tr><th>Domain</th><th class="num">${this.escapeHtml(fromName)}</th><th class="num">${this.escapeHtml(toName)}</th><th class="num">Movement</th><th class="num">Improved</th><th class="num">Regressed</th></tr>
+                        </thead>
+                        <tbody>
+                            ${comparison.domains.map(domain => {
+                                const delta = domain.toPercentage - domain.fromPercentage;
+                                return `
+                                    <tr>
+                                        <td><button type="button" class="btn-link" data-action="view-domain" data-domain-id="${this.escapeHtml(domain.id)}">${this.escapeHtml(domain.title)}</button></td>
+                                        <td class="num">${domain.fromPercentage}%</td>
+                                        <td class="num">${domain.toPercentage}%</td>
+                                        <td class="num compare-delta ${delta > 0 ? 'improved' : delta < 0 ? 'regressed' : ''}">${delta > 0 ? '+' : ''}${delta} pts</td>
+                                        <td class="num">${domain.improved}</td>
+                                        <td class="num">${domain.regressed}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="compare-card">
+                    <h3>By requirement</h3>
+                    ${rows.length ? `
+                        <table class="compare-table">
+                            <thead>
+                                <tr><th>Requirement</th><th>Domain</th><th>${this.escapeHtml(fromName)}</th><th>${this.escapeHtml(toName)}</th></tr>
+                            </thead>
+                            <tbody>
+                                ${rows.map(row => `
+                                    <tr class="compare-row ${row.movement}">
+                                        <td>
+                                            <button type="button" class="btn-link" data-action="view-requirement" data-requirement-id="${this.escapeHtml(row.id)}">${this.escapeHtml(row.id)}</button>
+                                            ${this.escapeHtml(this.requirements[row.id]?.title || '')}
+                                        </td>
+                                        <td>${this.escapeHtml(domainTitles.get(row.domainId) || '')}</td>
+                                        <td><span class="compare-status ${row.from}">${this.getStatusText(row.from)}</span></td>
+                                        <td><span class="compare-status ${row.to}">${this.getStatusText(row.to)}</span> <span class="compare-arrow" aria-label="${row.movement}">${row.movement === 'improved' ? '▲' : row.movement === 'regressed' ? '▼' : '•'}</span></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : `<p class="history-empty-msg">No requirements ${filter === 'changes' ? 'changed' : filter} between ${this.escapeHtml(fromName)} and ${this.escapeHtml(toName)}.</p>`}
+                </div>
+            `;
+        }
+
+        getCurrentUserTagUsage(tagId) {
+            if (!this.currentUserProfile) return 0;
+            const assignments = this.getCurrentUserAssignmentMap();
+            return Object.values(assignments).filter(tags => tags.includes(tagId)).length;
+        }
+
+        performSearch(query) {
+            const results = [];
+            const searchResults = document.getElementById('searchResults');
+            const spinner = document.getElementById('searchSpinner');
+
+            if (spinner) spinner.style.display = 'block';
+            if (searchResults) searchResults.innerHTML = '';
+
+            // Search projects
+            this.projects.forEach(project => {
+                if (project.name.toLowerCase().includes(query) || 
+                    project.description.toLowerCase().includes(query)) {
+                    results.push({
+                        type: 'Project',
+                        title: project.name,
                         description: project.description,
                         id: project.id
                     });
@@ -2351,12 +4878,13 @@ export class PSPFExplorer {
             this.risks.forEach(risk => {
                 if (risk.name.toLowerCase().includes(query) || 
                     risk.description.toLowerCase().includes(query) ||
-                    risk.mitigation.toLowerCase().includes(query)) {
+                    (risk.mitigation || '').toLowerCase().includes(query)) {
                     results.push({
                         type: 'Risk',
                         title: risk.name,
                         description: risk.description,
                         severity: risk.severity,
+                        aboveTolerance: risk.status !== 'closed' && isAboveTolerance(risk.severity, this.getRiskMatrix()),
                         id: risk.id
                     });
                 }
@@ -2405,7 +4933,8 @@ export class PSPFExplorer {
                         <h4>${result.title}</h4>
                         <p>${result.description}</p>
                         ${result.domain ? `<span class="result-domain ${result.domainId ? 'result-domain-clickable' : ''}">Domain: ${result.domain}</span>` : ''}
-                        ${result.severity ? `<span class="result-severity severity-${result.severity}">Risk Level: ${result.severity.toUpperCase()}</span>` : ''}
+                        ${result.severity ? `<span class="result-severity severity-${result.severity}">Risk Level: ${this.escapeHtml(this.getRiskRatingLabel(result.severity).toUpperCase())}</span>` : ''}
+                        ${result.aboveTolerance ? '<span class="tolerance-chip">Above tolerance</span>' : ''}
                     </div>
                 `;
             };
@@ -2665,8 +5194,7 @@ export class PSPFExplorer {
             return this.incidents.filter(incident => incident.projectId === projectId).length;
         }
 
-        addRisk(projectId) {
-            this.currentProjectId = projectId;
+        addRisk(projectId = null) {
             this.showRiskModal(null, projectId);
         }
 
@@ -2726,6 +5254,12 @@ export class PSPFExplorer {
                 this.projects = this.projects.filter(p => p.id !== projectId);
                 this.risks = this.risks.filter(risk => risk.projectId !== projectId);
                 this.incidents = this.incidents.filter(incident => incident.projectId !== projectId);
+                // Vendors serve more than one project, so they stay and only lose the link
+                this.vendors = this.vendors.map(vendor => ((vendor.projectIds || []).includes(projectId)
+                    ? { ...vendor, projectIds: vendor.projectIds.filter(id => id !== projectId) }
+                    : vendor));
+                // Recorded risk, event, vendor and link edits may refer to the deleted project
+                this.undoStack.clear();
                 this.saveData();
                 this.renderProjects();
                 this.clearProjectDetails();
@@ -2746,6 +5280,46 @@ export class PSPFExplorer {
         }
 
         // Modal Management
+        /**
+         * Create a modal with proper event listener cleanup
+         * @param {string} content - HTML content for the modal
+         * @param {Object} options - Modal options
+         * @returns {HTMLElement} The modal element
+         */
+        createModal(content, options = {}) {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            if (options.id) modal.id = options.id;
+            modal.innerHTML = content;
+
+            // Store event listeners for cleanup
+            modal._eventListeners = [];
+
+            // Helper to add tracked event listeners
+            modal.addTrackedListener = (element, event, handler) => {
+                if (!element) return;
+                element.addEventListener(event, handler);
+                modal._eventListeners.push({ element, event, handler });
+            };
+
+            // Enhanced remove method that cleans up listeners
+            const originalRemove = modal.remove.bind(modal);
+            modal.remove = () => {
+                modal._eventListeners.forEach(({ element, event, handler }) => {
+                    element.removeEventListener(event, handler);
+                });
+                modal._eventListeners = [];
+                this.activeModals.delete(modal);
+                originalRemove();
+            };
+
+            document.body.appendChild(modal);
+            modal.style.display = 'block';
+            this.activeModals.add(modal);
+
+            return modal;
+        }
+
         hideModal(modalId) {
             const modal = document.getElementById(modalId);
             if (modal) {
@@ -2757,91 +5331,426 @@ export class PSPFExplorer {
         }
 
         // Risk Management CRUD Operations
+        /**
+         * Risk and event modals both ask which project, if any, the record belongs to.
+         * @param {string} selectId
+         * @param {string|null} projectId
+         */
+        populateProjectSelect(selectId, projectId = null) {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            select.innerHTML = '<option value="">No project (entity-wide)</option>' + this.projects
+                .map(project => `<option value="${this.escapeHtml(project.id)}">${this.escapeHtml(project.name)}</option>`)
+                .join('');
+            select.value = this.projects.some(project => project.id === projectId) ? projectId : '';
+        }
+
         showRiskModal(riskId = null, projectId = null) {
             this.editingRisk = riskId;
-            if (projectId) {
-                this.currentProjectId = projectId;
-            }
             const modal = document.getElementById('riskModal');
             const title = document.getElementById('riskModalTitle');
             const form = document.getElementById('riskForm');
+            this.populateRiskLevelOptions();
 
             if (riskId) {
                 const risk = this.risks.find(r => r.id === riskId);
                 if (risk) {
-                    if (!projectId && risk.projectId) {
-                        this.currentProjectId = risk.projectId;
-                    }
                     title.textContent = 'Edit Risk';
                     document.getElementById('riskName').value = risk.name;
                     document.getElementById('riskDesc').value = risk.description;
+                    document.getElementById('riskInherentLikelihood').value = risk.inherentLikelihood || risk.likelihood;
+                    document.getElementById('riskInherentImpact').value = risk.inherentImpact || risk.impact;
                     document.getElementById('riskLikelihood').value = risk.likelihood;
                     document.getElementById('riskImpact').value = risk.impact;
+                    document.getElementById('riskTreatment').value = risk.treatment || '';
+                    document.getElementById('riskStatus').value = risk.status || DEFAULT_RISK_STATUS;
+                    document.getElementById('riskReviewDate').value = risk.reviewDate || '';
                     document.getElementById('riskMitigation').value = risk.mitigation || '';
+                    document.getElementById('riskControls').value = (risk.controlIds || []).join(', ');
+                    this.renderRiskActionRows(risk.actions || []);
+                    this.populateOwnershipFields('risk', risk);
+                    this.populateProjectSelect('riskProject', risk.projectId);
                 }
             } else {
                 title.textContent = 'Add Risk';
                 form.reset();
+                this.renderRiskActionRows([]);
+                this.populateOwnershipFields('risk');
+                this.populateProjectSelect('riskProject', projectId);
             }
 
             modal.style.display = 'block';
         }
 
+        /**
+         * Fill the treatment action rows on the static risk form.
+         * @param {Array<Object>} actions
+         */
+        renderRiskActionRows(actions) {
+            const list = document.getElementById('riskActionsList');
+            if (!list) return;
+            list.innerHTML = actions.length
+                ? actions.map(action => this.renderRiskActionRow(action)).join('')
+                : '<p class="history-empty-msg">No treatment actions yet.</p>';
+        }
+
+        renderRiskActionRow(action) {
+            const id = this.escapeHtml(action.id);
+            return `
+                <div class="risk-action-row" data-action-id="${id}" data-completed-at="${this.escapeHtml(action.completedAt || '')}">
+                    <input type="checkbox" class="risk-action-done" aria-label="Done" ${action.done ? 'checked' : ''}>
+                    <input type="text" class="risk-action-description" aria-label="Action" placeholder="What needs to be done" value="${this.escapeHtml(action.description)}">
+                    <input type="date" class="risk-action-due" aria-label="Due date" value="${this.escapeHtml(action.dueDate || '')}">
+                    <button type="button" class="btn-link btn-small" data-action="remove-risk-action" aria-label="Remove action">Remove</button>
+                </div>
+            `;
+        }
+
+        addRiskActionRow() {
+            const list = document.getElementById('riskActionsList');
+            if (!list) return;
+            list.querySelector('.history-empty-msg')?.remove();
+            list.insertAdjacentHTML('beforeend', this.renderRiskActionRow(createTreatmentAction()));
+            list.querySelector('.risk-action-row:last-child .risk-action-description')?.focus();
+        }
+
+        removeRiskActionRow(button) {
+            const row = button.closest('.risk-action-row');
+            const list = row?.parentElement;
+            row?.remove();
+            if (list && !list.querySelector('.risk-action-row')) this.renderRiskActionRows([]);
+        }
+
+        /**
+         * Treatment actions as currently entered on the risk form. Rows without a
+         * description are dropped.
+         * @returns {Array<Object>}
+         */
+        readRiskActionRows() {
+            const list = document.getElementById('riskActionsList');
+            if (!list) return [];
+            return [...list.querySelectorAll('.risk-action-row')]
+                .map(row => createTreatmentAction({
+                    id: row.dataset.actionId,
+                    description: row.querySelector('.risk-action-description')?.value,
+                    dueDate: row.querySelector('.risk-action-due')?.value,
+                    done: row.querySelector('.risk-action-done')?.checked === true,
+                    completedAt: row.dataset.completedAt || null
+                }))
+                .filter(action => action.description);
+        }
+
         handleRiskForm(e) {
             e.preventDefault();
             this.saveRisk();
         }
 
         saveRisk() {
+            const { ids: controlIds, unknown } = parseControlIds(document.getElementById('riskControls').value, this.requirements);
+            if (unknown.length) {
+                this.showNotification(`Unknown requirement ID${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`, 'error');
+                document.getElementById('riskControls').focus();
+                return;
+            }
+
+            const inherentLikelihood = document.getElementById('riskInherentLikelihood').value;
+            const inherentImpact = document.getElementById('riskInherentImpact').value;
             const likelihood = document.getElementById('riskLikelihood').value;
             const impact = document.getElementById('riskImpact').value;
-            const severity = this.calculateRiskSeverity(likelihood, impact);
+            const now = new Date().toISOString();
 
             const riskData = {
                 name: document.getElementById('riskName').value,
                 description: document.getElementById('riskDesc').value,
+                inherentLikelihood,
+                inherentImpact,
+                inherentSeverity: this.calculateRiskSeverity(inherentLikelihood, inherentImpact),
                 likelihood: likelihood,
                 impact: impact,
-                severity: severity,
+                severity: this.calculateRiskSeverity(likelihood, impact),
+                treatment: document.getElementById('riskTreatment').value,
                 mitigation: document.getElementById('riskMitigation').value,
-                projectId: this.currentProjectId,
-                createdAt: new Date().toISOString()
+                controlIds,
+                actions: this.readRiskActionRows(),
+                reviewDate: document.getElementById('riskReviewDate').value,
+                status: document.getElementById('riskStatus').value || DEFAULT_RISK_STATUS,
+                ...this.readOwnershipFields('risk'),
+                projectId: document.getElementById('riskProject').value || null,
+                updatedAt: now
             };
 
-            if (this.editingRisk) {
-                const index = this.risks.findIndex(r => r.id === this.editingRisk);
-                if (index !== -1) {
-                    this.risks[index] = { ...this.risks[index], ...riskData };
-                }
-            } else {
-                riskData.id = Date.now().toString();
-                this.risks.push(riskData);
-            }
+            const riskId = this.editingRisk || Date.now().toString();
+            const command = this.recordUndoable(`Risk "${riskData.name}"`, this.registerUndoScope('risks', riskId), () => {
+                if (this.editingRisk) {
+                    const index = this.risks.findIndex(r => r.id === this.editingRisk);
+                    if (index !== -1) {
+                        this.risks[index] = { ...this.risks[index], ...riskData };
+                    }
+                } else {
+                    riskData.id = riskId;
+                    riskData.createdAt = now;
+                    this.risks.push(riskData);
+                }
+                this.saveData();
+            });
 
-            this.saveData();
             this.hideModal('riskModal');
-            this.renderRisks();
+            this.refreshRiskViews();
             this.updateDataStats();
             this.updateProjectTabCounts();
+            this.notifyUndoable('Risk saved.', command);
         }
 
         calculateRiskSeverity(likelihood, impact) {
-            const values = {
-                'very-low': 1,
-                'low': 2,
-                'medium': 3,
-                'high': 4,
-                'very-high': 5
+            return rateRisk(likelihood, impact, this.getRiskMatrix());
+        }
+
+        /**
+         * The configured risk matrix, with defaults for anything not yet configured.
+         * @returns {Object} From normaliseRiskMatrix()
+         */
+        getRiskMatrix() {
+            return normaliseRiskMatrix(this.riskMatrix);
+        }
+
+        getRiskLevelLabel(axis, level) {
+            return this.getRiskMatrix()[axis][level]?.label || level || '';
+        }
+
+        getRiskRatingLabel(rating) {
+            return this.getRiskMatrix().ratings[rating]?.label || rating || '';
+        }
+
+        renderRiskRatingBadge(rating, { icon = false } = {}) {
+            if (!rating) return '';
+            return `<span class="severity-badge ${this.escapeHtml(rating)}">${icon ? `${this.getRiskSeverityIcon(rating)} ` : ''}${this.escapeHtml(this.getRiskRatingLabel(rating))}</span>`;
+        }
+
+        renderRiskToleranceChip(risk) {
+            if (risk.status === 'closed' || !isAboveTolerance(risk.severity, this.getRiskMatrix())) return '';
+            return '<span class="tolerance-chip" title="The residual rating is above the risk tolerance set in the risk matrix">Above tolerance</span>';
+        }
+
+        /**
+         * Scope over the risk matrix and every risk, which are re-rated when it changes.
+         */
+        riskMatrixUndoScope() {
+            return {
+                read: () => ({ riskMatrix: this.riskMatrix, risks: this.risks }),
+                write: ({ riskMatrix, risks }) => {
+                    this.riskMatrix = riskMatrix;
+                    this.risks = risks;
+                    this.saveData();
+                    this.refreshRiskViews();
+                }
             };
+        }
+
+        showRiskMatrixModal() {
+            const matrix = this.getRiskMatrix();
+            const ratingOptions = (selected) => RISK_SEVERITY_KEYS
+                .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${this.escapeHtml(matrix.ratings[key].label)}</option>`)
+                .join('');
+            const scaleRows = (axis) => RISK_LEVEL_KEYS.map(level => `
+                <div class="form-row risk-scale-row">
+                    <div class="form-group">
+                        <label for="matrix-${axis}-${level}-label">${this.escapeHtml(RISK_LEVELS[level].label)} (${RISK_LEVELS[level].value})</label>
+                        <input type="text" id="matrix-${axis}-${level}-label" data-axis="${axis}" data-level="${level}" data-field="label" maxlength="60" value="${this.escapeHtml(matrix[axis][level].label)}">
+                    </div>
+                    <div class="form-group risk-scale-description">
+                        <label for="matrix-${axis}-${level}-description">Description</label>
+                        <input type="text" id="matrix-${axis}-${level}-description" data-axis="${axis}" data-level="${level}" data-field="description" maxlength="300" value="${this.escapeHtml(matrix[axis][level].description)}">
+                    </div>
+                </div>
+            `).join('');
+
+            const modalContent = `
+                <div class="modal-content risk-matrix-modal">
+                    <h3>Risk Matrix and Tolerance</h3>
+                    <p class="subtitle-sm">How likelihood and impact combine into a rating, and the tolerance the Accountable Authority has set (RISK-036). Saving re-rates every risk.</p>
+                    <form id="riskMatrixForm">
+                        <fieldset class="risk-rating-group">
+                            <legend>Risk tolerance</legend>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="matrixTolerance">Highest accepted residual rating</label>
+                                    <select id="matrixTolerance">
+                                        <option value="">Not set</option>
+                                        ${ratingOptions(matrix.tolerance.rating)}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="matrixApprovedBy">Approved by</label>
+                                    <input type="text" id="matrixApprovedBy" maxlength="200" placeholder="e.g., Secretary" value="${this.escapeHtml(matrix.tolerance.approvedBy)}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="matrixApprovedOn">Approved on</label>
+                                    <input type="date" id="matrixApprovedOn" value="${this.escapeHtml(matrix.tolerance.approvedOn)}">
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="matrixToleranceStatement">Tolerance statement</label>
+                                <textarea id="matrixToleranceStatement" rows="2" maxlength="2000">${this.escapeHtml(matrix.tolerance.statement)}</textarea>
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="risk-rating-group">
+                            <legend>Matrix <small class="field-help">rating for each likelihood and impact</small></legend>
+                            <div class="risk-matrix-editor-wrapper">
+                                <table class="risk-matrix-editor">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col"><span class="visually-hidden">Likelihood</span></th>
+                                            ${RISK_LEVEL_KEYS.map(impact => `<th scope="col" data-impact-label="${impact}">${this.escapeHtml(matrix.impact[impact].label)}</th>`).join('')}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${[...RISK_LEVEL_KEYS].reverse().map(likelihood => `
+                                            <tr>
+                                                <th scope="row" data-likelihood-label="${likelihood}">${this.escapeHtml(matrix.likelihood[likelihood].label)}</th>
+                                                ${RISK_LEVEL_KEYS.map(impact => {
+                                                    const rating = matrix.cells[riskMatrixCellKey(likelihood, impact)];
+                                                    return `
+                                                        <td class="risk-matrix-cell ${rating}${isAboveTolerance(rating, matrix) ? ' above-tolerance' : ''}">
+                                                            <select data-cell="${riskMatrixCellKey(likelihood, impact)}" aria-label="Likelihood ${this.escapeHtml(matrix.likelihood[likelihood].label)}, impact ${this.escapeHtml(matrix.impact[impact].label)}">
+                                                                ${ratingOptions(rating)}
+                                                            </select>
+                                                        </td>
+                                                    `;
+                                                }).join('')}
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                                <p class="subtitle-sm">Rows are likelihood, columns are impact. Outlined cells are above tolerance.</p>
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="risk-rating-group">
+                            <legend>Rating labels</legend>
+                            <div class="form-row">
+                                ${RISK_SEVERITY_KEYS.map(key => `
+                                    <div class="form-group">
+                                        <label for="matrix-rating-${key}">${this.escapeHtml(RISK_SEVERITIES[key].label)}</label>
+                                        <input type="text" id="matrix-rating-${key}" data-rating="${key}" maxlength="40" value="${this.escapeHtml(matrix.ratings[key].label)}">
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="risk-rating-group">
+                            <legend>Likelihood scale</legend>
+                            ${scaleRows('likelihood')}
+                        </fieldset>
+
+                        <fieldset class="risk-rating-group">
+                            <legend>Impact scale</legend>
+                            ${scaleRows('impact')}
+                        </fieldset>
+
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-outline" id="resetRiskMatrixBtn">Restore defaults</button>
+                            <button type="button" class="btn btn-secondary" id="cancelRiskMatrixBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save Matrix</button>
+                        </div>
+                    </form>
+                </div>
+            `;
 
-            const likelihoodValue = values[likelihood] || 1;
-            const impactValue = values[impact] || 1;
-            const score = likelihoodValue * impactValue;
+            const modal = this.createModal(modalContent, { id: 'riskMatrixModal' });
+            const form = modal.querySelector('#riskMatrixForm');
 
-            if (score <= 4) return 'low';
-            if (score <= 10) return 'medium';
-            if (score <= 16) return 'high';
-            return 'critical';
+            const readForm = () => {
+                const draft = { likelihood: {}, impact: {}, ratings: {}, cells: {} };
+                form.querySelectorAll('[data-axis]').forEach(input => {
+                    const { axis, level, field } = input.dataset;
+                    draft[axis][level] = { ...draft[axis][level], [field]: input.value };
+                });
+                form.querySelectorAll('[data-rating]').forEach(input => {
+                    draft.ratings[input.dataset.rating] = { label: input.value };
+                });
+                form.querySelectorAll('[data-cell]').forEach(select => {
+                    draft.cells[select.dataset.cell] = select.value;
+                });
+                draft.tolerance = {
+                    rating: form.querySelector('#matrixTolerance').value,
+                    statement: form.querySelector('#matrixToleranceStatement').value,
+                    approvedBy: form.querySelector('#matrixApprovedBy').value,
+                    approvedOn: form.querySelector('#matrixApprovedOn').value
+                };
+                return normaliseRiskMatrix(draft);
+            };
+
+            // Keep cell colours and the tolerance outline in step with the selects
+            const refreshCells = () => {
+                const draft = readForm();
+                form.querySelectorAll('[data-cell]').forEach(select => {
+                    const cell = select.closest('td');
+                    cell.className = `risk-matrix-cell ${select.value}${isAboveTolerance(select.value, draft) ? ' above-tolerance' : ''}`;
+                });
+            };
+            modal.addTrackedListener(form, 'change', refreshCells);
+
+            modal.addTrackedListener(modal.querySelector('#resetRiskMatrixBtn'), 'click', () => {
+                const defaults = normaliseRiskMatrix(DEFAULT_RISK_MATRIX);
+                form.querySelectorAll('[data-axis]').forEach(input => {
+                    const { axis, level, field } = input.dataset;
+                    input.value = defaults[axis][level][field];
+                });
+                form.querySelectorAll('[data-rating]').forEach(input => {
+                    input.value = defaults.ratings[input.dataset.rating].label;
+                });
+                form.querySelectorAll('[data-cell]').forEach(select => {
+                    select.value = defaults.cells[select.dataset.cell];
+                });
+                refreshCells();
+            });
+            modal.addTrackedListener(modal.querySelector('#cancelRiskMatrixBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(form, 'submit', (event) => {
+                event.preventDefault();
+                this.saveRiskMatrix(readForm());
+                modal.remove();
+            });
+        }
+
+        /**
+         * Replace the risk matrix and re-rate every risk against it.
+         * @param {Object} matrix - From normaliseRiskMatrix()
+         */
+        saveRiskMatrix(matrix) {
+            let changed = 0;
+            const command = this.recordUndoable('Risk matrix', this.riskMatrixUndoScope(), () => {
+                this.riskMatrix = matrix;
+                const result = reRateRisks(this.risks, matrix);
+                this.risks = result.risks;
+                changed = result.changed;
+                this.saveData();
+            });
+            this.refreshRiskViews();
+            if (!command) {
+                this.showNotification('The risk matrix is unchanged.', 'info');
+                return;
+            }
+            const aboveTolerance = this.risks.filter(risk => risk.status !== 'closed' && isAboveTolerance(risk.severity, matrix)).length;
+            const parts = [`${changed} risk${changed === 1 ? '' : 's'} re-rated`];
+            if (matrix.tolerance.rating) parts.push(`${aboveTolerance} above tolerance`);
+            this.notifyUndoable(`Risk matrix saved: ${parts.join(', ')}.`, command);
+        }
+
+        /**
+         * Option labels on the static risk form follow the configured scales.
+         */
+        populateRiskLevelOptions() {
+            const matrix = this.getRiskMatrix();
+            [['riskInherentLikelihood', 'likelihood'], ['riskLikelihood', 'likelihood'], ['riskInherentImpact', 'impact'], ['riskImpact', 'impact']].forEach(([id, axis]) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = RISK_LEVEL_KEYS
+                    .map(level => `<option value="${level}" title="${this.escapeHtml(matrix[axis][level].description)}">${this.escapeHtml(matrix[axis][level].label)}</option>`)
+                    .join('');
+                if (current) select.value = current;
+            });
         }
 
         editRisk(riskId) {
@@ -2852,15 +5761,27 @@ export class PSPFExplorer {
         }
 
         deleteRisk(riskId) {
-            if (confirm('Are you sure you want to delete this risk? This action cannot be undone.')) {
-                this.risks = this.risks.filter(r => r.id !== riskId);
-                this.saveData();
-                this.renderRisks();
+            if (confirm('Are you sure you want to delete this risk?')) {
+                const command = this.recordUndoable('Risk deletion', this.registerUndoScope('risks', riskId), () => {
+                    this.risks = this.risks.filter(r => r.id !== riskId);
+                    this.saveData();
+                });
+                this.refreshRiskViews();
                 this.updateDataStats();
                 this.updateProjectTabCounts();
+                this.notifyUndoable('Risk deleted.', command);
             }
         }
 
+        /**
+         * Re-render whichever risk lists are on screen after a risk changes.
+         */
+        refreshRiskViews() {
+            this.renderRisks(this.currentProjectId);
+            if (this.currentView === 'risks') this.showRegisterTab(this.registerTab);
+            if (this.currentView === 'progress') this.renderRiskHeatMap();
+        }
+
         renderRisks(projectId = null) {
             const risksList = document.getElementById('risksList');
             if (!risksList) return;
@@ -2880,33 +5801,45 @@ export class PSPFExplorer {
                 return;
             }
 
-            risksList.innerHTML = risksToShow.map(risk => {
-                const severityIcon = this.getRiskSeverityIcon(risk.severity);
+            const levelLabel = (axis, level) => this.escapeHtml(this.getRiskLevelLabel(axis, level));
+            risksList.innerHTML = [...risksToShow].sort(compareRisks).map(risk => {
                 const severityClass = `severity-${risk.severity}`;
+                const actions = summariseTreatmentActions(risk.actions);
 
                 return `
-                    <div class="risk-card ${severityClass}">
+                    <div class="risk-card ${severityClass}${risk.status === 'closed' ? ' risk-closed' : ''}">
                         <div class="risk-header">
-                            <h4>${risk.name}</h4>
+                            <h4>${this.escapeHtml(risk.name)}</h4>
                             <div class="risk-severity">
-                                <span class="severity-badge ${risk.severity}">${severityIcon} ${risk.severity.toUpperCase()}</span>
+                                ${this.renderRiskRatingBadge(risk.severity, { icon: true })}
                             </div>
                         </div>
-                        <p class="risk-description">${risk.description}</p>
+                        <p class="risk-description">${this.escapeHtml(risk.description)}</p>
                         <div class="risk-matrix">
                             <div class="risk-factor">
-                                <span class="factor-label">Likelihood:</span>
-                                <span class="factor-value ${risk.likelihood}">${risk.likelihood.replace('-', ' ')}</span>
+                                <span class="factor-label">Inherent</span>
+                                <span class="factor-value ${risk.inherentLikelihood}">${levelLabel('likelihood', risk.inherentLikelihood)} likelihood</span>
+                                <span class="factor-value ${risk.inherentImpact}">${levelLabel('impact', risk.inherentImpact)} impact</span>
                             </div>
                             <div class="risk-factor">
-                                <span class="factor-label">Impact:</span>
-                                <span class="factor-value ${risk.impact}">${risk.impact.replace('-', ' ')}</span>
+                                <span class="factor-label">Residual</span>
+                                <span class="factor-value ${risk.likelihood}">${levelLabel('likelihood', risk.likelihood)} likelihood</span>
+                                <span class="factor-value ${risk.impact}">${levelLabel('impact', risk.impact)} impact</span>
                             </div>
                         </div>
+                        <p class="risk-register-meta">
+                            ${this.renderRiskToleranceChip(risk)}
+                            ${this.renderRiskStatusChip(risk)}
+                            ${risk.treatment ? `<span class="risk-treatment-chip">${this.escapeHtml(RISK_TREATMENTS[risk.treatment]?.label || risk.treatment)}</span>` : ''}
+                            ${this.renderRiskReviewChip(risk)}
+                            ${actions.total ? `<span class="subtitle-sm">${actions.done}/${actions.total} actions done${actions.overdue ? `, <strong>${actions.overdue} overdue</strong>` : ''}</span>` : ''}
+                        </p>
+                        ${this.renderOwnershipLine(risk)}
+                        ${risk.controlIds?.length ? `<p class="risk-controls"><strong>Controls:</strong> ${this.renderRiskControlLinks(risk)}</p>` : ''}
                         ${risk.mitigation ? `
                             <div class="risk-mitigation">
-                                <strong>Mitigation Strategy:</strong>
-                                <p>${risk.mitigation}</p>
+                                <strong>Treatment plan:</strong>
+                                <p>${this.escapeHtml(risk.mitigation)}</p>
                             </div>
                         ` : ''}
                         <div class="risk-actions">
@@ -2915,126 +5848,1524 @@ export class PSPFExplorer {
                         </div>
                     </div>
                 `;
-            }).join('');
-        }
+            }).join('');
+        }
+
+        renderRiskStatusChip(risk) {
+            const status = RISK_STATUSES[risk.status] ? risk.status : DEFAULT_RISK_STATUS;
+            return `<span class="risk-status-chip ${status}">${this.escapeHtml(RISK_STATUSES[status].label)}</span>`;
+        }
+
+        renderRiskReviewChip(risk) {
+            const { state, daysUntilDue } = getRiskReviewState(risk);
+            if (state === 'closed') return '';
+            if (state === 'unscheduled') return '<span class="review-state-badge">No review date</span>';
+            const text = state === 'overdue'
+                ? `Review overdue by ${-daysUntilDue} day${daysUntilDue === -1 ? '' : 's'}`
+                : `Review ${this.escapeHtml(risk.reviewDate)}`;
+            return `<span class="review-state-badge ${state}">${text}</span>`;
+        }
+
+        renderRiskControlLinks(risk) {
+            return (risk.controlIds || []).map(id => {
+                const requirement = this.requirements[id];
+                return requirement
+                    ? `<button type="button" class="btn-link btn-small" data-action="view-requirement" data-requirement-id="${this.escapeHtml(id)}" title="${this.escapeHtml(requirement.title)}">${this.escapeHtml(id)}</button>`
+                    : this.escapeHtml(id);
+            }).join(', ');
+        }
+
+        readRiskRegisterFilters() {
+            const value = id => document.getElementById(id)?.value || '';
+            return {
+                query: value('riskRegisterSearch'),
+                projectId: value('riskRegisterProject'),
+                ownerId: value('riskRegisterOwner'),
+                severity: value('riskRegisterSeverity'),
+                treatment: value('riskRegisterTreatment'),
+                status: value('riskRegisterStatus')
+            };
+        }
+
+        /**
+         * The risk register: every risk across all projects, filterable, with totals for
+         * open and high-rated risks and overdue reviews and actions.
+         */
+        renderRiskRegister() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('riskRegisterTable');
+            if (!container) return;
+
+            const fillSelect = (id, options, allLabel) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` + options
+                    .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+                    .join('');
+                select.value = options.some(([value]) => value === current) ? current : '';
+            };
+            fillSelect('riskRegisterProject', [
+                [NO_PROJECT, 'No project (entity-wide)'],
+                ...this.projects.map(project => [project.id, project.name])
+            ], 'All projects');
+            fillSelect('riskRegisterOwner', [
+                [UNASSIGNED_OWNER, 'No owner assigned'],
+                ...this.people.map(person => [person.id, person.name])
+            ], 'All owners');
+            const matrix = this.getRiskMatrix();
+            fillSelect('riskRegisterSeverity', [
+                ...(matrix.tolerance.rating ? [[ABOVE_TOLERANCE, 'Above tolerance']] : []),
+                ...[...RISK_SEVERITY_KEYS].reverse().map(key => [key, matrix.ratings[key].label])
+            ], 'All ratings');
+            fillSelect('riskRegisterTreatment', [
+                [UNDECIDED_TREATMENT, 'Not decided'],
+                ...Object.entries(RISK_TREATMENTS).map(([key, { label }]) => [key, label])
+            ], 'All treatments');
+            fillSelect('riskRegisterStatus', Object.entries(RISK_STATUSES).map(([key, { label }]) => [key, label]), 'All statuses');
+
+            const summary = document.getElementById('riskRegisterSummary');
+            if (summary) {
+                const active = this.risks.filter(risk => risk.status !== 'closed');
+                const highRated = active.filter(risk => risk.severity === 'high' || risk.severity === 'critical').length;
+                const aboveTolerance = active.filter(risk => isAboveTolerance(risk.severity, matrix)).length;
+                const overdueReviews = active.filter(risk => getRiskReviewState(risk).state === 'overdue').length;
+                const overdueActions = active.reduce((sum, risk) => sum + summariseTreatmentActions(risk.actions).overdue, 0);
+                summary.innerHTML = `
+                    <div class="stat-card"><span class="stat-number">${active.length}</span><span class="stat-label">Open risks</span></div>
+                    <div class="stat-card"><span class="stat-number">${highRated}</span><span class="stat-label">High or critical residual</span></div>
+                    ${matrix.tolerance.rating
+                        ? `<div class="stat-card${aboveTolerance ? ' tolerance-breach' : ''}"><span class="stat-number">${aboveTolerance}</span><span class="stat-label">Above tolerance (${this.escapeHtml(matrix.ratings[matrix.tolerance.rating].label)} or lower accepted)</span></div>`
+                        : '<div class="stat-card"><span class="stat-number">–</span><span class="stat-label">Risk tolerance not set</span></div>'}
+                    <div class="stat-card"><span class="stat-number">${overdueReviews}</span><span class="stat-label">Reviews overdue</span></div>
+                    <div class="stat-card"><span class="stat-number">${overdueActions}</span><span class="stat-label">Actions overdue</span></div>
+                `;
+            }
+
+            const risks = filterRisks(this.risks, this.readRiskRegisterFilters(), matrix);
+            if (!risks.length) {
+                container.innerHTML = `<p class="history-empty-msg">${this.risks.length ? 'No risks match these filters.' : 'No risks recorded yet. Use Add Risk above or a project\'s Risks tab.'}</p>`;
+                return;
+            }
+
+            const projectNames = new Map(this.projects.map(project => [project.id, project.name]));
+            container.innerHTML = `
+                <table class="audit-table risk-register-table">
+                    <thead>
+                        <tr><th>Risk</th><th>Risk owner</th><th>Inherent</th><th>Residual</th><th>Treatment</th><th>Status</th><th>Controls</th><th>Actions</th><th>Review</th><th><span class="visually-hidden">Edit</span></th></tr>
+                    </thead>
+                    <tbody>
+                        ${risks.map(risk => {
+                            const actions = summariseTreatmentActions(risk.actions);
+                            return `
+                                <tr class="${risk.status === 'closed' ? 'risk-closed' : ''}">
+                                    <td>
+                                        ${this.escapeHtml(risk.name)}
+                                        <span class="subtitle-sm">${this.escapeHtml(projectNames.get(risk.projectId) || 'No project')}</span>
+                                    </td>
+                                    <td>${this.escapeHtml(this.getPersonName(risk.ownerId) || 'Unassigned')}</td>
+                                    <td>${this.renderRiskRatingBadge(risk.inherentSeverity)}</td>
+                                    <td>${this.renderRiskRatingBadge(risk.severity)} ${this.renderRiskToleranceChip(risk)}</td>
+                                    <td>${this.escapeHtml(RISK_TREATMENTS[risk.treatment]?.label || 'Not decided')}</td>
+                                    <td>${this.renderRiskStatusChip(risk)}</td>
+                                    <td>${this.renderRiskControlLinks(risk)}</td>
+                                    <td>${actions.total ? `${actions.done}/${actions.total}${actions.overdue ? ` <span class="review-state-badge overdue">${actions.overdue} overdue</span>` : ''}` : ''}</td>
+                                    <td>${this.renderRiskReviewChip(risk)}</td>
+                                    <td class="people-actions">
+                                        <button type="button" class="btn-link btn-small" data-action="edit-risk" data-risk-id="${this.escapeHtml(risk.id)}">Edit</button>
+                                        <button type="button" class="btn-link btn-small" data-action="delete-risk" data-risk-id="${this.escapeHtml(risk.id)}">Delete</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        /**
+         * Domains a risk relates to: those of the requirements it lists as controls and of
+         * the requirements linked to its project.
+         * @param {Object} risk
+         * @returns {Set<string>}
+         */
+        getRiskDomainIds(risk) {
+            const project = this.projects.find(p => p.id === risk.projectId);
+            const requirementIds = [...(risk.controlIds || []), ...(Array.isArray(project?.requirements) ? project.requirements : [])];
+            return new Set(requirementIds.map(id => this.requirements[id]?.domainId).filter(Boolean));
+        }
+
+        /**
+         * Likelihood by impact grid of open risks in the Progress view.
+         */
+        renderRiskHeatMap() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('riskHeatMap');
+            if (!container) return;
+
+            const fillSelect = (id, options, allLabel) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = (allLabel === null ? '' : `<option value="">${allLabel}</option>`) + options
+                    .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+                    .join('');
+                select.value = options.some(([value]) => value === current) ? current : (allLabel === null ? options[0][0] : '');
+            };
+            fillSelect('riskHeatMapMode', Object.entries(RISK_HEAT_MAP_MODES).map(([key, { label }]) => [key, label]), null);
+            fillSelect('riskHeatMapProject', [
+                [NO_PROJECT, 'No project (entity-wide)'],
+                ...this.projects.map(project => [project.id, project.name])
+            ], 'All projects');
+            fillSelect('riskHeatMapOwner', [
+                [UNASSIGNED_OWNER, 'No owner assigned'],
+                ...this.people.map(person => [person.id, person.name])
+            ], 'All owners');
+            fillSelect('riskHeatMapDomain', this.domains.map(domain => [domain.id, domain.title]), 'All domains');
+
+            const value = id => document.getElementById(id)?.value || '';
+            const mode = value('riskHeatMapMode') || 'residual';
+            const domainId = value('riskHeatMapDomain');
+            const risks = filterRisks(this.risks, { projectId: value('riskHeatMapProject'), ownerId: value('riskHeatMapOwner') })
+                .filter(risk => risk.status !== 'closed')
+                .filter(risk => !domainId || this.getRiskDomainIds(risk).has(domainId));
+            const { cells, movements } = buildRiskHeatMap(risks, mode);
+            const matrix = this.getRiskMatrix();
+            if (this.riskHeatMapCell && !cells.has(this.riskHeatMapCell)) this.riskHeatMapCell = null;
+
+            // Highest likelihood on the top row, lowest impact in the left column
+            const rows = [...RISK_LEVEL_KEYS].reverse();
+            const center = (likelihood, impact) => ({
+                x: (RISK_LEVEL_KEYS.indexOf(impact) + 0.5) * 20,
+                y: (rows.indexOf(likelihood) + 0.5) * 20
+            });
+            const arrows = movements.map(({ risk, from, to }, index) => {
+                // Spread arrows that share a path so each stays visible
+                const offset = ((index % 5) - 2) * 1.5;
+                const start = center(from.likelihood, from.impact);
+                const end = center(to.likelihood, to.impact);
+                return `
+                    <line x1="${start.x + offset}%" y1="${start.y + offset}%" x2="${end.x + offset}%" y2="${end.y + offset}%" marker-end="url(#riskHeatMapArrowHead)">
+                        <title>${this.escapeHtml(risk.name)}</title>
+                    </line>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <div class="risk-heatmap-layout">
+                    <span class="risk-heatmap-axis-y">Likelihood</span>
+                    <div class="risk-heatmap-y-labels">
+                        ${rows.map(likelihood => `<span title="${this.escapeHtml(matrix.likelihood[likelihood].description)}">${this.escapeHtml(matrix.likelihood[likelihood].label)}</span>`).join('')}
+                    </div>
+                    <div class="risk-heatmap-cells">
+                        ${rows.map(likelihood => RISK_LEVEL_KEYS.map(impact => {
+                            const key = riskMatrixCellKey(likelihood, impact);
+                            const rating = matrix.cells[key];
+                            const count = cells.get(key)?.length || 0;
+                            const label = `Likelihood ${matrix.likelihood[likelihood].label}, impact ${matrix.impact[impact].label}: ${matrix.ratings[rating].label}, ${count} risk${count === 1 ? '' : 's'}`;
+                            return `
+                                <button type="button" class="risk-heatmap-cell ${rating}${isAboveTolerance(rating, matrix) ? ' above-tolerance' : ''}${key === this.riskHeatMapCell ? ' selected' : ''}"
+                                    data-action="risk-heatmap-cell" data-cell="${key}" aria-pressed="${key === this.riskHeatMapCell}" aria-label="${this.escapeHtml(label)}" title="${this.escapeHtml(label)}" ${count ? '' : 'disabled'}>
+                                    ${count ? `<span class="risk-heatmap-count">${count}</span>` : ''}
+                                </button>
+                            `;
+                        }).join('')).join('')}
+                        ${arrows ? `
+                            <svg class="risk-heatmap-arrows" aria-hidden="true">
+                                <defs>
+                                    <marker id="riskHeatMapArrowHead" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                                        <path d="M0,0 L10,5 L0,10 z"></path>
+                                    </marker>
+                                </defs>
+                                ${arrows}
+                            </svg>
+                        ` : ''}
+                    </div>
+                    <div class="risk-heatmap-x-labels">
+                        ${RISK_LEVEL_KEYS.map(impact => `<span title="${this.escapeHtml(matrix.impact[impact].description)}">${this.escapeHtml(matrix.impact[impact].label)}</span>`).join('')}
+                    </div>
+                    <span class="risk-heatmap-axis-x">Impact</span>
+                </div>
+                <p class="subtitle-sm">${risks.length} open risk${risks.length === 1 ? '' : 's'} plotted by ${mode === 'inherent' ? 'inherent' : 'residual'} rating${mode === 'movement' ? `; ${movements.length} arrow${movements.length === 1 ? '' : 's'} show the move from inherent rating` : ''}.</p>
+            `;
+
+            this.renderRiskHeatMapCell(cells, matrix);
+        }
+
+        renderRiskHeatMapCell(cells, matrix) {
+            const detail = document.getElementById('riskHeatMapCellRisks');
+            if (!detail) return;
+            const key = this.riskHeatMapCell;
+            if (!key) {
+                detail.innerHTML = '';
+                return;
+            }
+            const [likelihood, impact] = key.split('|');
+            const risks = cells.get(key) || [];
+            const projectNames = new Map(this.projects.map(project => [project.id, project.name]));
+            detail.innerHTML = `
+                <h4>${this.escapeHtml(matrix.likelihood[likelihood]?.label || likelihood)} likelihood, ${this.escapeHtml(matrix.impact[impact]?.label || impact)} impact
+                    ${this.renderRiskRatingBadge(matrix.cells[key])}</h4>
+                <ul class="risk-heatmap-list">
+                    ${risks.map(risk => `
+                        <li>
+                            <button type="button" class="btn-link" data-action="view-risk" data-risk-id="${this.escapeHtml(risk.id)}">${this.escapeHtml(risk.name)}</button>
+                            <span class="subtitle-sm">${this.escapeHtml(projectNames.get(risk.projectId) || 'No project')}${risk.ownerId ? ` · ${this.escapeHtml(this.getPersonName(risk.ownerId))}` : ''}</span>
+                            ${this.renderRiskRatingBadge(risk.inherentSeverity)} → ${this.renderRiskRatingBadge(risk.severity)}
+                            ${this.renderRiskToleranceChip(risk)}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        getRiskSeverityIcon(severity) {
+            const icons = {
+                'low': '🟢',
+                'medium': '🟡',
+                'high': '🟠',
+                'critical': '🔴'
+            };
+            return icons[severity] || '⚪';
+        }
+
+        // Incident CRUD operations
+        handleIncidentForm(e) {
+            e.preventDefault();
+            this.saveIncident();
+        }
+
+        showIncidentModal(incidentId = null, projectId = null) {
+            const modal = document.getElementById('incidentModal');
+            const title = document.getElementById('incidentModalTitle');
+            const form = document.getElementById('incidentForm');
+            if (!modal || !form) return;
+
+            const stateSelect = document.getElementById('incidentState');
+            if (stateSelect) {
+                stateSelect.innerHTML = Object.entries(INCIDENT_STATES)
+                    .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+                    .join('');
+            }
+
+            if (incidentId) {
+                const incident = this.incidents.find(i => i.id === incidentId);
+                if (incident) {
+                    this.editingIncident = incidentId;
+                    title.textContent = 'Edit Event';
+                    document.getElementById('incidentName').value = incident.name || '';
+                    document.getElementById('incidentDesc').value = incident.description || '';
+                    document.getElementById('incidentDate').value = this.formatDateTimeLocal(incident.date);
+                    document.getElementById('incidentSeverity').value = incident.severity || 'low';
+                    document.getElementById('incidentResolution').value = incident.resolution || '';
+                    document.getElementById('incidentState').value = getIncidentState(incident);
+                    document.getElementById('incidentRequirements').value = (incident.requirementIds || []).join(', ');
+                    document.getElementById('incidentLessons').value = incident.lessonsLearned || '';
+                    this.populateOwnershipFields('incident', incident);
+                    this.populateIncidentLinkFields(incident);
+                    this.populateProjectSelect('incidentProject', incident.projectId);
+                }
+            } else {
+                this.editingIncident = null;
+                title.textContent = 'Add Event';
+                form.reset();
+                document.getElementById('incidentState').value = DEFAULT_INCIDENT_STATE;
+                this.populateOwnershipFields('incident');
+                this.populateIncidentLinkFields();
+                this.populateProjectSelect('incidentProject', projectId);
+                const dateInput = document.getElementById('incidentDate');
+                if (dateInput) {
+                    dateInput.value = this.formatDateTimeLocal(new Date().toISOString());
+                }
+            }
+
+            modal.style.display = 'block';
+        }
+
+        /**
+         * Fill the event form's timeline, reporting rows and linked risk list.
+         * @param {Object} [incident]
+         */
+        populateIncidentLinkFields(incident = null) {
+            const timeline = document.getElementById('incidentTimeline');
+            if (timeline) {
+                const history = incident?.stateHistory || [];
+                timeline.innerHTML = history.length
+                    ? history.map(entry => `
+                        <li><strong>${this.escapeHtml(INCIDENT_STATES[entry.state]?.label || entry.state)}</strong>
+                            <span class="subtitle-sm">${entry.at ? this.escapeHtml(this.formatTimestamp(entry.at)) : 'Time not recorded'}</span></li>
+                    `).join('')
+                    : '<li class="subtitle-sm">Recorded as reported when saved.</li>';
+            }
+
+            const reportingList = document.getElementById('incidentReportingList');
+            if (reportingList) {
+                const obligations = new Map((incident?.reporting || []).map(obligation => [obligation.body, obligation]));
+                reportingList.innerHTML = Object.entries(REPORTING_BODIES).map(([key, body]) => {
+                    const obligation = obligations.get(key);
+                    return `
+                        <div class="incident-reporting-row" data-reporting-body="${key}">
+                            <label class="incident-reporting-body" title="${this.escapeHtml(body.description)}">
+                                <input type="checkbox" data-field="reportable" ${obligation ? 'checked' : ''}>
+                                ${this.escapeHtml(body.label)}
+                            </label>
+                            <label>Due <input type="date" data-field="dueDate" value="${this.escapeHtml(obligation?.dueDate || '')}"></label>
+                            <label>Reported <input type="date" data-field="reportedOn" value="${this.escapeHtml(obligation?.reportedOn || '')}"></label>
+                            <label class="visually-hidden" for="incidentReportingRef-${key}">${this.escapeHtml(body.label)} reference</label>
+                            <input type="text" id="incidentReportingRef-${key}" data-field="reference" placeholder="Reference" value="${this.escapeHtml(obligation?.reference || '')}">
+                        </div>
+                    `;
+                }).join('');
+            }
+
+            const riskSelect = document.getElementById('incidentRisks');
+            if (riskSelect) {
+                const linked = new Set(incident?.riskIds || []);
+                const projectNames = new Map(this.projects.map(project => [project.id, project.name]));
+                riskSelect.innerHTML = [...this.risks].sort(compareRisks).map(risk => `
+                    <option value="${this.escapeHtml(risk.id)}" ${linked.has(risk.id) ? 'selected' : ''}>${this.escapeHtml(risk.name)} (${this.escapeHtml(projectNames.get(risk.projectId) || 'No project')})</option>
+                `).join('');
+            }
+        }
+
+        readIncidentReportingRows() {
+            const list = document.getElementById('incidentReportingList');
+            if (!list) return [];
+            return Array.from(list.querySelectorAll('.incident-reporting-row'))
+                .filter(row => row.querySelector('[data-field="reportable"]')?.checked)
+                .map(row => createReportingObligation({
+                    body: row.dataset.reportingBody,
+                    dueDate: row.querySelector('[data-field="dueDate"]')?.value,
+                    reportedOn: row.querySelector('[data-field="reportedOn"]')?.value,
+                    reference: row.querySelector('[data-field="reference"]')?.value
+                }));
+        }
+
+        saveIncident() {
+            const { ids: requirementIds, unknown } = parseControlIds(document.getElementById('incidentRequirements').value, this.requirements);
+            if (unknown.length) {
+                this.showNotification(`Unknown requirement ID${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`, 'error');
+                document.getElementById('incidentRequirements').focus();
+                return;
+            }
+
+            const nameInput = document.getElementById('incidentName');
+            const descriptionInput = document.getElementById('incidentDesc');
+            const dateInput = document.getElementById('incidentDate');
+            const severityInput = document.getElementById('incidentSeverity');
+            const resolutionInput = document.getElementById('incidentResolution');
+
+            const dateValue = dateInput?.value;
+            const parsedDate = dateValue ? new Date(dateValue) : new Date();
+            if (Number.isNaN(parsedDate.getTime())) {
+                this.showNotification('Please provide a valid date for the event.', 'error');
+                return;
+            }
+
+            const incidentData = {
+                name: nameInput?.value.trim() || 'Untitled event',
+                description: descriptionInput?.value.trim() || '',
+                date: parsedDate.toISOString(),
+                severity: severityInput?.value || 'low',
+                resolution: resolutionInput?.value.trim() || '',
+                reporting: this.readIncidentReportingRows(),
+                requirementIds,
+                riskIds: Array.from(document.getElementById('incidentRisks')?.selectedOptions || []).map(option => option.value),
+                lessonsLearned: document.getElementById('incidentLessons').value.trim(),
+                ...this.readOwnershipFields('incident'),
+                projectId: document.getElementById('incidentProject').value || null,
+                updatedAt: new Date().toISOString()
+            };
+            const state = document.getElementById('incidentState').value || DEFAULT_INCIDENT_STATE;
+
+            const incidentId = this.editingIncident || Date.now().toString();
+            const command = this.recordUndoable(`Event "${incidentData.name}"`, this.registerUndoScope('incidents', incidentId), () => {
+                if (this.editingIncident) {
+                    const index = this.incidents.findIndex(i => i.id === this.editingIncident);
+                    if (index !== -1) {
+                        this.incidents[index] = transitionIncident({ ...this.incidents[index], ...incidentData }, state, incidentData.updatedAt);
+                    }
+                } else {
+                    // Every event starts as reported, so a later state also records that step
+                    let incident = transitionIncident({ ...incidentData, id: incidentId, createdAt: incidentData.updatedAt }, DEFAULT_INCIDENT_STATE, incidentData.updatedAt);
+                    incident = transitionIncident(incident, state, incidentData.updatedAt);
+                    this.incidents.push(incident);
+                }
+                this.saveData();
+            });
+
+            this.hideModal('incidentModal');
+            this.refreshIncidentViews();
+            this.updateProjectTabCounts();
+            this.updateDataStats();
+            this.notifyUndoable('Event saved successfully.', command);
+        }
+
+        deleteIncident(incidentId) {
+            if (!incidentId) return;
+            if (!confirm('Delete this event?')) {
+                return;
+            }
+            const command = this.recordUndoable('Event deletion', this.registerUndoScope('incidents', incidentId), () => {
+                this.incidents = this.incidents.filter(incident => incident.id !== incidentId);
+                this.saveData();
+            });
+            this.refreshIncidentViews();
+            this.updateProjectTabCounts();
+            this.updateDataStats();
+            this.notifyUndoable('Event deleted.', command);
+        }
+
+        /**
+         * Move an event on to the next state in its lifecycle.
+         * @param {string} incidentId
+         */
+        advanceIncident(incidentId) {
+            const incident = this.incidents.find(i => i.id === incidentId);
+            const next = incident && getNextIncidentState(getIncidentState(incident));
+            if (!next) return;
+            const label = INCIDENT_STATES[next].label;
+            const command = this.recordUndoable(`Event "${incident.name}" ${label.toLowerCase()}`, this.registerUndoScope('incidents', incidentId), () => {
+                const now = new Date().toISOString();
+                this.incidents = this.incidents.map(existing => (existing.id === incidentId
+                    ? { ...transitionIncident(existing, next, now), updatedAt: now }
+                    : existing));
+                this.saveData();
+            });
+            this.refreshIncidentViews();
+            this.notifyUndoable(`Event moved to ${label}.`, command);
+        }
+
+        refreshIncidentViews() {
+            this.renderIncidents(this.currentProjectId);
+            if (this.currentView === 'risks') this.showRegisterTab(this.registerTab);
+        }
+
+        renderVendorIrapChip(vendor) {
+            const { state, expiresOn, daysUntilDue } = getIrapState(vendor);
+            if (state === 'not-assessed') return '<span class="review-state-badge">No IRAP assessment</span>';
+            const text = {
+                overdue: `IRAP expired ${this.escapeHtml(expiresOn)}`,
+                'due-soon': `IRAP expires in ${daysUntilDue} day${daysUntilDue === 1 ? '' : 's'}`,
+                current: `IRAP current to ${this.escapeHtml(expiresOn)}`
+            }[state];
+            return `<span class="review-state-badge ${state}">${text}</span>`;
+        }
+
+        renderVendorReviewChip(vendor) {
+            if (getContractState(vendor) === 'ended') return '<span class="review-state-badge">Contract ended</span>';
+            const { state, daysUntilDue } = getVendorReviewState(vendor);
+            if (state === 'unscheduled') return '<span class="review-state-badge">No review date</span>';
+            const text = state === 'overdue'
+                ? `Review overdue by ${-daysUntilDue} day${daysUntilDue === -1 ? '' : 's'}`
+                : `Review ${this.escapeHtml(vendor.reviewDue)}`;
+            return `<span class="review-state-badge ${state}">${text}</span>`;
+        }
+
+        readVendorRegisterFilters() {
+            const value = id => document.getElementById(id)?.value || '';
+            return {
+                query: value('vendorRegisterSearch'),
+                projectId: value('vendorRegisterProject'),
+                classification: value('vendorRegisterClassification'),
+                attention: value('vendorRegisterAttention')
+            };
+        }
+
+        /**
+         * The vendor register: totals, the IRAP and contract review alerts and every vendor
+         * with its contract, terms coverage and links.
+         */
+        renderVendorRegister() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('vendorRegisterTable');
+            if (!container) return;
+
+            const fillSelect = (id, options, allLabel) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` + options
+                    .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+                    .join('');
+                select.value = options.some(([value]) => value === current) ? current : '';
+            };
+            fillSelect('vendorRegisterProject', [
+                [NO_PROJECT, 'Not linked to a project'],
+                ...this.projects.map(project => [project.id, project.name])
+            ], 'All projects');
+            fillSelect('vendorRegisterClassification', Object.entries(SECURITY_CLASSIFICATIONS).map(([key, { label }]) => [key, label]), 'All classifications');
+            fillSelect('vendorRegisterAttention', Object.entries(VENDOR_ATTENTION_FILTERS).map(([key, { label }]) => [key, label]), 'All vendors');
+
+            const summary = document.getElementById('vendorRegisterSummary');
+            if (summary) {
+                const totals = summariseVendors(this.vendors);
+                summary.innerHTML = `
+                    <div class="stat-card"><span class="stat-number">${totals.active}</span><span class="stat-label">Active contracts</span></div>
+                    <div class="stat-card${totals.irapExpired ? ' tolerance-breach' : ''}"><span class="stat-number">${totals.irapExpired}</span><span class="stat-label">IRAP assessments expired</span></div>
+                    <div class="stat-card${totals.reviewsOverdue ? ' tolerance-breach' : ''}"><span class="stat-number">${totals.reviewsOverdue}</span><span class="stat-label">Contract reviews overdue</span></div>
+                    <div class="stat-card"><span class="stat-number">${totals.irapDueSoon + totals.reviewsDueSoon}</span><span class="stat-label">Due in the next ${REVIEW_DUE_SOON_DAYS} days</span></div>
+                    <div class="stat-card"><span class="stat-number">${totals.termsIncomplete}</span><span class="stat-label">Security terms incomplete</span></div>
+                `;
+            }
+
+            const attention = document.getElementById('vendorAttentionList');
+            if (attention) {
+                const alerts = collectVendorAlerts(this.vendors);
+                attention.innerHTML = alerts.length ? `
+                    <ul class="vendor-attention-list">
+                        ${alerts.map(alert => {
+                            const what = alert.kind === 'irap' ? 'IRAP assessment' : 'Contract review';
+                            const when = alert.state === 'overdue'
+                                ? `${alert.kind === 'irap' ? 'expired' : 'overdue'} by ${-alert.daysUntilDue} day${alert.daysUntilDue === -1 ? '' : 's'}`
+                                : `due ${this.escapeHtml(alert.dueDate)}`;
+                            return `
+                                <li>
+                                    <button type="button" class="btn-link" data-action="edit-vendor" data-vendor-id="${this.escapeHtml(alert.vendor.id)}">${this.escapeHtml(alert.vendor.name)}</button>
+                                    <span class="review-state-badge ${alert.state}">${what} ${when}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                ` : '<p class="history-empty-msg">No IRAP assessments or contract reviews are overdue or due soon.</p>';
+            }
+
+            const vendors = filterVendors(this.vendors, this.readVendorRegisterFilters());
+            if (!vendors.length) {
+                container.innerHTML = `<p class="history-empty-msg">${this.vendors.length ? 'No vendors match these filters.' : 'No vendors recorded yet. Use Add Vendor above.'}</p>`;
+                return;
+            }
+
+            const projectNames = new Map(this.projects.map(project => [project.id, project.name]));
+            const riskNames = new Map(this.risks.map(risk => [risk.id, risk.name]));
+            container.innerHTML = `
+                <table class="audit-table vendor-register-table">
+                    <thead>
+                        <tr><th>Vendor</th><th>Classification</th><th>Contract</th><th>IRAP</th><th>Security terms</th><th>Review</th><th>Links</th><th><span class="visually-hidden">Edit</span></th></tr>
+                    </thead>
+                    <tbody>
+                        ${vendors.map(vendor => {
+                            const terms = getSecurityTermsCoverage(vendor);
+                            const contract = [vendor.contractStart, vendor.contractEnd].some(Boolean)
+                                ? `${this.escapeHtml(vendor.contractStart || '…')} – ${this.escapeHtml(vendor.contractEnd || '…')}`
+                                : 'Not recorded';
+                            const projects = (vendor.projectIds || []).filter(id => projectNames.has(id)).map(id => this.escapeHtml(projectNames.get(id)));
+                            const risks = (vendor.riskIds || []).filter(id => riskNames.has(id)).map(id => `
+                                <button type="button" class="btn-link btn-small" data-action="view-risk" data-risk-id="${this.escapeHtml(id)}">${this.escapeHtml(riskNames.get(id))}</button>
+                            `);
+                            const requirements = (vendor.requirementIds || []).map(id => `
+                                <button type="button" class="btn-link btn-small" data-action="view-requirement" data-requirement-id="${this.escapeHtml(id)}">${this.escapeHtml(id)}</button>
+                            `);
+                            return `
+                                <tr class="${getContractState(vendor) === 'ended' ? 'risk-closed' : ''}">
+                                    <td>
+                                        ${this.escapeHtml(vendor.name)}
+                                        ${vendor.service ? `<span class="subtitle-sm">${this.escapeHtml(vendor.service)}</span>` : ''}
+                                    </td>
+                                    <td>${this.escapeHtml(SECURITY_CLASSIFICATIONS[vendor.classification]?.label || '')}</td>
+                                    <td>${contract}</td>
+                                    <td>${this.renderVendorIrapChip(vendor)}</td>
+                                    <td><span class="review-state-badge ${terms.missing.length ? 'due-soon' : 'current'}" title="${this.escapeHtml(terms.missing.map(term => VENDOR_SECURITY_TERMS[term].label).join('\n'))}">${terms.met}/${terms.total}</span></td>
+                                    <td>${this.renderVendorReviewChip(vendor)}</td>
+                                    <td class="vendor-links">
+                                        ${projects.length ? `<span class="subtitle-sm">${projects.join(', ')}</span>` : ''}
+                                        ${risks.join('')}
+                                        ${requirements.join('')}
+                                    </td>
+                                    <td class="people-actions">
+                                        <button type="button" class="btn-link btn-small" data-action="edit-vendor" data-vendor-id="${this.escapeHtml(vendor.id)}">Edit</button>
+                                        <button type="button" class="btn-link btn-small" data-action="delete-vendor" data-vendor-id="${this.escapeHtml(vendor.id)}">Delete</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        showVendorModal(vendorId = null) {
+            const vendor = vendorId ? this.vendors.find(entry => entry.id === vendorId) : null;
+            if (vendorId && !vendor) return;
+            const selected = (list, id) => ((list || []).includes(id) ? 'selected' : '');
+
+            const modal = this.createModal(`
+                <div class="modal-content vendor-modal">
+                    <h3>${vendor ? 'Edit Vendor' : 'Add Vendor'}</h3>
+                    <form id="vendorForm">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="vendorName">Vendor</label>
+                                <input type="text" id="vendorName" maxlength="200" required value="${this.escapeHtml(vendor?.name || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="vendorClassification">Highest classification handled</label>
+                                <select id="vendorClassification">
+                                    ${Object.entries(SECURITY_CLASSIFICATIONS).map(([key, { label }]) => `<option value="${key}" ${key === (vendor?.classification || 'official') ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="vendorService">Service provided</label>
+                            <input type="text" id="vendorService" maxlength="500" value="${this.escapeHtml(vendor?.service || '')}">
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="vendorContractStart">Contract start</label>
+                                <input type="date" id="vendorContractStart" value="${this.escapeHtml(vendor?.contractStart || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="vendorContractEnd">Contract end</label>
+                                <input type="date" id="vendorContractEnd" value="${this.escapeHtml(vendor?.contractEnd || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="vendorReviewDue">Contract review due</label>
+                                <input type="date" id="vendorReviewDue" value="${this.escapeHtml(vendor?.reviewDue || '')}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="vendorIrapAssessedOn">IRAP assessment report date</label>
+                            <input type="date" id="vendorIrapAssessedOn" value="${this.escapeHtml(vendor?.irapAssessedOn || '')}" aria-describedby="vendorIrapHelp">
+                            <small class="field-help" id="vendorIrapHelp">Leave blank if the vendor has no IRAP assessment. Assessments are flagged as expired two years after the report date.</small>
+                        </div>
+                        <fieldset class="form-group vendor-terms">
+                            <legend>Contract security terms</legend>
+                            ${Object.entries(VENDOR_SECURITY_TERMS).map(([key, term]) => `
+                                <label class="cycle-option">
+                                    <input type="checkbox" data-security-term="${key}" ${vendor?.securityTerms?.[key] ? 'checked' : ''}>
+                                    ${this.escapeHtml(term.label)} <span class="subtitle-sm">${term.requirementId}</span>
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="vendorProjects">Linked projects</label>
+                                <select id="vendorProjects" multiple size="4">
+                                    ${this.projects.map(project => `<option value="${this.escapeHtml(project.id)}" ${selected(vendor?.projectIds, project.id)}>${this.escapeHtml(project.name)}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="vendorRisks">Linked risks</label>
+                                <select id="vendorRisks" multiple size="4">
+                                    ${this.risks.map(risk => `<option value="${this.escapeHtml(risk.id)}" ${selected(vendor?.riskIds, risk.id)}>${this.escapeHtml(risk.name)}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <small class="field-help">Hold Ctrl (⌘ on Mac) to select more than one project or risk.</small>
+                        <div class="form-group">
+                            <label for="vendorRequirements">Linked requirements</label>
+                            <input type="text" id="vendorRequirements" value="${this.escapeHtml((vendor?.requirementIds || VENDOR_REQUIREMENT_IDS).join(', '))}" aria-describedby="vendorRequirementsHelp">
+                            <small class="field-help" id="vendorRequirementsHelp">Requirement IDs, separated by commas.</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="vendorNotes">Notes</label>
+                            <textarea id="vendorNotes" rows="3">${this.escapeHtml(vendor?.notes || '')}</textarea>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelVendorBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save Vendor</button>
+                        </div>
+                    </form>
+                </div>
+            `, { id: 'vendorModal' });
+
+            const form = modal.querySelector('#vendorForm');
+            modal.addTrackedListener(modal.querySelector('#cancelVendorBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(form, 'submit', (event) => {
+                event.preventDefault();
+                const field = id => form.querySelector(`#${id}`).value;
+                const chosen = id => Array.from(form.querySelector(`#${id}`).selectedOptions).map(option => option.value);
+                const securityTerms = {};
+                form.querySelectorAll('[data-security-term]').forEach(input => {
+                    if (input.checked) securityTerms[input.dataset.securityTerm] = true;
+                });
+                const saved = this.saveVendor({
+                    name: field('vendorName'),
+                    service: field('vendorService'),
+                    classification: field('vendorClassification'),
+                    contractStart: field('vendorContractStart'),
+                    contractEnd: field('vendorContractEnd'),
+                    reviewDue: field('vendorReviewDue'),
+                    irapAssessedOn: field('vendorIrapAssessedOn'),
+                    securityTerms,
+                    projectIds: chosen('vendorProjects'),
+                    riskIds: chosen('vendorRisks'),
+                    requirements: field('vendorRequirements'),
+                    notes: field('vendorNotes')
+                }, vendorId);
+                if (saved) modal.remove();
+            });
+        }
+
+        /**
+         * @param {Object} fields - Form values; `requirements` is the comma-separated id list
+         * @param {string|null} vendorId - Vendor to update, or null to add one
+         * @returns {boolean} Whether the vendor was saved
+         */
+        saveVendor(fields, vendorId = null) {
+            const { ids, unknown } = parseControlIds(fields.requirements, this.requirements);
+            if (unknown.length) {
+                this.showNotification(`Unknown requirement ID${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`, 'error');
+                return false;
+            }
+            if (!String(fields.name || '').trim()) {
+                this.showNotification('Enter the vendor name.', 'error');
+                return false;
+            }
+            if (fields.contractStart && fields.contractEnd && fields.contractEnd < fields.contractStart) {
+                this.showNotification('The contract end date is before its start date.', 'error');
+                return false;
+            }
+
+            const existing = vendorId ? this.vendors.find(entry => entry.id === vendorId) : null;
+            const vendor = createVendor({
+                ...existing,
+                ...fields,
+                requirementIds: ids,
+                updatedAt: new Date().toISOString()
+            });
+            const command = this.recordUndoable(`Vendor "${vendor.name}"`, this.registerUndoScope('vendors', vendor.id), () => {
+                this.vendors = existing
+                    ? this.vendors.map(entry => (entry.id === vendorId ? vendor : entry))
+                    : [...this.vendors, vendor];
+                this.saveData();
+            });
+            this.refreshVendorViews();
+            this.notifyUndoable('Vendor saved.', command);
+            return true;
+        }
+
+        deleteVendor(vendorId) {
+            if (!confirm('Are you sure you want to delete this vendor?')) return;
+            const command = this.recordUndoable('Vendor deletion', this.registerUndoScope('vendors', vendorId), () => {
+                this.vendors = this.vendors.filter(vendor => vendor.id !== vendorId);
+                this.saveData();
+            });
+            this.refreshVendorViews();
+            this.notifyUndoable('Vendor deleted.', command);
+        }
+
+        /**
+         * Re-render whichever vendor lists are on screen after a vendor changes.
+         */
+        refreshVendorViews() {
+            if (this.currentView === 'vendors') this.renderVendorRegister();
+        }
+
+        renderSystemAuthorisationChip(system) {
+            const { state, daysUntilDue } = getSystemAuthorisationState(system);
+            const text = {
+                unauthorised: 'Not authorised',
+                unscheduled: 'No reauthorisation date',
+                overdue: `Reauthorisation overdue by ${-daysUntilDue} day${daysUntilDue === -1 ? '' : 's'}`,
+                'due-soon': `Reauthorise by ${this.escapeHtml(system.reauthorisationDue)}`,
+                current: `Reauthorise by ${this.escapeHtml(system.reauthorisationDue)}`
+            }[state];
+            const badge = { unauthorised: 'overdue', unscheduled: '' }[state] ?? state;
+            return `<span class="review-state-badge ${badge}">${text}</span>`;
+        }
+
+        readSystemRegisterFilters() {
+            const value = id => document.getElementById(id)?.value || '';
+            return {
+                query: value('systemRegisterSearch'),
+                hosting: value('systemRegisterHosting'),
+                state: value('systemRegisterState')
+            };
+        }
+
+        /**
+         * The systems register: totals, the TECH-086 to TECH-089 statuses it suggests and
+         * every system with its authorisation details.
+         */
+        renderSystemRegister() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('systemRegisterTable');
+            if (!container) return;
+
+            const fillSelect = (id, options, allLabel) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` + options
+                    .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+                    .join('');
+                select.value = options.some(([value]) => value === current) ? current : '';
+            };
+            fillSelect('systemRegisterHosting', Object.entries(SYSTEM_HOSTING).map(([key, { label }]) => [key, label]), 'All hosting');
+            fillSelect('systemRegisterState', Object.entries(SYSTEM_AUTHORISATION_STATES).map(([key, { label }]) => [key, label]), 'All systems');
+
+            const summary = document.getElementById('systemRegisterSummary');
+            if (summary) {
+                const totals = summariseSystems(this.systems);
+                summary.innerHTML = `
+                    <div class="stat-card"><span class="stat-number">${totals.authorised}</span><span class="stat-label">Authorised systems</span></div>
+                    <div class="stat-card${totals.unauthorised ? ' tolerance-breach' : ''}"><span class="stat-number">${totals.unauthorised}</span><span class="stat-label">Not authorised</span></div>
+                    <div class="stat-card${totals.reauthorisationOverdue ? ' tolerance-breach' : ''}"><span class="stat-number">${totals.reauthorisationOverdue}</span><span class="stat-label">Reauthorisation overdue</span></div>
+                    <div class="stat-card"><span class="stat-number">${totals.reauthorisationDueSoon}</span><span class="stat-label">Due in the next ${REVIEW_DUE_SOON_DAYS} days</span></div>
+                    <div class="stat-card"><span class="stat-number">${totals.incomplete}</span><span class="stat-label">Register entries incomplete</span></div>
+                `;
+            }
+
+            const suggestionsEl = document.getElementById('systemStatusSuggestions');
+            if (suggestionsEl) {
+                const suggestions = suggestSystemAuthorisationStatuses(this.systems);
+                suggestionsEl.innerHTML = suggestions.length ? `
+                    <ul class="system-suggestion-list">
+                        ${suggestions.map(row => {
+                            const current = this.compliance[row.id]?.status || 'not-set';
+                            return `
+                                <li>
+                                    <button type="button" class="btn-link" data-action="view-requirement" data-requirement-id="${row.id}">${row.id}</button>
+                                    <span class="requirement-status ${current}">${this.getStatusText(current)}</span>
+                                    ${current === row.status || current === 'na' ? '' : `→ <span class="requirement-status ${row.status}">${this.getStatusText(row.status)}</span>`}
+                                    <span class="subtitle-sm">${this.escapeHtml(row.reason)}${current === 'na' ? ' · marked N/A, so left unchanged' : ''}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                ` : '<p class="history-empty-msg">Add the entity\'s technology systems to get suggested statuses.</p>';
+            }
+
+            const systems = filterSystems(this.systems, this.readSystemRegisterFilters());
+            if (!systems.length) {
+                container.innerHTML = `<p class="history-empty-msg">${this.systems.length ? 'No systems match these filters.' : 'No systems recorded yet. Use Add System above.'}</p>`;
+                return;
+            }
+
+            const riskNames = new Map(this.risks.map(risk => [risk.id, risk.name]));
+            container.innerHTML = `
+                <table class="audit-table system-register-table">
+                    <thead>
+                        <tr><th>System</th><th>Authorising Officer</th><th>System owner</th><th>Authorised</th><th>Classification</th><th>Residual risks</th><th>Reauthorisation</th><th>Register</th><th><span class="visually-hidden">Edit</span></th></tr>
+                    </thead>
+                    <tbody>
+                        ${systems.map(system => {
+                            const missing = getMissingRegisterFields(system);
+                            const risks = (system.riskIds || []).filter(id => riskNames.has(id)).map(id => `
+                                <button type="button" class="btn-link btn-small" data-action="view-risk" data-risk-id="${this.escapeHtml(id)}">${this.escapeHtml(riskNames.get(id))}</button>
+                            `);
+                            return `
+                                <tr>
+                                    <td>
+                                        ${this.escapeHtml(system.name)}
+                                        <span class="subtitle-sm">${this.escapeHtml(SYSTEM_HOSTING[system.hosting]?.label || '')}</span>
+                                    </td>
+                                    <td>
+                                        ${this.escapeHtml(system.authorisingOfficer)}
+                                        ${system.authorisingOfficerPosition ? `<span class="subtitle-sm">${this.escapeHtml(system.authorisingOfficerPosition)}</span>` : ''}
+                                    </td>
+                                    <td>${this.escapeHtml(system.systemOwner)}</td>
+                                    <td>${this.escapeHtml(system.authorisedOn)}</td>
+                                    <td>
+                                        ${this.escapeHtml(SECURITY_CLASSIFICATIONS[system.classification]?.label || '')}
+                                        ${isAuthorisedToClassification(system)
+                                            ? `<span class="subtitle-sm">Authorised to ${this.escapeHtml(SECURITY_CLASSIFICATIONS[system.authorisedClassification].label)}</span>`
+                                            : '<span class="review-state-badge overdue">Not authorised to this level</span>'}
+                                    </td>
+                                    <td class="system-risks">
+                                        ${system.residualRiskDecisions ? `<span class="subtitle-sm">${this.escapeHtml(system.residualRiskDecisions)}</span>` : ''}
+                                        ${risks.join('')}
+                                    </td>
+                                    <td>${this.renderSystemAuthorisationChip(system)}</td>
+                                    <td>${missing.length
+                                        ? `<span class="review-state-badge due-soon" title="Missing: ${this.escapeHtml(missing.map(field => SYSTEM_REGISTER_FIELDS[field].label).join(', '))}">${missing.length} missing</span>`
+                                        : '<span class="review-state-badge current">Complete</span>'}</td>
+                                    <td class="people-actions">
+                                        <button type="button" class="btn-link btn-small" data-action="edit-system" data-system-id="${this.escapeHtml(system.id)}">Edit</button>
+                                        <button type="button" class="btn-link btn-small" data-action="delete-system" data-system-id="${this.escapeHtml(system.id)}">Delete</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        showSystemModal(systemId = null) {
+            const system = systemId ? this.systems.find(entry => entry.id === systemId) : null;
+            if (systemId && !system) return;
+            const classificationOptions = (selected, blankLabel = '') => (blankLabel ? `<option value="">${blankLabel}</option>` : '')
+                + Object.entries(SECURITY_CLASSIFICATIONS).map(([key, { label }]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${label}</option>`).join('');
+
+            const modal = this.createModal(`
+                <div class="modal-content system-modal">
+                    <h3>${system ? 'Edit System' : 'Add System'}</h3>
+                    <form id="systemForm">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="systemName">System</label>
+                                <input type="text" id="systemName" maxlength="200" required value="${this.escapeHtml(system?.name || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="systemHosting">Hosting</label>
+                                <select id="systemHosting">
+                                    ${Object.entries(SYSTEM_HOSTING).map(([key, { label }]) => `<option value="${key}" ${key === system?.hosting ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="systemDescription">Description</label>
+                            <textarea id="systemDescription" rows="2">${this.escapeHtml(system?.description || '')}</textarea>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="systemAuthorisingOfficer">Authorising Officer</label>
+                                <input type="text" id="systemAuthorisingOfficer" list="systemPeopleList" maxlength="200" value="${this.escapeHtml(system?.authorisingOfficer || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="systemAuthorisingOfficerPosition">Authorising Officer position</label>
+                                <input type="text" id="systemAuthorisingOfficerPosition" maxlength="200" value="${this.escapeHtml(system?.authorisingOfficerPosition || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="systemOwner">System owner</label>
+                                <input type="text" id="systemOwner" list="systemPeopleList" maxlength="200" value="${this.escapeHtml(system?.systemOwner || '')}">
+                            </div>
+                        </div>
+                        <datalist id="systemPeopleList">
+                            ${this.people.map(person => `<option value="${this.escapeHtml(person.name)}">${this.escapeHtml(person.role || '')}</option>`).join('')}
+                        </datalist>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="systemAuthorisedOn">Date of authorisation</label>
+                                <input type="date" id="systemAuthorisedOn" value="${this.escapeHtml(system?.authorisedOn || '')}">
+                            </div>
+                            <div class="form-group">
+                                <label for="systemReauthorisationDue">Reauthorisation due</label>
+                                <input type="date" id="systemReauthorisationDue" value="${this.escapeHtml(system?.reauthorisationDue || '')}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="systemAssessmentReference">Security assessment</label>
+                            <input type="text" id="systemAssessmentReference" maxlength="500" value="${this.escapeHtml(system?.assessmentReference || '')}" aria-describedby="systemAssessmentHelp">
+                            <small class="field-help" id="systemAssessmentHelp">The ISM-based assessment the authorisation relied on, such as an IRAP report or security assessment reference.</small>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="systemClassification">Highest classification handled</label>
+                                <select id="systemClassification">${classificationOptions(system?.classification || 'official')}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="systemAuthorisedClassification">Authorised to</label>
+                                <select id="systemAuthorisedClassification">${classificationOptions(system?.authorisedClassification, 'Not yet authorised')}</select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="systemResidualRiskDecisions">Residual risk decisions</label>
+                            <textarea id="systemResidualRiskDecisions" rows="3" aria-describedby="systemResidualRiskHelp">${this.escapeHtml(system?.residualRiskDecisions || '')}</textarea>
+                            <small class="field-help" id="systemResidualRiskHelp">The residual security risks the Authorising Officer accepted, and any conditions on the authorisation.</small>
+                        </div>
+                        <div class="form-group">
+                            <label for="systemRisks">Linked risks</label>
+                            <select id="systemRisks" multiple size="4">
+                                ${this.risks.map(risk => `<option value="${this.escapeHtml(risk.id)}" ${(system?.riskIds || []).includes(risk.id) ? 'selected' : ''}>${this.escapeHtml(risk.name)}</option>`).join('')}
+                            </select>
+                            <small class="field-help">Hold Ctrl (⌘ on Mac) to select more than one risk.</small>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelSystemBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save System</button>
+                        </div>
+                    </form>
+                </div>
+            `, { id: 'systemModal' });
+
+            const form = modal.querySelector('#systemForm');
+            modal.addTrackedListener(modal.querySelector('#cancelSystemBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(form, 'submit', (event) => {
+                event.preventDefault();
+                const field = id => form.querySelector(`#${id}`).value;
+                const saved = this.saveSystem({
+                    name: field('systemName'),
+                    hosting: field('systemHosting'),
+                    description: field('systemDescription'),
+                    authorisingOfficer: field('systemAuthorisingOfficer'),
+                    authorisingOfficerPosition: field('systemAuthorisingOfficerPosition'),
+                    systemOwner: field('systemOwner'),
+                    authorisedOn: field('systemAuthorisedOn'),
+                    reauthorisationDue: field('systemReauthorisationDue'),
+                    assessmentReference: field('systemAssessmentReference'),
+                    classification: field('systemClassification'),
+                    authorisedClassification: field('systemAuthorisedClassification'),
+                    residualRiskDecisions: field('systemResidualRiskDecisions'),
+                    riskIds: Array.from(form.querySelector('#systemRisks').selectedOptions).map(option => option.value)
+                }, systemId);
+                if (saved) modal.remove();
+            });
+        }
+
+        /**
+         * @param {Object} fields - Form values
+         * @param {string|null} systemId - System to update, or null to add one
+         * @returns {boolean} Whether the system was saved
+         */
+        saveSystem(fields, systemId = null) {
+            if (!String(fields.name || '').trim()) {
+                this.showNotification('Enter the system name.', 'error');
+                return false;
+            }
+            if (fields.authorisedOn && fields.reauthorisationDue && fields.reauthorisationDue < fields.authorisedOn) {
+                this.showNotification('The reauthorisation date is before the date of authorisation.', 'error');
+                return false;
+            }
+
+            const existing = systemId ? this.systems.find(entry => entry.id === systemId) : null;
+            const system = createSystem({ ...existing, ...fields, updatedAt: new Date().toISOString() });
+            const command = this.recordUndoable(`System "${system.name}"`, this.registerUndoScope('systems', system.id), () => {
+                this.systems = existing
+                    ? this.systems.map(entry => (entry.id === systemId ? system : entry))
+                    : [...this.systems, system];
+                this.saveData();
+            });
+            this.refreshSystemViews();
+            this.notifyUndoable('System saved.', command);
+            return true;
+        }
+
+        deleteSystem(systemId) {
+            if (!confirm('Are you sure you want to delete this system from the register?')) return;
+            const command = this.recordUndoable('System deletion', this.registerUndoScope('systems', systemId), () => {
+                this.systems = this.systems.filter(system => system.id !== systemId);
+                this.saveData();
+            });
+            this.refreshSystemViews();
+            this.notifyUndoable('System deleted.', command);
+        }
+
+        /**
+         * Re-render whichever system lists are on screen after a system changes.
+         */
+        refreshSystemViews() {
+            if (this.currentView === 'systems') this.renderSystemRegister();
+        }
+
+        /**
+         * Set TECH-086 to TECH-089 to the statuses the systems register suggests.
+         * Requirements marked N/A or Risk Managed keep their status.
+         */
+        applySystemAuthorisationStatuses() {
+            const suggestions = suggestSystemAuthorisationStatuses(this.systems);
+            if (!suggestions.length) {
+                this.showNotification('Add at least one system before updating requirement statuses.', 'warning');
+                return;
+            }
+
+            const keepsStatus = id => ['na', 'partial'].includes(this.compliance[id]?.status);
+            const differing = suggestions.filter(row => (this.compliance[row.id]?.status || 'not-set') !== row.status);
+            const changes = differing.filter(row => !keepsStatus(row.id));
+            if (!changes.length) {
+                this.showNotification('TECH requirement statuses already match the systems register.', 'info');
+                return;
+            }
+
+            const summary = differing
+                .map(row => `${row.id}: ${keepsStatus(row.id) ? `${this.getStatusText(this.compliance[row.id].status)} kept` : this.getStatusText(row.status)} (${row.reason})`)
+                .join('\n');
+            if (!confirm(`Update ${changes.length} system authorisation requirement${changes.length === 1 ? '' : 's'} from the register?\n\n${summary}`)) {
+                return;
+            }
+
+            this.takeWorkspaceSnapshot({ name: 'Before systems register status update', trigger: 'bulk' });
+            const updated = this.applySpreadsheetCompliance(changes.map(({ id, status }) => ({ id, status })));
+            this.renderSystemRegister();
+            this.showNotification(`Updated ${updated} TECH requirement${updated === 1 ? '' : 's'} from the systems register.`, 'success');
+        }
+
+        /**
+         * The contact register page: set-up when there is no register, an unlock form while
+         * it is locked, and the entries once unlocked.
+         */
+        renderContactRegister() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('contactRegisterContent');
+            if (!container) return;
+            const { envelope, summary } = this.contactRegister;
+
+            if (!envelope) {
+                container.innerHTML = `
+                    <div class="audit-log-card contact-lock-card">
+                        <h3>Set up the contact register</h3>
+                        <p class="subtitle-sm">Choose a passphrase of at least ${CONTACT_PASSPHRASE_MIN_LENGTH} characters and share it only with staff who handle contact reports. It cannot be recovered: if it is lost, the register can only be deleted.</p>
+                        <form id="contactSetupForm">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="contactPassphrase">Passphrase</label>
+                                    <input type="password" id="contactPassphrase" autocomplete="new-password" minlength="${CONTACT_PASSPHRASE_MIN_LENGTH}" required>
+                                </div>
+                                <div class="form-group">
+                                    <label for="contactPassphraseConfirm">Confirm passphrase</label>
+                                    <input type="password" id="contactPassphraseConfirm" autocomplete="new-password" required>
+                                </div>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary">Create Register</button>
+                            </div>
+                        </form>
+                    </div>
+                `;
+                container.querySelector('#contactSetupForm')?.addEventListener('submit', (event) => {
+                    event.preventDefault();
+                    this.createContactRegister(
+                        container.querySelector('#contactPassphrase').value,
+                        container.querySelector('#contactPassphraseConfirm').value
+                    );
+                });
+                return;
+            }
+
+            if (!this.contactSession) {
+                container.innerHTML = `
+                    <div class="audit-log-card contact-lock-card">
+                        <h3>🔒 Register locked</h3>
+                        <p class="subtitle-sm">${summary.total} entr${summary.total === 1 ? 'y' : 'ies'} recorded. Enter the passphrase to view or add contacts.</p>
+                        <form id="contactUnlockForm">
+                            <div class="form-group">
+                                <label for="contactUnlockPassphrase">Passphrase</label>
+                                <input type="password" id="contactUnlockPassphrase" autocomplete="current-password" required>
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-danger" data-action="reset-contacts">Delete Register</button>
+                                <button type="submit" class="btn btn-primary">Unlock</button>
+                            </div>
+                        </form>
+                    </div>
+                `;
+                container.querySelector('#contactUnlockForm')?.addEventListener('submit', (event) => {
+                    event.preventDefault();
+                    this.unlockContactRegister(container.querySelector('#contactUnlockPassphrase').value);
+                });
+                return;
+            }
 
-        getRiskSeverityIcon(severity) {
-            const icons = {
-                'low': '🟢',
-                'medium': '🟡',
-                'high': '🟠',
-                'critical': '🔴'
-            };
-            return icons[severity] || '⚪';
+            const contacts = [...this.contactSession.contacts].sort(compareContacts);
+            const current = summariseContacts(contacts);
+            const requirementLinks = ids => ids.map(id => `
+                <button type="button" class="btn-link btn-small" data-action="view-requirement" data-requirement-id="${this.escapeHtml(id)}">${this.escapeHtml(id)}</button>
+            `).join('');
+            container.innerHTML = `
+                <div class="register-header-actions contact-register-actions">
+                    <button type="button" class="btn btn-primary" data-action="add-contact">Add Contact</button>
+                    <button type="button" class="btn btn-outline" data-action="lock-contacts">Lock Register</button>
+                </div>
+                <div class="risk-register-summary">
+                    <div class="stat-card"><span class="stat-number">${current.total}</span><span class="stat-label">Contacts recorded</span></div>
+                    <div class="stat-card"><span class="stat-number">${current.lastTwelveMonths}</span><span class="stat-label">In the last 12 months</span></div>
+                    <div class="stat-card${current.byAssessment['of-concern'] ? ' tolerance-breach' : ''}"><span class="stat-number">${current.byAssessment['of-concern']}</span><span class="stat-label">Of security concern</span></div>
+                    <div class="stat-card"><span class="stat-number">${current.referred}</span><span class="stat-label">Referred</span></div>
+                    <div class="stat-card"><span class="stat-number">${current.awaitingOutcome}</span><span class="stat-label">Awaiting outcome</span></div>
+                </div>
+                <div class="audit-log-card">
+                    <div class="audit-table-wrapper">
+                        ${contacts.length ? `
+                            <table class="audit-table contact-register-table">
+                                <thead>
+                                    <tr><th>Date</th><th>Person</th><th>Nature</th><th>Channel</th><th>Assessment</th><th>Referred to</th><th>Outcome</th><th>Requirements</th><th><span class="visually-hidden">Edit</span></th></tr>
+                                </thead>
+                                <tbody>
+                                    ${contacts.map(contact => `
+                                        <tr>
+                                            <td>${this.escapeHtml(contact.date)}</td>
+                                            <td>${this.escapeHtml(contact.person)}</td>
+                                            <td>${this.escapeHtml(CONTACT_NATURES[contact.nature].label)}${contact.details ? `<span class="subtitle-sm">${this.escapeHtml(contact.details)}</span>` : ''}</td>
+                                            <td>${this.escapeHtml(CONTACT_CHANNELS[contact.channel].label)}</td>
+                                            <td><span class="contact-assessment-chip ${contact.assessment}">${this.escapeHtml(CONTACT_ASSESSMENTS[contact.assessment].label)}</span></td>
+                                            <td>${this.escapeHtml(contact.referredTo)}${contact.referredOn ? `<span class="subtitle-sm">${this.escapeHtml(contact.referredOn)}</span>` : ''}</td>
+                                            <td>${contact.outcome ? this.escapeHtml(contact.outcome) : '<span class="review-state-badge due-soon">Awaiting outcome</span>'}</td>
+                                            <td>${requirementLinks(contact.requirementIds)}</td>
+                                            <td class="people-actions">
+                                                <button type="button" class="btn-link btn-small" data-action="edit-contact" data-contact-id="${this.escapeHtml(contact.id)}">Edit</button>
+                                                <button type="button" class="btn-link btn-small" data-action="delete-contact" data-contact-id="${this.escapeHtml(contact.id)}">Delete</button>
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        ` : '<p class="history-empty-msg">No contacts recorded yet.</p>'}
+                    </div>
+                </div>
+            `;
         }
 
-        // Incident CRUD operations
-        handleIncidentForm(e) {
-            e.preventDefault();
-            this.saveIncident();
+        /**
+         * Aggregate contact counts for the Progress view. Readable without the passphrase.
+         */
+        renderContactSummaryWidget() {
+            if (typeof document === 'undefined') return;
+            const widget = document.getElementById('contactSummaryWidget');
+            if (!widget) return;
+            const { envelope, summary } = this.contactRegister;
+            const natures = Object.entries(summary.byNature).filter(([, count]) => count > 0);
+            widget.innerHTML = `
+                <div class="heatmap-header">
+                    <div>
+                        <h3 id="contact-summary-heading">Reportable contacts</h3>
+                        <p class="subtitle-sm">Counts from the encrypted contact register (RISK-049, RISK-050, PERS-177).</p>
+                    </div>
+                    <button type="button" class="btn btn-outline btn-small" data-action="nav-view" data-view="contacts" data-nav-btn="contactsBtn">Open register</button>
+                </div>
+                ${envelope ? `
+                    <div class="risk-register-summary">
+                        <div class="stat-card"><span class="stat-number">${summary.total}</span><span class="stat-label">Contacts recorded</span></div>
+                        <div class="stat-card"><span class="stat-number">${summary.lastTwelveMonths}</span><span class="stat-label">${summary.asOf ? `In the 12 months to ${this.escapeHtml(summary.asOf)}` : 'In the 12 months before the register was last saved'}</span></div>
+                        <div class="stat-card${summary.byAssessment['of-concern'] ? ' tolerance-breach' : ''}"><span class="stat-number">${summary.byAssessment['of-concern']}</span><span class="stat-label">Of security concern</span></div>
+                        <div class="stat-card"><span class="stat-number">${summary.referred}</span><span class="stat-label">Referred</span></div>
+                        <div class="stat-card"><span class="stat-number">${summary.awaitingOutcome}</span><span class="stat-label">Awaiting outcome</span></div>
+                    </div>
+                    ${natures.length ? `
+                        <ul class="contact-nature-list">
+                            ${natures.map(([nature, count]) => `<li><span>${this.escapeHtml(CONTACT_NATURES[nature].label)}</span><strong>${count}</strong></li>`).join('')}
+                        </ul>
+                    ` : ''}
+                ` : '<p class="history-empty-msg">The contact register has not been set up.</p>'}
+            `;
         }
 
-        showIncidentModal(incidentId = null, projectId = null) {
-            const modal = document.getElementById('incidentModal');
-            const title = document.getElementById('incidentModalTitle');
-            const form = document.getElementById('incidentForm');
-            if (!modal || !form) return;
-
-            if (projectId) {
-                this.currentProjectId = projectId;
+        async createContactRegister(passphrase, confirmation) {
+            if (passphrase.length < CONTACT_PASSPHRASE_MIN_LENGTH) {
+                this.showNotification(`Use a passphrase of at least ${CONTACT_PASSPHRASE_MIN_LENGTH} characters.`, 'error');
+                return;
             }
-
-            if (!this.currentProjectId) {
-                this.showNotification('Select a project before logging an event.', 'warning');
+            if (passphrase !== confirmation) {
+                this.showNotification('The passphrases do not match.', 'error');
                 return;
             }
+            try {
+                this.contactSession = { ...(await createContactKey(passphrase)), contacts: [] };
+                await this.persistContactRegister([]);
+                this.showNotification('Contact register created. Keep the passphrase somewhere safe; it cannot be recovered.', 'success', 6000);
+            } catch (error) {
+                console.error('Contact register set-up failed:', error);
+                this.contactSession = null;
+                this.showNotification('The contact register could not be created in this browser.', 'error');
+            }
+        }
 
-            if (incidentId) {
-                const incident = this.incidents.find(i => i.id === incidentId);
-                if (incident) {
-                    if (!projectId && incident.projectId) {
-                        this.currentProjectId = incident.projectId;
-                    }
-                    this.editingIncident = incidentId;
-                    title.textContent = 'Edit Event';
-                    document.getElementById('incidentName').value = incident.name || '';
-                    document.getElementById('incidentDesc').value = incident.description || '';
-                    document.getElementById('incidentDate').value = this.formatDateTimeLocal(incident.date);
-                    document.getElementById('incidentSeverity').value = incident.severity || 'low';
-                    document.getElementById('incidentResolution').value = incident.resolution || '';
-                }
-            } else {
-                this.editingIncident = null;
-                title.textContent = 'Add Event';
-                form.reset();
-                const dateInput = document.getElementById('incidentDate');
-                if (dateInput) {
-                    dateInput.value = this.formatDateTimeLocal(new Date().toISOString());
+        async unlockContactRegister(passphrase) {
+            try {
+                const { contacts, session } = await openContactRegister(this.contactRegister.envelope, passphrase);
+                this.contactSession = { ...session, contacts };
+                // The rolling twelve-month count ages while the register is locked; bring it up to date
+                const summary = summariseContacts(contacts);
+                if (JSON.stringify(summary) !== JSON.stringify(this.contactRegister.summary)) {
+                    this.contactRegister = { ...this.contactRegister, summary };
+                    this.saveData();
+                    this.renderContactSummaryWidget();
                 }
+                this.renderContactRegister();
+            } catch (error) {
+                if (!(error instanceof ContactPassphraseError)) console.error('Contact register unlock failed:', error);
+                this.showNotification(error instanceof ContactPassphraseError ? error.message : 'The contact register could not be opened.', 'error');
             }
+        }
 
-            modal.style.display = 'block';
+        lockContactRegister() {
+            this.contactSession = null;
+            if (this.currentView === 'contacts') this.renderContactRegister();
         }
 
-        saveIncident() {
-            if (!this.currentProjectId) {
-                this.showNotification('Select a project before saving an event.', 'error');
-                return;
-            }
+        /**
+         * Encrypt and store the register entries with the unlocked key.
+         * @param {Array<Object>} contacts
+         */
+        async persistContactRegister(contacts) {
+            const envelope = await sealContactRegister(contacts, this.contactSession);
+            this.contactSession.contacts = contacts;
+            this.contactRegister = { envelope, summary: summariseContacts(contacts) };
+            this.saveData();
+            this.renderContactRegister();
+            this.renderContactSummaryWidget();
+        }
 
-            const nameInput = document.getElementById('incidentName');
-            const descriptionInput = document.getElementById('incidentDesc');
-            const dateInput = document.getElementById('incidentDate');
-            const severityInput = document.getElementById('incidentSeverity');
-            const resolutionInput = document.getElementById('incidentResolution');
+        showContactModal(contactId = null) {
+            if (!this.contactSession) return;
+            const contact = contactId ? this.contactSession.contacts.find(entry => entry.id === contactId) : null;
+            if (contactId && !contact) return;
+            const options = (map, selected) => Object.entries(map)
+                .map(([key, { label }]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`)
+                .join('');
+            const referralTargets = ['ASIO', 'Authorised Vetting Agency', 'Chief Security Officer', 'Agency Security Adviser', 'AFP'];
 
-            const dateValue = dateInput?.value;
-            const parsedDate = dateValue ? new Date(dateValue) : new Date();
-            if (Number.isNaN(parsedDate.getTime())) {
-                this.showNotification('Please provide a valid date for the event.', 'error');
-                return;
-            }
+            const modal = this.createModal(`
+                <div class="modal-content">
+                    <h3>${contact ? 'Edit Contact' : 'Add Contact'}</h3>
+                    <form id="contactForm">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="contactDate">Date of contact</label>
+                                <input type="date" id="contactDate" required value="${this.escapeHtml(contact?.date || todayDateOnly())}">
+                            </div>
+                            <div class="form-group">
+                                <label for="contactPerson">Person</label>
+                                <input type="text" id="contactPerson" list="contactPeopleList" maxlength="200" required value="${this.escapeHtml(contact?.person || '')}" aria-describedby="contactPersonHelp">
+                                <datalist id="contactPeopleList">
+                                    ${this.people.map(person => `<option value="${this.escapeHtml(person.name)}"></option>`).join('')}
+                                </datalist>
+                                <small class="field-help" id="contactPersonHelp">The staff member who had the contact.</small>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="contactNature">Nature of contact</label>
+                                <select id="contactNature">${options(CONTACT_NATURES, contact?.nature)}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="contactChannel">Channel</label>
+                                <select id="contactChannel">${options(CONTACT_CHANNELS, contact?.channel)}</select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="contactDetails">Details</label>
+                            <textarea id="contactDetails" rows="3">${this.escapeHtml(contact?.details || '')}</textarea>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="contactAssessment">Assessment</label>
+                                <select id="contactAssessment">${options(CONTACT_ASSESSMENTS, contact?.assessment || 'monitor')}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="contactReferredTo">Referred to</label>
+                                <input type="text" id="contactReferredTo" list="contactReferralList" maxlength="200" value="${this.escapeHtml(contact?.referredTo || '')}">
+                                <datalist id="contactReferralList">
+                                    ${referralTargets.map(target => `<option value="${target}"></option>`).join('')}
+                                </datalist>
+                            </div>
+                            <div class="form-group">
+                                <label for="contactReferredOn">Referred on</label>
+                                <input type="date" id="contactReferredOn" value="${this.escapeHtml(contact?.referredOn || '')}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="contactOutcome">Outcome</label>
+                            <textarea id="contactOutcome" rows="2">${this.escapeHtml(contact?.outcome || '')}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="contactRequirements">Linked requirements</label>
+                            <input type="text" id="contactRequirements" value="${this.escapeHtml((contact?.requirementIds || CONTACT_REQUIREMENT_IDS).join(', '))}" aria-describedby="contactRequirementsHelp">
+                            <small class="field-help" id="contactRequirementsHelp">Risk and Personnel requirement IDs, separated by commas.</small>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelContactBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save Contact</button>
+                        </div>
+                    </form>
+                </div>
+            `, { id: 'contactModal' });
+
+            const form = modal.querySelector('#contactForm');
+            modal.addTrackedListener(modal.querySelector('#cancelContactBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(form, 'submit', async (event) => {
+                event.preventDefault();
+                const field = id => form.querySelector(`#${id}`).value;
+                const saved = await this.saveContact({
+                    date: field('contactDate'),
+                    person: field('contactPerson'),
+                    nature: field('contactNature'),
+                    channel: field('contactChannel'),
+                    details: field('contactDetails'),
+                    assessment: field('contactAssessment'),
+                    referredTo: field('contactReferredTo'),
+                    referredOn: field('contactReferredOn'),
+                    outcome: field('contactOutcome'),
+                    requirements: field('contactRequirements')
+                }, contactId);
+                if (saved) modal.remove();
+            });
+        }
 
-            const incidentData = {
-                name: nameInput?.value.trim() || 'Untitled event',
-                description: descriptionInput?.value.trim() || '',
-                date: parsedDate.toISOString(),
-                severity: severityInput?.value || 'low',
-                resolution: resolutionInput?.value.trim() || '',
-                projectId: this.currentProjectId,
+        /**
+         * @param {Object} fields - Form values; `requirements` is the comma-separated id list
+         * @param {string|null} contactId - Entry to update, or null to add one
+         * @returns {Promise<boolean>} Whether the entry was saved
+         */
+        async saveContact(fields, contactId = null) {
+            if (!this.contactSession) return false;
+            const { ids, unknown } = parseControlIds(fields.requirements, this.requirements);
+            const outsideDomains = ids.filter(id => !CONTACT_REQUIREMENT_DOMAINS.includes(this.requirements[id]?.domainId));
+            if (unknown.length || outsideDomains.length) {
+                const problems = [
+                    unknown.length ? `unknown ID${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}` : '',
+                    outsideDomains.length ? `${outsideDomains.join(', ')} not in the Risk or Personnel domains` : ''
+                ].filter(Boolean).join('; ');
+                this.showNotification(`Check the linked requirements: ${problems}.`, 'error');
+                return false;
+            }
+            if (!String(fields.person || '').trim()) {
+                this.showNotification('Enter the person who had the contact.', 'error');
+                return false;
+            }
+
+            const existing = contactId ? this.contactSession.contacts.find(entry => entry.id === contactId) : null;
+            const contact = createContact({
+                ...existing,
+                ...fields,
+                requirementIds: ids,
                 updatedAt: new Date().toISOString()
-            };
+            });
+            const contacts = existing
+                ? this.contactSession.contacts.map(entry => (entry.id === contactId ? contact : entry))
+                : [...this.contactSession.contacts, contact];
+            try {
+                await this.persistContactRegister(contacts);
+                this.showNotification('Contact saved.', 'success');
+                return true;
+            } catch (error) {
+                console.error('Contact save failed:', error);
+                this.showNotification('The contact could not be saved.', 'error');
+                return false;
+            }
+        }
 
-            if (this.editingIncident) {
-                const index = this.incidents.findIndex(i => i.id === this.editingIncident);
-                if (index !== -1) {
-                    this.incidents[index] = { ...this.incidents[index], ...incidentData };
-                }
-            } else {
-                incidentData.id = Date.now().toString();
-                incidentData.createdAt = incidentData.updatedAt;
-                this.incidents.push(incidentData);
+        async deleteContact(contactId) {
+            if (!this.contactSession || !confirm('Delete this contact from the register?')) return;
+            try {
+                await this.persistContactRegister(this.contactSession.contacts.filter(entry => entry.id !== contactId));
+                this.showNotification('Contact deleted.', 'success');
+            } catch (error) {
+                console.error('Contact delete failed:', error);
+                this.showNotification('The contact could not be deleted.', 'error');
             }
+        }
 
+        /**
+         * Delete the whole register, e.g. when its passphrase has been lost.
+         */
+        resetContactRegister() {
+            if (!confirm('Delete the contact register and every entry in it? This cannot be undone, and entries cannot be recovered without the passphrase.')) return;
+            this.contactRegister = normaliseContactRegister({});
+            this.contactSession = null;
             this.saveData();
-            this.hideModal('incidentModal');
-            this.renderIncidents(this.currentProjectId);
-            this.updateProjectTabCounts();
-            this.updateDataStats();
-            this.showNotification('Event saved successfully.', 'success');
+            this.renderContactRegister();
+            this.renderContactSummaryWidget();
+            this.showNotification('Contact register deleted.', 'info');
         }
 
-        deleteIncident(incidentId) {
-            if (!incidentId) return;
-            if (!confirm('Delete this event? This action cannot be undone.')) {
-                return;
+        /**
+         * Switch the Risks & Events view between its risk and event registers.
+         * @param {'risks'|'incidents'} tab
+         */
+        showRegisterTab(tab) {
+            this.registerTab = tab === 'incidents' ? 'incidents' : 'risks';
+            if (typeof document === 'undefined') return;
+            document.querySelectorAll('[data-register-tab]').forEach(button => {
+                if (!button.classList.contains('tab-btn')) return;
+                const active = button.dataset.registerTab === this.registerTab;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-selected', String(active));
+            });
+            document.getElementById('riskRegisterPane')?.classList.toggle('active', this.registerTab === 'risks');
+            document.getElementById('incidentRegisterPane')?.classList.toggle('active', this.registerTab === 'incidents');
+
+            const riskCount = document.getElementById('registerRiskCount');
+            if (riskCount) riskCount.textContent = this.risks.length;
+            const incidentCount = document.getElementById('registerIncidentCount');
+            if (incidentCount) incidentCount.textContent = this.incidents.length;
+
+            if (this.registerTab === 'risks') {
+                this.renderRiskRegister();
+            } else {
+                this.renderIncidentRegister();
             }
-            this.incidents = this.incidents.filter(incident => incident.id !== incidentId);
-            this.saveData();
-            this.renderIncidents(this.currentProjectId);
-            this.updateProjectTabCounts();
-            this.updateDataStats();
-            this.showNotification('Event deleted.', 'success');
         }
 
         renderIncidents(projectId = null) {
@@ -3057,11 +7388,7 @@ export class PSPFExplorer {
                 return;
             }
 
-            const sortedIncidents = [...incidentsToShow].sort((a, b) => {
-                const aDate = new Date(a.date || a.createdAt || 0).getTime();
-                const bDate = new Date(b.date || b.createdAt || 0).getTime();
-                return bDate - aDate;
-            });
+            const sortedIncidents = filterIncidents(incidentsToShow);
 
             incidentsList.innerHTML = sortedIncidents.map(incident => {
                 const severity = incident.severity || 'low';
@@ -3071,8 +7398,9 @@ export class PSPFExplorer {
                 const safeName = this.escapeHtml(incident.name || 'Untitled event');
                 const safeDescription = incident.description ? this.escapeHtml(incident.description) : 'No description provided.';
                 const safeResolution = incident.resolution ? this.escapeHtml(incident.resolution) : '';
+                const next = getNextIncidentState(getIncidentState(incident));
                 return `
-                    <div class="risk-card incident-card">
+                    <div class="risk-card incident-card${getIncidentState(incident) === 'closed' ? ' risk-closed' : ''}">
                         <div class="risk-header">
                             <h4>${safeName}</h4>
                             <div class="risk-severity">
@@ -3090,13 +7418,26 @@ export class PSPFExplorer {
                                 <span class="factor-value ${severity}">${severity.toUpperCase()}</span>
                             </div>
                         </div>
+                        <div class="risk-register-meta">
+                            ${this.renderIncidentStateChip(incident)}
+                            ${this.renderIncidentReportingChips(incident)}
+                        </div>
+                        ${this.renderOwnershipLine(incident)}
+                        ${this.renderIncidentLinks(incident)}
                         ${safeResolution ? `
                             <div class="risk-mitigation">
                                 <strong>Resolution:</strong>
                                 <p>${safeResolution}</p>
                             </div>
                         ` : ''}
+                        ${incident.lessonsLearned ? `
+                            <div class="risk-mitigation">
+                                <strong>Lessons learned:</strong>
+                                <p>${this.escapeHtml(incident.lessonsLearned)}</p>
+                            </div>
+                        ` : ''}
                         <div class="risk-actions">
+                            ${next ? `<button class="btn btn-outline btn-small" data-action="advance-incident" data-incident-id="${incident.id}">Mark ${INCIDENT_STATES[next].label.toLowerCase()}</button>` : ''}
                             <button class="btn btn-outline btn-small" data-action="edit-incident" data-incident-id="${incident.id}">Edit</button>
                             <button class="btn btn-danger btn-small" data-action="delete-incident" data-incident-id="${incident.id}">Delete</button>
                         </div>
@@ -3105,6 +7446,164 @@ export class PSPFExplorer {
             }).join('');
         }
 
+        renderIncidentStateChip(incident) {
+            const state = getIncidentState(incident);
+            const history = incident.stateHistory || [];
+            const since = history.length && history[history.length - 1].state === state ? history[history.length - 1].at : null;
+            return `<span class="incident-state-chip ${state}"${since ? ` title="Since ${this.escapeHtml(this.formatTimestamp(since))}"` : ''}>${INCIDENT_STATES[state].label}</span>`;
+        }
+
+        /**
+         * One chip per external body the event is reportable to, coloured by due state.
+         * @param {Object} incident
+         * @returns {string}
+         */
+        renderIncidentReportingChips(incident) {
+            const badgeClass = { overdue: 'overdue', 'due-soon': 'due-soon', reported: 'current' };
+            return (incident.reporting || []).map(obligation => {
+                const { state, daysUntilDue } = getReportingState(obligation);
+                const body = REPORTING_BODIES[obligation.body]?.label || obligation.body;
+                let detail = 'no due date';
+                if (state === 'reported') detail = `reported ${obligation.reportedOn}`;
+                else if (state === 'overdue') detail = `overdue since ${obligation.dueDate}`;
+                else if (daysUntilDue !== null) detail = daysUntilDue === 0 ? 'due today' : `due ${obligation.dueDate}`;
+                return `<span class="review-state-badge ${badgeClass[state] || ''}" title="${this.escapeHtml(obligation.reference || '')}">${this.escapeHtml(body)}: ${detail}</span>`;
+            }).join(' ');
+        }
+
+        /**
+         * Linked requirement and risk buttons for an event.
+         * @param {Object} incident
+         * @returns {string}
+         */
+        renderIncidentLinks(incident) {
+            const requirements = (incident.requirementIds || []).map(id => `
+                <button type="button" class="btn-link btn-small" data-action="view-requirement" data-requirement-id="${this.escapeHtml(id)}">${this.escapeHtml(id)}</button>
+            `).join('');
+            // Deleted risks drop out of the list rather than leaving dangling links
+            const risks = (incident.riskIds || []).map(id => this.risks.find(risk => risk.id === id)).filter(Boolean).map(risk => `
+                <button type="button" class="btn-link btn-small" data-action="view-risk" data-risk-id="${this.escapeHtml(risk.id)}">${this.escapeHtml(risk.name)}</button>
+            `).join('');
+            if (!requirements && !risks) return '';
+            return `
+                <p class="risk-controls">
+                    ${requirements ? `<strong>Requirements:</strong> ${requirements}` : ''}
+                    ${risks ? `<strong>Risks:</strong> ${risks}` : ''}
+                </p>
+            `;
+        }
+
+        /**
+         * @param {number|null} days
+         * @returns {string}
+         */
+        formatDaysToClose(days) {
+            if (days === null) return '–';
+            if (days < 1) return `${Math.max(1, Math.round(days * 24))} h`;
+            return `${days.toFixed(1)} days`;
+        }
+
+        readIncidentRegisterFilters() {
+            const value = id => document.getElementById(id)?.value || '';
+            return {
+                query: value('incidentRegisterSearch'),
+                projectId: value('incidentRegisterProject'),
+                ownerId: value('incidentRegisterOwner'),
+                state: value('incidentRegisterState'),
+                severity: value('incidentRegisterSeverity'),
+                reporting: value('incidentRegisterReporting')
+            };
+        }
+
+        /**
+         * The incidents view: every event across all projects with lifecycle state,
+         * reporting obligations and time-to-close metrics.
+         */
+        renderIncidentRegister() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('incidentRegisterTable');
+            if (!container) return;
+
+            const fillSelect = (id, options, allLabel) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` + options
+                    .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+                    .join('');
+                select.value = options.some(([value]) => value === current) ? current : '';
+            };
+            fillSelect('incidentRegisterProject', [
+                [NO_PROJECT, 'No project (entity-wide)'],
+                ...this.projects.map(project => [project.id, project.name])
+            ], 'All projects');
+            fillSelect('incidentRegisterOwner', [
+                [UNASSIGNED_OWNER, 'No owner assigned'],
+                ...this.people.map(person => [person.id, person.name])
+            ], 'All owners');
+            fillSelect('incidentRegisterState', Object.entries(INCIDENT_STATES).map(([key, { label }]) => [key, label]), 'All states');
+            fillSelect('incidentRegisterSeverity', [...RISK_SEVERITY_KEYS].reverse().map(key => [key, RISK_SEVERITIES[key].label]), 'All levels');
+            fillSelect('incidentRegisterReporting', Object.entries(INCIDENT_REPORTING_FILTERS).map(([key, { label }]) => [key, label]), 'Any');
+
+            const summary = document.getElementById('incidentRegisterSummary');
+            if (summary) {
+                const metrics = summariseIncidents(this.incidents);
+                summary.innerHTML = `
+                    <div class="stat-card"><span class="stat-number">${metrics.open}</span><span class="stat-label">Open events</span></div>
+                    ${['triaged', 'investigating', 'contained'].map(state => `
+                        <div class="stat-card"><span class="stat-number">${metrics.byState[state]}</span><span class="stat-label">${INCIDENT_STATES[state].label}</span></div>
+                    `).join('')}
+                    <div class="stat-card"><span class="stat-number">${this.formatDaysToClose(metrics.meanDaysToClose)}</span><span class="stat-label">Mean time to close${metrics.closedMeasured ? ` (${metrics.closedMeasured} closed)` : ''}</span></div>
+                    <div class="stat-card"><span class="stat-number">${this.formatDaysToClose(metrics.medianDaysToClose)}</span><span class="stat-label">Median time to close</span></div>
+                    <div class="stat-card${metrics.reportsOverdue ? ' tolerance-breach' : ''}"><span class="stat-number">${metrics.reportsOverdue}</span><span class="stat-label">External reports overdue${metrics.reportsDueSoon ? ` (${metrics.reportsDueSoon} due soon)` : ''}</span></div>
+                `;
+            }
+
+            this.renderIncidentTrend('registerIncidentSparkline', 'registerIncidentTrendChange');
+
+            const incidents = filterIncidents(this.incidents, this.readIncidentRegisterFilters());
+            if (!incidents.length) {
+                container.innerHTML = `<p class="history-empty-msg">${this.incidents.length ? 'No events match these filters.' : 'No events recorded yet. Use Add Event above or a project\'s Events tab.'}</p>`;
+                return;
+            }
+
+            const projectNames = new Map(this.projects.map(project => [project.id, project.name]));
+            container.innerHTML = `
+                <table class="audit-table incident-register-table">
+                    <thead>
+                        <tr><th>Event</th><th>Owner</th><th>Impact</th><th>State</th><th>Reported</th><th>External reporting</th><th>Links</th><th>Time to close</th><th><span class="visually-hidden">Edit</span></th></tr>
+                    </thead>
+                    <tbody>
+                        ${incidents.map(incident => {
+                            const severity = incident.severity || 'low';
+                            const { reportedAt } = getIncidentLifecycleTimes(incident);
+                            const next = getNextIncidentState(getIncidentState(incident));
+                            return `
+                                <tr class="${getIncidentState(incident) === 'closed' ? 'risk-closed' : ''}">
+                                    <td>
+                                        ${this.escapeHtml(incident.name || 'Untitled event')}
+                                        <span class="subtitle-sm">${this.escapeHtml(projectNames.get(incident.projectId) || 'No project')}</span>
+                                    </td>
+                                    <td>${this.escapeHtml(this.getPersonName(incident.ownerId) || 'Unassigned')}</td>
+                                    <td><span class="severity-badge ${this.escapeHtml(severity)}">${this.escapeHtml(RISK_SEVERITIES[severity]?.label || severity)}</span></td>
+                                    <td>${this.renderIncidentStateChip(incident)}</td>
+                                    <td>${reportedAt ? this.escapeHtml(this.formatTimestamp(reportedAt)) : ''}</td>
+                                    <td>${this.renderIncidentReportingChips(incident)}</td>
+                                    <td>${this.renderIncidentLinks(incident)}</td>
+                                    <td>${getIncidentState(incident) === 'closed' ? this.formatDaysToClose(getIncidentDaysToClose(incident)) : ''}</td>
+                                    <td class="people-actions">
+                                        ${next ? `<button type="button" class="btn-link btn-small" data-action="advance-incident" data-incident-id="${this.escapeHtml(incident.id)}">Mark ${INCIDENT_STATES[next].label.toLowerCase()}</button>` : ''}
+                                        <button type="button" class="btn-link btn-small" data-action="edit-incident" data-incident-id="${this.escapeHtml(incident.id)}">Edit</button>
+                                        <button type="button" class="btn-link btn-small" data-action="delete-incident" data-incident-id="${this.escapeHtml(incident.id)}">Delete</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
         getIncidentSeverityIcon(severity) {
             const icons = {
                 low: '🟢',
@@ -3181,19 +7680,26 @@ export class PSPFExplorer {
             document.getElementById('dataIncidentCount').textContent = incidentCount;
             document.getElementById('dataLastModified').textContent = 
                 lastModified ? new Date(lastModified).toLocaleDateString() : 'Never';
+            const storageBackendEl = document.getElementById('dataStorageBackend');
+            if (storageBackendEl) storageBackendEl.textContent = this.storage.backendName;
 
             this.renderIncidentTrend();
             this.renderEvidenceCoverageSummary();
             this.populateScopedExportSelectors();
         }
 
-        renderIncidentTrend() {
+        /**
+         * Monthly event counts across the whole register as a sparkline.
+         * @param {string} [sparklineId]
+         * @param {string} [changeId]
+         */
+        renderIncidentTrend(sparklineId = 'incidentSparkline', changeId = 'incidentTrendChange') {
             if (typeof document === 'undefined') {
                 return;
             }
 
-            const sparklineEl = document.getElementById('incidentSparkline');
-            const changeEl = document.getElementById('incidentTrendChange');
+            const sparklineEl = document.getElementById(sparklineId);
+            const changeEl = document.getElementById(changeId);
             if (!sparklineEl || !changeEl) {
                 return;
             }
@@ -3212,7 +7718,7 @@ export class PSPFExplorer {
             sparklineEl.innerHTML = buckets.map(bucket => {
                 const percent = Math.max((bucket.count / maxCount) * 100, 4);
                 return `
-                    <div class="spark-bar" style="height:${percent.toFixed(2)}%;" role="img" aria-label="${bucket.label}: ${bucket.count} incidents">
+                    <div class="spark-bar" style="height:${percent.toFixed(2)}%;" role="img" aria-label="${bucket.label}: ${bucket.count} incidents, ${bucket.entityWide} not tied to a project">
                         <span>${bucket.label}: ${bucket.count}</span>
                     </div>
                 `;
@@ -3231,6 +7737,12 @@ export class PSPFExplorer {
             }
         }
 
+        /**
+         * Events per month for the last `monthCount` months, counting every event in the
+         * register whether or not it belongs to a project.
+         * @param {number} [monthCount]
+         * @returns {Array<{key: string, label: string, count: number, entityWide: number}>}
+         */
         buildIncidentTrendBuckets(monthCount = 6) {
             const now = new Date();
             const buckets = [];
@@ -3240,7 +7752,8 @@ export class PSPFExplorer {
                 buckets.push({
                     key,
                     label: date.toLocaleString('default', { month: 'short' }),
-                    count: 0
+                    count: 0,
+                    entityWide: 0
                 });
             }
 
@@ -3263,6 +7776,7 @@ export class PSPFExplorer {
                 const bucket = bucketMap[key];
                 if (bucket) {
                     bucket.count += 1;
+                    if (!incident.projectId) bucket.entityWide += 1;
                 }
             });
 
@@ -3283,14 +7797,18 @@ export class PSPFExplorer {
 
             const requirementIds = Object.keys(this.requirements || {});
             const totalRequirements = requirementIds.length;
-            const withEvidence = requirementIds.reduce((count, reqId) => {
-                const url = this.compliance[reqId]?.url;
-                return url && url.trim().length ? count + 1 : count;
-            }, 0);
+            const now = new Date();
+            let withEvidence = 0;
+            let expiredItems = 0;
+            requirementIds.forEach(reqId => {
+                const summary = summariseEvidence(this.compliance[reqId]?.evidence, now);
+                if (summary.valid) withEvidence += 1;
+                expiredItems += summary.expired;
+            });
             const percentage = totalRequirements ? Math.round((withEvidence / totalRequirements) * 100) : 0;
 
             valueEl.textContent = `${percentage}%`;
-            subtitleEl.textContent = `${withEvidence} of ${totalRequirements} requirements include reference links.`;
+            subtitleEl.textContent = `${withEvidence} of ${totalRequirements} requirements have current evidence${expiredItems ? ` · ${expiredItems} expired item${expiredItems === 1 ? '' : 's'}` : ''}.`;
 
             let previousValue = null;
             if (this.storageAvailable) {
@@ -3476,29 +7994,40 @@ export class PSPFExplorer {
         }
 
         unlinkRequirementFromProject(reqId) {
-            const p = this.projects.find(p => p.id === this.currentProjectId);
-            if (!p || !Array.isArray(p.requirements)) return;
-            p.requirements = p.requirements.filter(id => id !== reqId);
-            this.saveData();
-            this.updateProjectTabCounts();
-            this.renderProjectRequirements();
-            this.renderProjectRequirementWidget();
+            const projectId = this.currentProjectId;
+            const command = this.recordUndoable(`Project link for ${reqId}`, this.projectLinkUndoScope(projectId, reqId), () => {
+                const p = this.projects.find(p => p.id === this.currentProjectId);
+                if (!p || !Array.isArray(p.requirements)) return;
+                p.requirements = p.requirements.filter(id => id !== reqId);
+                this.saveData();
+                this.updateProjectTabCounts();
+                this.renderProjectRequirements();
+                this.renderProjectRequirementWidget();
+            });
+            this.notifyUndoable(`${reqId} unlinked from the project.`, command);
         }
 
         downloadJsonFile(payload, filenamePrefix) {
+            const dateStamp = new Date().toISOString().split('T')[0];
+            this.downloadFile(JSON.stringify(payload, null, 2), `${filenamePrefix}-${dateStamp}.json`, 'application/json');
+        }
+
+        /**
+         * Offer content to the user as a file download.
+         * @param {string|Uint8Array|Blob} content
+         * @param {string} filename
+         * @param {string} mimeType
+         */
+        downloadFile(content, filename, mimeType) {
             if (typeof document === 'undefined') {
                 return;
             }
 
-            const blob = new Blob([JSON.stringify(payload, null, 2)], {
-                type: 'application/json'
-            });
-
+            const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
             const url = URL.createObjectURL(blob);
             const downloadLink = document.createElement('a');
             downloadLink.href = url;
-            const dateStamp = new Date().toISOString().split('T')[0];
-            downloadLink.download = `${filenamePrefix}-${dateStamp}.json`;
+            downloadLink.download = filename;
 
             document.body.appendChild(downloadLink);
             downloadLink.click();
@@ -3506,26 +8035,134 @@ export class PSPFExplorer {
             URL.revokeObjectURL(url);
         }
 
-        exportData() {
-            try {
-                const exportData = {
-                    version: '1.0',
-                    timestamp: new Date().toISOString(),
-                    data: {
-                        projects: this.projects,
-                        risks: this.risks,
-                        incidents: this.incidents,
-                        compliance: this.compliance
-                    }
-                };
+        /**
+         * Collect every piece of persisted state into a complete workspace backup payload.
+         * @returns {Object} Collections keyed as in WORKSPACE_COLLECTIONS
+         */
+        buildWorkspaceData() {
+            return {
+                projects: this.projects,
+                risks: this.risks,
+                incidents: this.incidents,
+                vendors: this.vendors,
+                systems: this.systems,
+                compliance: this.compliance,
+                progressHistory: this.progressHistory,
+                essentialEight: this.essentialEight,
+                people: this.people,
+                assessmentCycles: this.assessmentCycles,
+                riskMatrix: this.riskMatrix,
+                contactRegister: this.contactRegister,
+                requirements: this.requirements,
+                tagDefinitions: this.tagDefinitions,
+                userTagAssignments: this.userTagAssignments,
+                userProfiles: this.userProfiles,
+                auditLog: this.auditLog,
+                preferences: {
+                    userProfile: this.currentUserProfile,
+                    myWorkUserName: this.readStorage(MY_WORK_USER_NAME_KEY, null),
+                    myWorkTagFilters: Array.from(this.myWorkActiveTagFilters),
+                    welcomeSeen: this.storageAvailable && localStorage.getItem('pspf_welcome_seen') === 'true',
+                    reportSettings: this.loadReportSettings()
+                }
+            };
+        }
+
+        async exportData() {
+            try {
+                const exportData = {
+                    version: formatSchemaVersion(),
+                    schemaVersion: CURRENT_SCHEMA_VERSION,
+                    type: 'workspace',
+                    timestamp: new Date().toISOString(),
+                    data: this.buildWorkspaceData()
+                };
+
+                const includeFiles = document.getElementById('exportIncludeAttachments')?.checked;
+                if (includeFiles && this.storage.supportsAttachments) {
+                    const bundled = await this.exportWorkspaceBundle(exportData);
+                    this.showNotification(`Workspace exported with ${bundled} evidence file${bundled === 1 ? '' : 's'}.`, 'success');
+                    return;
+                }
+
+                this.downloadJsonFile(exportData, 'pspf-explorer-backup');
+                this.showNotification('Workspace exported successfully!', 'success');
+                
+            } catch (error) {
+                console.error('Export failed:', error);
+                this.showNotification('Export failed. Please try again.', 'error');
+            }
+        }
+
+        /**
+         * Download the backup as a zip holding workspace.json and every stored evidence file.
+         * @param {Object} exportData - Backup payload built by exportData()
+         * @returns {Promise<number>} Number of files bundled
+         */
+        /**
+         * File evidence across the working compliance set and every other cycle, one item
+         * per stored attachment. Rolled-forward cycles share attachments with their source.
+         * @returns {Array<Object>}
+         */
+        getAllFileEvidence() {
+            const sets = [this.compliance, ...listAssessmentCycles(this.assessmentCycles).map(cycle => cycle.compliance || {})];
+            const items = new Map();
+            sets.forEach(compliance => Object.values(compliance).forEach(record => {
+                (record?.evidence || []).forEach(item => {
+                    if (item.type === 'file' && item.file?.attachmentId && !items.has(item.file.attachmentId)) {
+                        items.set(item.file.attachmentId, item);
+                    }
+                });
+            }));
+            return [...items.values()];
+        }
+
+        /**
+         * Delete a stored file once no cycle's evidence or snapshot refers to it any more.
+         * @param {string} attachmentId
+         */
+        releaseAttachment(attachmentId) {
+            if (!attachmentId || this.getAllFileEvidence().some(item => item.file.attachmentId === attachmentId)) return;
+            if (this.snapshots.some(snapshot => snapshotAttachmentIds(snapshot).has(attachmentId))) return;
+            this.storage.deleteAttachments([attachmentId]).catch(error => console.warn('Failed to remove attachment:', error));
+        }
+
+        async exportWorkspaceBundle(exportData) {
+            const files = [{ name: 'workspace.json', data: JSON.stringify(exportData, null, 2) }];
 
-                this.downloadJsonFile(exportData, 'pspf-explorer-backup');
-                this.showNotification('Data exported successfully!', 'success');
-                
-            } catch (error) {
-                console.error('Export failed:', error);
-                this.showNotification('Export failed. Please try again.', 'error');
+            for (const item of this.getAllFileEvidence()) {
+                const attachment = await this.storage.getAttachment(item.file.attachmentId);
+                if (!attachment) continue;
+                files.push({
+                    name: attachmentArchivePath(item),
+                    data: new Uint8Array(await attachment.blob.arrayBuffer())
+                });
             }
+
+            const date = new Date().toISOString().split('T')[0];
+            this.downloadFile(createZip(files), `pspf-explorer-backup-${date}.zip`, 'application/zip');
+            return files.length - 1;
+        }
+
+        /**
+         * Store the evidence files from a zip backup once its workspace has been applied.
+         * @param {Map<string, Uint8Array>} archive - Entries from readZip()
+         * @returns {Promise<number>} Number of files restored
+         */
+        async restoreBackupAttachments(archive) {
+            if (!archive || !this.storage.supportsAttachments) return 0;
+            let restored = 0;
+            for (const item of this.getAllFileEvidence()) {
+                const bytes = archive.get(attachmentArchivePath(item));
+                if (!bytes) continue;
+                await this.storage.putAttachment(item.file.attachmentId, {
+                    blob: new Blob([bytes], { type: item.file.mimeType }),
+                    name: item.file.name,
+                    mimeType: item.file.mimeType
+                });
+                restored += 1;
+            }
+            return restored;
         }
 
         buildRequirementExportDetails(requirementIds = []) {
@@ -3533,7 +8170,7 @@ export class PSPFExplorer {
             return requirementArray.map(reqId => {
                 const requirement = this.requirements[reqId] || {};
                 const domain = requirement.domainId ? this.domains.find(d => d.id === requirement.domainId) : null;
-                const complianceRecord = this.compliance[reqId] || { status: 'not-set', comment: '', url: '' };
+                const complianceRecord = this.compliance[reqId] || { status: 'not-set', comment: '', evidence: [] };
 
                 return {
                     id: reqId,
@@ -3541,10 +8178,16 @@ export class PSPFExplorer {
                     description: requirement.description || '',
                     domainId: requirement.domainId || null,
                     domainTitle: domain?.title || '',
+                    ...this.describeOwnership(complianceRecord),
                     compliance: {
                         status: complianceRecord.status || 'not-set',
+                        maturity: normaliseMaturityLevel(complianceRecord.maturity),
                         comment: complianceRecord.comment || '',
-                        url: complianceRecord.url || ''
+                        comments: complianceRecord.comments || [],
+                        evidence: (complianceRecord.evidence || []).map(item => ({
+                            ...item,
+                            valid: isEvidenceValid(item)
+                        }))
                     }
                 };
             });
@@ -3593,7 +8236,7 @@ export class PSPFExplorer {
                         },
                         requirements,
                         projects: relatedProjects,
-                        incidents: relatedIncidents
+                        incidents: relatedIncidents.map(incident => ({ ...incident, ...this.describeOwnership(incident) }))
                     }
                 };
 
@@ -3638,77 +8281,961 @@ export class PSPFExplorer {
                     data: {
                         project,
                         requirements: requirementDetails,
-                        risks: projectRisks,
-                        incidents: projectIncidents
+                        risks: projectRisks.map(risk => ({ ...risk, ...this.describeOwnership(risk) })),
+                        incidents: projectIncidents.map(incident => ({ ...incident, ...this.describeOwnership(incident) }))
                     }
                 };
 
                 this.downloadJsonFile(payload, `pspf-project-${project.id}`);
                 this.showNotification(`Exported ${project.name || 'project'} report`, 'success');
             } catch (error) {
-                console.error('Project export failed:', error);
-                this.showNotification('Project export failed. Please try again.', 'error');
+                console.error('Project export failed:', error);
+                this.showNotification('Project export failed. Please try again.', 'error');
+            }
+        }
+
+        /**
+         * Australian financial year label for a date, e.g. "FY2025-26".
+         * @param {Date} date
+         * @returns {string}
+         */
+        getFinancialYearLabel(date = new Date()) {
+            const startYear = date.getMonth() >= 6 ? date.getFullYear() : date.getFullYear() - 1;
+            return `FY${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+        }
+
+        loadReportSettings() {
+            const saved = this.readStorage(REPORT_SETTINGS_KEY, {});
+            return saved && typeof saved === 'object' ? saved : {};
+        }
+
+        saveReportSettings(settings) {
+            if (!this.storageAvailable) return;
+            localStorage.setItem(REPORT_SETTINGS_KEY, JSON.stringify(settings));
+        }
+
+        showAnnualReportModal() {
+            const settings = this.loadReportSettings();
+            const modalContent = `
+                <div class="modal-content">
+                    <h3>Generate Annual Report</h3>
+                    <form id="annualReportForm">
+                        <div class="form-group">
+                            <label for="reportEntityName">Entity name</label>
+                            <input type="text" id="reportEntityName" maxlength="200" placeholder="e.g., Department of Example Affairs" value="${this.escapeHtml(settings.entityName || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="reportPeriod">Reporting period</label>
+                            <input type="text" id="reportPeriod" maxlength="50" required value="${this.escapeHtml(this.getActiveCycle()?.name || this.getFinancialYearLabel())}">
+                        </div>
+                        <div class="form-group">
+                            <label for="reportPreparedBy">Prepared by</label>
+                            <input type="text" id="reportPreparedBy" maxlength="200" value="${this.escapeHtml(settings.preparedBy || this.currentUserProfile?.name || '')}">
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" id="cancelAnnualReportBtn">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Generate Report</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'annualReportModal' });
+            modal.addTrackedListener(modal.querySelector('#cancelAnnualReportBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#annualReportForm'), 'submit', (event) => {
+                event.preventDefault();
+                const options = {
+                    entityName: modal.querySelector('#reportEntityName').value.trim(),
+                    period: modal.querySelector('#reportPeriod').value.trim() || this.getFinancialYearLabel(),
+                    preparedBy: modal.querySelector('#reportPreparedBy').value.trim()
+                };
+                this.saveReportSettings({ entityName: options.entityName, preparedBy: options.preparedBy });
+                modal.remove();
+                this.generateAnnualReport(options);
+            });
+        }
+
+        /**
+         * Gather everything the annual self-assessment report shows.
+         * @param {{entityName: string, period: string, preparedBy: string}} options
+         * @returns {Object} Model for buildAnnualReportHtml()
+         */
+        buildAnnualReportModel(options) {
+            const statuses = ['yes', 'partial', 'no', 'na', 'not-set'];
+            const totals = statuses.reduce((acc, status) => ({ ...acc, [status]: 0 }), { requirements: 0 });
+            const projectName = (projectId) => this.projects.find(p => p.id === projectId)?.name || 'No project';
+
+            const domains = this.domains.map(domain => {
+                const requirements = (domain.requirements || []).map(reqId => {
+                    const requirement = this.requirements[reqId] || { id: reqId };
+                    const record = this.compliance[reqId] || {};
+                    const status = statuses.includes(record.status) ? record.status : 'not-set';
+                    const { text, section } = this.splitPspfSection(requirement.description);
+                    totals[status] += 1;
+                    totals.requirements += 1;
+                    return {
+                        id: reqId,
+                        title: requirement.title || reqId,
+                        text: text || requirement.title || '',
+                        section,
+                        status,
+                        statusText: this.getStatusText(status),
+                        maturityText: normaliseMaturityLevel(record.maturity) === null
+                            ? ''
+                            : formatMaturityLevel(this.getMaturityScale(reqId), record.maturity, { short: true }),
+                        owner: this.getPersonName(record.ownerId),
+                        comment: record.comment || '',
+                        evidence: record.evidence || []
+                    };
+                });
+                const health = this.calculateDomainHealth(domain.id);
+                const maturity = this.getDomainMaturity(domain.id);
+                return {
+                    id: domain.id,
+                    title: domain.title,
+                    description: domain.description || '',
+                    health,
+                    percentage: health.total ? Math.round((health.met / health.total) * 100) : 0,
+                    maturity: this.formatMaturityScore(maturity),
+                    outstanding: this.getOutstandingRequirements(domain.id).length,
+                    requirements
+                };
+            });
+            totals.percentage = totals.requirements
+                ? Math.round(((totals.yes + totals.na) / totals.requirements) * 100)
+                : 0;
+            const overallMaturity = this.getOverallMaturity();
+            totals.maturity = overallMaturity.score === null
+                ? ''
+                : `${this.formatMaturityScore(overallMaturity)} (${describeMaturityScore(overallMaturity.score)})`;
+
+            const riskMatrix = this.getRiskMatrix();
+            const risks = this.risks
+                .filter(risk => risk.status !== 'closed')
+                .sort(compareRisks)
+                .map(risk => ({
+                    name: risk.name || 'Untitled risk',
+                    description: risk.description || '',
+                    project: projectName(risk.projectId),
+                    likelihood: riskMatrix.likelihood[risk.likelihood]?.label || '',
+                    impact: riskMatrix.impact[risk.impact]?.label || '',
+                    severity: riskMatrix.ratings[risk.severity]?.label || '',
+                    inherentSeverity: riskMatrix.ratings[risk.inherentSeverity]?.label || '',
+                    aboveTolerance: isAboveTolerance(risk.severity, riskMatrix),
+                    owner: this.getPersonName(risk.ownerId),
+                    treatment: RISK_TREATMENTS[risk.treatment]?.label || '',
+                    mitigation: risk.mitigation || '',
+                    status: RISK_STATUSES[risk.status]?.label || '',
+                    reviewDate: risk.reviewDate || ''
+                }));
+
+            const incidents = filterIncidents(this.incidents)
+                .filter(incident => getIncidentState(incident) !== 'closed')
+                .map(incident => ({
+                    date: incident.date ? new Date(incident.date).toLocaleDateString('en-AU') : '',
+                    name: incident.name || 'Untitled event',
+                    project: projectName(incident.projectId),
+                    severity: incident.severity || '',
+                    state: INCIDENT_STATES[getIncidentState(incident)].label,
+                    reporting: (incident.reporting || []).map(obligation => {
+                        const body = REPORTING_BODIES[obligation.body]?.label || obligation.body;
+                        if (obligation.reportedOn) return `${body} (reported ${obligation.reportedOn})`;
+                        return obligation.dueDate ? `${body} (due ${obligation.dueDate})` : body;
+                    }).join('; '),
+                    owner: this.getPersonName(incident.ownerId),
+                    description: incident.description || ''
+                }));
+
+            const expiryText = { expired: 'Expired', expiring: 'Expires soon', current: 'Current', undated: 'No expiry' };
+            const evidence = domains.flatMap(domain => domain.requirements.flatMap(requirement => requirement.evidence.map(item => ({
+                id: requirement.id,
+                title: requirement.title,
+                status: requirement.status,
+                statusText: requirement.statusText,
+                evidenceTitle: item.title,
+                type: EVIDENCE_TYPES[item.type]?.label || '',
+                url: item.type === 'url' ? item.url : '',
+                detail: item.type === 'file' ? item.file?.name || '' : item.type === 'note' ? item.note || '' : '',
+                owner: item.owner || '',
+                collectedAt: item.collectedAt || '',
+                expiresAt: item.expiresAt || '',
+                expiry: expiryText[getEvidenceExpiryState(item)]
+            }))));
+
+            return {
+                meta: {
+                    ...options,
+                    generatedAt: new Date().toLocaleString('en-AU', { dateStyle: 'long', timeStyle: 'short' })
+                },
+                totals,
+                domains,
+                essentialEight: this.getEssentialEightStatus().controls.map(control => ({
+                    ...control,
+                    statusText: this.getStatusText(control.status)
+                })),
+                risks,
+                riskTolerance: riskMatrix.tolerance.rating
+                    ? { ...riskMatrix.tolerance, rating: riskMatrix.ratings[riskMatrix.tolerance.rating].label }
+                    : null,
+                incidents,
+                evidence
+            };
+        }
+
+        generateAnnualReport(options) {
+            try {
+                const html = buildAnnualReportHtml(this.buildAnnualReportModel(options));
+                const reportWindow = window.open('', '_blank');
+                if (reportWindow) {
+                    reportWindow.document.open();
+                    reportWindow.document.write(html);
+                    reportWindow.document.close();
+                    this.showNotification('Report opened in a new tab. Use Print to save it as PDF.', 'success', 6000);
+                    return;
+                }
+                // Pop-up blocked: hand the document over as a file instead
+                const fileName = `pspf-annual-report-${options.period.replace(/[^A-Za-z0-9-]+/g, '-')}.html`;
+                this.downloadFile(html, fileName, 'text/html');
+                this.showNotification('Pop-ups are blocked, so the report was downloaded instead. Open it and print to PDF.', 'info', 8000);
+            } catch (error) {
+                console.error('Report generation failed:', error);
+                this.showNotification('Could not generate the report. Please try again.', 'error');
+            }
+        }
+
+        /**
+         * Split the trailing PSPF section reference, e.g. "(05. Security Risk Management)",
+         * off a requirement description.
+         * @param {string} description
+         * @returns {{text: string, section: string}}
+         */
+        splitPspfSection(description = '') {
+            const match = /\s*\((\d{2}\.\s*[^()]+)\)\s*$/.exec(description || '');
+            if (!match) {
+                return { text: (description || '').trim(), section: '' };
+            }
+            return { text: description.slice(0, match.index).trim(), section: match[1].trim() };
+        }
+
+        /**
+         * One row per requirement for the tabular compliance register exports.
+         * @returns {Array<Object>}
+         */
+        buildComplianceRegisterRows() {
+            return this.domains.flatMap(domain => (domain.requirements || []).map(reqId => {
+                const requirement = this.requirements[reqId] || { id: reqId };
+                const record = this.compliance[reqId] || {};
+                const { text, section } = this.splitPspfSection(requirement.description);
+                const linkedProjects = this.projects
+                    .filter(project => Array.isArray(project.requirements) && project.requirements.includes(reqId))
+                    .map(project => project.name);
+                const tags = this.getUserRequirementTags(reqId)
+                    .map(tagId => this.tagDefinitions[tagId]?.name || tagId);
+                const ownership = this.describeOwnership(record);
+
+                return {
+                    id: reqId,
+                    domainId: domain.id,
+                    domain: domain.title,
+                    section,
+                    title: requirement.title || '',
+                    requirement: text,
+                    status: record.status || 'not-set',
+                    statusText: this.getStatusText(record.status || 'not-set'),
+                    maturity: normaliseMaturityLevel(record.maturity),
+                    maturityText: normaliseMaturityLevel(record.maturity) === null
+                        ? ''
+                        : formatMaturityLevel(this.getMaturityScale(reqId), record.maturity),
+                    comment: record.comment || '',
+                    commentThread: describeCommentThread(record.comments),
+                    evidence: (record.evidence || []).map(describeEvidenceItem).join('; '),
+                    evidenceCount: summariseEvidence(record.evidence).valid,
+                    lastReviewed: record.lastReviewed || '',
+                    reviewDue: getReviewState(record).dueDate || '',
+                    owner: ownership.owner,
+                    contributors: ownership.contributors.join('; '),
+                    projects: linkedProjects.join('; '),
+                    tags: tags.join('; ')
+                };
+            }));
+        }
+
+        complianceRegisterTable(rows) {
+            return [
+                ['Requirement ID', 'Domain', 'PSPF Section', 'Title', 'Requirement', 'Status', 'Maturity', 'Owner', 'Contributors', 'Justification', 'Comment Thread', 'Evidence', 'Current Evidence Items', 'Last Reviewed', 'Review Due', 'Linked Projects', 'Tags'],
+                ...rows.map(row => [row.id, row.domain, row.section, row.title, row.requirement, row.statusText, row.maturityText, row.owner, row.contributors, row.comment, row.commentThread, row.evidence, row.evidenceCount, row.lastReviewed, row.reviewDue, row.projects, row.tags])
+            ];
+        }
+
+        exportComplianceRegisterCsv() {
+            try {
+                const rows = this.buildComplianceRegisterRows();
+                const dateStamp = new Date().toISOString().split('T')[0];
+                this.downloadFile(toCsv(this.complianceRegisterTable(rows)), `pspf-compliance-register-${dateStamp}.csv`, 'text/csv;charset=utf-8');
+                this.showNotification(`Exported ${rows.length} requirements to CSV`, 'success');
+            } catch (error) {
+                console.error('CSV export failed:', error);
+                this.showNotification('CSV export failed. Please try again.', 'error');
+            }
+        }
+
+        exportComplianceRegisterXlsx() {
+            try {
+                const rows = this.buildComplianceRegisterRows();
+                const statuses = ['yes', 'partial', 'no', 'na', 'not-set'];
+                const summaryRows = this.domains.map(domain => {
+                    const domainRows = rows.filter(row => row.domainId === domain.id);
+                    const counts = statuses.map(status => domainRows.filter(row => row.status === status).length);
+                    const met = counts[0] + counts[3];
+                    return [
+                        domain.title,
+                        domainRows.length,
+                        ...counts,
+                        domainRows.length ? Math.round((met / domainRows.length) * 100) : 0,
+                        this.getDomainMaturity(domain.id).score ?? ''
+                    ];
+                });
+                const totals = summaryRows.reduce((acc, row) => acc.map((value, index) => value + row[index + 1]), new Array(6).fill(0));
+                const totalMet = totals[1] + totals[4];
+                const overallMaturity = this.getOverallMaturity();
+
+                const registerWidths = [12, 24, 30, 30, 60, 14, 26, 24, 30, 40, 60, 50, 12, 14, 14, 30, 20];
+                const workbook = createXlsxWorkbook([
+                    {
+                        name: 'Summary',
+                        columnWidths: [36, 14, 10, 14, 10, 10, 10, 14, 16],
+                        rows: [
+                            ['Domain', 'Requirements', ...statuses.map(status => this.getStatusText(status)), 'Compliance %', `Avg Maturity (0-${MAX_MATURITY_LEVEL})`],
+                            ...summaryRows,
+                            ['All domains', ...totals, totals[0] ? Math.round((totalMet / totals[0]) * 100) : 0, overallMaturity.score ?? ''],
+                            [],
+                            ['Exported', new Date().toLocaleString('en-AU')]
+                        ]
+                    },
+                    ...this.domains.map(domain => ({
+                        name: domain.title,
+                        columnWidths: registerWidths,
+                        rows: this.complianceRegisterTable(rows.filter(row => row.domainId === domain.id))
+                    }))
+                ]);
+
+                const dateStamp = new Date().toISOString().split('T')[0];
+                this.downloadFile(workbook, `pspf-compliance-register-${dateStamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                this.showNotification(`Exported ${rows.length} requirements to Excel`, 'success');
+            } catch (error) {
+                console.error('XLSX export failed:', error);
+                this.showNotification('Excel export failed. Please try again.', 'error');
+            }
+        }
+
+        async importData(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+
+            try {
+                let importData;
+                let archive = null;
+                if (/\.zip$/i.test(file.name)) {
+                    archive = await readZip(await file.arrayBuffer());
+                    const manifest = archive.get('workspace.json');
+                    if (!manifest) {
+                        throw new Error('The zip does not contain a workspace.json backup');
+                    }
+                    importData = JSON.parse(new TextDecoder().decode(manifest));
+                } else {
+                    importData = JSON.parse(await file.text());
+                }
+                
+                // Validate the backup file structure and data
+                const validation = this.validateImportData(importData);
+                
+                if (!validation.valid) {
+                    this.showNotification(`Import failed: ${validation.errors.join(', ')}`, 'error', 8000);
+                    return;
+                }
+
+                // Upgrade older backups step by step before sanitising
+                const { state: migratedData } = migrateState(
+                    importData.data,
+                    validation.schemaVersion,
+                    { requirements: this.requirements }
+                );
+                const sanitizedData = this.sanitizeImportData(migratedData);
+                const summary = summarizeWorkspaceImport(this.buildWorkspaceData(), sanitizedData);
+                const restoreFiles = () => this.restoreBackupAttachments(archive)
+                    .then(count => {
+                        if (count) this.showNotification(`Restored ${count} evidence file${count === 1 ? '' : 's'}.`, 'success');
+                    })
+                    .catch(error => {
+                        console.error('Failed to restore evidence files:', error);
+                        this.showNotification('Evidence files in the backup could not be restored.', 'error', 6000);
+                    });
+
+                const snapshotName = `Before importing ${file.name}`;
+                this.showImportSummaryModal(summary, validation.warnings, {
+                    onReplace: () => {
+                        this.takeWorkspaceSnapshot({ name: snapshotName, trigger: 'import' });
+                        this.withAuditSource('import', () => this.applyWorkspaceData(sanitizedData));
+                        const imported = summary
+                            .filter(row => row.included)
+                            .map(row => `${row.added + row.replaced + row.unchanged} ${row.unit}`)
+                            .join(', ');
+                        this.showNotification(`Imported: ${imported}`, 'success', 6000);
+                        restoreFiles();
+                    },
+                    onMerge: () => {
+                        this.takeWorkspaceSnapshot({ name: snapshotName, trigger: 'import' });
+                        this.mergeImportedWorkspace(sanitizedData, restoreFiles);
+                    }
+                });
+                
+            } catch (error) {
+                console.error('Import failed:', error);
+                this.showNotification(`Import failed: ${error.message || 'Invalid JSON format'}`, 'error');
+            }
+        }
+
+        /**
+         * Show what an import will add, replace and drop in each collection and let the
+         * user replace the workspace, merge the backup into it, or cancel.
+         * @param {Array} summary - Rows from summarizeWorkspaceImport()
+         * @param {string[]} warnings - Validation warnings to show above the table
+         * @param {{onReplace: Function, onMerge: Function}} handlers
+         */
+        showImportSummaryModal(summary, warnings, { onReplace, onMerge }) {
+            const modalContent = `
+                <div class="modal-content modal-content--wide">
+                    <h3>Review Import</h3>
+                    <div class="import-summary">
+                        <p>Review what replacing the current workspace with this backup would change. Choose <strong>Merge</strong> instead to keep your records and add the backup's alongside them. A snapshot of the current workspace is saved first either way.</p>
+                        ${warnings.length ? `
+                            <ul class="import-summary-warnings">
+                                ${warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                        ${this.renderWorkspaceSummaryTable(summary)}
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" id="cancelImportBtn">Cancel</button>
+                        <button type="button" class="btn btn-outline" id="mergeImportBtn">Merge</button>
+                        <button type="button" class="btn btn-primary" id="confirmImportBtn">Replace Workspace</button>
+                    </div>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'importSummaryModal' });
+            const run = (handler) => {
+                modal.remove();
+                try {
+                    handler();
+                } catch (error) {
+                    console.error('Import failed:', error);
+                    this.showNotification(`Import failed: ${error.message}`, 'error');
+                }
+            };
+            modal.addTrackedListener(modal.querySelector('#cancelImportBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#mergeImportBtn'), 'click', () => run(onMerge));
+            modal.addTrackedListener(modal.querySelector('#confirmImportBtn'), 'click', () => run(onReplace));
+        }
+
+        /**
+         * Per-collection table of what applying workspace data would add, replace and drop.
+         * @param {Array} summary - Rows from summarizeWorkspaceImport()
+         * @returns {string}
+         */
+        renderWorkspaceSummaryTable(summary) {
+            const rows = summary.map(row => row.included ? `
+                <tr>
+                    <th scope="row">${this.escapeHtml(row.label)}</th>
+                    <td class="${row.added ? 'import-summary-added' : ''}">${row.added}</td>
+                    <td class="${row.replaced ? 'import-summary-replaced' : ''}">${row.replaced}</td>
+                    <td>${row.unchanged}</td>
+                    <td class="${row.dropped ? 'import-summary-dropped' : ''}">${row.dropped}</td>
+                </tr>
+            ` : `
+                <tr class="import-summary-kept">
+                    <th scope="row">${this.escapeHtml(row.label)}</th>
+                    <td colspan="4">Not in backup — current ${this.escapeHtml(row.unit)} kept</td>
+                </tr>
+            `).join('');
+
+            return `
+                <table class="import-summary-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Collection</th>
+                            <th scope="col">Added</th>
+                            <th scope="col">Replaced</th>
+                            <th scope="col">Unchanged</th>
+                            <th scope="col">Dropped</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }
+
+        /**
+         * Merge sanitised backup data into the workspace, asking the user to settle any
+         * records that differ on both sides.
+         * @param {Object} data - Output of sanitizeImportData()
+         */
+        mergeImportedWorkspace(data, onApplied = null) {
+            const { merged, conflicts } = mergeWorkspaceData(this.buildWorkspaceData(), this.alignIncomingCycle(data));
+            const finish = (choices = {}) => {
+                this.withAuditSource('import', () => this.applyWorkspaceData(resolveWorkspaceMerge(merged, conflicts, choices)));
+                if (onApplied) onApplied();
+                const conflictNote = conflicts.length ? `, ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} resolved` : '';
+                this.showNotification(`Merged backup: ${this.projects.length} projects, ${this.risks.length} risks, ${this.incidents.length} events, ${Object.keys(this.compliance).length} compliance records${conflictNote}`, 'success', 6000);
+            };
+
+            if (!conflicts.length) {
+                finish();
+                return;
+            }
+            this.showMergeConflictModal(conflicts, finish);
+        }
+
+        /**
+         * Line an incoming backup's working compliance set up with this workspace's active
+         * cycle so a merge compares records from the same cycle. When the backup was saved
+         * with another cycle active, its working set moves onto that cycle's entry.
+         * @param {Object} data - Sanitised backup data
+         * @returns {Object}
+         */
+        alignIncomingCycle(data) {
+            const incomingCycles = data.assessmentCycles;
+            const incomingActiveId = incomingCycles?.[CYCLE_SETTINGS_KEY]?.activeCycleId;
+            const activeId = this.getActiveCycle()?.id;
+            if (!incomingActiveId || !incomingCycles[incomingActiveId] || incomingActiveId === activeId) return data;
+
+            const cycles = { ...incomingCycles };
+            cycles[incomingActiveId] = { ...incomingCycles[incomingActiveId], compliance: data.compliance || {} };
+            const { compliance, ...activeEntry } = cycles[activeId] || {};
+            if (cycles[activeId]) cycles[activeId] = activeEntry;
+            return { ...data, compliance: compliance || {}, assessmentCycles: cycles };
+        }
+
+        describeMergeSide(conflict, side) {
+            const record = conflict[side] || {};
+            if (conflict.collection === 'compliance') {
+                const latest = Array.isArray(record.history) ? record.history[record.history.length - 1] : null;
+                const parts = [this.getStatusText(record.status || 'not-set')];
+                if (record.comment) parts.push(`“${record.comment.length > 80 ? `${record.comment.slice(0, 80)}…` : record.comment}”`);
+                if (latest?.timestamp) parts.push(`changed ${this.formatTimestamp(latest.timestamp)}`);
+                return parts.join(' · ');
+            }
+            const parts = [record.name || 'Untitled'];
+            if (record.status) parts.push(record.status.replace(/-/g, ' '));
+            if (record.severity) parts.push(`${record.severity} severity`);
+            const changed = record.updatedAt || record.createdAt;
+            if (changed) parts.push(`updated ${this.formatTimestamp(changed)}`);
+            return parts.join(' · ');
+        }
+
+        /**
+         * List merge conflicts with a choice of side for each and call `onResolve`
+         * with the chosen sides keyed by conflict id.
+         * @param {Array<Object>} conflicts - From mergeWorkspaceData()
+         * @param {Function} onResolve
+         */
+        showMergeConflictModal(conflicts, onResolve) {
+            const collectionLabels = {
+                projects: 'Project',
+                risks: 'Risk',
+                incidents: 'Event',
+                vendors: 'Vendor',
+                systems: 'System',
+                people: 'Person',
+                compliance: 'Requirement'
+            };
+
+            const rows = conflicts.map((conflict, index) => {
+                const label = conflict.collection === 'compliance'
+                    ? `${conflict.key} ${this.requirements[conflict.key]?.title || ''}`.trim()
+                    : conflict.label;
+                return `
+                    <fieldset class="merge-conflict">
+                        <legend>${collectionLabels[conflict.collection] || conflict.collection}: ${this.escapeHtml(label)}</legend>
+                        <label class="merge-conflict-option">
+                            <input type="radio" name="mergeConflict${index}" value="current" data-conflict-id="${this.escapeHtml(conflict.id)}" ${conflict.defaultSide === 'current' ? 'checked' : ''}>
+                            <span><strong>Keep mine</strong> ${this.escapeHtml(this.describeMergeSide(conflict, 'current'))}</span>
+                        </label>
+                        <label class="merge-conflict-option">
+                            <input type="radio" name="mergeConflict${index}" value="incoming" data-conflict-id="${this.escapeHtml(conflict.id)}" ${conflict.defaultSide === 'incoming' ? 'checked' : ''}>
+                            <span><strong>Use backup</strong> ${this.escapeHtml(this.describeMergeSide(conflict, 'incoming'))}</span>
+                        </label>
+                    </fieldset>
+                `;
+            }).join('');
+
+            const modalContent = `
+                <div class="modal-content modal-content--wide">
+                    <h3>Resolve Merge Conflicts</h3>
+                    <div class="merge-conflicts">
+                        <p>${conflicts.length} record${conflicts.length === 1 ? ' was' : 's were'} changed in both this workspace and the backup. The more recently changed side is selected.</p>
+                        <div class="merge-conflict-bulk">
+                            <button type="button" class="btn btn-link btn-small" data-merge-all="current">Keep all mine</button>
+                            <button type="button" class="btn btn-link btn-small" data-merge-all="incoming">Use all from backup</button>
+                        </div>
+                        ${rows}
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" id="cancelMergeBtn">Cancel</button>
+                        <button type="button" class="btn btn-primary" id="confirmMergeBtn">Merge</button>
+                    </div>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'mergeConflictModal' });
+            modal.querySelectorAll('[data-merge-all]').forEach(button => {
+                modal.addTrackedListener(button, 'click', () => {
+                    modal.querySelectorAll(`input[type="radio"][value="${button.dataset.mergeAll}"]`).forEach(input => {
+                        input.checked = true;
+                    });
+                });
+            });
+            modal.addTrackedListener(modal.querySelector('#cancelMergeBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#confirmMergeBtn'), 'click', () => {
+                const choices = {};
+                modal.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+                    choices[input.dataset.conflictId] = input.value;
+                });
+                modal.remove();
+                onResolve(choices);
+            });
+        }
+
+        /**
+         * Replace the workspace with sanitised backup data. Collections absent from the
+         * backup keep their current values.
+         * @param {Object} data - Output of sanitizeImportData()
+         */
+        applyWorkspaceData(data) {
+            this.projects = data.projects;
+            this.risks = data.risks;
+            this.incidents = data.incidents;
+            this.compliance = data.compliance;
+
+            if (data.progressHistory) {
+                this.progressHistory = data.progressHistory;
+                this.normalizeProgressHistory();
+            }
+
+            if (data.essentialEight) {
+                this.essentialEight = data.essentialEight;
+            }
+
+            if (data.people) {
+                this.people = data.people;
+            }
+
+            if (data.vendors) {
+                this.vendors = data.vendors;
+            }
+
+            if (data.systems) {
+                this.systems = data.systems;
+            }
+
+            if (data.assessmentCycles) {
+                this.assessmentCycles = data.assessmentCycles;
+            }
+            this.ensureAssessmentCycles();
+
+            if (data.riskMatrix) {
+                this.riskMatrix = data.riskMatrix;
+            }
+
+            if (data.contactRegister) {
+                this.contactRegister = normaliseContactRegister(data.contactRegister);
+                this.contactSession = null;
+            }
+            // Risks from the backup may have been rated with a different matrix
+            this.risks = reRateRisks(this.risks, this.getRiskMatrix()).risks;
+
+            // Append-only: entries from the backup are added, local entries are never dropped
+            if (data.auditLog) {
+                this.auditLog = mergeAuditLogs(this.auditLog, data.auditLog);
+                this.saveAuditLog();
+            }
+
+            if (data.requirements) {
+                this.requirements = data.requirements;
+                // Custom requirements only live in the requirements map; list them under their domain
+                Object.values(this.requirements).forEach(requirement => {
+                    const domain = this.domains.find(d => d.id === requirement.domainId);
+                    if (domain && !domain.requirements.includes(requirement.id)) {
+                        domain.requirements.push(requirement.id);
+                    }
+                });
+                this.saveRequirements();
+            }
+
+            if (data.tagDefinitions) {
+                this.tagDefinitions = data.tagDefinitions;
+                this.saveTagDefinitions();
+            }
+
+            if (data.userTagAssignments) {
+                this.userTagAssignments = data.userTagAssignments;
+                this.saveUserTagAssignments();
+            }
+
+            if (data.userProfiles) {
+                this.userProfiles = data.userProfiles;
+                this.saveUserProfiles();
+            }
+
+            if (data.preferences) {
+                const { userProfile, myWorkUserName, myWorkTagFilters, welcomeSeen, reportSettings } = data.preferences;
+                if (reportSettings) {
+                    this.saveReportSettings(reportSettings);
+                }
+                if (userProfile) {
+                    this.currentUserProfile = userProfile;
+                    this.saveUserProfile();
+                }
+                if (myWorkUserName) {
+                    this.saveMyWorkUserName(myWorkUserName);
+                }
+                if (myWorkTagFilters) {
+                    this.myWorkActiveTagFilters = new Set(myWorkTagFilters.filter(tagId => !!this.tagDefinitions[tagId]));
+                    this.saveMyWorkFilters();
+                }
+                if (welcomeSeen && this.storageAvailable) {
+                    localStorage.setItem('pspf_welcome_seen', 'true');
+                }
+            }
+
+            if (this.currentUserProfile && !this.userTagAssignments[this.currentUserProfile.id]) {
+                this.userTagAssignments[this.currentUserProfile.id] = {};
+            }
+
+            this.undoStack.clear();
+            this.saveData();
+            this.updateDataStats();
+            this.renderCycleSwitcher();
+            this.renderHome();
+            this.renderProjects();
+            this.renderTagManagement();
+            this.renderMyWorkView();
+            this.renderProgress();
+            this.renderDomainRequirementHeatmap();
+        }
+
+        /**
+         * Read a CSV or XLSX self-assessment and open the column mapping dialog.
+         * @param {Event} event - Change event from the spreadsheet file input
+         */
+        async importComplianceSpreadsheet(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+
+            try {
+                const isWorkbook = /\.xlsx$/i.test(file.name);
+                const sheets = isWorkbook
+                    ? await readXlsxWorkbook(await file.arrayBuffer())
+                    : [{ name: file.name, rows: parseCsv(await file.text()) }];
+                const usable = sheets.filter(sheet => sheet.rows.length > 1);
+                if (!usable.length) {
+                    this.showNotification('No rows found in that spreadsheet.', 'warning');
+                    return;
+                }
+                this.showSpreadsheetImportModal(usable, file.name);
+            } catch (error) {
+                console.error('Spreadsheet import failed:', error);
+                this.showNotification(`Could not read spreadsheet: ${error.message}`, 'error', 8000);
             }
         }
 
-        importData(event) {
-            const file = event.target.files[0];
-            if (!file) return;
+        showSpreadsheetImportModal(sheets, fileName) {
+            const state = {
+                sheetIndex: sheets.length > 1 ? 'all' : '0',
+                mapping: null,
+                overwriteBlank: false,
+                result: { matched: [], unmatched: [] }
+            };
+            const selectedSheets = () => (state.sheetIndex === 'all' ? sheets : [sheets[Number(state.sheetIndex)]]);
+            const headersFor = (list) => [...new Set(list.flatMap(sheet => (sheet.rows[0] || []).map(h => String(h).trim()).filter(Boolean)))];
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const importData = JSON.parse(e.target.result);
-                    
-                    // Validate the backup file structure and data
-                    const validation = this.validateImportData(importData);
-                    
-                    if (!validation.valid) {
-                        this.showNotification(`Import failed: ${validation.errors.join(', ')}`, 'error', 8000);
-                        return;
-                    }
+            const modalContent = `
+                <div class="modal-content modal-content--wide">
+                    <h3>Import Assessment Spreadsheet</h3>
+                    <div class="spreadsheet-import">
+                        <p class="subtitle-sm">${this.escapeHtml(fileName)}</p>
+                        ${sheets.length > 1 ? `
+                            <div class="form-group">
+                                <label for="spreadsheetSheetSelect">Sheet</label>
+                                <select id="spreadsheetSheetSelect">
+                                    <option value="all">All sheets</option>
+                                    ${sheets.map((sheet, index) => `<option value="${index}">${this.escapeHtml(sheet.name)} (${sheet.rows.length - 1} rows)</option>`).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+                        <div class="spreadsheet-mapping" id="spreadsheetMapping"></div>
+                        <label class="spreadsheet-import-option">
+                            <input type="checkbox" id="spreadsheetOverwriteBlank">
+                            Clear existing comments when the spreadsheet cell is empty (links are added as evidence, never removed)
+                        </label>
+                        <div id="spreadsheetImportPreview" class="spreadsheet-import-preview"></div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" id="cancelSpreadsheetImportBtn">Cancel</button>
+                        <button type="button" class="btn btn-primary" id="confirmSpreadsheetImportBtn">Import</button>
+                    </div>
+                </div>
+            `;
 
-                    // Show warnings if any
-                    let confirmMessage = 'This will replace all current data with imported data.';
-                    if (validation.warnings.length > 0) {
-                        confirmMessage += `\\n\\nWarnings:\\n${validation.warnings.join('\\n')}`;
-                    }
-                    confirmMessage += '\\n\\nContinue?';
+            const modal = this.createModal(modalContent, { id: 'spreadsheetImportModal' });
+            const mappingEl = modal.querySelector('#spreadsheetMapping');
+            const previewEl = modal.querySelector('#spreadsheetImportPreview');
+            const confirmBtn = modal.querySelector('#confirmSpreadsheetImportBtn');
+
+            const renderPreview = () => {
+                state.result = matchImportRows(selectedSheets(), state.mapping, this.requirements);
+                const { matched, unmatched } = state.result;
+                const changes = matched.filter(row => {
+                    const current = this.compliance[row.id] || {};
+                    return (row.status && row.status !== (current.status || 'not-set'))
+                        || ((row.comment || state.overwriteBlank) && row.comment !== (current.comment || ''))
+                        || (row.url && !(current.evidence || []).some(item => item.url === row.url));
+                }).length;
+
+                previewEl.innerHTML = `
+                    <div class="spreadsheet-import-counts">
+                        <span class="requirement-status yes">${matched.length} matched</span>
+                        <span class="requirement-status partial">${changes} will change</span>
+                        <span class="requirement-status ${unmatched.length ? 'no' : 'not-set'}">${unmatched.length} unmatched</span>
+                    </div>
+                    ${!state.mapping.id ? '<p class="history-empty-msg">Choose the column holding requirement IDs.</p>' : ''}
+                    ${unmatched.length ? `
+                        <table class="import-summary-table spreadsheet-unmatched">
+                            <thead><tr><th scope="col">Row</th><th scope="col">Value</th><th scope="col">Problem</th></tr></thead>
+                            <tbody>
+                                ${unmatched.slice(0, 50).map(row => `
+                                    <tr>
+                                        <td>${sheets.length > 1 ? `${this.escapeHtml(row.sheet)} · ` : ''}${row.row}</td>
+                                        <td>${this.escapeHtml(row.rawId)}</td>
+                                        <td>${this.escapeHtml(row.reason)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        ${unmatched.length > 50 ? `<p class="history-empty-msg">…and ${unmatched.length - 50} more</p>` : ''}
+                    ` : ''}
+                `;
+                confirmBtn.disabled = changes === 0;
+                confirmBtn.textContent = changes ? `Import ${changes} update${changes === 1 ? '' : 's'}` : 'Import';
+            };
 
-                    if (!confirm(confirmMessage)) {
-                        return;
-                    }
+            const renderMapping = () => {
+                const headers = headersFor(selectedSheets());
+                if (!state.mapping) {
+                    state.mapping = guessColumnMapping(headers);
+                }
+                mappingEl.innerHTML = IMPORT_FIELDS.map(field => `
+                    <div class="form-group">
+                        <label for="spreadsheetMap-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                        <select id="spreadsheetMap-${field.key}" data-field="${field.key}">
+                            <option value="">${field.required ? 'Select a column…' : 'Not imported'}</option>
+                            ${headers.map(header => `<option value="${this.escapeHtml(header)}" ${state.mapping[field.key] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>`).join('')}
+                        </select>
+                    </div>
+                `).join('');
+                renderPreview();
+            };
 
-                    // Sanitize and import the data
-                    const sanitizedData = this.sanitizeImportData(importData.data);
-                    
-                    this.projects = sanitizedData.projects;
-                    this.risks = sanitizedData.risks;
-                    this.incidents = sanitizedData.incidents;
-                    this.compliance = sanitizedData.compliance;
+            modal.addTrackedListener(mappingEl, 'change', (event) => {
+                const field = event.target.dataset.field;
+                if (!field) return;
+                state.mapping[field] = event.target.value;
+                renderPreview();
+            });
+            modal.addTrackedListener(modal.querySelector('#spreadsheetSheetSelect'), 'change', (event) => {
+                state.sheetIndex = event.target.value;
+                state.mapping = null;
+                renderMapping();
+            });
+            modal.addTrackedListener(modal.querySelector('#spreadsheetOverwriteBlank'), 'change', (event) => {
+                state.overwriteBlank = event.target.checked;
+                renderPreview();
+            });
+            modal.addTrackedListener(modal.querySelector('#cancelSpreadsheetImportBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(confirmBtn, 'click', () => {
+                this.takeWorkspaceSnapshot({ name: `Before spreadsheet import from ${fileName}`, trigger: 'bulk' });
+                const updated = this.withAuditSource('spreadsheet', () => this.applySpreadsheetCompliance(state.result.matched, { overwriteBlank: state.overwriteBlank }));
+                modal.remove();
+                this.showNotification(`Updated ${updated} requirement${updated === 1 ? '' : 's'} from ${fileName}`, 'success', 6000);
+            });
 
-                    this.saveData();
-                    this.updateDataStats();
-                    this.renderHome();
+            renderMapping();
+        }
 
-                    const summary = `Imported: ${this.projects.length} projects, ${this.risks.length} risks, ${this.incidents.length} events, ${Object.keys(this.compliance).length} compliance records`;
-                    
-                    this.showNotification(summary, 'success', 6000);
-                    
-                } catch (error) {
-                    console.error('Import failed:', error);
-                    this.showNotification(`Import failed: ${error.message || 'Invalid JSON format'}`, 'error');
+        /**
+         * Write matched spreadsheet rows into compliance, recording status history the
+         * same way updateCompliance() does.
+         * @param {Array<Object>} rows - Matched rows from matchImportRows()
+         * @param {{overwriteBlank: boolean}} options
+         * @returns {number} Number of requirements that changed
+         */
+        applySpreadsheetCompliance(rows, { overwriteBlank = false } = {}) {
+            // Bulk updates are not recorded, so earlier edits can no longer be undone over them
+            this.undoStack.clear();
+            const touchedDomains = new Set();
+            const updatedIds = new Set();
+
+            rows.forEach(row => {
+                const compliance = this.ensureComplianceEntry(row.id);
+                if (row.status && compliance.status !== row.status) {
+                    compliance.status = row.status;
+                    this.recordComplianceHistory(row.id, row.status);
+                    touchedDomains.add(this.requirements[row.id]?.domainId);
+                    updatedIds.add(row.id);
                 }
-            };
+                if ((row.comment || overwriteBlank) && compliance.comment !== row.comment) {
+                    // Imported text joins the thread as the new official justification
+                    const comment = row.comment
+                        ? createComment({
+                            body: row.comment,
+                            authorId: this.currentUserProfile?.id,
+                            authorName: this.currentUserProfile?.name,
+                            mentions: findMentions(row.comment, this.people)
+                        })
+                        : null;
+                    if (comment) compliance.comments.push(comment);
+                    setOfficialComment(compliance, comment?.id || null);
+                    updatedIds.add(row.id);
+                }
+                if (row.url && !compliance.evidence.some(item => item.url === row.url)) {
+                    compliance.evidence.push(createEvidenceItem({ type: 'url', title: 'Reference link', url: row.url }));
+                    updatedIds.add(row.id);
+                }
+                if (row.maturity !== undefined && normaliseMaturityLevel(compliance.maturity) !== row.maturity) {
+                    compliance.maturity = row.maturity;
+                    updatedIds.add(row.id);
+                }
+            });
 
-            reader.readAsText(file);
-            event.target.value = '';
+            touchedDomains.forEach(domainId => {
+                if (domainId) this.recordDomainSnapshot(domainId);
+            });
+
+            this.saveData();
+            this.renderDomainsGrid();
+            this.updateStats();
+            this.updateDataStats();
+            this.renderHome();
+            this.renderProgress();
+            return updatedIds.size;
         }
 
         /**
          * Validates the structure and content of imported data
          * @param {Object} importData - The parsed JSON data from the backup file
-         * @returns {Object} - { valid: boolean, errors: string[], warnings: string[] }
+         * @returns {Object} - { valid: boolean, errors: string[], warnings: string[], schemaVersion: number }
          */
         validateImportData(importData) {
             const errors = [];
@@ -3721,10 +9248,16 @@ export class PSPFExplorer {
             }
 
             // Check version
+            const schemaVersion = parseSchemaVersion(importData.schemaVersion ?? importData.version);
             if (!importData.version) {
                 errors.push('Missing version field - this may not be a valid PSPF Explorer backup');
-            } else if (!['1.0', '1.1', '2.0'].includes(importData.version)) {
+            } else if (!schemaVersion) {
                 warnings.push(`Unknown version "${importData.version}" - some data may not import correctly`);
+            } else if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+                errors.push(new SchemaVersionError(schemaVersion).message);
+                return { valid: false, errors, warnings, schemaVersion };
+            } else if (schemaVersion < CURRENT_SCHEMA_VERSION) {
+                warnings.push(`Backup uses schema version ${schemaVersion} and will be upgraded to version ${CURRENT_SCHEMA_VERSION}`);
             }
 
             // Check data object exists
@@ -3768,6 +9301,13 @@ export class PSPFExplorer {
                 }
             }
 
+            if (data.vendors !== undefined && !Array.isArray(data.vendors)) {
+                errors.push('Vendors must be an array');
+            }
+            if (data.systems !== undefined && !Array.isArray(data.systems)) {
+                errors.push('Systems must be an array');
+            }
+
             // Validate compliance object
             if (data.compliance !== undefined) {
                 if (typeof data.compliance !== 'object' || Array.isArray(data.compliance)) {
@@ -3787,11 +9327,18 @@ export class PSPFExplorer {
             if (data.risks?.length > maxItems) {
                 errors.push(`Too many risks (${data.risks.length}). Maximum allowed: ${maxItems}`);
             }
+            if (data.vendors?.length > maxItems) {
+                errors.push(`Too many vendors (${data.vendors.length}). Maximum allowed: ${maxItems}`);
+            }
+            if (data.systems?.length > maxItems) {
+                errors.push(`Too many systems (${data.systems.length}). Maximum allowed: ${maxItems}`);
+            }
 
             return {
                 valid: errors.length === 0,
                 errors,
-                warnings
+                warnings,
+                schemaVersion
             };
         }
 
@@ -3878,6 +9425,14 @@ export class PSPFExplorer {
                 if (risk.impact !== undefined && !validLevels.includes(risk.impact)) {
                     warnings.push(`${prefix}: Unknown impact level "${risk.impact}"`);
                 }
+
+                if (risk.treatment && !RISK_TREATMENTS[risk.treatment]) {
+                    warnings.push(`${prefix}: Unknown treatment "${risk.treatment}"`);
+                }
+
+                if (risk.status !== undefined && !RISK_STATUSES[risk.status]) {
+                    warnings.push(`${prefix}: Unknown status "${risk.status}"`);
+                }
             });
 
             return { errors, warnings };
@@ -3911,6 +9466,10 @@ export class PSPFExplorer {
                         warnings.push(`${prefix}: Unknown severity "${incident.severity}"`);
                     }
                 }
+
+                if (incident.state !== undefined && !INCIDENT_STATES[incident.state]) {
+                    warnings.push(`${prefix}: Unknown state "${incident.state}"`);
+                }
             });
 
             return { errors, warnings };
@@ -3940,8 +9499,8 @@ export class PSPFExplorer {
                     warnings.push(`Compliance ${reqId}: Comment should be a string`);
                 }
 
-                if (data.url !== undefined && typeof data.url !== 'string') {
-                    warnings.push(`Compliance ${reqId}: URL should be a string`);
+                if (data.evidence !== undefined && !Array.isArray(data.evidence)) {
+                    warnings.push(`Compliance ${reqId}: Evidence should be a list`);
                 }
             });
 
@@ -3970,6 +9529,13 @@ export class PSPFExplorer {
                 return id.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 100) || String(Date.now());
             };
 
+            const sanitizeOwnership = (record) => ({
+                ownerId: typeof record.ownerId === 'string' && record.ownerId ? sanitizeId(record.ownerId) : null,
+                contributorIds: Array.isArray(record.contributorIds)
+                    ? record.contributorIds.filter(id => typeof id === 'string').map(sanitizeId)
+                    : []
+            });
+
             // Sanitize projects
             const projects = (data.projects || []).map(project => ({
                 id: sanitizeId(project.id),
@@ -3980,7 +9546,18 @@ export class PSPFExplorer {
                 createdAt: project.createdAt || new Date().toISOString(),
                 requirements: Array.isArray(project.requirements) 
                     ? project.requirements.filter(r => typeof r === 'string').map(r => sanitizeId(r))
-                    : []
+                    : [],
+                ...(Array.isArray(project.legacyTasks) && project.legacyTasks.length ? {
+                    legacyTasks: project.legacyTasks.map(task => ({
+                        id: task.id ? sanitizeId(task.id) : undefined,
+                        name: sanitizeString(task.name, 500),
+                        description: sanitizeString(task.description, 5000),
+                        status: sanitizeString(task.status, 50),
+                        assignee: sanitizeString(task.assignee, 200),
+                        dueDate: sanitizeString(task.dueDate, 50),
+                        projectId: task.projectId ? sanitizeId(task.projectId) : null
+                    }))
+                } : {})
             }));
 
             // Sanitize risks
@@ -3994,9 +9571,29 @@ export class PSPFExplorer {
                     ? risk.impact : 'medium',
                 severity: ['low', 'medium', 'high', 'critical'].includes(risk.severity) 
                     ? risk.severity : 'medium',
+                inherentLikelihood: RISK_LEVELS[risk.inherentLikelihood] ? risk.inherentLikelihood : 'medium',
+                inherentImpact: RISK_LEVELS[risk.inherentImpact] ? risk.inherentImpact : 'medium',
+                inherentSeverity: RISK_SEVERITIES[risk.inherentSeverity] ? risk.inherentSeverity : 'medium',
+                treatment: RISK_TREATMENTS[risk.treatment] ? risk.treatment : '',
                 mitigation: sanitizeString(risk.mitigation, 5000),
+                controlIds: Array.isArray(risk.controlIds)
+                    ? risk.controlIds.filter(id => typeof id === 'string').map(sanitizeId)
+                    : [],
+                actions: Array.isArray(risk.actions)
+                    ? risk.actions.filter(action => action && typeof action === 'object').map(action => createTreatmentAction({
+                        id: sanitizeId(action.id),
+                        description: sanitizeString(action.description, 1000),
+                        dueDate: action.dueDate,
+                        done: action.done === true,
+                        completedAt: typeof action.completedAt === 'string' ? action.completedAt : null
+                    })).filter(action => action.description)
+                    : [],
+                reviewDate: typeof risk.reviewDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(risk.reviewDate) ? risk.reviewDate : '',
+                status: RISK_STATUSES[risk.status] ? risk.status : DEFAULT_RISK_STATUS,
                 projectId: risk.projectId ? sanitizeId(risk.projectId) : null,
-                createdAt: risk.createdAt || new Date().toISOString()
+                ...sanitizeOwnership(risk),
+                createdAt: risk.createdAt || new Date().toISOString(),
+                ...(typeof risk.updatedAt === 'string' ? { updatedAt: risk.updatedAt } : {})
             }));
 
             // Sanitize incidents
@@ -4008,51 +9605,760 @@ export class PSPFExplorer {
                     ? incident.severity : 'low',
                 resolution: sanitizeString(incident.resolution, 5000),
                 date: incident.date || new Date().toISOString(),
+                state: getIncidentState(incident),
+                stateHistory: Array.isArray(incident.stateHistory)
+                    ? incident.stateHistory
+                        .filter(entry => entry && INCIDENT_STATES[entry.state])
+                        .map(entry => ({ state: entry.state, at: typeof entry.at === 'string' ? entry.at : null }))
+                    : [],
+                reporting: Array.isArray(incident.reporting)
+                    ? incident.reporting.filter(obligation => obligation && typeof obligation === 'object').map(obligation => createReportingObligation({
+                        body: obligation.body,
+                        dueDate: obligation.dueDate,
+                        reportedOn: obligation.reportedOn,
+                        reference: sanitizeString(obligation.reference, 500)
+                    }))
+                    : [],
+                requirementIds: Array.isArray(incident.requirementIds)
+                    ? incident.requirementIds.filter(id => typeof id === 'string').map(sanitizeId)
+                    : [],
+                riskIds: Array.isArray(incident.riskIds)
+                    ? incident.riskIds.filter(id => typeof id === 'string').map(sanitizeId)
+                    : [],
+                lessonsLearned: sanitizeString(incident.lessonsLearned, 5000),
                 projectId: incident.projectId ? sanitizeId(incident.projectId) : null,
-                createdAt: incident.createdAt || new Date().toISOString()
+                ...sanitizeOwnership(incident),
+                createdAt: incident.createdAt || new Date().toISOString(),
+                updatedAt: incident.updatedAt || incident.createdAt || new Date().toISOString()
             }));
 
-            // Sanitize compliance
-            const compliance = {};
-            if (data.compliance && typeof data.compliance === 'object') {
-                Object.entries(data.compliance).forEach(([key, value]) => {
+            // Compliance records share a shape across the working set and each cycle's snapshot
+            const sanitizeComplianceMap = (source) => {
+                const compliance = {};
+                if (!source || typeof source !== 'object') return compliance;
+                Object.entries(source).forEach(([key, value]) => {
                     const sanitizedKey = sanitizeId(key);
                     if (sanitizedKey && value && typeof value === 'object') {
+                        const ownership = sanitizeOwnership(value);
                         compliance[sanitizedKey] = {
                             status: ['not-set', 'yes', 'no', 'partial', 'na'].includes(value.status) 
                                 ? value.status : 'not-set',
                             comment: sanitizeString(value.comment, 5000),
-                            url: sanitizeString(value.url, 2000)
+                            comments: Array.isArray(value.comments)
+                                ? value.comments
+                                    .filter(comment => comment && typeof comment === 'object' && typeof comment.body === 'string' && comment.body.trim())
+                                    .map(comment => createComment({
+                                        id: sanitizeId(comment.id),
+                                        body: sanitizeString(comment.body, 10000),
+                                        authorId: typeof comment.authorId === 'string' ? sanitizeId(comment.authorId) : '',
+                                        authorName: sanitizeString(comment.authorName, 200),
+                                        official: comment.official === true,
+                                        mentions: Array.isArray(comment.mentions) ? comment.mentions.filter(id => typeof id === 'string').map(sanitizeId) : [],
+                                        createdAt: typeof comment.createdAt === 'string' ? comment.createdAt : null
+                                    }))
+                                : [],
+                            evidence: Array.isArray(value.evidence)
+                                ? value.evidence
+                                    .filter(item => item && typeof item === 'object' && EVIDENCE_TYPES[item.type])
+                                    .map(item => createEvidenceItem({
+                                        id: sanitizeId(item.id),
+                                        type: item.type,
+                                        title: sanitizeString(item.title, 200),
+                                        owner: sanitizeString(item.owner, 200),
+                                        collectedAt: item.collectedAt,
+                                        expiresAt: item.expiresAt,
+                                        url: sanitizeString(item.url, 2000),
+                                        note: sanitizeString(item.note, 5000),
+                                        file: item.file && typeof item.file === 'object'
+                                            ? {
+                                                attachmentId: sanitizeId(item.file.attachmentId),
+                                                name: sanitizeString(item.file.name, 255),
+                                                size: item.file.size,
+                                                mimeType: sanitizeString(item.file.mimeType, 100)
+                                            }
+                                            : null,
+                                        createdAt: typeof item.createdAt === 'string' ? item.createdAt : undefined,
+                                        updatedAt: typeof item.updatedAt === 'string' ? item.updatedAt : undefined
+                                    }))
+                                : [],
+                            ...(normaliseMaturityLevel(value.maturity) !== null ? { maturity: normaliseMaturityLevel(value.maturity) } : {}),
+                            ...(typeof value.lastReviewed === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.lastReviewed) ? { lastReviewed: value.lastReviewed } : {}),
+                            ...(REVIEW_CYCLES[value.reviewCycle] ? { reviewCycle: value.reviewCycle } : {}),
+                            ...(ownership.ownerId ? { ownerId: ownership.ownerId } : {}),
+                            ...(ownership.contributorIds.length ? { contributorIds: ownership.contributorIds } : {}),
+                            history: Array.isArray(value.history)
+                                ? value.history
+                                    .filter(entry => entry && typeof entry === 'object')
+                                    .map(entry => ({
+                                        status: ['not-set', 'yes', 'no', 'partial', 'na'].includes(entry.status)
+                                            ? entry.status : 'not-set',
+                                        timestamp: typeof entry.timestamp === 'string' ? entry.timestamp : null,
+                                        domainId: entry.domainId ? sanitizeId(entry.domainId) : null
+                                    }))
+                                : []
                         };
                     }
                 });
+                return compliance;
+            };
+
+            const compliance = sanitizeComplianceMap(data.compliance);
+
+            const sanitized = { projects, risks, incidents, compliance };
+            const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+            // Workspace collections below are optional: absent ones keep their current values
+            if (isObject(data.progressHistory)) {
+                sanitized.progressHistory = {};
+                Object.entries(data.progressHistory).forEach(([domainId, entries]) => {
+                    if (!Array.isArray(entries)) return;
+                    sanitized.progressHistory[sanitizeId(domainId)] = entries
+                        .filter(entry => isObject(entry) && typeof entry.timestamp === 'string')
+                        .map(entry => ({
+                            timestamp: entry.timestamp,
+                            met: Number(entry.met) || 0,
+                            total: Number(entry.total) || 0,
+                            percentage: Number(entry.percentage) || 0
+                        }));
+                });
+            }
+
+            if (isObject(data.essentialEight)) {
+                sanitized.essentialEight = {};
+                Object.entries(data.essentialEight).forEach(([key, record]) => {
+                    if (!isObject(record)) return;
+                    if (key === E8_SETTINGS_KEY) {
+                        sanitized.essentialEight[key] = {
+                            targetLevel: normaliseTargetLevel(record.targetLevel),
+                            updatedAt: typeof record.updatedAt === 'string' ? record.updatedAt : null
+                        };
+                        return;
+                    }
+                    const checks = {};
+                    if (isObject(record.checks)) {
+                        Object.entries(record.checks).forEach(([criterionId, met]) => {
+                            if (met === true) checks[sanitizeId(criterionId)] = true;
+                        });
+                    }
+                    sanitized.essentialEight[sanitizeId(key)] = {
+                        checks,
+                        updatedAt: typeof record.updatedAt === 'string' ? record.updatedAt : null
+                    };
+                });
+            }
+
+            if (Array.isArray(data.people)) {
+                sanitized.people = data.people
+                    .filter(person => isObject(person) && typeof person.name === 'string' && person.name.trim())
+                    .map(person => createPerson({
+                        id: sanitizeId(person.id),
+                        name: sanitizeString(person.name, 200),
+                        role: sanitizeString(person.role, 200),
+                        branch: sanitizeString(person.branch, 200),
+                        email: isValidEmail(person.email) ? sanitizeString(person.email, 254) : '',
+                        createdAt: typeof person.createdAt === 'string' ? person.createdAt : undefined,
+                        updatedAt: typeof person.updatedAt === 'string' ? person.updatedAt : undefined
+                    }));
+            }
+
+            if (Array.isArray(data.vendors)) {
+                const sanitizeIds = ids => (Array.isArray(ids) ? ids.filter(id => typeof id === 'string').map(sanitizeId) : []);
+                sanitized.vendors = data.vendors
+                    .filter(vendor => isObject(vendor) && typeof vendor.name === 'string' && vendor.name.trim())
+                    .map(vendor => createVendor({
+                        id: sanitizeId(vendor.id),
+                        name: sanitizeString(vendor.name, 200),
+                        service: sanitizeString(vendor.service, 500),
+                        contractStart: vendor.contractStart,
+                        contractEnd: vendor.contractEnd,
+                        classification: vendor.classification,
+                        irapAssessedOn: vendor.irapAssessedOn,
+                        securityTerms: isObject(vendor.securityTerms) ? vendor.securityTerms : {},
+                        reviewDue: vendor.reviewDue,
+                        notes: sanitizeString(vendor.notes, 5000),
+                        projectIds: sanitizeIds(vendor.projectIds),
+                        riskIds: sanitizeIds(vendor.riskIds),
+                        requirementIds: sanitizeIds(vendor.requirementIds),
+                        createdAt: typeof vendor.createdAt === 'string' ? vendor.createdAt : undefined,
+                        updatedAt: typeof vendor.updatedAt === 'string' ? vendor.updatedAt : undefined
+                    }));
+            }
+
+            if (Array.isArray(data.systems)) {
+                sanitized.systems = data.systems
+                    .filter(system => isObject(system) && typeof system.name === 'string' && system.name.trim())
+                    .map(system => createSystem({
+                        id: sanitizeId(system.id),
+                        name: sanitizeString(system.name, 200),
+                        description: sanitizeString(system.description, 5000),
+                        authorisingOfficer: sanitizeString(system.authorisingOfficer, 200),
+                        authorisingOfficerPosition: sanitizeString(system.authorisingOfficerPosition, 200),
+                        systemOwner: sanitizeString(system.systemOwner, 200),
+                        authorisedOn: system.authorisedOn,
+                        assessmentReference: sanitizeString(system.assessmentReference, 500),
+                        residualRiskDecisions: sanitizeString(system.residualRiskDecisions, 5000),
+                        classification: system.classification,
+                        authorisedClassification: system.authorisedClassification,
+                        hosting: system.hosting,
+                        reauthorisationDue: system.reauthorisationDue,
+                        riskIds: Array.isArray(system.riskIds) ? system.riskIds.filter(id => typeof id === 'string').map(sanitizeId) : [],
+                        createdAt: typeof system.createdAt === 'string' ? system.createdAt : undefined,
+                        updatedAt: typeof system.updatedAt === 'string' ? system.updatedAt : undefined
+                    }));
+            }
+
+            if (isObject(data.assessmentCycles)) {
+                sanitized.assessmentCycles = {};
+                Object.entries(data.assessmentCycles).forEach(([key, record]) => {
+                    if (!isObject(record)) return;
+                    if (key === CYCLE_SETTINGS_KEY) {
+                        sanitized.assessmentCycles[key] = {
+                            activeCycleId: typeof record.activeCycleId === 'string' ? sanitizeId(record.activeCycleId) : null,
+                            updatedAt: typeof record.updatedAt === 'string' ? record.updatedAt : null
+                        };
+                        return;
+                    }
+                    const cycle = createAssessmentCycle({
+                        id: sanitizeId(key),
+                        name: sanitizeString(record.name, 100),
+                        rolledForwardFrom: typeof record.rolledForwardFrom === 'string' ? sanitizeId(record.rolledForwardFrom) : null,
+                        createdAt: typeof record.createdAt === 'string' ? record.createdAt : undefined,
+                        updatedAt: typeof record.updatedAt === 'string' ? record.updatedAt : undefined
+                    });
+                    if (isObject(record.compliance)) {
+                        cycle.compliance = sanitizeComplianceMap(record.compliance);
+                    }
+                    sanitized.assessmentCycles[cycle.id] = cycle;
+                });
+            }
+
+            if (isObject(data.riskMatrix)) {
+                const matrix = normaliseRiskMatrix(data.riskMatrix);
+                ['likelihood', 'impact', 'ratings'].forEach(axis => Object.values(matrix[axis]).forEach(level => {
+                    Object.keys(level).forEach(field => { level[field] = sanitizeString(level[field], 300); });
+                }));
+                matrix.tolerance.statement = sanitizeString(matrix.tolerance.statement, 2000);
+                matrix.tolerance.approvedBy = sanitizeString(matrix.tolerance.approvedBy, 200);
+                sanitized.riskMatrix = matrix;
+            }
+
+            if (isObject(data.contactRegister)) {
+                sanitized.contactRegister = normaliseContactRegister(data.contactRegister);
+            }
+
+            if (isObject(data.requirements)) {
+                sanitized.requirements = {};
+                Object.values(data.requirements).forEach(requirement => {
+                    if (!isObject(requirement) || typeof requirement.id !== 'string') return;
+                    const id = sanitizeId(requirement.id);
+                    sanitized.requirements[id] = {
+                        ...(this.requirements[id] || {}),
+                        id,
+                        domainId: requirement.domainId ? sanitizeId(requirement.domainId) : (this.requirements[id]?.domainId || null),
+                        title: sanitizeString(requirement.title, 500),
+                        description: sanitizeString(requirement.description, 10000),
+                        uuid: typeof requirement.uuid === 'string' ? sanitizeId(requirement.uuid) : this.generateUUID()
+                    };
+                });
+            }
+
+            if (isObject(data.tagDefinitions)) {
+                sanitized.tagDefinitions = {};
+                Object.entries(data.tagDefinitions).forEach(([tagId, tag]) => {
+                    if (!isObject(tag)) return;
+                    sanitized.tagDefinitions[sanitizeId(tagId)] = {
+                        name: sanitizeString(tag.name, 100),
+                        color: /^#[0-9a-fA-F]{6}$/.test(tag.color) ? tag.color : '#3b82f6',
+                        description: sanitizeString(tag.description, 500)
+                    };
+                });
+            }
+
+            if (isObject(data.userTagAssignments)) {
+                sanitized.userTagAssignments = {};
+                Object.entries(data.userTagAssignments).forEach(([userId, assignments]) => {
+                    if (!isObject(assignments)) return;
+                    const userMap = {};
+                    Object.entries(assignments).forEach(([reqId, tags]) => {
+                        if (!Array.isArray(tags)) return;
+                        userMap[sanitizeId(reqId)] = tags.filter(tag => typeof tag === 'string').map(tag => sanitizeId(tag));
+                    });
+                    sanitized.userTagAssignments[sanitizeId(userId)] = userMap;
+                });
+            }
+
+            if (isObject(data.userProfiles)) {
+                sanitized.userProfiles = {};
+                Object.entries(data.userProfiles).forEach(([userId, profile]) => {
+                    if (!isObject(profile)) return;
+                    sanitized.userProfiles[sanitizeId(userId)] = {
+                        ...profile,
+                        id: sanitizeId(profile.id || userId),
+                        name: sanitizeString(profile.name, 200)
+                    };
+                });
+            }
+
+            if (Array.isArray(data.auditLog)) {
+                sanitized.auditLog = data.auditLog
+                    .filter(entry => isObject(entry) && typeof entry.id === 'string' && typeof entry.timestamp === 'string')
+                    .map(entry => ({
+                        ...createAuditEntry({
+                            actor: { id: sanitizeString(entry.actorId, 100), name: sanitizeString(entry.actorName, 200) },
+                            source: entry.source,
+                            action: AUDIT_ACTIONS[entry.action] ? entry.action : 'update',
+                            collection: AUDIT_COLLECTIONS[entry.collection] ? entry.collection : '',
+                            entityId: sanitizeString(entry.entityId, 200),
+                            entityLabel: sanitizeString(entry.entityLabel, 500),
+                            field: sanitizeString(entry.field, 200),
+                            oldValue: sanitizeString(entry.oldValue),
+                            newValue: sanitizeString(entry.newValue),
+                            cycle: sanitizeString(entry.cycle, 100)
+                        }),
+                        id: sanitizeId(entry.id),
+                        timestamp: entry.timestamp
+                    }));
+            }
+
+            if (isObject(data.preferences)) {
+                const { userProfile, myWorkUserName, myWorkTagFilters, welcomeSeen, reportSettings } = data.preferences;
+                sanitized.preferences = {
+                    userProfile: isObject(userProfile) && userProfile.id
+                        ? { id: sanitizeId(userProfile.id), name: sanitizeString(userProfile.name, 200) || 'You' }
+                        : null,
+                    myWorkUserName: typeof myWorkUserName === 'string' ? sanitizeString(myWorkUserName, 200) : null,
+                    myWorkTagFilters: Array.isArray(myWorkTagFilters)
+                        ? myWorkTagFilters.filter(tag => typeof tag === 'string').map(tag => sanitizeId(tag))
+                        : null,
+                    welcomeSeen: welcomeSeen === true,
+                    reportSettings: isObject(reportSettings)
+                        ? {
+                            entityName: sanitizeString(reportSettings.entityName, 200),
+                            preparedBy: sanitizeString(reportSettings.preparedBy, 200)
+                        }
+                        : null
+                };
+            }
+
+            return sanitized;
+        }
+
+        getSnapshotRetention() {
+            return normaliseSnapshotRetention(this.readStorage(SNAPSHOT_RETENTION_KEY, DEFAULT_SNAPSHOT_RETENTION));
+        }
+
+        setSnapshotRetention(value) {
+            const retention = normaliseSnapshotRetention(value);
+            if (this.storageAvailable) {
+                localStorage.setItem(SNAPSHOT_RETENTION_KEY, JSON.stringify(retention));
+            }
+            this.applySnapshotRetention();
+            this.saveSnapshots();
+            this.renderSnapshotPanel();
+        }
+
+        saveSnapshots() {
+            if (!this.storageAvailable || this.isHydratingStorage) return;
+            this.storage.saveCollections({ snapshots: this.snapshots })
+                .catch(error => this.handleStorageError(error));
+        }
+
+        /**
+         * Drop automatic snapshots beyond the retention limit and release any stored files
+         * only they referred to.
+         */
+        applySnapshotRetention() {
+            const { kept, pruned } = pruneSnapshots(this.snapshots, this.getSnapshotRetention());
+            this.snapshots = kept;
+            pruned.forEach(snapshot => snapshotAttachmentIds(snapshot).forEach(id => this.releaseAttachment(id)));
+        }
+
+        /**
+         * Save a copy of the whole workspace as a named restore point.
+         * @param {{name?: string, trigger?: string}} options - trigger is a SNAPSHOT_TRIGGERS key
+         * @returns {Object} The snapshot
+         */
+        takeWorkspaceSnapshot({ name = '', trigger = 'manual' } = {}) {
+            // The audit log is never rolled back, so restore points leave it out
+            const { auditLog, ...data } = this.buildWorkspaceData();
+            const snapshot = createWorkspaceSnapshot({
+                name,
+                trigger,
+                data,
+                schemaVersion: CURRENT_SCHEMA_VERSION
+            });
+            this.snapshots.unshift(snapshot);
+            this.applySnapshotRetention();
+            this.saveSnapshots();
+            this.renderSnapshotPanel();
+            return snapshot;
+        }
+
+        /**
+         * Workspace data held by a snapshot, brought up to the current schema and sanitised
+         * the same way as an imported backup.
+         * @param {Object} snapshot
+         * @returns {Object}
+         */
+        readSnapshotData(snapshot) {
+            const { state } = migrateState(snapshot.data, snapshot.schemaVersion || CURRENT_SCHEMA_VERSION, { requirements: this.requirements });
+            return this.sanitizeImportData(state);
+        }
+
+        restoreWorkspaceSnapshot(snapshotId) {
+            const snapshot = this.snapshots.find(entry => entry.id === snapshotId);
+            if (!snapshot) return;
+            if (!confirm(`Restore "${snapshot.name}" from ${this.formatTimestamp(snapshot.createdAt)}?\n\nThe current workspace is saved as a snapshot first, so this can be undone.`)) {
+                return;
+            }
+
+            try {
+                const data = this.readSnapshotData(snapshot);
+                this.takeWorkspaceSnapshot({ name: `Before restoring ${snapshot.name}`, trigger: 'restore' });
+                this.withAuditSource('restore', () => this.applyWorkspaceData(data));
+                this.renderSnapshotPanel();
+                this.showNotification(`Workspace restored to "${snapshot.name}".`, 'success');
+            } catch (error) {
+                console.error('Snapshot restore failed:', error);
+                this.showNotification(`Restore failed: ${error.message}`, 'error');
+            }
+        }
+
+        deleteWorkspaceSnapshot(snapshotId) {
+            const snapshot = this.snapshots.find(entry => entry.id === snapshotId);
+            if (!snapshot || !confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+            this.snapshots = this.snapshots.filter(entry => entry.id !== snapshotId);
+            snapshotAttachmentIds(snapshot).forEach(id => this.releaseAttachment(id));
+            this.saveSnapshots();
+            this.renderSnapshotPanel();
+        }
+
+        renderSnapshotPanel() {
+            if (typeof document === 'undefined') return;
+            const list = document.getElementById('snapshotList');
+            const retentionSelect = document.getElementById('snapshotRetention');
+            if (retentionSelect) {
+                retentionSelect.value = String(this.getSnapshotRetention());
+            }
+            if (!list) return;
+
+            if (!this.snapshots.length) {
+                list.innerHTML = '<p class="history-empty-msg">No snapshots yet. One is taken automatically before any import, clear or bulk edit.</p>';
+                return;
+            }
+
+            list.innerHTML = `
+                <ul class="snapshot-list">
+                    ${this.snapshots.map(snapshot => `
+                        <li class="snapshot-item">
+                            <div>
+                                <strong>${this.escapeHtml(snapshot.name)}</strong>
+                                <span class="snapshot-trigger ${snapshot.trigger}">${SNAPSHOT_TRIGGERS[snapshot.trigger]?.label || 'Manual'}</span>
+                                <p class="subtitle-sm">${this.escapeHtml(this.formatTimestamp(snapshot.createdAt))} · ${snapshot.summary.assessed} assessed, ${snapshot.summary.projects} projects, ${snapshot.summary.risks} risks, ${snapshot.summary.incidents} events</p>
+                            </div>
+                            <div class="snapshot-actions">
+                                <button type="button" class="btn-link btn-small" data-action="diff-snapshot" data-snapshot-id="${snapshot.id}">Compare</button>
+                                <button type="button" class="btn-link btn-small" data-action="restore-snapshot" data-snapshot-id="${snapshot.id}">Restore</button>
+                                <button type="button" class="btn-link btn-small" data-action="delete-snapshot" data-snapshot-id="${snapshot.id}">Delete</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        /**
+         * Show what restoring a snapshot would change: per-collection counts and every
+         * requirement whose status differs from the current workspace.
+         * @param {string} snapshotId
+         */
+        showSnapshotDiffModal(snapshotId) {
+            const snapshot = this.snapshots.find(entry => entry.id === snapshotId);
+            if (!snapshot) return;
+
+            let data;
+            try {
+                data = this.readSnapshotData(snapshot);
+            } catch (error) {
+                this.showNotification(`This snapshot cannot be read: ${error.message}`, 'error');
+                return;
+            }
+
+            const summary = summarizeWorkspaceImport(this.buildWorkspaceData(), data);
+            const statusChanges = compareCycles(this.compliance, data.compliance, this.domains).requirements
+                .filter(row => row.movement !== 'unchanged');
+
+            const modalContent = `
+                <div class="modal-content modal-content--wide">
+                    <h3>Compare Snapshot · ${this.escapeHtml(snapshot.name)}</h3>
+                    <div class="import-summary">
+                        <p>What restoring the snapshot from ${this.escapeHtml(this.formatTimestamp(snapshot.createdAt))} would change in the current workspace.</p>
+                        ${this.renderWorkspaceSummaryTable(summary)}
+                        <h4>Requirement statuses</h4>
+                        ${statusChanges.length ? `
+                            <table class="compare-table">
+                                <thead>
+                                    <tr><th>Requirement</th><th>Now</th><th>In snapshot</th></tr>
+                                </thead>
+                                <tbody>
+                                    ${statusChanges.map(row => `
+                                        <tr>
+                                            <td>${this.escapeHtml(row.id)} ${this.escapeHtml(this.requirements[row.id]?.title || '')}</td>
+                                            <td><span class="compare-status ${row.from}">${this.getStatusText(row.from)}</span></td>
+                                            <td><span class="compare-status ${row.to}">${this.getStatusText(row.to)}</span></td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        ` : '<p class="history-empty-msg">Every requirement status matches the current workspace.</p>'}
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" id="closeSnapshotDiffBtn">Close</button>
+                        <button type="button" class="btn btn-primary" id="restoreSnapshotDiffBtn">Restore Snapshot</button>
+                    </div>
+                </div>
+            `;
+
+            const modal = this.createModal(modalContent, { id: 'snapshotDiffModal' });
+            modal.addTrackedListener(modal.querySelector('#closeSnapshotDiffBtn'), 'click', () => modal.remove());
+            modal.addTrackedListener(modal.querySelector('#restoreSnapshotDiffBtn'), 'click', () => {
+                modal.remove();
+                this.restoreWorkspaceSnapshot(snapshotId);
+            });
+        }
+
+        getAuditActor() {
+            if (this.auditActor) return this.auditActor;
+            return { id: this.currentUserProfile?.id || '', name: this.currentUserProfile?.name || '' };
+        }
+
+        getAuditableState() {
+            return {
+                compliance: this.compliance,
+                requirements: this.requirements,
+                projects: this.projects,
+                risks: this.risks,
+                incidents: this.incidents,
+                vendors: this.vendors,
+                systems: this.systems,
+                people: this.people,
+                essentialEight: this.essentialEight,
+                assessmentCycles: this.assessmentCycles,
+                riskMatrix: this.riskMatrix,
+                contactRegister: this.contactRegister,
+                tagDefinitions: this.tagDefinitions,
+                userTagAssignments: this.userTagAssignments
+            };
+        }
+
+        /**
+         * Take the current state as the point the next save is compared against, without
+         * logging anything. Used once stored data has loaded.
+         */
+        resetAuditBaseline() {
+            this.auditBaseline = captureAuditState(this.getAuditableState());
+        }
+
+        /**
+         * Re-capture one collection in the baseline so a wholesale swap of its records
+         * (such as switching assessment cycle) is not logged as an edit to each of them.
+         * @param {string} collection - AUDIT_COLLECTIONS key
+         */
+        rebaselineAuditCollection(collection) {
+            if (!this.auditBaseline) return;
+            this.auditBaseline[collection] = captureAuditState({ [collection]: this[collection] })[collection];
+        }
+
+        /**
+         * Log every field that changed since the last save. Called from each save path, so
+         * changes are recorded whichever screen made them.
+         * @returns {Array<Object>} The entries added
+         */
+        recordAuditChanges() {
+            if (!this.auditBaseline || this.isHydratingStorage) return [];
+            const next = captureAuditState(this.getAuditableState());
+            const changes = diffAuditState(this.auditBaseline, next);
+            this.auditBaseline = next;
+            const cycleName = this.getActiveCycle()?.name || '';
+            return this.appendAuditEntries(changes.map(change => {
+                const entry = { ...change };
+                if (change.collection === 'compliance') entry.cycle = cycleName;
+                if (change.collection === 'userTagAssignments') {
+                    entry.entityLabel = this.userProfiles[change.entityId]?.name
+                        || (this.currentUserProfile?.id === change.entityId ? this.currentUserProfile.name : change.entityId);
+                }
+                return entry;
+            }));
+        }
+
+        /**
+         * @param {Array<Object>} changes - Fields accepted by createAuditEntry(), without actor or source
+         * @returns {Array<Object>} The entries added
+         */
+        appendAuditEntries(changes) {
+            if (!changes.length) return [];
+            const actor = this.getAuditActor();
+            const entries = changes.map(change => createAuditEntry({ ...change, actor, source: this.auditSource }));
+            this.auditLog.push(...entries);
+            this.saveAuditLog();
+            if (this.currentView === 'audit') this.renderAuditView();
+            return entries;
+        }
+
+        saveAuditLog() {
+            if (!this.storageAvailable || this.isHydratingStorage) return;
+            this.storage.saveCollections({ auditLog: this.auditLog })
+                .catch(error => this.handleStorageError(error));
+        }
+
+        /**
+         * Run a change and attribute everything it saves to `source` and to the user who
+         * started it, even when the change itself replaces the user profile (as an import can).
+         * @param {string} source - AUDIT_SOURCES key
+         * @param {Function} apply
+         * @returns {*} Whatever `apply` returns
+         */
+        withAuditSource(source, apply) {
+            const previous = { source: this.auditSource, actor: this.auditActor };
+            this.auditActor = this.getAuditActor();
+            this.auditSource = source;
+            try {
+                return apply();
+            } finally {
+                this.recordAuditChanges();
+                this.auditSource = previous.source;
+                this.auditActor = previous.actor;
+            }
+        }
+
+        readAuditFilters() {
+            const value = id => document.getElementById(id)?.value || '';
+            return {
+                query: value('auditSearch'),
+                collection: value('auditCollectionFilter'),
+                actor: value('auditActorFilter'),
+                action: value('auditActionFilter'),
+                source: value('auditSourceFilter'),
+                from: value('auditFromDate'),
+                to: value('auditToDate')
+            };
+        }
+
+        renderAuditView() {
+            if (typeof document === 'undefined') return;
+            const container = document.getElementById('auditLogTable');
+            if (!container) return;
+
+            const fillSelect = (id, options, allLabel) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                const current = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` + options
+                    .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+                    .join('');
+                select.value = options.some(([value]) => value === current) ? current : '';
+            };
+            const actors = new Map();
+            this.auditLog.forEach(entry => actors.set(entry.actorId, entry.actorName || entry.actorId || 'Unknown'));
+            fillSelect('auditCollectionFilter', Object.entries(AUDIT_COLLECTIONS).map(([key, { label }]) => [key, label]), 'All records');
+            fillSelect('auditActorFilter', [...actors.entries()].sort((a, b) => a[1].localeCompare(b[1])), 'All users');
+            fillSelect('auditActionFilter', Object.entries(AUDIT_ACTIONS).map(([key, { label }]) => [key, label]), 'All actions');
+            fillSelect('auditSourceFilter', Object.entries(AUDIT_SOURCES).map(([key, { label }]) => [key, label]), 'All sources');
+
+            const entries = filterAuditEntries(this.auditLog, this.readAuditFilters());
+            const shown = entries.slice(0, AUDIT_VIEW_LIMIT);
+            const summary = document.getElementById('auditSummary');
+            if (summary) {
+                summary.textContent = entries.length > shown.length
+                    ? `Showing the newest ${shown.length} of ${entries.length} matching changes. Export to CSV for the full list.`
+                    : `${entries.length} matching change${entries.length === 1 ? '' : 's'} of ${this.auditLog.length} recorded.`;
+            }
+
+            if (!shown.length) {
+                container.innerHTML = `<p class="history-empty-msg">${this.auditLog.length ? 'No changes match these filters.' : 'No changes recorded yet. Every edit, deletion and import from now on is logged here.'}</p>`;
+                return;
             }
 
-            return { projects, risks, incidents, compliance };
+            container.innerHTML = `
+                <table class="audit-table">
+                    <thead>
+                        <tr><th>When</th><th>User</th><th>Action</th><th>Record</th><th>Field</th><th>Old value</th><th>New value</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(entry => `
+                            <tr>
+                                <td>${this.escapeHtml(this.formatTimestamp(entry.timestamp))}</td>
+                                <td>${this.escapeHtml(entry.actorName || entry.actorId || 'Unknown')}</td>
+                                <td>
+                                    <span class="audit-action ${this.escapeHtml(entry.action)}">${this.escapeHtml(AUDIT_ACTIONS[entry.action]?.label || entry.action)}</span>
+                                    ${entry.source !== 'edit' ? `<span class="subtitle-sm">${this.escapeHtml(AUDIT_SOURCES[entry.source]?.label || entry.source)}</span>` : ''}
+                                </td>
+                                <td>
+                                    <span class="subtitle-sm">${this.escapeHtml(AUDIT_COLLECTIONS[entry.collection]?.label || entry.collection)}${entry.cycle ? ` · ${this.escapeHtml(entry.cycle)}` : ''}</span>
+                                    ${this.escapeHtml(entry.entityLabel)}${entry.entityLabel !== entry.entityId ? ` <span class="subtitle-sm">(${this.escapeHtml(entry.entityId)})</span>` : ''}
+                                </td>
+                                <td>${this.escapeHtml(entry.field)}</td>
+                                <td class="audit-value">${this.escapeHtml(entry.oldValue)}</td>
+                                <td class="audit-value">${this.escapeHtml(entry.newValue)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        exportAuditLogCsv() {
+            try {
+                const entries = filterAuditEntries(this.auditLog, this.readAuditFilters());
+                const dateStamp = new Date().toISOString().split('T')[0];
+                this.downloadFile(toCsv(auditLogTable(entries)), `pspf-audit-log-${dateStamp}.csv`, 'text/csv;charset=utf-8');
+                this.showNotification(`Exported ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} to CSV`, 'success');
+            } catch (error) {
+                console.error('Audit export failed:', error);
+                this.showNotification('Audit export failed. Please try again.', 'error');
+            }
         }
 
         clearAllData() {
-            if (!confirm('This will permanently delete ALL your data. This action cannot be undone!\n\nAre you sure?')) {
+            if (!confirm('This will delete ALL your data. A snapshot is saved first so you can restore it from the Snapshots panel.\n\nAre you sure?')) {
                 return;
             }
 
             try {
+                const attachmentIds = this.getAllFileEvidence().map(item => item.file.attachmentId);
+                this.takeWorkspaceSnapshot({ name: 'Before clearing all data', trigger: 'clear' });
                 this.projects = [];
                 this.risks = [];
                 this.incidents = [];
+                this.vendors = [];
+                this.systems = [];
                 this.compliance = {};
+                this.essentialEight = {};
+                this.people = [];
+                this.activeOwnerFilter = '';
+                this.assessmentCycles = {};
+                this.ensureAssessmentCycles();
+                this.contactRegister = normaliseContactRegister({});
+                this.contactSession = null;
+                this.undoStack.clear();
+                // The audit log is kept; the clear itself is logged as deletions
+                this.withAuditSource('clear', () => this.recordAuditChanges());
 
                 if (this.storageAvailable) {
-                    localStorage.removeItem('pspf_projects');
-                    localStorage.removeItem('pspf_risks');
-                    localStorage.removeItem('pspf_incidents');
-                    localStorage.removeItem('pspf_compliance');
+                    this.storage.clearCollections(['projects', 'risks', 'incidents', 'vendors', 'systems', 'compliance', 'essentialEight', 'people', 'assessmentCycles', 'contactRegister'])
+                        .catch(error => this.handleStorageError(error));
+                    this.storage.saveCollections({ assessmentCycles: this.assessmentCycles })
+                        .catch(error => this.handleStorageError(error));
                     localStorage.removeItem('pspf_last_modified');
                     localStorage.removeItem(MY_WORK_USER_NAME_KEY);
                     localStorage.removeItem(MY_WORK_FILTERS_KEY);
                 }
 
+                // Files stay while the snapshot taken above still refers to them
+                attachmentIds.forEach(attachmentId => this.releaseAttachment(attachmentId));
+
                 this.updateDataStats();
+                this.renderCycleSwitcher();
                 this.renderHome();
 
                 this.showNotification('All data has been cleared successfully.', 'success');
@@ -4239,6 +10545,7 @@ export class PSPFExplorer {
         }
 
         saveTagDefinitions() {
+            this.recordAuditChanges();
             if (!this.storageAvailable) {
                 return;
             }
@@ -4264,6 +10571,11 @@ export class PSPFExplorer {
             this.saveUserProfile();
         }
 
+        saveUserProfiles() {
+            if (!this.storageAvailable) return;
+            localStorage.setItem('pspf_user_profiles', JSON.stringify(this.userProfiles));
+        }
+
         saveUserProfile() {
             if (!this.storageAvailable || !this.currentUserProfile) return;
             localStorage.setItem('pspf_user_profile', JSON.stringify(this.currentUserProfile));
@@ -4287,6 +10599,7 @@ export class PSPFExplorer {
         }
 
         saveUserTagAssignments() {
+            this.recordAuditChanges();
             if (!this.storageAvailable) return;
             localStorage.setItem('pspf_user_tag_assignments', JSON.stringify(this.userTagAssignments));
         }
@@ -4463,6 +10776,7 @@ export class PSPFExplorer {
             if (!requirementsList) return;
 
             this.populateTagFilters();
+            this.populateOwnerFilter();
             this.updateTagFiltersVisibility();
 
             const domain = this.domains.find(d => d.id === this.selectedDomain);
@@ -4485,11 +10799,15 @@ export class PSPFExplorer {
                 });
             }
 
+            if (this.activeOwnerFilter) {
+                requirementIds = requirementIds.filter(reqId => matchesOwnerFilter(this.compliance[reqId], this.activeOwnerFilter));
+            }
+
             if (!requirementIds.length) {
                 requirementsList.innerHTML = `
                     <div class="empty-state">
-                        <h4>No requirements match these tags</h4>
-                        <p>Clear the tag filter to view all requirements in this domain.</p>
+                        <h4>No requirements match these filters</h4>
+                        <p>Clear the tag or owner filter to view all requirements in this domain.</p>
                     </div>
                 `;
                 return;
@@ -4645,6 +10963,15 @@ export class PSPFExplorer {
         }
 
         migrateRequirementData(oldId, newId) {
+            // Follow the rename in the audit baseline so it is logged as a changed id, not a delete and create
+            ['compliance', 'requirements'].forEach(collection => {
+                const records = this.auditBaseline?.[collection];
+                if (records?.has(oldId)) {
+                    records.set(newId, records.get(oldId));
+                    records.delete(oldId);
+                }
+            });
+
             // Update domain requirements arrays
             this.domains.forEach(domain => {
                 const index = domain.requirements.indexOf(oldId);
@@ -4668,6 +10995,18 @@ export class PSPFExplorer {
                     }
                 }
             });
+
+            // Update risk controls and event and vendor links
+            this.risks.forEach(risk => {
+                if (Array.isArray(risk.controlIds)) {
+                    risk.controlIds = risk.controlIds.map(id => (id === oldId ? newId : id));
+                }
+            });
+            [...this.incidents, ...this.vendors].forEach(record => {
+                if (Array.isArray(record.requirementIds)) {
+                    record.requirementIds = record.requirementIds.map(id => (id === oldId ? newId : id));
+                }
+            });
         }
 
         deleteRequirement(uuid) {
@@ -4695,6 +11034,18 @@ export class PSPFExplorer {
                     project.requirements = project.requirements.filter(id => id !== requirement.id);
                 }
             });
+
+            // Remove from risk controls and event and vendor links
+            this.risks.forEach(risk => {
+                if (Array.isArray(risk.controlIds)) {
+                    risk.controlIds = risk.controlIds.filter(id => id !== requirement.id);
+                }
+            });
+            [...this.incidents, ...this.vendors].forEach(record => {
+                if (Array.isArray(record.requirementIds)) {
+                    record.requirementIds = record.requirementIds.filter(id => id !== requirement.id);
+                }
+            });
             
             // Remove the requirement itself
             delete this.requirements[requirement.id];
@@ -4736,20 +11087,40 @@ export class PSPFExplorer {
         }
 
         saveData() {
-            if (!this.storageAvailable) {
+            this.recordAuditChanges();
+            if (!this.storageAvailable || this.isHydratingStorage) {
                 return;
             }
-            localStorage.setItem('pspf_projects', JSON.stringify(this.projects));
-            localStorage.setItem('pspf_risks', JSON.stringify(this.risks));
-            localStorage.setItem('pspf_incidents', JSON.stringify(this.incidents));
-            localStorage.setItem('pspf_compliance', JSON.stringify(this.compliance));
-            this.saveProgressHistory();
+            this.storage.saveCollections({
+                projects: this.projects,
+                risks: this.risks,
+                incidents: this.incidents,
+                vendors: this.vendors,
+                systems: this.systems,
+                compliance: this.compliance,
+                progressHistory: this.progressHistory,
+                essentialEight: this.essentialEight,
+                people: this.people,
+                assessmentCycles: this.assessmentCycles,
+                riskMatrix: this.riskMatrix,
+                contactRegister: this.contactRegister
+            }).catch(error => this.handleStorageError(error));
             localStorage.setItem('pspf_last_modified', new Date().toISOString());
         }
 
         saveProgressHistory() {
-            if (!this.storageAvailable) return;
-            localStorage.setItem('pspf_progress_history', JSON.stringify(this.progressHistory));
+            if (!this.storageAvailable || this.isHydratingStorage) return;
+            this.storage.saveCollections({ progressHistory: this.progressHistory })
+                .catch(error => this.handleStorageError(error));
+        }
+
+        handleStorageError(error) {
+            console.error('Failed to save data:', error);
+            const quotaExceeded = error && (error.name === 'QuotaExceededError' || error.code === 22);
+            const message = quotaExceeded
+                ? 'Your changes could not be saved because browser storage is full. Export a backup and remove old data.'
+                : 'Your changes could not be saved to browser storage.';
+            this.showNotification(message, 'error', 8000);
         }
 
         readStorage(key, fallback) {
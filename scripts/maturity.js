@@ -0,0 +1,77 @@
+/**
+ * PSPF Explorer - Maturity Module
+ * Optional maturity levels recorded alongside a requirement's compliance status,
+ * and the averages used to roll them up per domain and across the framework.
+ */
+
+export const MATURITY_SCALES = Object.freeze({
+    pspf: {
+        id: 'pspf',
+        label: 'PSPF maturity',
+        levels: [
+            { value: 0, label: 'Not Yet Implemented', short: 'NYI' },
+            { value: 1, label: 'Partially Implemented', short: 'Partial' },
+            { value: 2, label: 'Substantially Implemented', short: 'Substantial' },
+            { value: 3, label: 'Fully Implemented', short: 'Full' }
+        ]
+    },
+    e8: {
+        id: 'e8',
+        label: 'Essential Eight maturity',
+        levels: [
+            { value: 0, label: 'Maturity Level Zero', short: 'ML0' },
+            { value: 1, label: 'Maturity Level One', short: 'ML1' },
+            { value: 2, label: 'Maturity Level Two', short: 'ML2' },
+            { value: 3, label: 'Maturity Level Three', short: 'ML3' }
+        ]
+    }
+});
+
+export const MAX_MATURITY_LEVEL = 3;
+
+/**
+ * Coerce a stored maturity value to a level, or null when unassessed.
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function normaliseMaturityLevel(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const level = Number(value);
+    return Number.isInteger(level) && level >= 0 && level <= MAX_MATURITY_LEVEL ? level : null;
+}
+
+/**
+ * Average assessed maturity levels, ignoring unassessed ones.
+ * @param {Array<number|null>} levels
+ * @returns {{score: number|null, assessed: number, total: number}} score rounded to one decimal
+ */
+export function calculateMaturityScore(levels) {
+    const assessed = levels.map(normaliseMaturityLevel).filter(level => level !== null);
+    const score = assessed.length
+        ? Math.round((assessed.reduce((sum, level) => sum + level, 0) / assessed.length) * 10) / 10
+        : null;
+    return { score, assessed: assessed.length, total: levels.length };
+}
+
+/**
+ * Label for a level on a scale, e.g. "ML2" or "Substantially Implemented".
+ * @param {Object} scale - Entry from MATURITY_SCALES
+ * @param {number|null} level
+ * @param {{short?: boolean}} [options]
+ * @returns {string}
+ */
+export function formatMaturityLevel(scale, level, { short = false } = {}) {
+    const entry = scale.levels.find(item => item.value === normaliseMaturityLevel(level));
+    if (!entry) return 'Not assessed';
+    return short ? entry.short : entry.label;
+}
+
+/**
+ * Describe a rolled-up score using the nearest whole level of the PSPF scale.
+ * @param {number|null} score
+ * @returns {string}
+ */
+export function describeMaturityScore(score) {
+    if (score === null || score === undefined) return 'Not assessed';
+    return formatMaturityLevel(MATURITY_SCALES.pspf, Math.min(MAX_MATURITY_LEVEL, Math.round(score)));
+}
@@ -0,0 +1,252 @@
+/**
+ * PSPF Explorer - Schema Migrations
+ * Step-by-step upgrades for stored state and imported backups. Each migration takes the
+ * state produced by the previous version and returns the state for its own version.
+ */
+
+/**
+ * Ordered migration registry. `version` is the schema version the step upgrades to.
+ * Add new steps to the end and bump nothing else: CURRENT_SCHEMA_VERSION follows the list.
+ */
+export const SCHEMA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Fold legacy tasks into projects and backfill project links and compliance history',
+        migrate(state, context = {}) {
+            const requirements = context.requirements || {};
+            const projects = (Array.isArray(state.projects) ? state.projects : []).map(project => ({
+                ...project,
+                requirements: Array.isArray(project.requirements) ? project.requirements : []
+            }));
+
+            // Tasks were dropped from the UI; keep them on their project so nothing is lost
+            const tasks = Array.isArray(state.tasks) ? state.tasks : [];
+            const orphanTasks = [];
+            tasks.forEach(task => {
+                if (!task || typeof task !== 'object') return;
+                const project = projects.find(p => p.id === task.projectId);
+                if (project) {
+                    project.legacyTasks = [...(project.legacyTasks || []), task];
+                } else {
+                    orphanTasks.push(task);
+                }
+            });
+            if (orphanTasks.length) {
+                projects.push({
+                    id: `legacy-tasks-${Date.now()}`,
+                    name: 'Legacy tasks',
+                    description: 'Tasks recorded by an earlier version of PSPF Explorer that were not linked to a project.',
+                    status: 'on-hold',
+                    createdAt: new Date().toISOString(),
+                    requirements: [],
+                    legacyTasks: orphanTasks
+                });
+            }
+
+            const compliance = {};
+            Object.entries(state.compliance || {}).forEach(([reqId, entry]) => {
+                if (!entry || typeof entry !== 'object') return;
+                const status = entry.status || 'not-set';
+                let history = Array.isArray(entry.history) ? entry.history : null;
+                if (!history) {
+                    // The change time is unknown, so the seeded entry carries no timestamp
+                    history = status === 'not-set'
+                        ? []
+                        : [{ status, timestamp: null, domainId: requirements[reqId]?.domainId || null }];
+                }
+                compliance[reqId] = {
+                    ...entry,
+                    status,
+                    comment: typeof entry.comment === 'string' ? entry.comment : '',
+                    url: typeof entry.url === 'string' ? entry.url : '',
+                    history
+                };
+            });
+
+            const next = { ...state, projects, compliance };
+            delete next.tasks;
+            return next;
+        }
+    },
+    {
+        version: 3,
+        description: 'Move each compliance reference URL into the evidence list',
+        migrate(state) {
+            const compliance = {};
+            Object.entries(state.compliance || {}).forEach(([reqId, entry]) => {
+                if (!entry || typeof entry !== 'object') return;
+                const { url, ...rest } = entry;
+                const evidence = Array.isArray(entry.evidence) ? [...entry.evidence] : [];
+                const link = typeof url === 'string' ? url.trim() : '';
+                if (link && !evidence.some(item => item?.url === link)) {
+                    evidence.push({
+                        id: `ev-${reqId}-url`,
+                        type: 'url',
+                        title: 'Reference link',
+                        url: link,
+                        owner: '',
+                        collectedAt: '',
+                        expiresAt: '',
+                        createdAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                }
+                compliance[reqId] = { ...rest, evidence };
+            });
+            return { ...state, compliance };
+        }
+    },
+    {
+        version: 4,
+        description: 'Start a comment thread on each compliance record from its existing comment',
+        migrate(state) {
+            const seedThreads = (source) => {
+                const compliance = {};
+                Object.entries(source || {}).forEach(([reqId, entry]) => {
+                    if (!entry || typeof entry !== 'object') return;
+                    if (Array.isArray(entry.comments)) {
+                        compliance[reqId] = entry;
+                        return;
+                    }
+                    const text = typeof entry.comment === 'string' ? entry.comment.trim() : '';
+                    const history = Array.isArray(entry.history) ? entry.history : [];
+                    // The comment was edited in place, so its author and time are unknown
+                    compliance[reqId] = {
+                        ...entry,
+                        comment: text,
+                        comments: text
+                            ? [{
+                                id: `comment-${reqId}-legacy`,
+                                body: text,
+                                authorId: '',
+                                authorName: '',
+                                official: true,
+                                mentions: [],
+                                createdAt: history[history.length - 1]?.timestamp || null
+                            }]
+                            : []
+                    };
+                });
+                return compliance;
+            };
+
+            const next = { ...state, compliance: seedThreads(state.compliance) };
+            if (state.assessmentCycles && typeof state.assessmentCycles === 'object') {
+                next.assessmentCycles = {};
+                Object.entries(state.assessmentCycles).forEach(([key, cycle]) => {
+                    next.assessmentCycles[key] = cycle && typeof cycle === 'object' && cycle.compliance
+                        ? { ...cycle, compliance: seedThreads(cycle.compliance) }
+                        : cycle;
+                });
+            }
+            return next;
+        }
+    },
+    {
+        version: 5,
+        description: 'Split each risk rating into inherent and residual and add treatment, controls, actions and review fields',
+        migrate(state) {
+            const risks = (Array.isArray(state.risks) ? state.risks : []).map(risk => {
+                if (!risk || typeof risk !== 'object') return risk;
+                const mitigation = typeof risk.mitigation === 'string' ? risk.mitigation : '';
+                // The single rating was never split, so it stands as both the inherent and residual level
+                return {
+                    ...risk,
+                    inherentLikelihood: risk.inherentLikelihood || risk.likelihood || 'medium',
+                    inherentImpact: risk.inherentImpact || risk.impact || 'medium',
+                    inherentSeverity: risk.inherentSeverity || risk.severity || 'medium',
+                    mitigation,
+                    treatment: typeof risk.treatment === 'string' ? risk.treatment : (mitigation.trim() ? 'treat' : ''),
+                    controlIds: Array.isArray(risk.controlIds) ? risk.controlIds : [],
+                    actions: Array.isArray(risk.actions) ? risk.actions : [],
+                    reviewDate: typeof risk.reviewDate === 'string' ? risk.reviewDate : '',
+                    status: risk.status || 'open'
+                };
+            });
+            return { ...state, risks };
+        }
+    },
+    {
+        version: 6,
+        description: 'Give each event a lifecycle state and add reporting, linked requirement and risk, and lessons learned fields',
+        migrate(state) {
+            const incidents = (Array.isArray(state.incidents) ? state.incidents : []).map(incident => {
+                if (!incident || typeof incident !== 'object' || Array.isArray(incident.stateHistory)) return incident;
+                const resolved = typeof incident.resolution === 'string' && incident.resolution.trim() !== '';
+                // A resolution was the only sign an event was dealt with; when that happened is unknown
+                const stateHistory = [{ state: 'reported', at: incident.date || incident.createdAt || null }];
+                if (resolved) stateHistory.push({ state: 'closed', at: null });
+                return {
+                    ...incident,
+                    state: resolved ? 'closed' : 'reported',
+                    stateHistory,
+                    reporting: [],
+                    requirementIds: [],
+                    riskIds: [],
+                    lessonsLearned: ''
+                };
+            });
+            return { ...state, incidents };
+        }
+    }
+];
+
+export const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS.reduce((max, step) => Math.max(max, step.version), 1);
+
+/**
+ * Raised when data comes from a newer schema than this build understands.
+ */
+export class SchemaVersionError extends Error {
+    constructor(version) {
+        super(`This data uses schema version ${version}, but this version of PSPF Explorer only supports up to version ${CURRENT_SCHEMA_VERSION}. Update PSPF Explorer before loading it.`);
+        this.name = 'SchemaVersionError';
+        this.version = version;
+    }
+}
+
+/**
+ * Normalise a stored or backup version marker to an integer schema version.
+ * Backups written before versioning used the strings '1.0' and '1.1'.
+ * @param {string|number|undefined} version
+ * @returns {number|null} null when the marker is missing or unreadable
+ */
+export function parseSchemaVersion(version) {
+    if (version === undefined || version === null || version === '') return null;
+    const major = parseInt(String(version).split('.')[0], 10);
+    return Number.isNaN(major) || major < 1 ? null : major;
+}
+
+/**
+ * Format a schema version for the `version` field of backup files.
+ * @param {number} version
+ * @returns {string}
+ */
+export function formatSchemaVersion(version = CURRENT_SCHEMA_VERSION) {
+    return `${version}.0`;
+}
+
+/**
+ * Run every migration newer than `fromVersion` in order.
+ * @param {Object} state - Collections keyed by name (projects, risks, incidents, compliance, ...)
+ * @param {number} fromVersion - Schema version the state was written with
+ * @param {Object} [context] - Read-only app data migrations may consult (e.g. requirements)
+ * @returns {{state: Object, applied: Array<{version: number, description: string}>}}
+ * @throws {SchemaVersionError} When fromVersion is newer than CURRENT_SCHEMA_VERSION
+ */
+export function migrateState(state, fromVersion, context = {}) {
+    const startVersion = fromVersion || 1;
+    if (startVersion > CURRENT_SCHEMA_VERSION) {
+        throw new SchemaVersionError(startVersion);
+    }
+
+    const applied = [];
+    const migrated = SCHEMA_MIGRATIONS
+        .filter(step => step.version > startVersion)
+        .sort((a, b) => a.version - b.version)
+        .reduce((current, step) => {
+            applied.push({ version: step.version, description: step.description });
+            return step.migrate(current, context);
+        }, { ...state });
+
+    return { state: migrated, applied };
+}
@@ -0,0 +1,93 @@
+/**
+ * PSPF Explorer - People Module
+ * The shared people register and the ownership model built on it: each requirement,
+ * risk and event can name one accountable owner and any number of contributors.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sidebar filter value for records nobody has been made accountable for
+export const UNASSIGNED_OWNER = 'unassigned';
+
+/**
+ * Build a normalised person record from form or imported fields.
+ * @param {Object} fields
+ * @returns {{id: string, name: string, role: string, branch: string, email: string, createdAt: string, updatedAt: string}}
+ */
+export function createPerson(fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: fields.id || `person-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        name: String(fields.name || '').trim(),
+        role: String(fields.role || '').trim(),
+        branch: String(fields.branch || '').trim(),
+        email: String(fields.email || '').trim(),
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+}
+
+/**
+ * @param {string} email
+ * @returns {boolean} True for a blank or plausibly formed address
+ */
+export function isValidEmail(email) {
+    return !email || EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Clean the ownership fields of a record against the people register. Unknown ids
+ * are dropped and the owner is never also listed as a contributor.
+ * @param {{ownerId?: string, contributorIds?: string[]}} record
+ * @param {Set<string>} personIds
+ * @returns {{ownerId: string|null, contributorIds: string[]}}
+ */
+export function normaliseOwnership(record, personIds) {
+    const ownerId = record?.ownerId && personIds.has(record.ownerId) ? record.ownerId : null;
+    const contributorIds = [...new Set(Array.isArray(record?.contributorIds) ? record.contributorIds : [])]
+        .filter(id => personIds.has(id) && id !== ownerId);
+    return { ownerId, contributorIds };
+}
+
+/**
+ * Whether a record belongs under an owner filter value.
+ * @param {Object} record
+ * @param {string} ownerFilter - Person id, UNASSIGNED_OWNER, or '' for everyone
+ * @returns {boolean}
+ */
+export function matchesOwnerFilter(record, ownerFilter) {
+    if (!ownerFilter) return true;
+    if (ownerFilter === UNASSIGNED_OWNER) return !record?.ownerId;
+    return record?.ownerId === ownerFilter;
+}
+
+/**
+ * Count what each person owns and contributes to.
+ * @param {Array<Object>} people
+ * @param {{requirements: Array<{id: string, record: Object}>, risks: Array<Object>, incidents: Array<Object>}} items
+ * @returns {Array<{person: Object, owned: {requirements: Array, risks: Array, incidents: Array}, contributing: {requirements: number, risks: number, incidents: number}}>}
+ *   One entry per person plus a trailing entry with `person: null` for unowned records
+ */
+export function buildOwnerWorkload(people, { requirements = [], risks = [], incidents = [] }) {
+    const entries = new Map(people.map(person => [person.id, {
+        person,
+        owned: { requirements: [], risks: [], incidents: [] },
+        contributing: { requirements: 0, risks: 0, incidents: 0 }
+    }]));
+    const unowned = { person: null, owned: { requirements: [], risks: [], incidents: [] }, contributing: { requirements: 0, risks: 0, incidents: 0 } };
+
+    const tally = (collection, item, record) => {
+        const owner = entries.get(record?.ownerId) || unowned;
+        owner.owned[collection].push(item);
+        (Array.isArray(record?.contributorIds) ? record.contributorIds : []).forEach(id => {
+            const contributor = entries.get(id);
+            if (contributor) contributor.contributing[collection] += 1;
+        });
+    };
+
+    requirements.forEach(item => tally('requirements', item, item.record));
+    risks.forEach(risk => tally('risks', risk, risk));
+    incidents.forEach(incident => tally('incidents', incident, incident));
+
+    return [...entries.values(), unowned];
+}
@@ -0,0 +1,244 @@
+/**
+ * PSPF Explorer - Report Module
+ * Builds the standalone, print-ready HTML document for the annual PSPF
+ * self-assessment report. The document carries its own light theme so it prints
+ * the same regardless of the app's dark styling.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export const REPORT_STYLES = `
+    @page { size: A4; margin: 18mm 16mm; }
+    * { box-sizing: border-box; }
+    body { font-family: "Segoe UI", Arial, sans-serif; color: #1f2937; font-size: 10.5pt; line-height: 1.45; margin: 0; background: #f3f4f6; }
+    .report { max-width: 210mm; margin: 0 auto; background: #fff; padding: 16mm; }
+    h1 { font-size: 26pt; margin: 0 0 8mm; color: #111827; }
+    h2 { font-size: 16pt; margin: 0 0 4mm; padding-bottom: 2mm; border-bottom: 2px solid #1e3a8a; color: #1e3a8a; }
+    h3 { font-size: 12pt; margin: 6mm 0 2mm; color: #111827; }
+    p { margin: 0 0 3mm; }
+    table { width: 100%; border-collapse: collapse; margin: 0 0 5mm; font-size: 9pt; }
+    thead { display: table-header-group; }
+    th, td { border: 1px solid #d1d5db; padding: 1.5mm 2mm; text-align: left; vertical-align: top; }
+    th { background: #e5e7eb; font-weight: 600; }
+    tr { break-inside: avoid; page-break-inside: avoid; }
+    td.num, th.num { text-align: right; white-space: nowrap; }
+    a { color: #1d4ed8; word-break: break-all; }
+    .cover { min-height: 240mm; display: flex; flex-direction: column; justify-content: center; }
+    .cover-meta { font-size: 12pt; color: #374151; }
+    .cover-meta dt { font-weight: 600; margin-top: 4mm; }
+    .cover-meta dd { margin: 0; }
+    .cover-note { margin-top: 20mm; font-size: 9pt; color: #6b7280; }
+    .section { break-before: page; page-break-before: always; }
+    .stat-row { display: flex; flex-wrap: wrap; gap: 3mm; margin: 0 0 5mm; }
+    .stat { flex: 1 1 28mm; border: 1px solid #d1d5db; border-radius: 2mm; padding: 2mm 3mm; }
+    .stat strong { display: block; font-size: 16pt; }
+    .status { display: inline-block; padding: 0.3mm 2mm; border-radius: 3mm; font-size: 8.5pt; font-weight: 600; white-space: nowrap; }
+    .status-yes { background: #dcfce7; color: #166534; }
+    .status-partial { background: #fef3c7; color: #92400e; }
+    .status-no { background: #fee2e2; color: #991b1b; }
+    .status-na { background: #e0e7ff; color: #3730a3; }
+    .status-not-set { background: #f3f4f6; color: #4b5563; }
+    .health-healthy { color: #166534; font-weight: 600; }
+    .health-warning { color: #92400e; font-weight: 600; }
+    .health-critical { color: #991b1b; font-weight: 600; }
+    .muted { color: #6b7280; }
+    .toolbar { position: sticky; top: 0; display: flex; justify-content: flex-end; gap: 2mm; padding: 3mm 0; background: #f3f4f6; max-width: 210mm; margin: 0 auto; }
+    .toolbar button { font: inherit; padding: 2mm 5mm; border: 0; border-radius: 1.5mm; background: #1e3a8a; color: #fff; cursor: pointer; }
+    @media print {
+        body { background: #fff; }
+        .report { padding: 0; max-width: none; }
+        .toolbar { display: none; }
+        a { color: inherit; }
+    }
+`;
+
+const statusPill = (status, text) => `<span class="status status-${escapeHtml(status)}">${escapeHtml(text)}</span>`;
+
+const table = (headers, rows, emptyMessage) => {
+    if (!rows.length) {
+        return `<p class="muted">${escapeHtml(emptyMessage)}</p>`;
+    }
+    return `
+        <table>
+            <thead><tr>${headers.map(header => `<th${header.num ? ' class="num"' : ''}>${escapeHtml(header.label || header)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+};
+
+/**
+ * Render the annual report document.
+ * @param {Object} report - Model assembled by PSPFExplorer.buildAnnualReportModel()
+ * @returns {string} Complete HTML document
+ */
+export function buildAnnualReportHtml(report) {
+    const { meta, totals, domains, essentialEight, risks, riskTolerance, incidents, evidence } = report;
+
+    const cover = `
+        <section class="cover">
+            <h1>PSPF Annual Self-Assessment Report</h1>
+            <dl class="cover-meta">
+                <dt>Entity</dt><dd>${escapeHtml(meta.entityName || 'Not specified')}</dd>
+                <dt>Reporting period</dt><dd>${escapeHtml(meta.period)}</dd>
+                <dt>Prepared by</dt><dd>${escapeHtml(meta.preparedBy || 'Not specified')}</dd>
+                <dt>Generated</dt><dd>${escapeHtml(meta.generatedAt)}</dd>
+            </dl>
+            <p class="cover-note">Prepared with PSPF Explorer from the entity's self-assessment records. Statuses reflect the assessment at the time of generation.</p>
+        </section>
+    `;
+
+    const summary = `
+        <section class="section">
+            <h2>Executive Summary</h2>
+            <p>${totals.requirements} PSPF requirements were assessed across ${domains.length} domains. ${totals.percentage}% are met or not applicable.${totals.maturity ? ` Average maturity is ${escapeHtml(totals.maturity)}.` : ''}</p>
+            <div class="stat-row">
+                <div class="stat"><strong>${totals.yes}</strong>Met</div>
+                <div class="stat"><strong>${totals.partial}</strong>Risk Managed</div>
+                <div class="stat"><strong>${totals.no}</strong>Not Met</div>
+                <div class="stat"><strong>${totals.na}</strong>N/A</div>
+                <div class="stat"><strong>${totals['not-set']}</strong>Not Assessed</div>
+            </div>
+            ${table(
+                ['Domain', 'Health', { label: 'Met', num: true }, { label: 'Outstanding', num: true }, { label: 'Compliance', num: true }, { label: 'Maturity', num: true }],
+                domains.map(domain => `
+                    <tr>
+                        <td>${escapeHtml(domain.title)}</td>
+                        <td class="health-${escapeHtml(domain.health.status)}">${escapeHtml(domain.health.text)}</td>
+                        <td class="num">${domain.health.met} / ${domain.health.total}</td>
+                        <td class="num">${domain.outstanding}</td>
+                        <td class="num">${domain.percentage}%</td>
+                        <td class="num">${escapeHtml(domain.maturity)}</td>
+                    </tr>
+                `),
+                'No domains loaded.'
+            )}
+
+            <h3>Essential Eight</h3>
+            ${table(
+                ['#', 'Mitigation strategy', 'Requirement', 'Status'],
+                essentialEight.map(control => `
+                    <tr>
+                        <td>${String(control.order).padStart(2, '0')}</td>
+                        <td>${escapeHtml(control.label)}</td>
+                        <td>${escapeHtml(control.id)}</td>
+                        <td>${statusPill(control.status, control.statusText)}</td>
+                    </tr>
+                `),
+                'No Essential Eight controls are mapped.'
+            )}
+        </section>
+    `;
+
+    const domainSections = domains.map(domain => `
+        <section class="section">
+            <h2>${escapeHtml(domain.title)}</h2>
+            ${domain.description ? `<p class="muted">${escapeHtml(domain.description)}</p>` : ''}
+            ${table(
+                ['ID', 'Requirement', 'PSPF section', 'Status', 'Maturity', 'Owner', 'Justification'],
+                domain.requirements.map(requirement => `
+                    <tr>
+                        <td>${escapeHtml(requirement.id)}</td>
+                        <td>${escapeHtml(requirement.text)}</td>
+                        <td>${escapeHtml(requirement.section)}</td>
+                        <td>${statusPill(requirement.status, requirement.statusText)}</td>
+                        <td>${escapeHtml(requirement.maturityText)}</td>
+                        <td>${escapeHtml(requirement.owner)}</td>
+                        <td>${escapeHtml(requirement.comment)}</td>
+                    </tr>
+                `),
+                'No requirements in this domain.'
+            )}
+        </section>
+    `).join('');
+
+    const register = `
+        <section class="section">
+            <h2>Open Risks</h2>
+            <p>${riskTolerance
+                ? `Risk tolerance: residual ratings of ${escapeHtml(riskTolerance.rating)} or lower are accepted${riskTolerance.approvedBy ? `, approved by ${escapeHtml(riskTolerance.approvedBy)}${riskTolerance.approvedOn ? ` on ${escapeHtml(riskTolerance.approvedOn)}` : ''}` : ''}.${riskTolerance.statement ? ` ${escapeHtml(riskTolerance.statement)}` : ''}`
+                : 'No risk tolerance has been set.'}</p>
+            ${table(
+                ['Risk', 'Project', 'Owner', 'Inherent', 'Residual', 'Treatment', 'Status', 'Next Review'],
+                risks.map(risk => `
+                    <tr>
+                        <td>${escapeHtml(risk.name)}${risk.description ? `<br><span class="muted">${escapeHtml(risk.description)}</span>` : ''}</td>
+                        <td>${escapeHtml(risk.project)}</td>
+                        <td>${escapeHtml(risk.owner)}</td>
+                        <td>${escapeHtml(risk.inherentSeverity)}</td>
+                        <td>${escapeHtml(risk.severity)}${risk.aboveTolerance ? ' <strong>(above tolerance)</strong>' : ''}<br><span class="muted">${escapeHtml(risk.likelihood)} likelihood, ${escapeHtml(risk.impact)} impact</span></td>
+                        <td>${escapeHtml(risk.treatment)}${risk.mitigation ? `<br><span class="muted">${escapeHtml(risk.mitigation)}</span>` : ''}</td>
+                        <td>${escapeHtml(risk.status)}</td>
+                        <td>${escapeHtml(risk.reviewDate)}</td>
+                    </tr>
+                `),
+                'No open risks recorded.'
+            )}
+
+            <h2>Open Security Events</h2>
+            ${table(
+                ['Date', 'Event', 'Project', 'Owner', 'Severity', 'State', 'External Reporting', 'Notes'],
+                incidents.map(incident => `
+                    <tr>
+                        <td>${escapeHtml(incident.date)}</td>
+                        <td>${escapeHtml(incident.name)}</td>
+                        <td>${escapeHtml(incident.project)}</td>
+                        <td>${escapeHtml(incident.owner)}</td>
+                        <td>${escapeHtml(incident.severity)}</td>
+                        <td>${escapeHtml(incident.state)}</td>
+                        <td>${escapeHtml(incident.reporting)}</td>
+                        <td>${escapeHtml(incident.description)}</td>
+                    </tr>
+                `),
+                'No open security events recorded.'
+            )}
+        </section>
+    `;
+
+    const appendix = `
+        <section class="section">
+            <h2>Appendix: Evidence</h2>
+            ${table(
+                ['ID', 'Requirement', 'Evidence', 'Owner', 'Collected', 'Expiry'],
+                evidence.map(item => `
+                    <tr>
+                        <td>${escapeHtml(item.id)}</td>
+                        <td>${escapeHtml(item.title)}<br>${statusPill(item.status, item.statusText)}</td>
+                        <td>
+                            <strong>${escapeHtml(item.evidenceTitle)}</strong> <span class="muted">(${escapeHtml(item.type)})</span>
+                            ${/^https?:\/\//i.test(item.url) ? `<br><a href="${escapeHtml(item.url)}">${escapeHtml(item.url)}</a>` : ''}
+                            ${item.detail ? `<br><span class="muted">${escapeHtml(item.detail)}</span>` : ''}
+                        </td>
+                        <td>${escapeHtml(item.owner)}</td>
+                        <td>${escapeHtml(item.collectedAt)}</td>
+                        <td>${escapeHtml(item.expiresAt)}${item.expiresAt ? '<br>' : ''}<span class="muted">${escapeHtml(item.expiry)}</span></td>
+                    </tr>
+                `),
+                'No evidence has been recorded.'
+            )}
+        </section>
+    `;
+
+    return `<!DOCTYPE html>
+<html lang="en-AU">
+<head>
+    <meta charset="UTF-8">
+    <title>PSPF Self-Assessment ${escapeHtml(meta.period)}${meta.entityName ? ` - ${escapeHtml(meta.entityName)}` : ''}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <div class="toolbar"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+    <main class="report">
+        ${cover}
+        ${summary}
+        ${domainSections}
+        ${register}
+        ${appendix}
+    </main>
+</body>
+</html>`;
+}
@@ -0,0 +1,129 @@
+/**
+ * PSPF Explorer - Reviews Module
+ * Periodic review tracking for compliance records: when each requirement was last
+ * reviewed, how often it must be reviewed, and which reviews and evidence items are
+ * overdue or coming due.
+ */
+
+import { getEvidenceExpiryState } from './evidence.js';
+
+export const REVIEW_CYCLES = Object.freeze({
+    quarterly: { label: 'Quarterly', months: 3 },
+    'six-monthly': { label: 'Every 6 months', months: 6 },
+    annual: { label: 'Annually', months: 12 },
+    biennial: { label: 'Every 2 years', months: 24 }
+});
+
+export const DEFAULT_REVIEW_CYCLE = 'annual';
+
+export const REVIEW_DUE_SOON_DAYS = 30;
+
+export const DAY_MS = 86400000;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a YYYY-MM-DD string
+ */
+export const isDateOnly = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Whole days from one YYYY-MM-DD date to another, negative when `to` is earlier.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / DAY_MS);
+
+const parseDateOnly = (value) => {
+    if (!isDateOnly(value)) return null;
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toDateOnly = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Today's date as YYYY-MM-DD in local time.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function todayDateOnly(now = new Date()) {
+    return toDateOnly(now);
+}
+
+/**
+ * Next review date for a compliance record.
+ * @param {{lastReviewed?: string, reviewCycle?: string}} record
+ * @returns {string|null} YYYY-MM-DD, or null when the record has never been reviewed
+ */
+export function getReviewDueDate(record) {
+    const lastReviewed = parseDateOnly(record?.lastReviewed);
+    if (!lastReviewed) return null;
+    const cycle = REVIEW_CYCLES[record.reviewCycle] || REVIEW_CYCLES[DEFAULT_REVIEW_CYCLE];
+    // Clamp to the end of shorter months so 31 January + 3 months is 30 April, not 1 May
+    const due = new Date(lastReviewed.getFullYear(), lastReviewed.getMonth() + cycle.months, 1);
+    const lastDay = new Date(due.getFullYear(), due.getMonth() + 1, 0).getDate();
+    due.setDate(Math.min(lastReviewed.getDate(), lastDay));
+    return toDateOnly(due);
+}
+
+/**
+ * Where a record sits in its review cycle.
+ * @param {Object} record
+ * @param {Date} [now]
+ * @returns {{state: 'overdue'|'due-soon'|'current'|'untracked', dueDate: string|null, daysUntilDue: number|null}}
+ */
+export function getReviewState(record, now = new Date()) {
+    const dueDate = getReviewDueDate(record);
+    if (!dueDate) return { state: 'untracked', dueDate: null, daysUntilDue: null };
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const daysUntilDue = Math.round((parseDateOnly(dueDate) - today) / DAY_MS);
+    let state = 'current';
+    if (daysUntilDue < 0) state = 'overdue';
+    else if (daysUntilDue <= REVIEW_DUE_SOON_DAYS) state = 'due-soon';
+    return { state, dueDate, daysUntilDue };
+}
+
+/**
+ * Overdue and soon-due requirement reviews plus expired and expiring evidence.
+ * @param {Object<string, Object>} compliance - Compliance records keyed by requirement id
+ * @param {string[]} requirementIds - Requirements to consider
+ * @param {Date} [now]
+ * @returns {Array<{reqId: string, kind: 'review'|'evidence', state: 'overdue'|'due-soon', dueDate: string, daysUntilDue: number, evidenceId?: string, evidenceTitle?: string, owner?: string}>}
+ *   Most overdue first
+ */
+export function collectReviewReminders(compliance, requirementIds, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const reminders = [];
+
+    requirementIds.forEach(reqId => {
+        const record = compliance[reqId];
+        if (!record || record.status === 'na') return;
+
+        const review = getReviewState(record, now);
+        if (review.state === 'overdue' || review.state === 'due-soon') {
+            reminders.push({ reqId, kind: 'review', state: review.state, dueDate: review.dueDate, daysUntilDue: review.daysUntilDue });
+        }
+
+        (Array.isArray(record.evidence) ? record.evidence : []).forEach(item => {
+            const expiry = getEvidenceExpiryState(item, now);
+            if (expiry !== 'expired' && expiry !== 'expiring') return;
+            reminders.push({
+                reqId,
+                kind: 'evidence',
+                state: expiry === 'expired' ? 'overdue' : 'due-soon',
+                dueDate: item.expiresAt,
+                daysUntilDue: Math.round((parseDateOnly(item.expiresAt) - today) / DAY_MS),
+                evidenceId: item.id,
+                evidenceTitle: item.title,
+                owner: item.owner || ''
+            });
+        });
+    });
+
+    return reminders.sort((a, b) => a.daysUntilDue - b.daysUntilDue || a.reqId.localeCompare(b.reqId));
+}
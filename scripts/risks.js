@@ -0,0 +1,351 @@
+/**
+ * PSPF Explorer - Risks Module
+ * The risk register model: each risk is rated before controls (inherent) and after them
+ * (residual, kept in the original `likelihood`, `impact` and `severity` fields so
+ * everything that reads a risk's current level is unchanged), carries a treatment
+ * decision and plan, links the PSPF requirements that act as its controls, and has
+ * dated treatment actions and a review date. Ratings come from a configurable risk
+ * matrix that also records the entity's risk tolerance (RISK-036).
+ */
+
+import { matchesOwnerFilter } from './people.js';
+import { daysBetween, isDateOnly, REVIEW_DUE_SOON_DAYS, todayDateOnly } from './reviews.js';
+
+export const RISK_LEVELS = Object.freeze({
+    'very-low': { label: 'Very Low', value: 1 },
+    low: { label: 'Low', value: 2 },
+    medium: { label: 'Medium', value: 3 },
+    high: { label: 'High', value: 4 },
+    'very-high': { label: 'Very High', value: 5 }
+});
+
+export const RISK_SEVERITIES = Object.freeze({
+    critical: { label: 'Critical', rank: 0 },
+    high: { label: 'High', rank: 1 },
+    medium: { label: 'Medium', rank: 2 },
+    low: { label: 'Low', rank: 3 }
+});
+
+export const RISK_LEVEL_KEYS = Object.freeze(Object.keys(RISK_LEVELS));
+
+// Lowest to highest
+export const RISK_SEVERITY_KEYS = Object.freeze(['low', 'medium', 'high', 'critical']);
+
+// Residual rating filter value for risks above the tolerance line
+export const ABOVE_TOLERANCE = 'above-tolerance';
+
+// Project filter value for entity-wide risks and events that belong to no project
+export const NO_PROJECT = 'no-project';
+
+/**
+ * @param {{projectId?: string|null}} record
+ * @param {string} projectFilter - A project id, NO_PROJECT or '' for any
+ * @returns {boolean}
+ */
+export function matchesProjectFilter(record, projectFilter) {
+    if (!projectFilter) return true;
+    if (projectFilter === NO_PROJECT) return !record?.projectId;
+    return record?.projectId === projectFilter;
+}
+
+const LIKELIHOOD_DESCRIPTIONS = {
+    'very-low': 'May occur only in exceptional circumstances',
+    low: 'Could occur at some time',
+    medium: 'Might occur at some time',
+    high: 'Will probably occur in most circumstances',
+    'very-high': 'Is expected to occur in most circumstances'
+};
+
+const IMPACT_DESCRIPTIONS = {
+    'very-low': 'Negligible effect on people, information, assets or operations',
+    low: 'Minor effect, managed within normal operations',
+    medium: 'Moderate effect requiring management attention',
+    high: 'Major effect on services, people or official information',
+    'very-high': 'Severe or lasting harm to the entity or government'
+};
+
+/**
+ * @param {string} likelihood - RISK_LEVEL_KEYS entry
+ * @param {string} impact - RISK_LEVEL_KEYS entry
+ * @returns {string} Key of the matrix cell in `cells`
+ */
+export function riskMatrixCellKey(likelihood, impact) {
+    return `${likelihood}|${impact}`;
+}
+
+const defaultCells = () => {
+    const cells = {};
+    RISK_LEVEL_KEYS.forEach(likelihood => RISK_LEVEL_KEYS.forEach(impact => {
+        const score = RISK_LEVELS[likelihood].value * RISK_LEVELS[impact].value;
+        cells[riskMatrixCellKey(likelihood, impact)] = score <= 4 ? 'low' : score <= 10 ? 'medium' : score <= 16 ? 'high' : 'critical';
+    }));
+    return cells;
+};
+
+/**
+ * The matrix used until the entity configures its own: the original 5x5 likelihood by
+ * impact product with cut-offs at 4, 10 and 16, and no tolerance set. Level and rating
+ * keys are fixed because risks store them; labels, descriptions, cell ratings and the
+ * tolerance are configurable.
+ */
+export const DEFAULT_RISK_MATRIX = Object.freeze({
+    likelihood: Object.freeze(Object.fromEntries(RISK_LEVEL_KEYS.map(key => [key, Object.freeze({ label: RISK_LEVELS[key].label, description: LIKELIHOOD_DESCRIPTIONS[key] })]))),
+    impact: Object.freeze(Object.fromEntries(RISK_LEVEL_KEYS.map(key => [key, Object.freeze({ label: RISK_LEVELS[key].label, description: IMPACT_DESCRIPTIONS[key] })]))),
+    ratings: Object.freeze(Object.fromEntries(RISK_SEVERITY_KEYS.map(key => [key, Object.freeze({ label: RISK_SEVERITIES[key].label })]))),
+    cells: Object.freeze(defaultCells()),
+    tolerance: Object.freeze({ rating: '', statement: '', approvedBy: '', approvedOn: '' })
+});
+
+const text = (value, fallback, maxLength) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : fallback);
+
+/**
+ * A complete matrix from stored or imported settings, with defaults for anything missing
+ * or invalid.
+ * @param {Object} [matrix]
+ * @returns {{likelihood: Object, impact: Object, ratings: Object, cells: Object<string, string>, tolerance: {rating: string, statement: string, approvedBy: string, approvedOn: string}}}
+ */
+export function normaliseRiskMatrix(matrix = {}) {
+    const scale = (axis) => Object.fromEntries(RISK_LEVEL_KEYS.map(key => [key, {
+        label: text(matrix?.[axis]?.[key]?.label, DEFAULT_RISK_MATRIX[axis][key].label, 60),
+        // A description cleared on purpose stays empty; a missing one takes the default
+        description: typeof matrix?.[axis]?.[key]?.description === 'string'
+            ? matrix[axis][key].description.trim().slice(0, 300)
+            : DEFAULT_RISK_MATRIX[axis][key].description
+    }]));
+    const cells = {};
+    Object.entries(DEFAULT_RISK_MATRIX.cells).forEach(([key, rating]) => {
+        const configured = matrix?.cells?.[key];
+        cells[key] = RISK_SEVERITY_KEYS.includes(configured) ? configured : rating;
+    });
+    const tolerance = matrix?.tolerance || {};
+    return {
+        likelihood: scale('likelihood'),
+        impact: scale('impact'),
+        ratings: Object.fromEntries(RISK_SEVERITY_KEYS.map(key => [key, {
+            label: text(matrix?.ratings?.[key]?.label, DEFAULT_RISK_MATRIX.ratings[key].label, 40)
+        }])),
+        cells,
+        tolerance: {
+            rating: RISK_SEVERITY_KEYS.includes(tolerance.rating) ? tolerance.rating : '',
+            statement: text(tolerance.statement, '', 2000),
+            approvedBy: text(tolerance.approvedBy, '', 200),
+            approvedOn: isDateOnly(tolerance.approvedOn) ? tolerance.approvedOn : ''
+        }
+    };
+}
+
+/**
+ * @param {string} likelihood
+ * @param {string} impact
+ * @param {Object} matrix - From normaliseRiskMatrix()
+ * @returns {string} Rating key; unknown levels rate as the lowest level
+ */
+export function rateRisk(likelihood, impact, matrix) {
+    const level = key => (RISK_LEVELS[key] ? key : RISK_LEVEL_KEYS[0]);
+    return matrix.cells[riskMatrixCellKey(level(likelihood), level(impact))];
+}
+
+/**
+ * Whether a rating sits above the tolerance line. Nothing is above tolerance until one is set.
+ * @param {string} rating
+ * @param {Object} matrix - From normaliseRiskMatrix()
+ * @returns {boolean}
+ */
+export function isAboveTolerance(rating, matrix) {
+    const line = matrix?.tolerance?.rating;
+    if (!line) return false;
+    return RISK_SEVERITY_KEYS.indexOf(rating) > RISK_SEVERITY_KEYS.indexOf(line);
+}
+
+/**
+ * Re-rate risks against a matrix. Risks whose ratings are unchanged keep their object.
+ * @param {Array<Object>} risks
+ * @param {Object} matrix - From normaliseRiskMatrix()
+ * @returns {{risks: Array<Object>, changed: number}}
+ */
+export function reRateRisks(risks, matrix) {
+    let changed = 0;
+    const rated = risks.map(risk => {
+        const severity = rateRisk(risk.likelihood, risk.impact, matrix);
+        const inherentSeverity = rateRisk(risk.inherentLikelihood || risk.likelihood, risk.inherentImpact || risk.impact, matrix);
+        if (severity === risk.severity && inherentSeverity === risk.inherentSeverity) return risk;
+        changed += 1;
+        return { ...risk, severity, inherentSeverity };
+    });
+    return { risks: rated, changed };
+}
+
+export const RISK_TREATMENTS = Object.freeze({
+    accept: { label: 'Accept', description: 'Tolerate the risk at its current level' },
+    treat: { label: 'Treat', description: 'Apply controls to reduce likelihood or impact' },
+    transfer: { label: 'Transfer', description: 'Share the risk, for example by contract or insurance' },
+    avoid: { label: 'Avoid', description: 'Stop the activity that gives rise to the risk' }
+});
+
+export const RISK_STATUSES = Object.freeze({
+    open: { label: 'Open' },
+    'in-treatment': { label: 'In treatment' },
+    monitoring: { label: 'Monitoring' },
+    closed: { label: 'Closed' }
+});
+
+export const DEFAULT_RISK_STATUS = 'open';
+
+// Filter value for risks with no treatment decided yet
+export const UNDECIDED_TREATMENT = 'undecided';
+
+/**
+ * @param {{id?: string, description: string, dueDate?: string, done?: boolean, completedAt?: string|null}} fields
+ * @returns {{id: string, description: string, dueDate: string, done: boolean, completedAt: string|null}}
+ */
+export function createTreatmentAction(fields = {}) {
+    const done = fields.done === true;
+    return {
+        id: fields.id || `action-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        description: String(fields.description || '').trim(),
+        dueDate: isDateOnly(fields.dueDate) ? fields.dueDate : '',
+        done,
+        completedAt: done ? fields.completedAt || new Date().toISOString() : null
+    };
+}
+
+/**
+ * Progress of a risk's treatment actions.
+ * @param {Array<Object>} actions
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{total: number, done: number, overdue: number, nextDue: string|null}}
+ */
+export function summariseTreatmentActions(actions, today = todayDateOnly()) {
+    const list = Array.isArray(actions) ? actions : [];
+    const open = list.filter(action => !action.done);
+    const dueDates = open.map(action => action.dueDate).filter(isDateOnly).sort();
+    return {
+        total: list.length,
+        done: list.length - open.length,
+        overdue: dueDates.filter(date => date < today).length,
+        nextDue: dueDates[0] || null
+    };
+}
+
+/**
+ * Where a risk sits against its review date. Closed risks are not reviewed.
+ * @param {{reviewDate?: string, status?: string}} risk
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{state: 'overdue'|'due-soon'|'scheduled'|'unscheduled'|'closed', daysUntilDue: number|null}}
+ */
+export function getRiskReviewState(risk, today = todayDateOnly()) {
+    if (risk?.status === 'closed') return { state: 'closed', daysUntilDue: null };
+    if (!isDateOnly(risk?.reviewDate)) return { state: 'unscheduled', daysUntilDue: null };
+    const daysUntilDue = daysBetween(today, risk.reviewDate);
+    let state = 'scheduled';
+    if (daysUntilDue < 0) state = 'overdue';
+    else if (daysUntilDue <= REVIEW_DUE_SOON_DAYS) state = 'due-soon';
+    return { state, daysUntilDue };
+}
+
+/**
+ * Requirement ids from free text such as "GOV-001, tech-12". Returns the ids in
+ * canonical form and anything that does not name a known requirement.
+ * @param {string} text
+ * @param {Object<string, Object>} requirements
+ * @returns {{ids: string[], unknown: string[]}}
+ */
+export function parseControlIds(text, requirements = {}) {
+    const ids = [];
+    const unknown = [];
+    String(text || '').split(/[\s,;]+/).filter(Boolean).forEach(token => {
+        const match = /^([A-Za-z]+)-?0*(\d+)$/.exec(token);
+        const id = match ? `${match[1].toUpperCase()}-${match[2].padStart(3, '0')}` : token;
+        if (requirements[id]) {
+            if (!ids.includes(id)) ids.push(id);
+        } else {
+            unknown.push(token);
+        }
+    });
+    return { ids, unknown };
+}
+
+/**
+ * Order risks for the register: open before closed, then highest residual severity,
+ * then highest inherent severity, then name.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareRisks(a, b) {
+    const closed = risk => (risk.status === 'closed' ? 1 : 0);
+    const rank = severity => RISK_SEVERITIES[severity]?.rank ?? 4;
+    return closed(a) - closed(b)
+        || rank(a.severity) - rank(b.severity)
+        || rank(a.inherentSeverity) - rank(b.inherentSeverity)
+        || String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+/**
+ * @param {Array<Object>} risks
+ * @param {{query?: string, projectId?: string, ownerId?: string, severity?: string, treatment?: string, status?: string}} filters
+ *   `ownerId` and `projectId` take the values matchesOwnerFilter() and matchesProjectFilter() accept;
+ *   `treatment` may be UNDECIDED_TREATMENT
+ *   and `severity` may be ABOVE_TOLERANCE
+ * @param {Object} [matrix] - From normaliseRiskMatrix(); needed for the ABOVE_TOLERANCE filter
+ * @returns {Array<Object>} Matching risks in register order
+ */
+export function filterRisks(risks, { query = '', projectId = '', ownerId = '', severity = '', treatment = '', status = '' } = {}, matrix = null) {
+    const needle = query.trim().toLowerCase();
+    return risks
+        .filter(risk => {
+            if (!matchesProjectFilter(risk, projectId)) return false;
+            if (!matchesOwnerFilter(risk, ownerId)) return false;
+            if (severity === ABOVE_TOLERANCE ? !isAboveTolerance(risk.severity, matrix) : severity && risk.severity !== severity) return false;
+            if (treatment === UNDECIDED_TREATMENT ? risk.treatment : treatment && risk.treatment !== treatment) return false;
+            if (status && (risk.status || DEFAULT_RISK_STATUS) !== status) return false;
+            if (!needle) return true;
+            return [risk.name, risk.description, risk.mitigation, ...(risk.controlIds || []), ...(risk.actions || []).map(action => action.description)]
+                .some(value => String(value || '').toLowerCase().includes(needle));
+        })
+        .sort(compareRisks);
+}
+
+/**
+ * What the risk heat map plots. `movement` places each risk at its residual rating and
+ * draws an arrow from its inherent rating.
+ */
+export const RISK_HEAT_MAP_MODES = Object.freeze({
+    residual: { label: 'Residual' },
+    inherent: { label: 'Inherent' },
+    movement: { label: 'Inherent → residual' }
+});
+
+const inherentPosition = risk => ({
+    likelihood: RISK_LEVELS[risk.inherentLikelihood] ? risk.inherentLikelihood : risk.likelihood,
+    impact: RISK_LEVELS[risk.inherentImpact] ? risk.inherentImpact : risk.impact
+});
+
+/**
+ * Place risks on the likelihood-impact grid.
+ * @param {Array<Object>} risks
+ * @param {string} [mode] - RISK_HEAT_MAP_MODES key
+ * @returns {{cells: Map<string, Array<Object>>, movements: Array<{risk: Object, from: {likelihood: string, impact: string}, to: {likelihood: string, impact: string}}>}}
+ *   `cells` is keyed by riskMatrixCellKey(); `movements` lists risks whose inherent and
+ *   residual cells differ, in movement mode only
+ */
+export function buildRiskHeatMap(risks, mode = 'residual') {
+    const cells = new Map();
+    const movements = [];
+    risks.forEach(risk => {
+        const residual = { likelihood: risk.likelihood, impact: risk.impact };
+        const position = mode === 'inherent' ? inherentPosition(risk) : residual;
+        if (!RISK_LEVELS[position.likelihood] || !RISK_LEVELS[position.impact]) return;
+        const key = riskMatrixCellKey(position.likelihood, position.impact);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(risk);
+        if (mode === 'movement') {
+            const from = inherentPosition(risk);
+            if (riskMatrixCellKey(from.likelihood, from.impact) !== key && RISK_LEVELS[from.likelihood] && RISK_LEVELS[from.impact]) {
+                movements.push({ risk, from, to: residual });
+            }
+        }
+    });
+    cells.forEach(list => list.sort(compareRisks));
+    return { cells, movements };
+}
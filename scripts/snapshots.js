@@ -0,0 +1,104 @@
+/**
+ * PSPF Explorer - Snapshots Module
+ * Named restore points holding a full copy of the workspace, kept in this browser only.
+ * Automatic snapshots are taken before destructive operations (imports, clearing data,
+ * bulk edits) and pruned to the retention limit; manual snapshots are kept until deleted.
+ */
+
+export const SNAPSHOT_TRIGGERS = Object.freeze({
+    manual: { label: 'Manual' },
+    import: { label: 'Before import' },
+    clear: { label: 'Before clearing data' },
+    bulk: { label: 'Before bulk edit' },
+    restore: { label: 'Before restore' }
+});
+
+export const SNAPSHOT_RETENTION_OPTIONS = Object.freeze([5, 10, 20, 50]);
+
+export const DEFAULT_SNAPSHOT_RETENTION = 10;
+
+/**
+ * @param {*} value
+ * @returns {number} A supported retention limit
+ */
+export function normaliseSnapshotRetention(value) {
+    const limit = Number(value);
+    return SNAPSHOT_RETENTION_OPTIONS.includes(limit) ? limit : DEFAULT_SNAPSHOT_RETENTION;
+}
+
+/**
+ * Headline counts for a workspace copy, shown in the snapshot list.
+ * @param {Object} data - Workspace data as built by PSPFExplorer.buildWorkspaceData()
+ * @returns {{projects: number, risks: number, incidents: number, assessed: number}}
+ */
+export function summariseSnapshotData(data = {}) {
+    const list = value => (Array.isArray(value) ? value.length : 0);
+    return {
+        projects: list(data.projects),
+        risks: list(data.risks),
+        incidents: list(data.incidents),
+        assessed: Object.values(data.compliance || {}).filter(record => record?.status && record.status !== 'not-set').length
+    };
+}
+
+/**
+ * Copy the workspace into a snapshot record.
+ * @param {{name?: string, trigger?: string, data: Object, schemaVersion: number}} fields
+ * @returns {{id: string, name: string, trigger: string, createdAt: string, schemaVersion: number, summary: Object, data: Object}}
+ */
+export function createWorkspaceSnapshot({ name, trigger = 'manual', data, schemaVersion }) {
+    const kind = SNAPSHOT_TRIGGERS[trigger] ? trigger : 'manual';
+    const copy = JSON.parse(JSON.stringify(data || {}));
+    return {
+        id: `snap-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        name: String(name || '').trim() || SNAPSHOT_TRIGGERS[kind].label,
+        trigger: kind,
+        createdAt: new Date().toISOString(),
+        schemaVersion,
+        summary: summariseSnapshotData(copy),
+        data: copy
+    };
+}
+
+/**
+ * Apply the retention limit. Manual snapshots are always kept; only the newest
+ * `retention` automatic snapshots survive.
+ * @param {Array<Object>} snapshots
+ * @param {number} retention
+ * @returns {{kept: Array<Object>, pruned: Array<Object>}} Both newest first
+ */
+export function pruneSnapshots(snapshots, retention) {
+    const sorted = [...snapshots].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    const kept = [];
+    const pruned = [];
+    let automatic = 0;
+    sorted.forEach(snapshot => {
+        if (snapshot.trigger === 'manual' || automatic < retention) {
+            if (snapshot.trigger !== 'manual') automatic += 1;
+            kept.push(snapshot);
+        } else {
+            pruned.push(snapshot);
+        }
+    });
+    return { kept, pruned };
+}
+
+/**
+ * Attachment ids referenced by file evidence anywhere in a snapshot, including other
+ * assessment cycles, so stored files are not deleted while a snapshot still needs them.
+ * @param {Object} snapshot
+ * @returns {Set<string>}
+ */
+export function snapshotAttachmentIds(snapshot) {
+    const ids = new Set();
+    const sets = [
+        snapshot?.data?.compliance,
+        ...Object.values(snapshot?.data?.assessmentCycles || {}).map(cycle => cycle?.compliance)
+    ];
+    sets.forEach(compliance => Object.values(compliance || {}).forEach(record => {
+        (record?.evidence || []).forEach(item => {
+            if (item?.type === 'file' && item.file?.attachmentId) ids.add(item.file.attachmentId);
+        });
+    }));
+    return ids;
+}
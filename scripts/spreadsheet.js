@@ -0,0 +1,287 @@
+/**
+ * PSPF Explorer - Spreadsheet Module
+ * CSV and XLSX readers and writers for tabular imports and exports. Written workbooks
+ * use inline strings and a single bold header style, which every mainstream
+ * spreadsheet application opens.
+ */
+
+import { createZip, readZip } from './zip.js';
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutraliseFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+/**
+ * Serialise rows as RFC 4180 CSV with a UTF-8 BOM so Excel detects the encoding.
+ * @param {Array<Array<string|number|null>>} rows - First row is the header
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    const lines = rows.map(row => row.map(value => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+        const text = neutraliseFormula(String(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+const escapeXml = (value) => String(value)
+    // Characters XML 1.0 cannot represent at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+};
+
+/**
+ * Make a worksheet name Excel will accept: at most 31 characters, none of []:*?/\
+ * and unique within the workbook.
+ * @param {string} name
+ * @param {Set<string>} used - Lower-cased names already taken; updated in place
+ * @returns {string}
+ */
+export function toSheetName(name, used = new Set()) {
+    const base = (String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').replace(/^'+|'+$/g, '').trim() || 'Sheet').slice(0, 31);
+    let candidate = base;
+    let counter = 2;
+    while (used.has(candidate.toLowerCase())) {
+        const suffix = ` (${counter})`;
+        candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+        counter += 1;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+const buildSheetXml = (rows, columnWidths = []) => {
+    const cols = columnWidths.length
+        ? `<cols>${columnWidths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+    const body = rows.map((row, rowIndex) => {
+        const cells = row.map((value, colIndex) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+    const freeze = rows.length > 1
+        ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        : '';
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${freeze}${cols}<sheetData>${body}</sheetData></worksheet>`;
+};
+
+/**
+ * Build an XLSX workbook.
+ * @param {Array<{name: string, rows: Array<Array<string|number|null>>, columnWidths?: number[]}>} sheets
+ * @returns {Uint8Array} Workbook file contents
+ */
+export function createXlsxWorkbook(sheets) {
+    const used = new Set();
+    const named = sheets.map(sheet => ({ ...sheet, name: toSheetName(sheet.name, used) }));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${named.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${named.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${named.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')}<Relationship Id="rId${named.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/styles.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`
+        },
+        ...named.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            data: buildSheetXml(sheet.rows, sheet.columnWidths)
+        }))
+    ];
+
+    return createZip(files);
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, embedded newlines, doubled quotes). The
+ * delimiter is detected from the first line so semicolon exports also work.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+        .map(candidate => [candidate, firstLine.split(candidate).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i += 1) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const decodeXml = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+
+const readAttribute = (tag, name) => {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(tag);
+    return match ? decodeXml(match[1]) : null;
+};
+
+// Text of every <t> run inside a shared string or inline string
+const collectText = (xml) => {
+    const parts = [];
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = pattern.exec(xml))) parts.push(decodeXml(match[1]));
+    return parts.join('');
+};
+
+const columnIndex = (ref) => {
+    const letters = /^[A-Z]+/.exec(ref || '')?.[0] || '';
+    return letters.split('').reduce((acc, letter) => acc * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+const resolvePartPath = (target) => {
+    const cleaned = target.replace(/^\//, '');
+    return cleaned.startsWith('xl/') ? cleaned : `xl/${cleaned}`;
+};
+
+/**
+ * Read every worksheet of an XLSX workbook as rows of cell text.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<Array<{name: string, rows: Array<Array<string>>}>>}
+ */
+export async function readXlsxWorkbook(buffer) {
+    const files = await readZip(buffer);
+    const decoder = new TextDecoder();
+    const text = (path) => (files.has(path) ? decoder.decode(files.get(path)) : '');
+
+    const workbookXml = text('xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+    }
+
+    const sharedStrings = [];
+    const sharedXml = text('xl/sharedStrings.xml');
+    const siPattern = /<si>([\s\S]*?)<\/si>/g;
+    let si;
+    while ((si = siPattern.exec(sharedXml))) sharedStrings.push(collectText(si[1]));
+
+    const relTargets = {};
+    const relPattern = /<Relationship\b[^>]*>/g;
+    let rel;
+    while ((rel = relPattern.exec(text('xl/_rels/workbook.xml.rels')))) {
+        relTargets[readAttribute(rel[0], 'Id')] = readAttribute(rel[0], 'Target');
+    }
+
+    const sheets = [];
+    const sheetPattern = /<sheet\b[^>]*>/g;
+    let sheetTag;
+    while ((sheetTag = sheetPattern.exec(workbookXml))) {
+        const name = readAttribute(sheetTag[0], 'name') || `Sheet${sheets.length + 1}`;
+        const target = relTargets[readAttribute(sheetTag[0], 'r:id')];
+        const sheetXml = target ? text(resolvePartPath(target)) : '';
+
+        const rows = [];
+        const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+        let rowMatch;
+        while ((rowMatch = rowPattern.exec(sheetXml))) {
+            const cells = [];
+            const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+            let cell;
+            while ((cell = cellPattern.exec(rowMatch[1]))) {
+                const attributes = cell[1];
+                const body = cell[2] || '';
+                const index = columnIndex(readAttribute(attributes, 'r')) >= 0 ? columnIndex(readAttribute(attributes, 'r')) : cells.length;
+                const type = readAttribute(attributes, 't');
+                const rawValue = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+                let value = '';
+                if (type === 's') {
+                    value = sharedStrings[parseInt(rawValue, 10)] ?? '';
+                } else if (type === 'inlineStr') {
+                    value = collectText(body);
+                } else if (type === 'b') {
+                    value = rawValue === '1' ? 'TRUE' : 'FALSE';
+                } else if (rawValue !== undefined) {
+                    value = decodeXml(rawValue);
+                }
+                while (cells.length < index) cells.push('');
+                cells[index] = value;
+            }
+            rows.push(cells);
+        }
+        sheets.push({ name, rows: rows.filter(cells => cells.some(cell => String(cell).trim() !== '')) });
+    }
+    return sheets;
+}
@@ -0,0 +1,476 @@
+/**
+ * PSPF Explorer - Storage Module
+ * Pluggable persistence layer. Collections are stored per record in IndexedDB when the
+ * browser supports it, with the legacy `pspf_*` localStorage keys kept as a fallback.
+ */
+
+/**
+ * Persisted collections and the legacy localStorage key each one was stored under.
+ * `list` collections are arrays of records keyed by `id`; `map` collections are plain
+ * objects keyed by their property names. Adding a collection here requires bumping
+ * STORAGE_DB_VERSION so the IndexedDB upgrade creates its object store.
+ */
+export const STORAGE_COLLECTIONS = Object.freeze({
+    projects: { key: 'pspf_projects', type: 'list' },
+    risks: { key: 'pspf_risks', type: 'list' },
+    incidents: { key: 'pspf_incidents', type: 'list' },
+    vendors: { key: 'pspf_vendors', type: 'list' },
+    systems: { key: 'pspf_systems', type: 'list' },
+    compliance: { key: 'pspf_compliance', type: 'map' },
+    progressHistory: { key: 'pspf_progress_history', type: 'map' },
+    essentialEight: { key: 'pspf_essential_eight', type: 'map' },
+    people: { key: 'pspf_people', type: 'list' },
+    assessmentCycles: { key: 'pspf_assessment_cycles', type: 'map' },
+    snapshots: { key: 'pspf_snapshots', type: 'list' },
+    auditLog: { key: 'pspf_audit_log', type: 'list' },
+    riskMatrix: { key: 'pspf_risk_matrix', type: 'map' },
+    contactRegister: { key: 'pspf_contact_register', type: 'map' }
+});
+
+export const STORAGE_DB_NAME = 'pspf-explorer';
+export const STORAGE_DB_VERSION = 11;
+
+const META_STORE = 'meta';
+// Evidence file contents, kept out of the JSON collections because they hold Blobs
+const ATTACHMENT_STORE = 'attachments';
+const LEGACY_MIGRATION_FLAG = 'migratedFromLocalStorage';
+const LOCAL_META_PREFIX = 'pspf_meta_';
+
+const getCollectionConfig = (name) => {
+    const config = STORAGE_COLLECTIONS[name];
+    if (!config) {
+        throw new Error(`Unknown storage collection "${name}"`);
+    }
+    return config;
+};
+
+/**
+ * Split a collection value into [key, record] pairs.
+ * @param {string} name - Collection name
+ * @param {Array|Object} value - In-memory collection value
+ * @returns {Array<[string, *]>}
+ */
+export function toRecordEntries(name, value) {
+    const { type } = getCollectionConfig(name);
+    if (type === 'list') {
+        if (!Array.isArray(value)) return [];
+        return value.map((record, index) => {
+            const id = record && record.id !== undefined && record.id !== null ? String(record.id) : `__index_${index}`;
+            return [id, record];
+        });
+    }
+    if (!value || typeof value !== 'object') return [];
+    return Object.entries(value);
+}
+
+/**
+ * Rebuild a collection value from [key, record] pairs.
+ * @param {string} name - Collection name
+ * @param {Array<[string, *]>} entries
+ * @returns {Array|Object}
+ */
+export function fromRecordEntries(name, entries) {
+    const { type } = getCollectionConfig(name);
+    if (type === 'list') {
+        return entries.map(([, record]) => record);
+    }
+    return entries.reduce((acc, [key, record]) => {
+        acc[key] = record;
+        return acc;
+    }, {});
+}
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionToPromise = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+});
+
+/**
+ * Whole-collection backend writing each collection to its legacy localStorage key.
+ */
+export class LocalStorageBackend {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.name = 'localStorage';
+        this.supportsRecords = false;
+        this.supportsAttachments = false;
+    }
+
+    isAvailable() {
+        return !!this.storage;
+    }
+
+    async open() {
+        return this;
+    }
+
+    loadCollections(names) {
+        const result = {};
+        names.forEach(name => {
+            const { key } = getCollectionConfig(name);
+            if (!this.storage) return;
+            try {
+                const raw = this.storage.getItem(key);
+                if (raw) {
+                    result[name] = JSON.parse(raw);
+                }
+            } catch (error) {
+                console.warn(`Failed to read storage key "${key}":`, error);
+            }
+        });
+        return result;
+    }
+
+    writeCollection(name, value) {
+        if (!this.storage) return;
+        const { key } = getCollectionConfig(name);
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    clearCollections(names) {
+        if (!this.storage) return;
+        names.forEach(name => this.storage.removeItem(getCollectionConfig(name).key));
+    }
+
+    getMeta(key) {
+        if (!this.storage) return undefined;
+        try {
+            const raw = this.storage.getItem(`${LOCAL_META_PREFIX}${key}`);
+            return raw === null ? undefined : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`Failed to read storage metadata "${key}":`, error);
+            return undefined;
+        }
+    }
+
+    setMeta(key, value) {
+        if (!this.storage) return;
+        this.storage.setItem(`${LOCAL_META_PREFIX}${key}`, JSON.stringify(value));
+    }
+}
+
+/**
+ * Record-level backend: one object store per collection, one entry per record.
+ */
+export class IndexedDBBackend {
+    constructor({ dbName = STORAGE_DB_NAME, version = STORAGE_DB_VERSION, factory = typeof indexedDB !== 'undefined' ? indexedDB : null } = {}) {
+        this.dbName = dbName;
+        this.version = version;
+        this.factory = factory;
+        this.db = null;
+        this.name = 'IndexedDB';
+        this.supportsRecords = true;
+        this.supportsAttachments = true;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this);
+        if (!this.factory) return Promise.reject(new Error('IndexedDB is not available'));
+
+        return new Promise((resolve, reject) => {
+            const request = this.factory.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [...Object.keys(STORAGE_COLLECTIONS), META_STORE, ATTACHMENT_STORE].forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs this connection out of the way
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    async loadCollections(names) {
+        const transaction = this.db.transaction(names, 'readonly');
+        const reads = names.map(async name => {
+            const store = transaction.objectStore(name);
+            const [keys, values] = await Promise.all([
+                requestToPromise(store.getAllKeys()),
+                requestToPromise(store.getAll())
+            ]);
+            return [name, keys.map((key, index) => [String(key), values[index]])];
+        });
+        const loaded = await Promise.all(reads);
+        return loaded.reduce((acc, [name, entries]) => {
+            acc[name] = entries;
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Apply per-record puts and deletes in a single transaction.
+     * @param {Object<string, {put: Array<[string, *]>, remove: string[]}>} changes
+     * @param {Object<string, *>} [meta] - Metadata values written in the same transaction
+     */
+    writeChanges(changes, meta = null) {
+        const storeNames = Object.keys(changes);
+        if (meta) storeNames.push(META_STORE);
+        if (!storeNames.length) return Promise.resolve();
+
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        Object.entries(changes).forEach(([name, { put = [], remove = [] }]) => {
+            const store = transaction.objectStore(name);
+            remove.forEach(key => store.delete(key));
+            put.forEach(([key, record]) => store.put(record, key));
+        });
+        if (meta) {
+            const metaStore = transaction.objectStore(META_STORE);
+            Object.entries(meta).forEach(([key, value]) => metaStore.put(value, key));
+        }
+        return transactionToPromise(transaction);
+    }
+
+    clearCollections(names) {
+        const transaction = this.db.transaction(names, 'readwrite');
+        names.forEach(name => transaction.objectStore(name).clear());
+        return transactionToPromise(transaction);
+    }
+
+    async getMeta(key) {
+        const transaction = this.db.transaction(META_STORE, 'readonly');
+        return requestToPromise(transaction.objectStore(META_STORE).get(key));
+    }
+
+    setMeta(key, value) {
+        return this.writeChanges({}, { [key]: value });
+    }
+
+    /**
+     * Store an attachment under its id.
+     * @param {string} id
+     * @param {{blob: Blob, name: string, mimeType: string}} attachment
+     */
+    putAttachment(id, attachment) {
+        const transaction = this.db.transaction(ATTACHMENT_STORE, 'readwrite');
+        transaction.objectStore(ATTACHMENT_STORE).put(attachment, id);
+        return transactionToPromise(transaction);
+    }
+
+    async getAttachment(id) {
+        const transaction = this.db.transaction(ATTACHMENT_STORE, 'readonly');
+        return requestToPromise(transaction.objectStore(ATTACHMENT_STORE).get(id));
+    }
+
+    deleteAttachments(ids) {
+        const transaction = this.db.transaction(ATTACHMENT_STORE, 'readwrite');
+        const store = transaction.objectStore(ATTACHMENT_STORE);
+        ids.forEach(id => store.delete(id));
+        return transactionToPromise(transaction);
+    }
+
+    clearAttachments() {
+        const transaction = this.db.transaction(ATTACHMENT_STORE, 'readwrite');
+        transaction.objectStore(ATTACHMENT_STORE).clear();
+        return transactionToPromise(transaction);
+    }
+}
+
+/**
+ * Copy the legacy localStorage keys into IndexedDB the first time the database is used,
+ * then drop them so they stop counting against the localStorage quota.
+ * @returns {Promise<boolean>} true when data was migrated during this call
+ */
+export async function migrateLegacyStorage(indexedDbBackend, localBackend) {
+    const alreadyMigrated = await indexedDbBackend.getMeta(LEGACY_MIGRATION_FLAG);
+    if (alreadyMigrated) return false;
+
+    const names = Object.keys(STORAGE_COLLECTIONS);
+    const legacy = localBackend.isAvailable() ? localBackend.loadCollections(names) : {};
+    const changes = {};
+    Object.entries(legacy).forEach(([name, value]) => {
+        changes[name] = { put: toRecordEntries(name, value), remove: [] };
+    });
+
+    await indexedDbBackend.writeChanges(changes, { [LEGACY_MIGRATION_FLAG]: new Date().toISOString() });
+    localBackend.clearCollections(Object.keys(legacy));
+    return Object.keys(legacy).length > 0;
+}
+
+/**
+ * Front door for persistence. Tracks what was last written for each record so
+ * record-level backends only receive the records that actually changed.
+ */
+export class StorageManager {
+    constructor(backend) {
+        this.backend = backend;
+        this.snapshots = {};
+        this.queue = Promise.resolve();
+    }
+
+    get backendName() {
+        return this.backend.name;
+    }
+
+    async load(names) {
+        const loaded = await this.backend.loadCollections(names);
+        const result = {};
+        names.forEach(name => {
+            if (!this.backend.supportsRecords) {
+                if (loaded[name] !== undefined) result[name] = loaded[name];
+                return;
+            }
+            const entries = loaded[name] || [];
+            this.snapshots[name] = new Map(entries.map(([key, record]) => [key, JSON.stringify(record)]));
+            if (entries.length) {
+                result[name] = fromRecordEntries(name, entries);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Persist one or more collections.
+     * @param {Object<string, Array|Object>} collections - Collection name to current value
+     * @returns {Promise<void>} Rejects when the backend refuses the write (e.g. quota exceeded)
+     */
+    saveCollections(collections) {
+        if (!this.backend.supportsRecords) {
+            try {
+                Object.entries(collections).forEach(([name, value]) => this.backend.writeCollection(name, value));
+                return Promise.resolve();
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        // Serialise now so later in-memory edits cannot leak into this write
+        const serialised = Object.entries(collections).map(([name, value]) => [
+            name,
+            toRecordEntries(name, value).map(([key, record]) => [key, JSON.stringify(record)])
+        ]);
+
+        const task = this.queue.then(() => {
+            const changes = {};
+            const nextSnapshots = {};
+            serialised.forEach(([name, entries]) => {
+                const previous = this.snapshots[name] || new Map();
+                const next = new Map(entries);
+                const put = entries
+                    .filter(([key, json]) => previous.get(key) !== json)
+                    .map(([key, json]) => [key, JSON.parse(json)]);
+                const remove = [...previous.keys()].filter(key => !next.has(key));
+                if (put.length || remove.length) {
+                    changes[name] = { put, remove };
+                }
+                nextSnapshots[name] = next;
+            });
+            if (!Object.keys(changes).length) return undefined;
+            return this.backend.writeChanges(changes).then(() => {
+                Object.assign(this.snapshots, nextSnapshots);
+            });
+        });
+        // Keep the queue alive after a failed write so later saves still run
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    clearCollections(names) {
+        if (!this.backend.supportsRecords) {
+            this.backend.clearCollections(names);
+            return Promise.resolve();
+        }
+        const task = this.queue.then(() => this.backend.clearCollections(names)).then(() => {
+            names.forEach(name => {
+                this.snapshots[name] = new Map();
+            });
+        });
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * Read a metadata value (e.g. the schema version) stored alongside the collections.
+     * @param {string} key
+     * @returns {Promise<*>}
+     */
+    async getMeta(key) {
+        return this.backend.getMeta(key);
+    }
+
+    setMeta(key, value) {
+        const task = this.queue.then(() => this.backend.setMeta(key, value));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * Whether evidence files can be stored. Only the IndexedDB backend holds Blobs.
+     * @returns {boolean}
+     */
+    get supportsAttachments() {
+        return !!this.backend.supportsAttachments;
+    }
+
+    putAttachment(id, attachment) {
+        if (!this.supportsAttachments) {
+            return Promise.reject(new Error('Evidence files need IndexedDB storage, which this browser is not using'));
+        }
+        const task = this.queue.then(() => this.backend.putAttachment(id, attachment));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<{blob: Blob, name: string, mimeType: string}|undefined>}
+     */
+    async getAttachment(id) {
+        if (!this.supportsAttachments) return undefined;
+        await this.queue;
+        return this.backend.getAttachment(id);
+    }
+
+    deleteAttachments(ids) {
+        if (!this.supportsAttachments || !ids.length) return Promise.resolve();
+        const task = this.queue.then(() => this.backend.deleteAttachments(ids));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    clearAttachments() {
+        if (!this.supportsAttachments) return Promise.resolve();
+        const task = this.queue.then(() => this.backend.clearAttachments());
+        this.queue = task.catch(() => {});
+        return task;
+    }
+}
+
+/**
+ * Build the best available storage manager, migrating legacy localStorage data into
+ * IndexedDB on first use.
+ * @returns {Promise<{manager: StorageManager, migrated: boolean}>}
+ */
+export async function createStorageManager({ preferIndexedDB = true } = {}) {
+    const localBackend = new LocalStorageBackend();
+    if (preferIndexedDB && IndexedDBBackend.isSupported()) {
+        try {
+            const indexedDbBackend = await new IndexedDBBackend().open();
+            const migrated = await migrateLegacyStorage(indexedDbBackend, localBackend);
+            return { manager: new StorageManager(indexedDbBackend), migrated };
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    return { manager: new StorageManager(localBackend), migrated: false };
+}
@@ -0,0 +1,179 @@
+/**
+ * PSPF Explorer - Systems Module
+ * Register of the entity's authorised technology systems for TECH-086 to TECH-089: who
+ * authorised each system and when, who owns it, the residual risks accepted, the
+ * classification it handles and is authorised to, where it is hosted and when it is due
+ * for reauthorisation. Register completeness drives suggested statuses for those
+ * requirements.
+ */
+
+import { daysBetween, isDateOnly, REVIEW_DUE_SOON_DAYS, todayDateOnly } from './reviews.js';
+import { SECURITY_CLASSIFICATIONS } from './vendors.js';
+
+export const SYSTEM_HOSTING = Object.freeze({
+    'on-premises': { label: 'On-premises' },
+    cloud: { label: 'Cloud' },
+    hybrid: { label: 'Hybrid' },
+    'managed-service': { label: 'Outsourced managed service' }
+});
+
+export const DEFAULT_SYSTEM_HOSTING = 'on-premises';
+
+/**
+ * Filter values for a system's authorisation.
+ */
+export const SYSTEM_AUTHORISATION_STATES = Object.freeze({
+    unauthorised: { label: 'Not authorised' },
+    current: { label: 'Authorised' },
+    'due-soon': { label: 'Reauthorisation due soon' },
+    overdue: { label: 'Reauthorisation overdue' },
+    unscheduled: { label: 'No reauthorisation date' }
+});
+
+/**
+ * Fields TECH-089 requires the register to hold for every system.
+ */
+export const SYSTEM_REGISTER_FIELDS = Object.freeze({
+    authorisingOfficer: { label: 'Authorising Officer' },
+    authorisingOfficerPosition: { label: 'Authorising Officer position' },
+    systemOwner: { label: 'System owner' },
+    authorisedOn: { label: 'Date of authorisation' },
+    residualRiskDecisions: { label: 'Residual risk decisions' }
+});
+
+export const SYSTEM_AUTHORISATION_REQUIREMENT_IDS = Object.freeze(['TECH-086', 'TECH-087', 'TECH-088', 'TECH-089']);
+
+const CLASSIFICATION_KEYS = Object.keys(SECURITY_CLASSIFICATIONS);
+
+/**
+ * @param {Object} fields
+ * @returns {Object} A normalised system record
+ */
+export function createSystem(fields = {}) {
+    const now = new Date().toISOString();
+    const text = (value, max = 5000) => String(value ?? '').trim().slice(0, max);
+    const classification = key => (SECURITY_CLASSIFICATIONS[key] ? key : '');
+    return {
+        id: fields.id || `system-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        name: text(fields.name, 200),
+        description: text(fields.description),
+        authorisingOfficer: text(fields.authorisingOfficer, 200),
+        authorisingOfficerPosition: text(fields.authorisingOfficerPosition, 200),
+        systemOwner: text(fields.systemOwner, 200),
+        authorisedOn: isDateOnly(fields.authorisedOn) ? fields.authorisedOn : '',
+        assessmentReference: text(fields.assessmentReference, 500),
+        residualRiskDecisions: text(fields.residualRiskDecisions),
+        classification: classification(fields.classification) || 'official',
+        authorisedClassification: classification(fields.authorisedClassification),
+        hosting: SYSTEM_HOSTING[fields.hosting] ? fields.hosting : DEFAULT_SYSTEM_HOSTING,
+        reauthorisationDue: isDateOnly(fields.reauthorisationDue) ? fields.reauthorisationDue : '',
+        riskIds: Array.isArray(fields.riskIds) ? fields.riskIds.filter(id => typeof id === 'string') : [],
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+}
+
+/**
+ * Where a system sits in its authorisation cycle.
+ * @param {Object} system
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{state: 'unauthorised'|'current'|'due-soon'|'overdue'|'unscheduled', daysUntilDue: number|null}}
+ */
+export function getSystemAuthorisationState(system, today = todayDateOnly()) {
+    if (!isDateOnly(system?.authorisedOn)) return { state: 'unauthorised', daysUntilDue: null };
+    if (!isDateOnly(system.reauthorisationDue)) return { state: 'unscheduled', daysUntilDue: null };
+    const daysUntilDue = daysBetween(today, system.reauthorisationDue);
+    let state = 'current';
+    if (daysUntilDue < 0) state = 'overdue';
+    else if (daysUntilDue <= REVIEW_DUE_SOON_DAYS) state = 'due-soon';
+    return { state, daysUntilDue };
+}
+
+/**
+ * @param {Object} system
+ * @returns {string[]} Keys of SYSTEM_REGISTER_FIELDS the system has not recorded
+ */
+export function getMissingRegisterFields(system) {
+    return Object.keys(SYSTEM_REGISTER_FIELDS).filter(field => !system?.[field]);
+}
+
+/**
+ * Whether the system is authorised to at least the classification of the information it handles.
+ * @param {Object} system
+ * @returns {boolean}
+ */
+export function isAuthorisedToClassification(system) {
+    const authorised = CLASSIFICATION_KEYS.indexOf(system?.authorisedClassification);
+    return authorised !== -1 && authorised >= CLASSIFICATION_KEYS.indexOf(system.classification);
+}
+
+/**
+ * Totals for the systems register.
+ * @param {Array<Object>} systems
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{total: number, authorised: number, unauthorised: number, reauthorisationOverdue: number, reauthorisationDueSoon: number, incomplete: number}}
+ */
+export function summariseSystems(systems, today = todayDateOnly()) {
+    const list = Array.isArray(systems) ? systems : [];
+    const states = list.map(system => getSystemAuthorisationState(system, today).state);
+    return {
+        total: list.length,
+        authorised: states.filter(state => state !== 'unauthorised').length,
+        unauthorised: states.filter(state => state === 'unauthorised').length,
+        reauthorisationOverdue: states.filter(state => state === 'overdue').length,
+        reauthorisationDueSoon: states.filter(state => state === 'due-soon').length,
+        incomplete: list.filter(system => getMissingRegisterFields(system).length > 0).length
+    };
+}
+
+/**
+ * Suggested statuses for TECH-086 to TECH-089 from the register. A requirement is
+ * suggested as Met only when every system satisfies it; an empty register suggests nothing.
+ * @param {Array<Object>} systems
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array<{id: string, status: 'yes'|'no', reason: string}>}
+ */
+export function suggestSystemAuthorisationStatuses(systems, today = todayDateOnly()) {
+    const list = Array.isArray(systems) ? systems : [];
+    if (!list.length) return [];
+    const total = list.length;
+    const rule = (id, passing, description) => {
+        const count = list.filter(passing).length;
+        return {
+            id,
+            status: count === total ? 'yes' : 'no',
+            reason: `${count} of ${total} system${total === 1 ? '' : 's'} ${description}`
+        };
+    };
+    return [
+        rule('TECH-086', system => {
+            const { state } = getSystemAuthorisationState(system, today);
+            return state !== 'unauthorised' && state !== 'overdue' && system.authorisingOfficer && system.residualRiskDecisions;
+        }, 'authorised by a named Authorising Officer with residual risks accepted and not overdue for reauthorisation'),
+        rule('TECH-087', system => isDateOnly(system.authorisedOn) && system.assessmentReference,
+            'authorised on a recorded ISM-based security assessment'),
+        rule('TECH-088', isAuthorisedToClassification,
+            'authorised to the highest classification of the information they handle'),
+        rule('TECH-089', system => getMissingRegisterFields(system).length === 0,
+            'with every register field recorded')
+    ];
+}
+
+/**
+ * @param {Array<Object>} systems
+ * @param {{query?: string, hosting?: string, state?: string}} filters - `state` is a key of SYSTEM_AUTHORISATION_STATES
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array<Object>} Matching systems by name
+ */
+export function filterSystems(systems, { query = '', hosting = '', state = '' } = {}, today = todayDateOnly()) {
+    const needle = query.trim().toLowerCase();
+    return systems
+        .filter(system => {
+            if (hosting && system.hosting !== hosting) return false;
+            if (state && getSystemAuthorisationState(system, today).state !== state) return false;
+            if (!needle) return true;
+            return [system.name, system.description, system.authorisingOfficer, system.systemOwner, system.assessmentReference, system.residualRiskDecisions]
+                .some(value => String(value || '').toLowerCase().includes(needle));
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
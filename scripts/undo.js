@@ -0,0 +1,93 @@
+/**
+ * PSPF Explorer - Undo Module
+ * Application-wide undo/redo stack. Edits are recorded as commands that swap a slice of
+ * state between copies captured before and after the edit, so undoing a status change
+ * restores the record exactly (history entries included) rather than adding a new change.
+ */
+
+export const UNDO_STACK_LIMIT = 100;
+
+/**
+ * Deep copy of a JSON-safe state slice; `undefined` stays `undefined`.
+ * @param {*} value
+ * @returns {*}
+ */
+export function cloneState(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @param {string} label - Short description shown in notifications, e.g. "Status of GOV-001"
+ * @param {{write: Function}} scope - Writes a captured copy back into the workspace
+ * @param {*} before - State captured before the edit
+ * @param {*} after - State captured after the edit
+ * @returns {{label: string, undo: Function, redo: Function}}
+ */
+export function createStateCommand(label, scope, before, after) {
+    return {
+        label,
+        undo: () => scope.write(cloneState(before)),
+        redo: () => scope.write(cloneState(after))
+    };
+}
+
+/**
+ * Bounded undo and redo stacks. Recording a new command discards anything that was undone.
+ */
+export class CommandStack {
+    constructor(limit = UNDO_STACK_LIMIT) {
+        this.limit = limit;
+        this.done = [];
+        this.undone = [];
+    }
+
+    push(command) {
+        this.done.push(command);
+        if (this.done.length > this.limit) {
+            this.done.shift();
+        }
+        this.undone = [];
+    }
+
+    get canUndo() {
+        return this.done.length > 0;
+    }
+
+    get canRedo() {
+        return this.undone.length > 0;
+    }
+
+    /**
+     * @returns {Object|null} The most recent command still applied
+     */
+    peek() {
+        return this.done[this.done.length - 1] || null;
+    }
+
+    /**
+     * @returns {Object|null} The command that was undone, or null when there is nothing to undo
+     */
+    undo() {
+        const command = this.done.pop();
+        if (!command) return null;
+        command.undo();
+        this.undone.push(command);
+        return command;
+    }
+
+    /**
+     * @returns {Object|null} The command that was reapplied, or null when there is nothing to redo
+     */
+    redo() {
+        const command = this.undone.pop();
+        if (!command) return null;
+        command.redo();
+        this.done.push(command);
+        return command;
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * PSPF Explorer - Vendors Module
+ * Third-party and supply chain register for RISK-039 to RISK-045: each service provider's
+ * contract dates, the classification of information it handles, its IRAP assessment,
+ * which contractual security terms are in place and when the contract is next reviewed.
+ * Vendors can be linked to projects, risks and requirements.
+ */
+
+import { NO_PROJECT } from './risks.js';
+import { daysBetween, getReviewDueDate, isDateOnly, REVIEW_DUE_SOON_DAYS, todayDateOnly } from './reviews.js';
+
+// Lowest first; the systems register shares this list
+export const SECURITY_CLASSIFICATIONS = Object.freeze({
+    unofficial: { label: 'UNOFFICIAL' },
+    official: { label: 'OFFICIAL' },
+    'official-sensitive': { label: 'OFFICIAL: Sensitive' },
+    protected: { label: 'PROTECTED' },
+    secret: { label: 'SECRET' },
+    'top-secret': { label: 'TOP SECRET' }
+});
+
+export const DEFAULT_VENDOR_CLASSIFICATION = 'official';
+
+/**
+ * Contractual security terms a vendor arrangement should include, with the
+ * requirement each one evidences.
+ */
+export const VENDOR_SECURITY_TERMS = Object.freeze({
+    'risk-assessed': { label: 'Security risks assessed before the procurement decision', requirementId: 'RISK-039' },
+    'pspf-terms': { label: 'Proportionate security terms and conditions in the contract', requirementId: 'RISK-040' },
+    'compliance-obligations': { label: 'Provider and subcontractors must comply with the PSPF requirements the entity specifies', requirementId: 'RISK-041' },
+    'incident-reporting': { label: 'Provider must report security incidents and follow directions from investigations', requirementId: 'RISK-042' },
+    'irap-report': { label: 'IRAP assessment report provided', requirementId: 'RISK-043' },
+    'contract-monitoring': { label: 'Security terms monitored over the life of the contract', requirementId: 'RISK-044' },
+    'exit-arrangements': { label: 'Security arrangements for completion or termination of the contract', requirementId: 'RISK-045' }
+});
+
+// Requirements a new vendor is linked to until the user chooses otherwise
+export const VENDOR_REQUIREMENT_IDS = Object.freeze(['RISK-039', 'RISK-040', 'RISK-041', 'RISK-042', 'RISK-043', 'RISK-044', 'RISK-045']);
+
+// An IRAP assessment is treated as current for two years from the report date
+export const IRAP_REVALIDATION_CYCLE = 'biennial';
+
+/**
+ * Filter values for the vendor overview.
+ */
+export const VENDOR_ATTENTION_FILTERS = Object.freeze({
+    attention: { label: 'Needs attention' },
+    'irap-expired': { label: 'IRAP expired' },
+    'review-overdue': { label: 'Review overdue' },
+    'terms-incomplete': { label: 'Security terms incomplete' }
+});
+
+const dueState = (dueDate, today) => {
+    const daysUntilDue = daysBetween(today, dueDate);
+    if (daysUntilDue < 0) return { state: 'overdue', daysUntilDue };
+    return { state: daysUntilDue <= REVIEW_DUE_SOON_DAYS ? 'due-soon' : 'current', daysUntilDue };
+};
+
+const idList = value => (Array.isArray(value) ? value.filter(id => typeof id === 'string') : []);
+
+/**
+ * @param {Object} fields
+ * @returns {Object} A normalised vendor record
+ */
+export function createVendor(fields = {}) {
+    const now = new Date().toISOString();
+    const text = (value, max = 5000) => String(value ?? '').trim().slice(0, max);
+    const securityTerms = {};
+    Object.keys(VENDOR_SECURITY_TERMS).forEach(term => {
+        if (fields.securityTerms?.[term] === true) securityTerms[term] = true;
+    });
+    return {
+        id: fields.id || `vendor-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`,
+        name: text(fields.name, 200),
+        service: text(fields.service, 500),
+        contractStart: isDateOnly(fields.contractStart) ? fields.contractStart : '',
+        contractEnd: isDateOnly(fields.contractEnd) ? fields.contractEnd : '',
+        classification: SECURITY_CLASSIFICATIONS[fields.classification] ? fields.classification : DEFAULT_VENDOR_CLASSIFICATION,
+        irapAssessedOn: isDateOnly(fields.irapAssessedOn) ? fields.irapAssessedOn : '',
+        securityTerms,
+        reviewDue: isDateOnly(fields.reviewDue) ? fields.reviewDue : '',
+        notes: text(fields.notes),
+        projectIds: idList(fields.projectIds),
+        riskIds: idList(fields.riskIds),
+        requirementIds: idList(fields.requirementIds),
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+}
+
+/**
+ * Whether the contract has started, is running or has ended.
+ * @param {Object} vendor
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {'pending'|'active'|'ended'}
+ */
+export function getContractState(vendor, today = todayDateOnly()) {
+    if (isDateOnly(vendor?.contractEnd) && vendor.contractEnd < today) return 'ended';
+    if (isDateOnly(vendor?.contractStart) && vendor.contractStart > today) return 'pending';
+    return 'active';
+}
+
+/**
+ * Where the vendor's IRAP assessment sits against its two-year currency.
+ * @param {Object} vendor
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{state: 'current'|'due-soon'|'overdue'|'not-assessed', expiresOn: string|null, daysUntilDue: number|null}}
+ */
+export function getIrapState(vendor, today = todayDateOnly()) {
+    const expiresOn = getReviewDueDate({ lastReviewed: vendor?.irapAssessedOn, reviewCycle: IRAP_REVALIDATION_CYCLE });
+    if (!expiresOn) return { state: 'not-assessed', expiresOn: null, daysUntilDue: null };
+    return { ...dueState(expiresOn, today), expiresOn };
+}
+
+/**
+ * Where the vendor's contract review sits against its due date.
+ * @param {Object} vendor
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{state: 'current'|'due-soon'|'overdue'|'unscheduled', daysUntilDue: number|null}}
+ */
+export function getVendorReviewState(vendor, today = todayDateOnly()) {
+    if (!isDateOnly(vendor?.reviewDue)) return { state: 'unscheduled', daysUntilDue: null };
+    return dueState(vendor.reviewDue, today);
+}
+
+/**
+ * @param {Object} vendor
+ * @returns {{met: number, total: number, missing: string[]}} Security terms in place, and the keys of those that are not
+ */
+export function getSecurityTermsCoverage(vendor) {
+    const keys = Object.keys(VENDOR_SECURITY_TERMS);
+    const missing = keys.filter(term => vendor?.securityTerms?.[term] !== true);
+    return { met: keys.length - missing.length, total: keys.length, missing };
+}
+
+/**
+ * IRAP assessments and contract reviews that are overdue or coming due, for vendors
+ * whose contract has not ended.
+ * @param {Array<Object>} vendors
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array<{vendor: Object, kind: 'irap'|'review', state: 'overdue'|'due-soon', dueDate: string, daysUntilDue: number}>}
+ *   Most overdue first
+ */
+export function collectVendorAlerts(vendors, today = todayDateOnly()) {
+    const alerts = [];
+    (Array.isArray(vendors) ? vendors : []).forEach(vendor => {
+        if (getContractState(vendor, today) === 'ended') return;
+        const irap = getIrapState(vendor, today);
+        if (irap.state === 'overdue' || irap.state === 'due-soon') {
+            alerts.push({ vendor, kind: 'irap', state: irap.state, dueDate: irap.expiresOn, daysUntilDue: irap.daysUntilDue });
+        }
+        const review = getVendorReviewState(vendor, today);
+        if (review.state === 'overdue' || review.state === 'due-soon') {
+            alerts.push({ vendor, kind: 'review', state: review.state, dueDate: vendor.reviewDue, daysUntilDue: review.daysUntilDue });
+        }
+    });
+    return alerts.sort((a, b) => a.daysUntilDue - b.daysUntilDue || a.vendor.name.localeCompare(b.vendor.name));
+}
+
+/**
+ * Totals for the vendor register.
+ * @param {Array<Object>} vendors
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{total: number, active: number, irapExpired: number, irapDueSoon: number, reviewsOverdue: number, reviewsDueSoon: number, termsIncomplete: number}}
+ */
+export function summariseVendors(vendors, today = todayDateOnly()) {
+    const current = (Array.isArray(vendors) ? vendors : []).filter(vendor => getContractState(vendor, today) !== 'ended');
+    const count = predicate => current.filter(predicate).length;
+    return {
+        total: Array.isArray(vendors) ? vendors.length : 0,
+        active: count(vendor => getContractState(vendor, today) === 'active'),
+        irapExpired: count(vendor => getIrapState(vendor, today).state === 'overdue'),
+        irapDueSoon: count(vendor => getIrapState(vendor, today).state === 'due-soon'),
+        reviewsOverdue: count(vendor => getVendorReviewState(vendor, today).state === 'overdue'),
+        reviewsDueSoon: count(vendor => getVendorReviewState(vendor, today).state === 'due-soon'),
+        termsIncomplete: count(vendor => getSecurityTermsCoverage(vendor).missing.length > 0)
+    };
+}
+
+/**
+ * @param {Array<Object>} vendors
+ * @param {{query?: string, projectId?: string, classification?: string, attention?: string}} filters
+ *   `projectId` may be NO_PROJECT for vendors not linked to any project; `attention` is a key of
+ *   VENDOR_ATTENTION_FILTERS and only matches vendors whose contract has not ended
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array<Object>} Matching vendors by name
+ */
+export function filterVendors(vendors, { query = '', projectId = '', classification = '', attention = '' } = {}, today = todayDateOnly()) {
+    const needle = query.trim().toLowerCase();
+    return vendors
+        .filter(vendor => {
+            const projectIds = vendor.projectIds || [];
+            if (projectId === NO_PROJECT && projectIds.length) return false;
+            if (projectId && projectId !== NO_PROJECT && !projectIds.includes(projectId)) return false;
+            if (classification && vendor.classification !== classification) return false;
+            if (attention) {
+                if (getContractState(vendor, today) === 'ended') return false;
+                const irapExpired = getIrapState(vendor, today).state === 'overdue';
+                const reviewOverdue = getVendorReviewState(vendor, today).state === 'overdue';
+                const termsIncomplete = getSecurityTermsCoverage(vendor).missing.length > 0;
+                if (attention === 'irap-expired' && !irapExpired) return false;
+                if (attention === 'review-overdue' && !reviewOverdue) return false;
+                if (attention === 'terms-incomplete' && !termsIncomplete) return false;
+                if (attention === 'attention' && !(irapExpired || reviewOverdue || termsIncomplete)) return false;
+            }
+            if (!needle) return true;
+            return [vendor.name, vendor.service, vendor.notes, ...(vendor.requirementIds || [])]
+                .some(value => String(value || '').toLowerCase().includes(needle));
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
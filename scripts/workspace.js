@@ -0,0 +1,295 @@
+/**
+ * PSPF Explorer - Workspace Module
+ * Describes every persisted collection that makes up a complete workspace backup and
+ * compares or merges an incoming backup with the current workspace before it is applied.
+ */
+
+/**
+ * Collections included in a complete workspace backup, in display order.
+ * `list` collections are arrays keyed by record `id`; `map` collections are objects
+ * keyed by property name. `unit` names what one entry counts as in the import summary.
+ * `appendOnly` collections are added to on import and never lose local entries.
+ */
+export const WORKSPACE_COLLECTIONS = Object.freeze([
+    { key: 'projects', label: 'Projects', type: 'list', unit: 'projects' },
+    { key: 'risks', label: 'Risks', type: 'list', unit: 'risks' },
+    { key: 'incidents', label: 'Events', type: 'list', unit: 'events' },
+    { key: 'vendors', label: 'Vendors', type: 'list', unit: 'vendors' },
+    { key: 'systems', label: 'Technology systems', type: 'list', unit: 'systems' },
+    { key: 'compliance', label: 'Compliance records', type: 'map', unit: 'requirements' },
+    { key: 'progressHistory', label: 'Progress history', type: 'map', unit: 'domains' },
+    { key: 'essentialEight', label: 'Essential Eight assessment', type: 'map', unit: 'entries' },
+    { key: 'people', label: 'People', type: 'list', unit: 'people' },
+    { key: 'assessmentCycles', label: 'Assessment cycles', type: 'map', unit: 'entries' },
+    { key: 'riskMatrix', label: 'Risk matrix and tolerance', type: 'map', unit: 'settings' },
+    { key: 'contactRegister', label: 'Contact register (encrypted)', type: 'map', unit: 'settings' },
+    { key: 'requirements', label: 'Requirements', type: 'map', unit: 'requirements' },
+    { key: 'tagDefinitions', label: 'Tag definitions', type: 'map', unit: 'tags' },
+    { key: 'userTagAssignments', label: 'Tag assignments', type: 'map', unit: 'users' },
+    { key: 'userProfiles', label: 'User profiles', type: 'map', unit: 'profiles' },
+    { key: 'auditLog', label: 'Audit log', type: 'list', unit: 'entries', appendOnly: true },
+    { key: 'preferences', label: 'Preferences', type: 'map', unit: 'settings' }
+]);
+
+const toKeyedMap = (type, value) => {
+    const map = new Map();
+    if (type === 'list') {
+        (Array.isArray(value) ? value : []).forEach((record, index) => {
+            const key = record && record.id !== undefined && record.id !== null ? String(record.id) : `__index_${index}`;
+            map.set(key, JSON.stringify(record));
+        });
+        return map;
+    }
+    if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, record]) => {
+            if (record !== undefined) map.set(key, JSON.stringify(record));
+        });
+    }
+    return map;
+};
+
+/**
+ * Compare one collection of the current workspace with its incoming replacement.
+ * @param {'list'|'map'} type
+ * @param {Array|Object} current
+ * @param {Array|Object} incoming
+ * @returns {{added: number, replaced: number, unchanged: number, dropped: number}}
+ */
+export function diffCollection(type, current, incoming) {
+    const before = toKeyedMap(type, current);
+    const after = toKeyedMap(type, incoming);
+    const counts = { added: 0, replaced: 0, unchanged: 0, dropped: 0 };
+
+    after.forEach((json, key) => {
+        if (!before.has(key)) {
+            counts.added += 1;
+        } else if (before.get(key) === json) {
+            counts.unchanged += 1;
+        } else {
+            counts.replaced += 1;
+        }
+    });
+    before.forEach((_, key) => {
+        if (!after.has(key)) counts.dropped += 1;
+    });
+    return counts;
+}
+
+/**
+ * Summarise what replacing the current workspace with an incoming backup would do.
+ * Collections missing from the backup are left untouched and reported as `kept`.
+ * @param {Object} current - Current workspace keyed by collection
+ * @param {Object} incoming - Sanitised backup data keyed by collection
+ * @returns {Array<{key: string, label: string, unit: string, included: boolean, added: number, replaced: number, unchanged: number, dropped: number}>}
+ */
+export function summarizeWorkspaceImport(current, incoming) {
+    return WORKSPACE_COLLECTIONS.map(({ key, label, type, unit, appendOnly }) => {
+        const included = incoming[key] !== undefined;
+        const counts = included
+            ? diffCollection(type, current[key], incoming[key])
+            : { added: 0, replaced: 0, unchanged: toKeyedMap(type, current[key]).size, dropped: 0 };
+        // Append-only collections keep their local entries whatever the backup holds
+        if (appendOnly) counts.dropped = 0;
+        return { key, label, unit, included, ...counts };
+    });
+}
+
+// The audit log is included as a list; its entries never change, so they never conflict
+const MERGE_LIST_COLLECTIONS = ['projects', 'risks', 'incidents', 'vendors', 'systems', 'people', 'auditLog'];
+
+// Map collections whose records carry `updatedAt`; the newer record wins without a conflict
+const MERGE_TIMESTAMPED_MAP_COLLECTIONS = ['essentialEight', 'assessmentCycles'];
+
+// Map entries that describe this browser's state (such as the active cycle) and never come from a backup
+const MERGE_LOCAL_KEYS = { assessmentCycles: ['settings'] };
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const recordTime = (record) => {
+    const time = Date.parse(record?.updatedAt || record?.createdAt || '');
+    return Number.isNaN(time) ? 0 : time;
+};
+
+const historyKey = (entry) => `${entry.timestamp || ''}|${entry.status}`;
+
+const latestHistoryTime = (entry) => (Array.isArray(entry?.history) ? entry.history : [])
+    .reduce((latest, item) => {
+        const time = Date.parse(item?.timestamp || '');
+        return Number.isNaN(time) ? latest : Math.max(latest, time);
+    }, 0);
+
+const withoutHistory = ({ history, ...fields } = {}) => fields;
+
+/**
+ * Merge one compliance entry from each side. History entries are unioned; the
+ * remaining fields come from the side with the most recent history entry.
+ * @returns {{entry: Object, conflict: boolean, defaultSide: 'current'|'incoming'}}
+ */
+export function mergeComplianceEntry(current, incoming) {
+    const currentHistory = Array.isArray(current.history) ? current.history : [];
+    const incomingHistory = Array.isArray(incoming.history) ? incoming.history : [];
+    const currentKeys = new Set(currentHistory.map(historyKey));
+    const incomingKeys = new Set(incomingHistory.map(historyKey));
+
+    const history = [...currentHistory, ...incomingHistory.filter(item => !currentKeys.has(historyKey(item)))]
+        .sort((a, b) => (Date.parse(a.timestamp || '') || 0) - (Date.parse(b.timestamp || '') || 0));
+
+    const defaultSide = latestHistoryTime(incoming) > latestHistoryTime(current) ? 'incoming' : 'current';
+    const winner = defaultSide === 'incoming' ? incoming : current;
+    const fieldsDiffer = !sameJson(withoutHistory(current), withoutHistory(incoming));
+
+    // Both sides recorded changes the other has not seen, or edited fields without history
+    const currentOnly = currentHistory.some(item => !incomingKeys.has(historyKey(item)));
+    const incomingOnly = incomingHistory.some(item => !currentKeys.has(historyKey(item)));
+    const conflict = fieldsDiffer && ((currentOnly && incomingOnly) || (!currentOnly && !incomingOnly));
+
+    return {
+        entry: { ...current, ...incoming, ...withoutHistory(winner), history },
+        conflict,
+        defaultSide
+    };
+}
+
+/**
+ * Combine an incoming backup with the current workspace instead of replacing it.
+ * Projects, risks, events and people match by id; compliance merges per requirement by the
+ * latest history timestamp. Records that differ on both sides are returned as
+ * conflicts with the current value in `merged`, for resolveWorkspaceMerge() to settle.
+ * @param {Object} current - Current workspace keyed by collection
+ * @param {Object} incoming - Sanitised backup data keyed by collection
+ * @returns {{merged: Object, conflicts: Array<Object>}}
+ */
+export function mergeWorkspaceData(current, incoming) {
+    const merged = {};
+    const conflicts = [];
+
+    MERGE_LIST_COLLECTIONS.forEach(collection => {
+        const records = (current[collection] || []).map(record => ({ ...record }));
+        const indexById = new Map(records.map((record, index) => [record.id, index]));
+        (incoming[collection] || []).forEach(record => {
+            if (!indexById.has(record.id)) {
+                indexById.set(record.id, records.length);
+                records.push({ ...record });
+                return;
+            }
+            const existing = records[indexById.get(record.id)];
+            if (sameJson(existing, record)) return;
+            conflicts.push({
+                id: `${collection}:${record.id}`,
+                collection,
+                key: record.id,
+                label: existing.name || record.name || record.id,
+                current: existing,
+                incoming: record,
+                defaultSide: recordTime(record) > recordTime(existing) ? 'incoming' : 'current'
+            });
+        });
+        merged[collection] = records;
+    });
+
+    merged.compliance = { ...(current.compliance || {}) };
+    Object.entries(incoming.compliance || {}).forEach(([reqId, entry]) => {
+        const existing = merged.compliance[reqId];
+        if (!existing) {
+            merged.compliance[reqId] = entry;
+            return;
+        }
+        if (sameJson(existing, entry)) return;
+        const result = mergeComplianceEntry(existing, entry);
+        merged.compliance[reqId] = result.conflict
+            ? { ...existing, history: result.entry.history }
+            : result.entry;
+        if (result.conflict) {
+            conflicts.push({
+                id: `compliance:${reqId}`,
+                collection: 'compliance',
+                key: reqId,
+                label: reqId,
+                current: existing,
+                incoming: entry,
+                defaultSide: result.defaultSide
+            });
+        }
+    });
+
+    if (incoming.progressHistory) {
+        merged.progressHistory = { ...(current.progressHistory || {}) };
+        Object.entries(incoming.progressHistory).forEach(([domainId, entries]) => {
+            const existing = merged.progressHistory[domainId] || [];
+            const seen = new Set(existing.map(entry => entry.timestamp));
+            merged.progressHistory[domainId] = [...existing, ...entries.filter(entry => !seen.has(entry.timestamp))]
+                .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+        });
+    }
+
+    MERGE_TIMESTAMPED_MAP_COLLECTIONS.forEach(collection => {
+        if (!incoming[collection]) return;
+        merged[collection] = { ...(current[collection] || {}) };
+        const localKeys = MERGE_LOCAL_KEYS[collection] || [];
+        Object.entries(incoming[collection]).forEach(([key, record]) => {
+            if (localKeys.includes(key) && merged[collection][key]) return;
+            const existing = merged[collection][key];
+            if (!existing || recordTime(record) > recordTime(existing)) {
+                merged[collection][key] = record;
+            }
+        });
+    });
+
+    // Definitions: keep local versions and add anything new from the backup. A risk matrix
+    // configured here is kept whole; merged risks are re-rated against it when applied.
+    ['requirements', 'tagDefinitions', 'userProfiles', 'riskMatrix'].forEach(collection => {
+        if (!incoming[collection]) return;
+        merged[collection] = { ...incoming[collection], ...(current[collection] || {}) };
+    });
+
+    // An encrypted contact register cannot be merged entry by entry, so a local one that has
+    // been set up wins; otherwise the backup's register is taken
+    if (incoming.contactRegister) {
+        merged.contactRegister = current.contactRegister?.envelope ? current.contactRegister : incoming.contactRegister;
+    }
+
+    if (incoming.userTagAssignments) {
+        merged.userTagAssignments = JSON.parse(JSON.stringify(current.userTagAssignments || {}));
+        Object.entries(incoming.userTagAssignments).forEach(([userId, assignments]) => {
+            const userMap = merged.userTagAssignments[userId] || (merged.userTagAssignments[userId] = {});
+            Object.entries(assignments).forEach(([reqId, tags]) => {
+                userMap[reqId] = [...new Set([...(userMap[reqId] || []), ...tags])];
+            });
+        });
+    }
+
+    return { merged, conflicts };
+}
+
+/**
+ * Apply the user's conflict choices to a merge produced by mergeWorkspaceData().
+ * @param {Object} merged
+ * @param {Array<Object>} conflicts
+ * @param {Object<string, 'current'|'incoming'>} choices - Conflict id to winning side
+ * @returns {Object} Workspace data ready to apply
+ */
+export function resolveWorkspaceMerge(merged, conflicts, choices = {}) {
+    const resolved = { ...merged };
+    MERGE_LIST_COLLECTIONS.forEach(collection => {
+        resolved[collection] = [...(merged[collection] || [])];
+    });
+    resolved.compliance = { ...(merged.compliance || {}) };
+
+    conflicts.forEach(conflict => {
+        const side = choices[conflict.id] || conflict.defaultSide;
+        if (conflict.collection === 'compliance') {
+            const chosen = side === 'incoming' ? conflict.incoming : conflict.current;
+            resolved.compliance[conflict.key] = {
+                ...withoutHistory(chosen),
+                history: resolved.compliance[conflict.key]?.history || chosen.history || []
+            };
+            return;
+        }
+        if (side !== 'incoming') return;
+        const records = resolved[conflict.collection];
+        const index = records.findIndex(record => record.id === conflict.key);
+        if (index !== -1) records[index] = { ...conflict.incoming };
+    });
+
+    return resolved;
+}
@@ -0,0 +1,172 @@
+/**
+ * PSPF Explorer - Zip Module
+ * Minimal zip archive reader and writer used for XLSX workbooks and attachment bundles.
+ * Written entries are stored uncompressed; deflated entries are read with the browser's
+ * DecompressionStream so no compression library is needed.
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum as used by the zip format.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+const toDosDateTime = (date) => {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Build a zip archive from a list of files.
+ * @param {Array<{name: string, data: Uint8Array|string, date?: Date}>} files
+ * @returns {Uint8Array}
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const checksum = crc32(data);
+        const { time, date } = toDosDateTime(file.date || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+const inflateRaw = async (bytes) => {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed files (DecompressionStream is unavailable)');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read every file in a zip archive.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<Map<string, Uint8Array>>} File name to contents
+ */
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end-of-central-directory record sits in the last 22 bytes plus any comment
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i -= 1) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i += 1) {
+        if (view.getUint32(pointer, true) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (!name.endsWith('/')) {
+            if (method === 0) {
+                files.set(name, data.slice());
+            } else if (method === 8) {
+                files.set(name, await inflateRaw(data));
+            } else {
+                throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+            }
+        }
+        pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}